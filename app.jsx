@@ -1,136 +1,1963 @@
+/**
+ * Симуляция 3D-жабы: прыжки в разные стороны с ограничением поворота до 90° и дрифт после приземления.
+ * Запускается как веб-приложение внутри одного React-компонента.
+ */
+
 const { useEffect, useMemo, useRef, useState } = React;
 const THREE = window.THREE;
+const {
+  clamp,
+  lerp,
+  smoothstep,
+  wrapPi,
+  lerpAngle,
+  hash2i,
+  makeRng,
+  terrainHeight,
+  terrainSlope,
+  supportHeight,
+  supportProp,
+  waterLevel,
+  hashString,
+  SIM_DT,
+  DEFAULT_SIM_PARAMS,
+  SWIM_STROKE,
+  TILE_SIZE,
+  TILE_CAPACITY,
+  BIOMES,
+  biomeAt,
+  RUNE_COLORS,
+  CAN_VARIANTS,
+  buildTileInstances,
+  GROUND_SEGMENTS,
+  groundPatchIndex,
+  generateTileBuffers,
+  createWorld,
+  rasterizeMapTile,
+  mapMarkers,
+  GROUP_BEHAVIOURS,
+  BRAINS,
+  setBrain,
+  MAX_FROGS,
+  spawnFrog,
+  createFrogGroup,
+  stepFrogGroup,
+  roundTo,
+  createTrace,
+  recordTraceStep,
+  traceDuration,
+  parseTrace,
+  sampleTrace,
+  SKID_FIELDS,
+  createSkidMarks,
+  addSkidPoint,
+  endSkidTrack,
+  clearSkidMarks,
+  skidFade,
+  createFrogAnim,
+  updateFrogAnim,
+} = window.JabkaSim;
+const { createGltfDoc, addTexture, addMaterial, addMesh, addNode, addAnimation, writeGlb, readGltfModel } = window.JabkaGltf;
+
+function vec3(x = 0, y = 0, z = 0) {
+  return new THREE.Vector3(x, y, z);
+}
+
+function readSeedFromUrl() {
+  const params = new URLSearchParams(window.location.search);
+  const raw = params.get("seed");
+  if (raw !== null && raw.trim() !== "") {
+    const n = Number(raw);
+    return Number.isInteger(n) ? n >>> 0 : hashString(raw);
+  }
+  const seed = Math.floor(Math.random() * 4294967296) >>> 0;
+  params.set("seed", String(seed));
+  window.history?.replaceState?.(null, "", `${window.location.pathname}?${params}${window.location.hash}`);
+  return seed;
+}
+
+function readFrogCountFromUrl() {
+  const n = Number(new URLSearchParams(window.location.search).get("frogs"));
+  return Number.isInteger(n) && n > 0 ? Math.min(n, MAX_FROGS) : 1;
+}
+
+function disposeMaterial(mat) {
+  if (!mat) return;
+  if (Array.isArray(mat)) {
+    for (const m of mat) disposeMaterial(m);
+    return;
+  }
+  mat.dispose?.();
+}
+
+const CAMERA_MODES = [
+  { id: "chase", label: "Погоня" },
+  { id: "follow", label: "За спиной" },
+  { id: "top", label: "Сверху" },
+  { id: "orbit", label: "Орбита" },
+  { id: "cinematic", label: "Кино" },
+];
+
+const CINEMATIC_SHOTS = [
+  { side: 6.5, up: 1.1, back: -3.5 },
+  { side: -14, up: 9, back: 10 },
+  { side: 2.5, up: 1.5, back: -8 },
+  { side: 0, up: 3.2, back: 8.5 },
+  { side: -3, up: 17, back: 2 },
+  { side: 9, up: 4.5, back: 1 },
+];
 
 /**
- * Симуляция 3D-жабы: прыжки в разные стороны с ограничением поворота до 90° и дрифт после приземления.
- * Запускается как веб-приложение внутри одного React-компонента.
+ * Камера с режимами. update() считает желаемую точку для текущего режима, переход между
+ * режимами сглаживается, а если между жабой и камерой оказывается крона — камера подъезжает ближе.
  */
+function createCameraRig(camera, world) {
+  const rig = {
+    mode: "chase",
+    orbit: { theta: Math.PI / 4, phi: 0.62, dist: 21 },
+    shot: null,
+    blend: 1,
+    pull: 1,
+  };
+
+  const desired = new THREE.Vector3();
+  const look = new THREE.Vector3();
+  const curLook = new THREE.Vector3();
+  const tmp = new THREE.Vector3();
+  const crownsTmp = [];
+  let initialized = false;
+
+  const rates = { chase: 3.2, follow: 4.5, top: 3, orbit: 14, cinematic: 8 };
+
+  const setMode = (mode) => {
+    if (mode === rig.mode || !rates[mode]) return;
+    rig.mode = mode;
+    rig.blend = 0;
+    rig.shot = null;
+    if (mode === "orbit") {
+      tmp.subVectors(camera.position, curLook);
+      const dist = Math.max(tmp.length(), 1e-3);
+      rig.orbit.dist = clamp(dist, 4, 80);
+      rig.orbit.theta = Math.atan2(tmp.x, tmp.z);
+      rig.orbit.phi = clamp(Math.asin(clamp(tmp.y / dist, -1, 1)), 0.05, 1.5);
+    }
+  };
+
+  const orbitBy = (dx, dy) => {
+    rig.orbit.theta -= dx * 0.008;
+    rig.orbit.phi = clamp(rig.orbit.phi + dy * 0.006, 0.05, 1.5);
+  };
+
+  const zoomBy = (factor) => {
+    rig.orbit.dist = clamp(rig.orbit.dist * factor, 4, 80);
+  };
+
+  const crownAt = (x, y, z) => {
+    for (const c of world.query(x, z, 2.5, crownsTmp, "crowns")) {
+      if (y < c.bottom || y > c.top) continue;
+      const rr = (c.r * (c.top - y)) / (c.top - c.bottom) + 0.45;
+      const dx = x - c.x;
+      const dz = z - c.z;
+      if (dx * dx + dz * dz < rr * rr) return true;
+    }
+    return false;
+  };
+
+  const clearFraction = () => {
+    const steps = Math.ceil(desired.distanceTo(look) / 0.75);
+    for (let i = 1; i <= steps; i++) {
+      tmp.lerpVectors(look, desired, i / steps);
+      if (crownAt(tmp.x, tmp.y, tmp.z)) return Math.max(0.15, (i - 1) / steps);
+    }
+    return 1;
+  };
+
+  const pickShot = (pos, yaw) => {
+    const s = CINEMATIC_SHOTS[Math.floor(Math.random() * CINEMATIC_SHOTS.length)];
+    const fx = Math.sin(yaw);
+    const fz = Math.cos(yaw);
+    rig.shot = new THREE.Vector3(pos.x + fz * s.side - fx * s.back, pos.y + s.up, pos.z - fx * s.side - fz * s.back);
+  };
+
+  const update = (dt, pos, yaw, landed) => {
+    look.set(pos.x, pos.y + 0.85, pos.z);
+
+    let cut = false;
+    if (rig.mode === "follow") {
+      desired.set(pos.x - Math.sin(yaw) * 9, pos.y + 4.2, pos.z - Math.cos(yaw) * 9);
+    } else if (rig.mode === "top") {
+      desired.set(pos.x, pos.y + 58, pos.z + 4);
+    } else if (rig.mode === "orbit") {
+      const o = rig.orbit;
+      const flat = o.dist * Math.cos(o.phi);
+      desired.set(pos.x + flat * Math.sin(o.theta), look.y + o.dist * Math.sin(o.phi), pos.z + flat * Math.cos(o.theta));
+    } else if (rig.mode === "cinematic") {
+      if (!rig.shot || landed || rig.shot.distanceTo(pos) > 32) {
+        cut = !!rig.shot && rig.blend >= 1;
+        pickShot(pos, yaw);
+      }
+      desired.copy(rig.shot);
+    } else {
+      desired.set(pos.x + 13.2, pos.y + 10.6, pos.z + 13.2);
+    }
+
+    const floor = terrainHeight(desired.x, desired.z) + 0.9;
+    if (desired.y < floor) desired.y = floor;
+
+    const frac = rig.mode === "top" ? 1 : clearFraction();
+    rig.pull = lerp(rig.pull, frac, 1 - Math.exp(-(frac < rig.pull ? 10 : 1.2) * dt));
+    desired.lerpVectors(look, desired, rig.pull);
+
+    if (!initialized || cut) {
+      camera.position.copy(desired);
+      curLook.copy(look);
+      initialized = true;
+    } else {
+      rig.blend = Math.min(1, rig.blend + dt / 0.9);
+      const rate = rig.blend < 1 ? Math.min(rates[rig.mode], 2.6) : rates[rig.mode];
+      camera.position.lerp(desired, 1 - Math.exp(-rate * dt));
+      curLook.lerp(look, rig.blend < 1 ? 1 - Math.exp(-6 * dt) : 1);
+    }
+    camera.lookAt(curLook);
+  };
+
+  return { rig, setMode, orbitBy, zoomBy, update };
+}
+
+const MUSIC_BPM = 98;
+const BASS_NOTES = [55, 55, 65.41, 49];
+
+/**
+ * Процедурный звук на Web Audio: кваканье, удары о землю, всплески, шорох дрифта, дождь и петля бита.
+ * Контекст создаётся по первому включению (браузеры не дают запускать звук без жеста).
+ * beatPulse() работает и без звука — свет в наушниках мигает в такт той же сетке.
+ */
+function createAudio() {
+  let ctx = null;
+  let master = null;
+  let sfx = null;
+  let music = null;
+  let noise = null;
+  let scrapeGain = null;
+  let scrapeFilter = null;
+  let rainGain = null;
+  let enabled = false;
+  let musicOn = true;
+  let nextStep = 0;
+  let stepIndex = 0;
+  let musicStart = 0;
+
+  const stepDur = 60 / MUSIC_BPM / 4;
+
+  const init = () => {
+    const Ctx = window.AudioContext || window.webkitAudioContext;
+    if (!Ctx) return false;
+    ctx = new Ctx();
+
+    const comp = ctx.createDynamicsCompressor();
+    comp.connect(ctx.destination);
+    master = ctx.createGain();
+    master.gain.value = 0.8;
+    master.connect(comp);
+    sfx = ctx.createGain();
+    sfx.connect(master);
+    music = ctx.createGain();
+    music.gain.value = 0.32;
+    music.connect(master);
+
+    noise = ctx.createBuffer(1, ctx.sampleRate * 2, ctx.sampleRate);
+    const data = noise.getChannelData(0);
+    for (let i = 0; i < data.length; i++) data[i] = Math.random() * 2 - 1;
+
+    const scrapeSrc = ctx.createBufferSource();
+    scrapeSrc.buffer = noise;
+    scrapeSrc.loop = true;
+    scrapeFilter = ctx.createBiquadFilter();
+    scrapeFilter.type = "bandpass";
+    scrapeFilter.frequency.value = 1400;
+    scrapeFilter.Q.value = 0.9;
+    scrapeGain = ctx.createGain();
+    scrapeGain.gain.value = 0;
+    scrapeSrc.connect(scrapeFilter).connect(scrapeGain).connect(sfx);
+    scrapeSrc.start();
+
+    const rainSrc = ctx.createBufferSource();
+    rainSrc.buffer = noise;
+    rainSrc.loop = true;
+    const rainFilter = ctx.createBiquadFilter();
+    rainFilter.type = "lowpass";
+    rainFilter.frequency.value = 2600;
+    rainGain = ctx.createGain();
+    rainGain.gain.value = 0;
+    rainSrc.connect(rainFilter).connect(rainGain).connect(sfx);
+    rainSrc.start(0, 0.7);
+    return true;
+  };
+
+  const envelope = (gain, t0, peak, attack, decay) => {
+    gain.gain.setValueAtTime(0.0001, t0);
+    gain.gain.exponentialRampToValueAtTime(peak, t0 + attack);
+    gain.gain.exponentialRampToValueAtTime(0.0001, t0 + attack + decay);
+  };
+
+  const noiseBurst = (dest, t0, type, freq, peak, decay) => {
+    const src = ctx.createBufferSource();
+    src.buffer = noise;
+    const f = ctx.createBiquadFilter();
+    f.type = type;
+    f.frequency.value = freq;
+    const g = ctx.createGain();
+    envelope(g, t0, peak, 0.004, decay);
+    src.connect(f).connect(g).connect(dest);
+    src.start(t0, Math.random() * 1.5);
+    src.stop(t0 + decay + 0.05);
+  };
+
+  const tone = (dest, t0, type, f0, f1, peak, decay) => {
+    const osc = ctx.createOscillator();
+    osc.type = type;
+    osc.frequency.setValueAtTime(f0, t0);
+    osc.frequency.exponentialRampToValueAtTime(f1, t0 + decay);
+    const g = ctx.createGain();
+    envelope(g, t0, peak, 0.005, decay);
+    osc.connect(g).connect(dest);
+    osc.start(t0);
+    osc.stop(t0 + decay + 0.05);
+    return osc;
+  };
+
+  const live = () => enabled && ctx && ctx.state === "running";
+
+  const croak = () => {
+    if (!live()) return;
+    const t = ctx.currentTime;
+    const pitch = lerp(0.85, 1.2, Math.random());
+    for (let k = 0; k < 2; k++) {
+      const t0 = t + k * 0.09;
+      const osc = ctx.createOscillator();
+      osc.type = "sawtooth";
+      osc.frequency.setValueAtTime(210 * pitch, t0);
+      osc.frequency.exponentialRampToValueAtTime(120 * pitch, t0 + 0.08);
+      const bp = ctx.createBiquadFilter();
+      bp.type = "bandpass";
+      bp.frequency.value = 850 * pitch;
+      bp.Q.value = 4;
+      const g = ctx.createGain();
+      envelope(g, t0, 0.5, 0.012, 0.075);
+      osc.connect(bp).connect(g).connect(sfx);
+      osc.start(t0);
+      osc.stop(t0 + 0.12);
+    }
+  };
+
+  const thump = (impact) => {
+    if (!live()) return;
+    const k = clamp(impact / 9, 0.05, 1);
+    const t = ctx.currentTime;
+    tone(sfx, t, "sine", lerp(70, 110, k), 38, 0.25 + 0.65 * k, 0.12 + 0.16 * k);
+    noiseBurst(sfx, t, "lowpass", lerp(500, 1600, k), 0.08 + 0.3 * k, 0.06 + 0.08 * k);
+  };
+
+  const splash = (impact) => {
+    if (!live()) return;
+    const k = clamp(impact / 9, 0.1, 1);
+    const t = ctx.currentTime;
+    tone(sfx, t, "sine", lerp(220, 140, k), 70, 0.12 + 0.25 * k, 0.1);
+    noiseBurst(sfx, t, "bandpass", lerp(900, 1500, k), 0.2 + 0.45 * k, 0.18 + 0.25 * k);
+    noiseBurst(sfx, t + 0.04, "highpass", 3800, 0.06 + 0.14 * k, 0.25 + 0.2 * k);
+  };
+
+  const paddle = () => {
+    if (!live()) return;
+    noiseBurst(sfx, ctx.currentTime, "bandpass", lerp(550, 800, Math.random()), 0.12, 0.16);
+  };
+
+  const setScrape = (intensity) => {
+    if (!ctx) return;
+    const v = live() ? clamp(intensity, 0, 1) : 0;
+    scrapeGain.gain.setTargetAtTime(0.28 * v, ctx.currentTime, 0.05);
+    scrapeFilter.frequency.setTargetAtTime(900 + 1400 * v, ctx.currentTime, 0.08);
+  };
+
+  const setRain = (intensity) => {
+    if (!ctx) return;
+    const v = live() ? clamp(intensity, 0, 1) : 0;
+    rainGain.gain.setTargetAtTime(0.16 * v, ctx.currentTime, 0.5);
+  };
+
+  const scheduleStep = (i, t0) => {
+    const s = i % 16;
+    const bar = Math.floor(i / 16) % BASS_NOTES.length;
+    if (s % 4 === 0 || s === 10) tone(music, t0, "sine", 120, 42, 0.9, 0.22);
+    if (s === 4 || s === 12) noiseBurst(music, t0, "bandpass", 1800, 0.35, 0.12);
+    if (s % 2 === 1) noiseBurst(music, t0, "highpass", 7000, s % 4 === 3 ? 0.16 : 0.08, 0.035);
+    if (s === 0 || s === 3 || s === 6 || s === 11 || s === 14) {
+      const f = BASS_NOTES[bar] * (s === 11 ? 1.5 : 1);
+      tone(music, t0, "triangle", f, f * 0.98, 0.45, stepDur * 1.8);
+    }
+  };
+
+  const update = () => {
+    if (!live() || !musicOn) return;
+    while (nextStep < ctx.currentTime + 0.12) {
+      scheduleStep(stepIndex, nextStep);
+      stepIndex++;
+      nextStep += stepDur;
+    }
+  };
+
+  const restartMusic = () => {
+    musicStart = ctx.currentTime + 0.06;
+    nextStep = musicStart;
+    stepIndex = 0;
+  };
+
+  const setEnabled = (on) => {
+    enabled = !!on;
+    if (enabled && !ctx && !init()) {
+      enabled = false;
+      return false;
+    }
+    if (!ctx) return enabled;
+    // без жеста пользователя браузер может отклонить resume — тогда контекст молчит до следующего включения звука
+    if (enabled) {
+      ctx.resume().catch(() => {});
+      restartMusic();
+    } else {
+      ctx.suspend().catch(() => {});
+    }
+    return enabled;
+  };
+
+  const setMusic = (on) => {
+    musicOn = !!on;
+    if (ctx && musicOn) restartMusic();
+  };
+
+  const beatPulse = (nowSec) => {
+    const t = live() && musicOn ? ctx.currentTime - musicStart - (ctx.outputLatency || 0) : nowSec;
+    const beats = t * (MUSIC_BPM / 60);
+    const frac = beats - Math.floor(beats);
+    const downbeat = Math.floor(beats) % 4 === 0 ? 1 : 0.7;
+    return clamp(Math.exp(-frac * 5) * downbeat, 0, 1);
+  };
+
+  const dispose = () => {
+    if (ctx) ctx.close?.().catch(() => {});
+    ctx = null;
+    enabled = false;
+  };
+
+  return { setEnabled, setMusic, croak, thump, splash, paddle, setScrape, setRain, update, beatPulse, dispose };
+}
+
+const VIEW_RADIUS_DEFAULT = 2;
+const VIEW_RADIUS_MAX = 5;
+// ближний круг тайлов с полной детализацией (в тайлах от центра), дальше — импостеры
+const VIEW_NEAR_DEFAULT = 1;
+// туман при дальности по умолчанию — прежние 34…260 м; с дальностью он отодвигается пропорционально
+const VIEW_FOG_NEAR = 34;
+const VIEW_FOG_FAR = 260;
+
+const GROUP_MODES = [
+  { id: "free", label: "Вразброд" },
+  { id: "leader", label: "За вожаком" },
+  { id: "flock", label: "Стаей" },
+];
+
+const FOREST_FOCUS = [
+  { id: "leader", label: "Лес за вожаком" },
+  { id: "centroid", label: "Лес за центром" },
+];
 
-function clamp(x, a, b) {
-  return Math.max(a, Math.min(b, x));
+const PATH_MAX_POINTS = 64;
+const PATH_SPACING = 2.5;
+
+/**
+ * Время суток: ключевые кадры освещения по часам (0–24), между ними — линейная интерполяция.
+ * light — солнце днём и луна ночью, glow — насколько ярче светятся руны и наушники.
+ */
+const DAY_KEYS = [
+  { h: 0, sky: 0x050914, fog: 0x070d12, light: 0x8ea8ff, sun: 0.22, ambient: 0.16, hemiSky: 0x2a3a66, hemiGround: 0x0a120c, hemi: 0.35, glow: 1 },
+  { h: 4.5, sky: 0x0b1226, fog: 0x0c1318, light: 0x8ea8ff, sun: 0.18, ambient: 0.18, hemiSky: 0x2a3a66, hemiGround: 0x0a120c, hemi: 0.4, glow: 1 },
+  { h: 6.2, sky: 0x3a3450, fog: 0x2a2a30, light: 0xff9a6a, sun: 0.05, ambient: 0.28, hemiSky: 0x7f86b0, hemiGround: 0x1a2419, hemi: 0.55, glow: 0.7 },
+  { h: 7.2, sky: 0xe9a27a, fog: 0x6c5f5a, light: 0xffb27a, sun: 0.85, ambient: 0.4, hemiSky: 0xf0c8b0, hemiGround: 0x213326, hemi: 0.8, glow: 0.3 },
+  { h: 10, sky: 0x8fc0e6, fog: 0x6f9aa4, light: 0xfff2da, sun: 1.3, ambient: 0.52, hemiSky: 0xe7f0ff, hemiGround: 0x213326, hemi: 1.0, glow: 0 },
+  { h: 14, sky: 0x9cc9ec, fog: 0x7aa3ad, light: 0xfff7e3, sun: 1.35, ambient: 0.55, hemiSky: 0xe7f0ff, hemiGround: 0x213326, hemi: 1.05, glow: 0 },
+  { h: 17.4, sky: 0xe6a070, fog: 0x5e5650, light: 0xffa366, sun: 0.9, ambient: 0.42, hemiSky: 0xf2c7a3, hemiGround: 0x213326, hemi: 0.85, glow: 0.25 },
+  { h: 18.6, sky: 0x6a3f5a, fog: 0x2c2630, light: 0xff7a50, sun: 0.05, ambient: 0.3, hemiSky: 0x8c6a8a, hemiGround: 0x1a2419, hemi: 0.6, glow: 0.6 },
+  { h: 20.5, sky: 0x0b1c12, fog: 0x0b1c12, light: 0x8ea8ff, sun: 0.2, ambient: 0.2, hemiSky: 0x2a3a66, hemiGround: 0x0a120c, hemi: 0.4, glow: 0.95 },
+  { h: 24, sky: 0x050914, fog: 0x070d12, light: 0x8ea8ff, sun: 0.22, ambient: 0.16, hemiSky: 0x2a3a66, hemiGround: 0x0a120c, hemi: 0.35, glow: 1 },
+];
+
+const SUNRISE = 6.4;
+const SUNSET = 18.4;
+
+/** Скорости часов: сколько игровых часов проходит за реальную минуту (1 — сутки за 24 минуты). */
+const DAY_SPEEDS = [
+  { id: 0, label: "стоп" },
+  { id: 1, label: "×1" },
+  { id: 10, label: "×10" },
+  { id: 60, label: "×60" },
+];
+
+const WEATHER_MODES = [
+  { id: "auto", label: "Авто" },
+  { id: "clear", label: "Ясно" },
+  { id: "rain", label: "Дождь" },
+  { id: "mist", label: "Туман" },
+];
+
+function readTimeFromUrl() {
+  const raw = new URLSearchParams(window.location.search).get("time");
+  const m = raw && /^(\d{1,2})(?::(\d{2}))?$/.exec(raw.trim());
+  if (!m) return 10;
+  return clamp(Number(m[1]) + Number(m[2] || 0) / 60, 0, 24) % 24;
 }
 
-function lerp(a, b, t) {
-  const tt = Number.isFinite(t) ? clamp(t, 0, 1) : 0;
-  return a + (b - a) * tt;
+function formatClock(hours) {
+  const total = Math.floor((((hours % 24) + 24) % 24) * 60);
+  return `${String(Math.floor(total / 60)).padStart(2, "0")}:${String(total % 60).padStart(2, "0")}`;
 }
 
-function smoothstep(edge0, edge1, x) {
-  if (edge0 === edge1) return x < edge0 ? 0 : 1;
-  const t = clamp((x - edge0) / (edge1 - edge0), 0, 1);
-  return t * t * (3 - 2 * t);
+/** Освещение в момент hours: заполняет out (цвета THREE.Color, числа) по DAY_KEYS. */
+function sampleDayKeys(hours, out) {
+  const h = ((hours % 24) + 24) % 24;
+  let i = 0;
+  while (DAY_KEYS[i + 1].h < h) i++;
+  const a = DAY_KEYS[i];
+  const b = DAY_KEYS[i + 1];
+  const t = (h - a.h) / (b.h - a.h);
+  for (const key of ["sky", "fog", "light", "hemiSky", "hemiGround"]) {
+    out[key].set(a[key]).lerp(out.tmp.set(b[key]), t);
+  }
+  for (const key of ["sun", "ambient", "hemi", "glow"]) out[key] = lerp(a[key], b[key], t);
+  return out;
 }
 
-function wrapPi(a) {
-  if (!Number.isFinite(a)) return 0;
-  return Math.atan2(Math.sin(a), Math.cos(a));
+/**
+ * Погода в режиме «авто»: своя на каждые три игровых часа, от seed и номера отрезка.
+ * Туман чаще под утро, дождь — днём.
+ */
+function autoWeather(seed, time) {
+  const block = Math.floor(time / 3);
+  const roll = hash2i(seed, block ^ 0x3ea7) / 4294967296;
+  const h = (block * 3) % 24;
+  const mist = h >= 3 && h < 9 ? 0.35 : 0.12;
+  if (roll < mist) return "mist";
+  if (roll < mist + 0.2) return "rain";
+  return "clear";
 }
 
-function lerpAngle(a, b, t) {
-  const tt = Number.isFinite(t) ? clamp(t, 0, 1) : 0;
-  const d = wrapPi(b - a);
-  return a + d * tt;
+/**
+ * Дождь: отрезки-капли в коробке вокруг камеры. Капли живут в координатах коробки
+ * и заворачиваются по её краям, поэтому камера может лететь куда угодно.
+ */
+function createRain(scene, capacity = 1600) {
+  const box = { x: 60, y: 34, z: 60 };
+  const drops = new Float32Array(capacity * 3);
+  for (let i = 0; i < capacity; i++) {
+    drops[i * 3 + 0] = Math.random() * box.x;
+    drops[i * 3 + 1] = Math.random() * box.y;
+    drops[i * 3 + 2] = Math.random() * box.z;
+  }
+  const positions = new Float32Array(capacity * 6);
+  const geo = new THREE.BufferGeometry();
+  const attr = new THREE.BufferAttribute(positions, 3);
+  geo.setAttribute("position", attr);
+  const mat = new THREE.LineBasicMaterial({ color: 0xa9bcc8, transparent: true, opacity: 0.5, depthWrite: false });
+  const lines = new THREE.LineSegments(geo, mat);
+  lines.frustumCulled = false;
+  lines.visible = false;
+  scene.add(lines);
+
+  const fall = 24;
+  const wind = { x: 2.2, z: 0.8 };
+  const streak = 0.045;
+  const wrap = (v, size) => v - Math.floor(v / size) * size;
+
+  const update = (dt, center, amount, density = 1) => {
+    const n = Math.round(capacity * clamp(amount, 0, 1) * density);
+    lines.visible = n > 0;
+    if (!n) return;
+    const ox = center.x - box.x * 0.5;
+    const oy = center.y - box.y * 0.6;
+    const oz = center.z - box.z * 0.5;
+    for (let i = 0; i < n; i++) {
+      const d = i * 3;
+      drops[d + 0] = wrap(drops[d + 0] + wind.x * dt, box.x);
+      drops[d + 1] = wrap(drops[d + 1] - fall * dt, box.y);
+      drops[d + 2] = wrap(drops[d + 2] + wind.z * dt, box.z);
+      // коробка привязана к сетке мира, а не к камере, иначе капли дёргаются вместе с ней
+      const x = ox + wrap(drops[d + 0] - ox, box.x);
+      const y = oy + wrap(drops[d + 1] - oy, box.y);
+      const z = oz + wrap(drops[d + 2] - oz, box.z);
+      const o = i * 6;
+      positions[o + 0] = x;
+      positions[o + 1] = y;
+      positions[o + 2] = z;
+      positions[o + 3] = x - wind.x * streak;
+      positions[o + 4] = y + fall * streak;
+      positions[o + 5] = z - wind.z * streak;
+    }
+    geo.setDrawRange(0, n * 2);
+    attr.needsUpdate = true;
+    mat.opacity = 0.25 + 0.3 * amount;
+  };
+
+  const dispose = () => {
+    scene.remove(lines);
+    geo.dispose();
+    mat.dispose();
+  };
+
+  return { update, dispose };
 }
 
-function vec3(x = 0, y = 0, z = 0) {
-  return new THREE.Vector3(x, y, z);
+/** Светлячки: мерцающие точки над землёй вокруг жабы; гаснут, когда amount = 0. */
+function createFireflies(scene, capacity = 90) {
+  const radius = 24;
+  const flies = Array.from({ length: capacity }, () => ({
+    x: 0,
+    z: 0,
+    y: 0,
+    phase: Math.random() * Math.PI * 2,
+    blink: lerp(0.6, 1.6, Math.random()),
+    placed: false,
+  }));
+  const positions = new Float32Array(capacity * 3);
+  const colors = new Float32Array(capacity * 3);
+  const geo = new THREE.BufferGeometry();
+  geo.setAttribute("position", new THREE.BufferAttribute(positions, 3));
+  geo.setAttribute("color", new THREE.BufferAttribute(colors, 3));
+
+  const canvas = document.createElement("canvas");
+  canvas.width = 32;
+  canvas.height = 32;
+  const ctx = canvas.getContext("2d");
+  if (ctx) {
+    const g = ctx.createRadialGradient(16, 16, 0, 16, 16, 16);
+    g.addColorStop(0, "rgba(255,255,255,1)");
+    g.addColorStop(0.35, "rgba(255,255,255,0.5)");
+    g.addColorStop(1, "rgba(255,255,255,0)");
+    ctx.fillStyle = g;
+    ctx.fillRect(0, 0, 32, 32);
+  }
+  const tex = new THREE.CanvasTexture(canvas);
+  const mat = new THREE.PointsMaterial({
+    size: 0.55,
+    map: tex,
+    vertexColors: true,
+    transparent: true,
+    depthWrite: false,
+    blending: THREE.AdditiveBlending,
+  });
+  mat.toneMapped = false;
+  const points = new THREE.Points(geo, mat);
+  points.frustumCulled = false;
+  points.visible = false;
+  points.layers.enable(BLOOM_LAYER);
+  scene.add(points);
+  const tint = new THREE.Color(0xd6ff5a);
+
+  const place = (f, center, anywhere) => {
+    const a = Math.random() * Math.PI * 2;
+    const r = radius * (anywhere ? Math.sqrt(Math.random()) : lerp(0.85, 1, Math.random()));
+    f.x = center.x + Math.cos(a) * r;
+    f.z = center.z + Math.sin(a) * r;
+    f.y = terrainHeight(f.x, f.z) + lerp(0.5, 2.6, Math.random());
+    f.placed = true;
+  };
+
+  const update = (t, center, amount) => {
+    points.visible = amount > 0.01;
+    if (!points.visible) return;
+    flies.forEach((f, i) => {
+      if (!f.placed) place(f, center, true);
+      else if (Math.hypot(f.x - center.x, f.z - center.z) > radius * 1.15) place(f, center, false);
+      const o = i * 3;
+      positions[o + 0] = f.x + Math.sin(t * 0.7 + f.phase) * 0.8;
+      positions[o + 1] = f.y + Math.sin(t * 1.3 + f.phase * 2) * 0.35;
+      positions[o + 2] = f.z + Math.cos(t * 0.5 + f.phase) * 0.8;
+      const on = Math.pow(Math.max(0, Math.sin(t * f.blink + f.phase)), 3) * amount;
+      colors[o + 0] = tint.r * on;
+      colors[o + 1] = tint.g * on;
+      colors[o + 2] = tint.b * on;
+    });
+    geo.getAttribute("position").needsUpdate = true;
+    geo.getAttribute("color").needsUpdate = true;
+  };
+
+  const dispose = () => {
+    scene.remove(points);
+    geo.dispose();
+    mat.dispose();
+    tex.dispose();
+  };
+
+  return { update, dispose };
 }
 
-function hash2i(x, z) {
-  let h = (x | 0) ^ 0x9e3779b9;
-  h = Math.imul(h, 0x85ebca6b);
-  h ^= (z | 0) + 0x7f4a7c15;
-  h = Math.imul(h, 0xc2b2ae35);
-  h ^= h >>> 16;
-  return h >>> 0;
+/**
+ * Виды частиц. drag — затухание скорости, gravity — ускорение вниз (отрицательное — всплывает),
+ * fall — предельная скорость падения, flutter — размах покачивания, alpha — непрозрачность в начале жизни.
+ * orbit — частица кружит вокруг точки рождения: vx — угловая скорость, vy — подъём, vz — радиус.
+ */
+const PARTICLE_KINDS = [
+  { id: "dust", drag: 3.5, gravity: -0.4, fall: Infinity, flutter: 0, alpha: 0.45 },
+  { id: "leaf", drag: 2.2, gravity: 6, fall: 0.9, flutter: 0.6, alpha: 0.9 },
+  { id: "grass", drag: 1.2, gravity: 9, fall: 3, flutter: 0.15, alpha: 0.9 },
+  { id: "bubble", drag: 1.5, gravity: -1.4, fall: Infinity, flutter: 0.25, alpha: 0.65 },
+  { id: "spark", orbit: true, alpha: 1 },
+  { id: "glint", drag: 2.5, gravity: 1.5, fall: Infinity, flutter: 0, alpha: 1 },
+];
+
+/**
+ * Пул частиц на одних Points: без аллокаций в кадре, новые занимают самые старые слоты в пределах бюджета
+ * (доля capacity — её задаёт пресет качества). glow — аддитивные светящиеся частицы в слое свечения.
+ * Прозрачность — в альфе цвета вершины, к концу жизни частица тает.
+ */
+function createParticles(scene, capacity, { size = 0.3, glow = false } = {}) {
+  const positions = new Float32Array(capacity * 3).fill(-1e4);
+  const velocity = new Float32Array(capacity * 3);
+  const origin = new Float32Array(capacity * 3);
+  const colors = new Float32Array(capacity * 4);
+  const tint = new Float32Array(capacity * 3);
+  const life = new Float32Array(capacity);
+  const span = new Float32Array(capacity).fill(1);
+  const phase = new Float32Array(capacity);
+  const kind = new Uint8Array(capacity);
+  const geo = new THREE.BufferGeometry();
+  geo.setAttribute("position", new THREE.BufferAttribute(positions, 3).setUsage(THREE.DynamicDrawUsage));
+  geo.setAttribute("color", new THREE.BufferAttribute(colors, 4).setUsage(THREE.DynamicDrawUsage));
+
+  const canvas = document.createElement("canvas");
+  canvas.width = 32;
+  canvas.height = 32;
+  const ctx = canvas.getContext("2d");
+  if (ctx) {
+    const g = ctx.createRadialGradient(16, 16, 0, 16, 16, 16);
+    g.addColorStop(0, "rgba(255,255,255,1)");
+    g.addColorStop(glow ? 0.3 : 0.5, `rgba(255,255,255,${glow ? 0.45 : 0.6})`);
+    g.addColorStop(1, "rgba(255,255,255,0)");
+    ctx.fillStyle = g;
+    ctx.fillRect(0, 0, 32, 32);
+  }
+  const tex = new THREE.CanvasTexture(canvas);
+  const mat = new THREE.PointsMaterial({
+    size,
+    map: tex,
+    vertexColors: true,
+    transparent: true,
+    depthWrite: false,
+    blending: glow ? THREE.AdditiveBlending : THREE.NormalBlending,
+  });
+  mat.toneMapped = !glow;
+  const points = new THREE.Points(geo, mat);
+  points.frustumCulled = false;
+  if (glow) points.layers.enable(BLOOM_LAYER);
+  scene.add(points);
+  let budget = capacity;
+  let next = 0;
+  let live = 0;
+
+  const setBudget = (fraction) => {
+    budget = clamp(Math.round(capacity * fraction), 1, capacity);
+    for (let i = budget; i < capacity; i++) life[i] = 0;
+    next %= budget;
+    live = capacity;
+  };
+
+  const spawn = (id, x, y, z, vx, vy, vz, color, seconds) => {
+    const i = next;
+    next = (next + 1) % budget;
+    const o = i * 3;
+    origin.set([x, y, z], o);
+    positions.set([x, y, z], o);
+    velocity.set([vx, vy, vz], o);
+    tint.set([color.r, color.g, color.b], o);
+    kind[i] = PARTICLE_KINDS.findIndex((k) => k.id === id);
+    phase[i] = Math.random() * Math.PI * 2;
+    span[i] = seconds;
+    life[i] = seconds;
+    live = capacity;
+  };
+
+  const update = (dt, t) => {
+    if (!live) return;
+    live = 0;
+    for (let i = 0; i < capacity; i++) {
+      const o = i * 3;
+      if (life[i] <= 0) {
+        colors[i * 4 + 3] = 0;
+        continue;
+      }
+      live++;
+      life[i] -= dt;
+      const k = PARTICLE_KINDS[kind[i]];
+      if (k.orbit) {
+        phase[i] += velocity[o] * dt;
+        origin[o + 1] += velocity[o + 1] * dt;
+        positions[o + 0] = origin[o] + Math.cos(phase[i]) * velocity[o + 2];
+        positions[o + 1] = origin[o + 1];
+        positions[o + 2] = origin[o + 2] + Math.sin(phase[i]) * velocity[o + 2];
+      } else {
+        const drag = Math.exp(-k.drag * dt);
+        velocity[o + 0] *= drag;
+        velocity[o + 2] *= drag;
+        velocity[o + 1] = Math.max(velocity[o + 1] * (k.gravity < 0 ? drag : 1) - k.gravity * dt, -k.fall);
+        const sway = k.flutter * Math.sin(t * 6 + phase[i]);
+        positions[o + 0] += (velocity[o + 0] + sway) * dt;
+        positions[o + 1] += velocity[o + 1] * dt;
+        positions[o + 2] += (velocity[o + 2] + sway * 0.5) * dt;
+      }
+      const fade = clamp(life[i] / span[i], 0, 1);
+      colors.set([tint[o], tint[o + 1], tint[o + 2], k.alpha * Math.min(1, fade * 3)], i * 4);
+      if (life[i] <= 0) positions[o + 1] = -1e4;
+    }
+    geo.getAttribute("position").needsUpdate = true;
+    geo.getAttribute("color").needsUpdate = true;
+  };
+
+  const clear = () => {
+    life.fill(0);
+    positions.fill(-1e4);
+    live = capacity;
+  };
+
+  const dispose = () => {
+    scene.remove(points);
+    geo.dispose();
+    mat.dispose();
+    tex.dispose();
+  };
+
+  return { spawn, update, setBudget, clear, dispose };
 }
 
-function makeRng(seed) {
-  let s = seed >>> 0;
-  return () => {
-    s ^= s << 13;
-    s ^= s >>> 17;
-    s ^= s << 5;
-    return (s >>> 0) / 4294967296;
+// карта: растр тайла в пикселях, мини-карта охватывает MINIMAP_SPAN метров, след вожака — точки через TRAIL_STEP
+const MAP_TILE_PX = 48;
+const MAP_CACHE = 400;
+const MINIMAP_SPAN = 380;
+const TRAIL_STEP = 2;
+const TRAIL_MAX = 400;
+const WAYPOINT_REACH = 3;
+
+const hexCss = (hex) => `#${hex.toString(16).padStart(6, "0")}`;
+
+/**
+ * Рисует карту на canvas: растры тайлов из сида и их метки (кэш, метки пересобираются, когда в тайле что-то собрали),
+ * рамку тайлов полной детализации (view.near тайлов вокруг view.tx, view.tz), след, метку-цель и жабу.
+ * view.cx, view.cz — мировая точка в центре холста, view.scale — пикселей на метр.
+ */
+function createMapPainter(world) {
+  const cache = new Map();
+
+  const tileEntry = (tx, tz) => {
+    const key = `${tx},${tz}`;
+    let entry = cache.get(key);
+    // кэш LRU: прочитанный тайл уходит в конец, вытесняется давно не показанный
+    if (entry) {
+      cache.delete(key);
+      cache.set(key, entry);
+    } else {
+      const image = document.createElement("canvas");
+      image.width = MAP_TILE_PX;
+      image.height = MAP_TILE_PX;
+      const ctx = image.getContext("2d");
+      if (ctx) {
+        const data = ctx.createImageData(MAP_TILE_PX, MAP_TILE_PX);
+        data.data.set(rasterizeMapTile(tx, tz, MAP_TILE_PX));
+        ctx.putImageData(data, 0, 0);
+        const k = MAP_TILE_PX / TILE_SIZE;
+        ctx.fillStyle = "rgba(4, 18, 8, 0.5)";
+        for (const t of world.layout(tx, tz).trees) ctx.fillRect((t.x + TILE_SIZE * 0.5) * k - 0.5, (t.z + TILE_SIZE * 0.5) * k - 0.5, 1, 1);
+      }
+      entry = { image, markers: null, taken: -1 };
+      cache.set(key, entry);
+      if (cache.size > MAP_CACHE) cache.delete(cache.keys().next().value);
+    }
+    const taken = world.collectedIn(tx, tz)?.size || 0;
+    if (entry.taken !== taken) {
+      entry.markers = mapMarkers(world, tx, tz);
+      entry.taken = taken;
+    }
+    return entry;
+  };
+
+  const draw = (canvas, view) => {
+    const ctx = canvas.getContext("2d");
+    if (!ctx) return;
+    const { width: w, height: h } = canvas;
+    const { cx, cz, scale } = view;
+    const px = (x) => w * 0.5 + (x - cx) * scale;
+    const py = (z) => h * 0.5 + (z - cz) * scale;
+    const size = TILE_SIZE * scale;
+    const half = TILE_SIZE * 0.5;
+
+    ctx.fillStyle = "#07110b";
+    ctx.fillRect(0, 0, w, h);
+    const shown = [];
+    for (const [tx, tz] of view.tiles) {
+      const x = px(tx * TILE_SIZE - half);
+      const y = py(tz * TILE_SIZE - half);
+      if (x > w || y > h || x + size < 0 || y + size < 0) continue;
+      const entry = tileEntry(tx, tz);
+      ctx.drawImage(entry.image, x, y, size, size);
+      shown.push(entry);
+    }
+
+    ctx.strokeStyle = "rgba(216, 236, 221, 0.3)";
+    ctx.lineWidth = 1;
+    const { near } = view;
+    ctx.strokeRect(px((view.tx - near) * TILE_SIZE - half), py((view.tz - near) * TILE_SIZE - half), size * (2 * near + 1), size * (2 * near + 1));
+    ctx.strokeRect(px(view.tx * TILE_SIZE - half), py(view.tz * TILE_SIZE - half), size, size);
+
+    const r = clamp(scale * 1.5, 1.5, 4);
+    for (const entry of shown) {
+      for (const m of entry.markers) {
+        const x = px(m.x);
+        const y = py(m.z);
+        ctx.fillStyle = hexCss(m.color);
+        ctx.beginPath();
+        if (m.kind === "rune") {
+          ctx.moveTo(x, y - r * 1.4);
+          ctx.lineTo(x + r, y);
+          ctx.lineTo(x, y + r * 1.4);
+          ctx.lineTo(x - r, y);
+        } else if (m.kind === "artifact") {
+          ctx.rect(x - r, y - r, r * 2, r * 2);
+        } else {
+          ctx.arc(x, y, r * 0.8, 0, Math.PI * 2);
+        }
+        ctx.fill();
+      }
+    }
+
+    const { trail, frog, waypoint } = view;
+    if (trail.length > 1) {
+      ctx.strokeStyle = "rgba(255, 236, 160, 0.75)";
+      ctx.lineWidth = 1.5;
+      ctx.beginPath();
+      ctx.moveTo(px(trail[0].x), py(trail[0].z));
+      for (const p of trail) ctx.lineTo(px(p.x), py(p.z));
+      ctx.lineTo(px(frog.x), py(frog.z));
+      ctx.stroke();
+    }
+
+    if (waypoint) {
+      // цель за краем холста прижимается к краю
+      const x = clamp(px(waypoint.x), 8, w - 8);
+      const y = clamp(py(waypoint.z), 8, h - 8);
+      ctx.strokeStyle = "#ff5a4a";
+      ctx.lineWidth = 2;
+      ctx.setLineDash([4, 4]);
+      ctx.beginPath();
+      ctx.moveTo(px(frog.x), py(frog.z));
+      ctx.lineTo(x, y);
+      ctx.stroke();
+      ctx.setLineDash([]);
+      ctx.beginPath();
+      ctx.arc(x, y, 5, 0, Math.PI * 2);
+      ctx.stroke();
+    }
+
+    const fx = px(frog.x);
+    const fy = py(frog.z);
+    const sx = Math.sin(frog.yaw);
+    const sz = Math.cos(frog.yaw);
+    ctx.fillStyle = "#61ff78";
+    ctx.strokeStyle = "#07110b";
+    ctx.lineWidth = 1.5;
+    ctx.beginPath();
+    ctx.moveTo(fx + sx * 8, fy + sz * 8);
+    ctx.lineTo(fx - sx * 4 + sz * 5, fy - sz * 4 - sx * 5);
+    ctx.lineTo(fx - sx * 4 - sz * 5, fy - sz * 4 + sx * 5);
+    ctx.closePath();
+    ctx.fill();
+    ctx.stroke();
+
+    if (view.label) {
+      ctx.fillStyle = "#d8ecdd";
+      ctx.font = "11px system-ui, sans-serif";
+      ctx.fillText(view.label, 6, 14);
+    }
   };
+
+  return { draw };
 }
 
-function randRange(rng, a, b) {
-  return a + (b - a) * rng();
+// экспорт glTF: анимация пути пишется с этой частотой кадров
+const GLTF_PATH_FPS = 30;
+
+function readAttribute(attr) {
+  if (!attr) return null;
+  const size = attr.itemSize;
+  const out = new Float32Array(attr.count * size);
+  const get = [attr.getX, attr.getY, attr.getZ, attr.getW];
+  for (let i = 0; i < attr.count; i++) for (let k = 0; k < size; k++) out[i * size + k] = get[k].call(attr, i);
+  return out;
 }
 
-function runSelfTests() {
-  const eq = (a, b, eps = 1e-9) => Math.abs(a - b) <= eps;
-  if (!eq(clamp(2, 0, 1), 1)) throw new Error("test: clamp upper");
-  if (!eq(clamp(-1, 0, 1), 0)) throw new Error("test: clamp lower");
-  if (!eq(clamp(0.5, 0, 1), 0.5)) throw new Error("test: clamp mid");
-
-  if (!eq(lerp(0, 10, 0.5), 5)) throw new Error("test: lerp mid");
-  if (!eq(lerp(10, 0, 0.25), 7.5)) throw new Error("test: lerp reverse");
-  if (!eq(lerp(3, 3, 0.9), 3)) throw new Error("test: lerp same");
-  if (!eq(lerp(0, 10, 2), 10)) throw new Error("test: lerp clamp high");
-  if (!eq(lerp(0, 10, -1), 0)) throw new Error("test: lerp clamp low");
-  if (!eq(lerp(0, 10, undefined), 0)) throw new Error("test: lerp undefined");
-  if (!eq(lerp(0, 10, NaN), 0)) throw new Error("test: lerp NaN");
-
-  if (!eq(smoothstep(0, 1, -1), 0)) throw new Error("test: smoothstep <0");
-  if (!eq(smoothstep(0, 1, 2), 1)) throw new Error("test: smoothstep >1");
-  if (!eq(smoothstep(0, 1, 0.5), 0.5)) throw new Error("test: smoothstep 0.5");
-
-  if (!eq(wrapPi(Math.PI * 3), Math.PI)) throw new Error("test: wrapPi 3pi");
-  if (!eq(wrapPi(-Math.PI * 3), -Math.PI)) throw new Error("test: wrapPi -3pi");
-  if (!eq(wrapPi(NaN), 0)) throw new Error("test: wrapPi NaN");
-  if (!eq(wrapPi(0), 0)) throw new Error("test: wrapPi 0");
-
-  const a0 = 0;
-  const b0 = Math.PI * 1.5;
-  const x0 = lerpAngle(a0, b0, 1);
-  if (!eq(wrapPi(x0), -Math.PI / 2)) throw new Error("test: lerpAngle wrap");
-
-  const v = vec3(1, 2, 3);
-  if (!(v.x === 1 && v.y === 2 && v.z === 3)) throw new Error("test: vec3");
-  const z = vec3(1, 0, 0).cross(vec3(0, 1, 0));
-  if (!(z.x === 0 && z.y === 0 && z.z === 1)) throw new Error("test: vec3 cross");
-
-  const h = hash2i(12, -7);
-  if (!(Number.isInteger(h) && h >= 0)) throw new Error("test: hash2i");
-  const rng = makeRng(123);
-  const r = rng();
-  if (!(r >= 0 && r < 1)) throw new Error("test: rng range");
+function geometryArrays(geo) {
+  const count = geo.attributes.position.count;
+  return {
+    count,
+    positions: readAttribute(geo.attributes.position),
+    normals: readAttribute(geo.attributes.normal),
+    uvs: readAttribute(geo.attributes.uv),
+    colors: readAttribute(geo.attributes.color),
+    indices: geo.index ? Uint32Array.from(geo.index.array) : Uint32Array.from({ length: count }, (_, i) => i),
+  };
 }
 
-try {
-  const dev = typeof process === "undefined" ? true : process?.env?.NODE_ENV !== "production";
-  if (dev) runSelfTests();
-} catch (e) {
-  throw e;
+const indexArray = (indices, vertexCount) => (vertexCount > 65535 ? Uint32Array.from(indices) : Uint16Array.from(indices));
+
+// three по умолчанию переворачивает картинку по v, а в glTF начало UV сверху — переворачиваем холст перед PNG
+function texturePng(tex) {
+  let canvas = tex.image;
+  if (tex.flipY) {
+    const flipped = document.createElement("canvas");
+    flipped.width = canvas.width;
+    flipped.height = canvas.height;
+    const ctx = flipped.getContext("2d");
+    if (ctx) {
+      ctx.translate(0, canvas.height);
+      ctx.scale(1, -1);
+      ctx.drawImage(canvas, 0, 0);
+      canvas = flipped;
+    }
+  }
+  return new Promise((resolve) => canvas.toBlob(resolve, "image/png"))
+    .then((blob) => (blob ? blob.arrayBuffer() : null))
+    .then((buf) => buf && new Uint8Array(buf));
 }
 
-function disposeMaterial(mat) {
-  if (!mat) return;
-  if (Array.isArray(mat)) {
-    for (const m of mat) disposeMaterial(m);
-    return;
+/**
+ * Поддеревья three.js → GLB. Обычный меш — узел glTF; инстансы без своих цветов — дочерние узлы с общим мешем,
+ * инстансы с instanceColor запекаются в один меш с цветами вершин. Холсты текстур пишутся внутрь как PNG.
+ * parts: [{ object, name, skip, offset }] — корень пишется без своего поворота, со сдвигом offset;
+ * skip(o) отбрасывает потомка вместе с его детьми. animate(doc, roots) может добавить анимацию корням.
+ */
+function exportGltf(parts, animate = null) {
+  const walk = (o, skip, fn) => {
+    fn(o);
+    for (const c of o.children) if (!skip(c)) walk(c, skip, fn);
+  };
+  const materialList = (m) => (Array.isArray(m) ? m : [m]);
+  const maps = new Set();
+  for (const p of parts) {
+    walk(p.object, p.skip, (o) => {
+      if (!o.isMesh) return;
+      for (const m of materialList(o.material)) if (m.map?.image?.toBlob) maps.add(m.map);
+    });
   }
-  mat.dispose?.();
+  const mapList = [...maps];
+
+  return Promise.all(mapList.map(texturePng)).then((pngs) => {
+    const doc = createGltfDoc();
+    const textures = new Map();
+    mapList.forEach((tex, i) => {
+      if (pngs[i]) textures.set(tex, addTexture(doc, { bytes: pngs[i], repeat: tex.wrapS === THREE.RepeatWrapping }));
+    });
+
+    const materials = new Map();
+    const material = (m) => {
+      if (materials.has(m)) return materials.get(m);
+      const c = m.color;
+      const e = m.emissive;
+      const index = addMaterial(doc, {
+        name: m.name || m.type,
+        color: c ? [c.r, c.g, c.b, m.transparent ? m.opacity : 1] : [0.8, 0.8, 0.8, 1],
+        metallic: m.metalness,
+        roughness: m.roughness,
+        emissive: e ? [e.r, e.g, e.b] : null,
+        emissiveStrength: m.emissiveIntensity,
+        texture: m.map ? textures.get(m.map) : undefined,
+        unlit: !!m.isMeshBasicMaterial,
+        blend: m.transparent,
+        doubleSided: m.side === THREE.DoubleSide,
+      });
+      materials.set(m, index);
+      return index;
+    };
+
+    const meshes = new Map();
+    const meshOf = (o) => {
+      const mats = materialList(o.material);
+      const key = [o.geometry.uuid, ...mats.map((m) => m.uuid)].join(":");
+      if (meshes.has(key)) return meshes.get(key);
+      const src = geometryArrays(o.geometry);
+      const groups = mats.length > 1 && o.geometry.groups.length ? o.geometry.groups : [{ start: 0, count: src.indices.length, materialIndex: 0 }];
+      const primitives = groups.map((g) => {
+        const m = mats[g.materialIndex] || mats[0];
+        return {
+          positions: src.positions,
+          normals: src.normals,
+          uvs: src.uvs,
+          colors: m.vertexColors ? src.colors : null,
+          indices: indexArray(src.indices.subarray(g.start, g.start + g.count), src.count),
+          material: material(m),
+        };
+      });
+      const index = addMesh(doc, { name: o.name || o.geometry.type, primitives });
+      meshes.set(key, index);
+      return index;
+    };
+
+    const m4 = new THREE.Matrix4();
+    const nm = new THREE.Matrix3();
+    const v = new THREE.Vector3();
+    const q = new THREE.Quaternion();
+    const sc = new THREE.Vector3();
+    const col = new THREE.Color();
+
+    const bakeInstances = (o) => {
+      const mat = materialList(o.material)[0];
+      const src = geometryArrays(o.geometry);
+      const n = src.count;
+      const total = n * o.count;
+      const positions = new Float32Array(total * 3);
+      const normals = src.normals && new Float32Array(total * 3);
+      const uvs = src.uvs && new Float32Array(total * 2);
+      const colors = new Float32Array(total * 3);
+      const stride = src.colors ? src.colors.length / n : 0;
+      const indices = total > 65535 ? new Uint32Array(src.indices.length * o.count) : new Uint16Array(src.indices.length * o.count);
+      for (let i = 0; i < o.count; i++) {
+        o.getMatrixAt(i, m4);
+        nm.getNormalMatrix(m4);
+        o.getColorAt(i, col);
+        const base = i * n;
+        for (let k = 0; k < n; k++) {
+          const w = base + k;
+          v.fromArray(src.positions, k * 3).applyMatrix4(m4).toArray(positions, w * 3);
+          if (normals) v.fromArray(src.normals, k * 3).applyMatrix3(nm).normalize().toArray(normals, w * 3);
+          if (uvs) uvs.set(src.uvs.subarray(k * 2, k * 2 + 2), w * 2);
+          const tint = mat.vertexColors && stride;
+          colors[w * 3 + 0] = col.r * (tint ? src.colors[k * stride + 0] : 1);
+          colors[w * 3 + 1] = col.g * (tint ? src.colors[k * stride + 1] : 1);
+          colors[w * 3 + 2] = col.b * (tint ? src.colors[k * stride + 2] : 1);
+        }
+        const at = i * src.indices.length;
+        for (let k = 0; k < src.indices.length; k++) indices[at + k] = src.indices[k] + base;
+      }
+      return addMesh(doc, { name: o.name, primitives: [{ positions, normals, uvs, colors, indices, material: material(mat) }] });
+    };
+
+    const emit = (o, skip, parent, root) => {
+      if (o.isPoints || o.isLine || o.isSprite || o.isLight || o.isCamera) return -1;
+      if (o.isInstancedMesh && !o.count) return -1;
+      const trs = root
+        ? { name: root.name, translation: root.offset || [0, 0, 0] }
+        : { name: o.name, translation: o.position.toArray(), rotation: o.quaternion.toArray(), scale: o.scale.toArray() };
+      if (o.isInstancedMesh) {
+        if (o.instanceColor) return addNode(doc, { ...trs, mesh: bakeInstances(o) }, parent);
+        const node = addNode(doc, trs, parent);
+        const mesh = meshOf(o);
+        for (let i = 0; i < o.count; i++) {
+          o.getMatrixAt(i, m4);
+          m4.decompose(v, q, sc);
+          addNode(doc, { mesh, translation: v.toArray(), rotation: q.toArray(), scale: sc.toArray() }, node);
+        }
+        return node;
+      }
+      const node = addNode(doc, { ...trs, mesh: o.isMesh ? meshOf(o) : undefined }, parent);
+      for (const c of o.children) if (!skip(c)) emit(c, skip, node, null);
+      return node;
+    };
+
+    const roots = parts.map((p) => emit(p.object, p.skip || (() => false), undefined, p));
+    if (animate) animate(doc, roots);
+    return writeGlb(doc);
+  });
 }
 
+/**
+ * Анимация пути по трассе: корень жабы едет и поворачивается по сэмплам, начиная из нуля.
+ * Кватернионы держатся в одном полушарии, иначе линейная интерполяция крутит жабу через спину.
+ */
+function pathAnimation(trace) {
+  return (doc, [root]) => {
+    const duration = traceDuration(trace);
+    const n = Math.max(2, Math.floor(duration * GLTF_PATH_FPS) + 1);
+    const times = new Float32Array(n);
+    const translation = new Float32Array(n * 3);
+    const rotation = new Float32Array(n * 4);
+    const frame = { pos: {}, vel: {} };
+    sampleTrace(trace, 0, frame);
+    const x0 = frame.pos.x;
+    const z0 = frame.pos.z;
+    let sign = 1;
+    for (let i = 0; i < n; i++) {
+      const t = (duration * i) / (n - 1);
+      sampleTrace(trace, t, frame);
+      times[i] = t;
+      translation.set([frame.pos.x - x0, frame.pos.y, frame.pos.z - z0], i * 3);
+      const s = Math.sin(frame.yaw / 2);
+      const c = Math.cos(frame.yaw / 2);
+      if (i > 0 && (rotation[i * 4 - 3] * s + rotation[i * 4 - 1] * c) * sign < 0) sign = -sign;
+      rotation.set([0, s * sign, 0, c * sign], i * 4);
+    }
+    addAnimation(doc, {
+      name: "jumps",
+      channels: [
+        { node: root, path: "translation", times, values: translation },
+        { node: root, path: "rotation", times, values: rotation },
+      ],
+    });
+  };
+}
+
+function downloadBlob(blob, name) {
+  const url = URL.createObjectURL(blob);
+  const a = document.createElement("a");
+  a.href = url;
+  a.download = name;
+  a.click();
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
+/**
+ * Пресеты качества. pixelRatio — потолок плотности пикселей, shadowSize — сторона карты теней (0 — без неё, только пятна),
+ * density — доля кустов и дальних импостеров, fog — множитель дальности тумана, particles — доля бюджета дождя и частиц,
+ * post — можно ли включать постобработку (на низком её нет, даже если свечение включено).
+ */
+const QUALITY_PRESETS = [
+  { id: "low", label: "Низкое", pixelRatio: 0.75, antialias: false, shadowSize: 0, density: 0.45, fog: 0.7, particles: 0.35, post: false },
+  { id: "medium", label: "Среднее", pixelRatio: 1, antialias: false, shadowSize: 1024, density: 0.75, fog: 0.85, particles: 0.7, post: true },
+  { id: "high", label: "Высокое", pixelRatio: 2, antialias: true, shadowSize: 2048, density: 1, fog: 1, particles: 1, post: true },
+];
+
+const QUALITY_MODES = [{ id: "auto", label: "Авто" }, ...QUALITY_PRESETS];
+
+/**
+ * Авто-режим опускает качество, если кадр в среднем дольше QUALITY_SLOW. Поднимает — только если кадр быстрее
+ * QUALITY_FAST и GPU занят им меньше QUALITY_GPU_HEADROOM: с vsync длительность кадра упирается в частоту экрана
+ * и запаса не показывает. Без таймера GPU (его нет в Firefox, Safari и на многих мобильных) хватает быстрого кадра.
+ * После любой смены пресета подъём ждёт QUALITY_CLIMB_COOLDOWN секунд.
+ */
+const QUALITY_SLOW = 1 / 45;
+const QUALITY_FAST = 1 / 55;
+const QUALITY_GPU_HEADROOM = 1 / 120;
+const QUALITY_CLIMB_COOLDOWN = 20;
+const QUALITY_KEY = "jabka.quality";
+
+// выбранный режим качества переживает перезагрузку: от него зависит сглаживание холста при старте
+function loadQualityMode() {
+  try {
+    const mode = window.localStorage?.getItem(QUALITY_KEY);
+    return QUALITY_MODES.some((q) => q.id === mode) ? mode : "auto";
+  } catch (e) {
+    return "auto";
+  }
+}
+
+function saveQualityMode(mode) {
+  try {
+    window.localStorage?.setItem(QUALITY_KEY, mode);
+  } catch (e) {
+    // без хранилища режим просто не запомнится
+  }
+}
+
+/**
+ * Время кадра на GPU через EXT_disjoint_timer_query_webgl2: запрос вокруг рендера, результат приходит
+ * через кадр-другой. Без расширения (WebGL1, часть браузеров) seconds остаётся null.
+ */
+function createGpuTimer(gl) {
+  const ext = gl?.getExtension?.("EXT_disjoint_timer_query_webgl2");
+  const pending = [];
+  let active = null;
+  const timer = { seconds: null, begin, end, poll, dispose };
+
+  function begin() {
+    if (!ext || active || pending.length > 3) return;
+    active = gl.createQuery();
+    gl.beginQuery(ext.TIME_ELAPSED_EXT, active);
+  }
+
+  function end() {
+    if (!active) return;
+    gl.endQuery(ext.TIME_ELAPSED_EXT);
+    pending.push(active);
+    active = null;
+  }
+
+  function poll() {
+    while (pending.length && gl.getQueryParameter(pending[0], gl.QUERY_RESULT_AVAILABLE)) {
+      const q = pending.shift();
+      // при disjoint (смена частоты, спящий GPU) замер недостоверен — пропускаем
+      if (!gl.getParameter(ext.GPU_DISJOINT_EXT)) {
+        const s = gl.getQueryParameter(q, gl.QUERY_RESULT) / 1e9;
+        timer.seconds = timer.seconds === null ? s : lerp(timer.seconds, s, 0.05);
+      }
+      gl.deleteQuery(q);
+    }
+  }
+
+  function dispose() {
+    for (const q of pending) gl.deleteQuery(q);
+    pending.length = 0;
+  }
+
+  return timer;
+}
+const SHADOW_HALF = 20;
+
+/**
+ * Позы лап жабы для полёта и плавания: абсолютные углы костей (бедро, голень, стопа) в плоскости тела;
+ * 0 — вниз, плюс — назад, минус — вперёд. На земле лапы не в позе, а ставятся на опору через IK.
+ */
+const FROG_TORSO_Y = 0.15;
+const LEG_POSES = {
+  backPush: [0.55, 0.8, 1.05],
+  backTrail: [1.3, 1.45, 1.6],
+  backTuck: [-0.9, 1.1, -1.3],
+  backRecover: [-0.9, 1.3, -0.4],
+  frontPush: [0.35, 0.55, 0.9],
+  frontTrail: [1.2, 1.45, 1.6],
+  frontReach: [-0.75, -0.45, -1.2],
+  frontPaddle: [-0.5, 0.15, -0.6],
+};
+
+/** Слой объектов, которые светятся сами: только они попадают в маску свечения постобработки. */
+const BLOOM_LAYER = 1;
+
+const QUAD_VERTEX = `
+varying vec2 vUv;
+void main() {
+  vUv = uv;
+  gl_Position = vec4(position.xy, 0.0, 1.0);
+}
+`;
+
+// гаусс 9×1 за пять выборок: соседние тексели берутся попарно линейной фильтрацией
+const BLUR_FRAGMENT = `
+uniform sampler2D tInput;
+uniform vec2 direction;
+varying vec2 vUv;
+void main() {
+  vec3 c = texture2D(tInput, vUv).rgb * 0.2270270270;
+  vec2 o1 = direction * 1.3846153846;
+  vec2 o2 = direction * 3.2307692308;
+  c += (texture2D(tInput, vUv + o1).rgb + texture2D(tInput, vUv - o1).rgb) * 0.3162162162;
+  c += (texture2D(tInput, vUv + o2).rgb + texture2D(tInput, vUv - o2).rgb) * 0.0702702703;
+  gl_FragColor = vec4(c, 1.0);
+}
+`;
+
+const COMPOSITE_FRAGMENT = `
+#include <packing>
+uniform sampler2D tScene;
+uniform sampler2D tBloomNear;
+uniform sampler2D tBloomFar;
+uniform sampler2D tDepth;
+uniform vec2 texel;
+uniform float bloom;
+uniform float vignette;
+uniform float dof;
+uniform float focus;
+uniform float cameraNear;
+uniform float cameraFar;
+varying vec2 vUv;
+
+void main() {
+  vec3 color = texture2D(tScene, vUv).rgb;
+
+  if (dof > 0.0) {
+    float z = -perspectiveDepthToViewZ(texture2D(tDepth, vUv).x, cameraNear, cameraFar);
+    float coc = clamp((abs(z - focus) - 2.5) / (focus * 1.5), 0.0, 1.0) * dof;
+    if (coc > 0.01) {
+      vec3 sum = color;
+      for (int i = 1; i < 12; i++) {
+        float a = float(i) * 2.39996;
+        float r = sqrt(float(i) / 11.0) * coc * 7.0;
+        sum += texture2D(tScene, vUv + vec2(cos(a), sin(a)) * r * texel).rgb;
+      }
+      color = sum / 12.0;
+    }
+  }
+
+  color += bloom * (texture2D(tBloomNear, vUv).rgb + 1.4 * texture2D(tBloomFar, vUv).rgb);
+  float d = distance(vUv, vec2(0.5));
+  color *= mix(1.0, smoothstep(0.85, 0.3, d), vignette);
+
+  gl_FragColor = vec4(color, 1.0);
+  #include <tonemapping_fragment>
+  #include <colorspace_fragment>
+}
+`;
+
+// глубина сцены переносится в цель маски одним проходом по экрану — перерисовывать для этого весь лес не нужно
+const DEPTH_COPY_FRAGMENT = `
+uniform sampler2D tDepth;
+varying vec2 vUv;
+void main() {
+  gl_FragDepthEXT = texture2D(tDepth, vUv).x;
+  gl_FragColor = vec4(0.0);
+}
+`;
+
+/**
+ * Постобработка: сцена рендерится в HDR-цель, светящиеся объекты (BLOOM_LAYER) — в маску половинного размера
+ * поверх глубины, скопированной из сцены (так их закрывают деревья, а вода с её depthWrite: false — нет),
+ * маска размывается на двух масштабах, и всё сводится в один проход с тональной компрессией, виньеткой и глубиной резкости.
+ */
+function createPostFx() {
+  const quadCamera = new THREE.OrthographicCamera(-1, 1, 1, -1, 0, 1);
+  const quadScene = new THREE.Scene();
+  const quad = new THREE.Mesh(new THREE.PlaneGeometry(2, 2));
+  quad.frustumCulled = false;
+  quadScene.add(quad);
+
+  const sceneTarget = new THREE.WebGLRenderTarget(1, 1, { type: THREE.HalfFloatType, depthTexture: new THREE.DepthTexture(1, 1) });
+  const maskTarget = new THREE.WebGLRenderTarget(1, 1, { type: THREE.HalfFloatType });
+  const blurTargets = [0, 1, 2, 3].map(() => new THREE.WebGLRenderTarget(1, 1, { type: THREE.HalfFloatType, depthBuffer: false }));
+  const depthCopyMat = new THREE.ShaderMaterial({
+    uniforms: { tDepth: { value: sceneTarget.depthTexture } },
+    vertexShader: QUAD_VERTEX,
+    fragmentShader: DEPTH_COPY_FRAGMENT,
+    colorWrite: false,
+    depthFunc: THREE.AlwaysDepth,
+    extensions: { fragDepth: true },
+  });
+
+  const blurMat = new THREE.ShaderMaterial({
+    uniforms: { tInput: { value: null }, direction: { value: new THREE.Vector2() } },
+    vertexShader: QUAD_VERTEX,
+    fragmentShader: BLUR_FRAGMENT,
+    depthTest: false,
+    depthWrite: false,
+  });
+  const compositeMat = new THREE.ShaderMaterial({
+    uniforms: {
+      tScene: { value: sceneTarget.texture },
+      tBloomNear: { value: blurTargets[1].texture },
+      tBloomFar: { value: blurTargets[3].texture },
+      tDepth: { value: sceneTarget.depthTexture },
+      texel: { value: new THREE.Vector2() },
+      bloom: { value: 0.9 },
+      vignette: { value: 0.35 },
+      dof: { value: 0 },
+      focus: { value: 10 },
+      cameraNear: { value: 0.1 },
+      cameraFar: { value: 1000 },
+    },
+    vertexShader: QUAD_VERTEX,
+    fragmentShader: COMPOSITE_FRAGMENT,
+    depthTest: false,
+    depthWrite: false,
+  });
+
+  const clearColor = new THREE.Color();
+
+  const setSize = (w, h, samples) => {
+    if (sceneTarget.samples !== samples) {
+      sceneTarget.dispose();
+      sceneTarget.samples = samples;
+    }
+    sceneTarget.setSize(w, h);
+    const hw = Math.max(1, Math.floor(w / 2));
+    const hh = Math.max(1, Math.floor(h / 2));
+    maskTarget.setSize(hw, hh);
+    blurTargets[0].setSize(hw, hh);
+    blurTargets[1].setSize(hw, hh);
+    blurTargets[2].setSize(Math.max(1, hw >> 1), Math.max(1, hh >> 1));
+    blurTargets[3].setSize(Math.max(1, hw >> 1), Math.max(1, hh >> 1));
+    compositeMat.uniforms.texel.value.set(1 / w, 1 / h);
+  };
+
+  const pass = (renderer, mat, target) => {
+    quad.material = mat;
+    renderer.setRenderTarget(target);
+    renderer.render(quadScene, quadCamera);
+  };
+
+  const blur = (renderer, input, target, dx, dy) => {
+    blurMat.uniforms.tInput.value = input.texture;
+    blurMat.uniforms.direction.value.set(dx / input.width, dy / input.height);
+    pass(renderer, blurMat, target);
+  };
+
+  // settings: bloom — сила свечения, dof — сила размытия (0 — выкл), focus — расстояние до резкой плоскости
+  const render = (renderer, scene, camera, settings) => {
+    const autoClear = renderer.autoClear;
+    const shadowUpdate = renderer.shadowMap.autoUpdate;
+    const clearAlpha = renderer.getClearAlpha();
+    renderer.getClearColor(clearColor);
+
+    renderer.setRenderTarget(sceneTarget);
+    renderer.render(scene, camera);
+
+    // маска: сначала глубина сцены, потом поверх неё — только светящиеся объекты;
+    // фон-цвет сцены заставил бы рендерер очищать цель на каждом проходе, поэтому его на время убираем
+    const background = scene.background;
+    scene.background = null;
+    renderer.autoClear = false;
+    renderer.shadowMap.autoUpdate = false;
+    renderer.setRenderTarget(maskTarget);
+    renderer.setClearColor(0x000000, 1);
+    renderer.clear();
+    pass(renderer, depthCopyMat, maskTarget);
+    const layers = camera.layers.mask;
+    camera.layers.set(BLOOM_LAYER);
+    renderer.render(scene, camera);
+    camera.layers.mask = layers;
+    scene.background = background;
+
+    blur(renderer, maskTarget, blurTargets[0], 1, 0);
+    blur(renderer, blurTargets[0], blurTargets[1], 0, 1);
+    blur(renderer, blurTargets[1], blurTargets[2], 1, 0);
+    blur(renderer, blurTargets[2], blurTargets[3], 0, 1);
+
+    const u = compositeMat.uniforms;
+    u.bloom.value = settings.bloom;
+    u.dof.value = settings.dof;
+    u.focus.value = settings.focus;
+    u.cameraNear.value = camera.near;
+    u.cameraFar.value = camera.far;
+    pass(renderer, compositeMat, null);
+
+    renderer.autoClear = autoClear;
+    renderer.shadowMap.autoUpdate = shadowUpdate;
+    renderer.setClearColor(clearColor, clearAlpha);
+  };
+
+  const dispose = () => {
+    quad.geometry.dispose();
+    sceneTarget.dispose();
+    sceneTarget.depthTexture.dispose();
+    maskTarget.dispose();
+    for (const t of blurTargets) t.dispose();
+    depthCopyMat.dispose();
+    blurMat.dispose();
+    compositeMat.dispose();
+  };
+
+  return { setSize, render, dispose };
+}
+
+/**
+ * Внешний вид вожака: цвета спины и брюха, узор кожи и по одному аксессуару на слот.
+ * Записывается в URL как ?look=2fb34a.cbdc9f.spots.cap.glasses._._ (пустой слот — «_»).
+ */
+const SKIN_PATTERNS = [
+  { id: "plain", label: "Гладкая" },
+  { id: "spots", label: "Пятна" },
+  { id: "stripes", label: "Полоски" },
+];
+
+const ACCESSORY_SLOTS = [
+  {
+    id: "head",
+    label: "Голова",
+    items: [
+      { id: "headphones", label: "Наушники" },
+      { id: "cap", label: "Кепка" },
+    ],
+  },
+  { id: "eyes", label: "Глаза", items: [{ id: "glasses", label: "Очки" }] },
+  { id: "neck", label: "Шея", items: [{ id: "scarf", label: "Шарф" }] },
+  { id: "back", label: "Спина", items: [{ id: "backpack", label: "Рюкзак" }] },
+];
+
+const DEFAULT_LOOK = {
+  body: "#2fb34a",
+  belly: "#cbdc9f",
+  pattern: "plain",
+  slots: { head: "headphones", eyes: "glasses", neck: null, back: null },
+};
+
+const LOOK_PRESETS_KEY = "jabka.looks";
+
+function encodeLook(look) {
+  const slots = ACCESSORY_SLOTS.map((s) => look.slots[s.id] || "_");
+  return [look.body.slice(1), look.belly.slice(1), look.pattern, ...slots].join(".");
+}
+
+function decodeLook(raw) {
+  const parts = String(raw || "").split(".");
+  if (parts.length !== 3 + ACCESSORY_SLOTS.length) return null;
+  const [body, belly, pattern] = parts;
+  if (!/^[0-9a-f]{6}$/i.test(body) || !/^[0-9a-f]{6}$/i.test(belly)) return null;
+  if (!SKIN_PATTERNS.some((p) => p.id === pattern)) return null;
+  const slots = {};
+  for (let i = 0; i < ACCESSORY_SLOTS.length; i++) {
+    const slot = ACCESSORY_SLOTS[i];
+    const item = parts[3 + i];
+    if (item !== "_" && !slot.items.some((it) => it.id === item)) return null;
+    slots[slot.id] = item === "_" ? null : item;
+  }
+  return { body: `#${body.toLowerCase()}`, belly: `#${belly.toLowerCase()}`, pattern, slots };
+}
+
+function readLookFromUrl() {
+  return decodeLook(new URLSearchParams(window.location.search).get("look")) || DEFAULT_LOOK;
+}
+
+// пресеты — [{ name, look }] в localStorage; битые записи и недоступное хранилище просто пропускаем
+function loadLookPresets() {
+  try {
+    const list = JSON.parse(window.localStorage?.getItem(LOOK_PRESETS_KEY) || "[]");
+    if (!Array.isArray(list)) return [];
+    return list
+      .map((p) => ({ name: String(p?.name || ""), look: decodeLook(p?.look) }))
+      .filter((p) => p.name && p.look);
+  } catch (e) {
+    return [];
+  }
+}
+
+function saveLookPresets(list) {
+  try {
+    window.localStorage?.setItem(LOOK_PRESETS_KEY, JSON.stringify(list.map((p) => ({ name: p.name, look: encodeLook(p.look) }))));
+  } catch (e) {
+    // приватный режим или переполнено — пресеты останутся только до перезагрузки
+  }
+}
+
+// что можно заменить своей моделью .glb: жаба, аксессуары и весь реквизит тайла
+const MODEL_TARGETS = [
+  { id: "frog", label: "Жаба" },
+  ...ACCESSORY_SLOTS.flatMap((s) => s.items),
+  { id: "trunk", label: "Ствол" },
+  { id: "crown", label: "Крона-конус" },
+  { id: "crownRound", label: "Крона-шар" },
+  { id: "bush", label: "Куст" },
+  { id: "rock", label: "Камень" },
+  { id: "pad", label: "Кувшинка" },
+  { id: "runeBase", label: "Подставка руны" },
+  { id: "runeCrystal", label: "Кристалл руны" },
+  { id: "artifactPedestal", label: "Постамент артефакта" },
+  { id: "artifact", label: "Артефакт" },
+  { id: "can", label: "Банка" },
+];
+
+/**
+ * .glb → геометрия three.js с группой на каждый примитив и материалы к группам (узлы readGltfModel уже запёк).
+ * Картинки декодирует браузер; не смог — материал остаётся без текстуры.
+ */
+function loadGltfModel(bytes) {
+  const decode = (image) =>
+    image && typeof createImageBitmap === "function"
+      ? createImageBitmap(new Blob([image.bytes], { type: image.mimeType })).catch(() => null)
+      : null;
+  let model;
+  return Promise.resolve()
+    .then(() => {
+      model = readGltfModel(bytes);
+      return Promise.all(model.materials.map((m) => decode(m.image)));
+    })
+    .then((bitmaps) => {
+      const geometry = new THREE.BufferGeometry();
+      geometry.setAttribute("position", new THREE.BufferAttribute(model.positions, 3));
+      if (model.normals) geometry.setAttribute("normal", new THREE.BufferAttribute(model.normals, 3));
+      if (model.uvs) geometry.setAttribute("uv", new THREE.BufferAttribute(model.uvs, 2));
+      if (model.colors) geometry.setAttribute("color", new THREE.BufferAttribute(model.colors, 3));
+      geometry.setIndex(new THREE.BufferAttribute(model.indices, 1));
+      if (!model.normals) geometry.computeVertexNormals();
+      for (const g of model.groups) geometry.addGroup(g.start, g.count, g.material);
+
+      const materials = model.materials.map((m, i) => {
+        let map = null;
+        if (bitmaps[i]) {
+          // в glTF начало UV сверху, как у самой картинки
+          map = new THREE.Texture(bitmaps[i]);
+          map.flipY = false;
+          map.colorSpace = THREE.SRGBColorSpace;
+          map.wrapS = map.wrapT = THREE.RepeatWrapping;
+          if (m.uvTransform) {
+            map.offset.fromArray(m.uvTransform.offset);
+            map.repeat.fromArray(m.uvTransform.scale);
+            map.rotation = m.uvTransform.rotation;
+          }
+          map.needsUpdate = true;
+        }
+        const common = {
+          name: m.name,
+          color: new THREE.Color(m.color[0], m.color[1], m.color[2]),
+          map,
+          vertexColors: !!model.colors,
+          transparent: !!m.blend,
+          opacity: m.color[3],
+          alphaTest: m.alphaTest || 0,
+          side: m.doubleSided ? THREE.DoubleSide : THREE.FrontSide,
+        };
+        if (m.unlit) return new THREE.MeshBasicMaterial(common);
+        const e = m.emissive || [0, 0, 0];
+        return new THREE.MeshStandardMaterial({
+          ...common,
+          metalness: m.metallic,
+          roughness: m.roughness,
+          emissive: new THREE.Color(e[0], e[1], e[2]),
+          emissiveIntensity: m.emissiveStrength,
+        });
+      });
+      return { geometry, materials };
+    });
+}
+
+/**
+ * Вписывает геометрию в габарит box заменяемой модели: один масштаб по самой тесной оси, низ к низу,
+ * центр по x и z. Плоские оси габарита (кувшинка) в масштабе не участвуют.
+ */
+function fitGeometry(geometry, box) {
+  geometry.computeBoundingBox();
+  const from = geometry.boundingBox;
+  const size = from.getSize(new THREE.Vector3());
+  const room = box.getSize(new THREE.Vector3());
+  let scale = Infinity;
+  for (const k of ["x", "y", "z"]) {
+    if (room[k] > 1e-3 && size[k] > 1e-6) scale = Math.min(scale, room[k] / size[k]);
+  }
+  if (!Number.isFinite(scale)) scale = 1;
+  const c = from.getCenter(new THREE.Vector3());
+  const to = box.getCenter(new THREE.Vector3());
+  geometry.translate(-c.x, -from.min.y, -c.z);
+  geometry.scale(scale, scale, scale);
+  geometry.translate(to.x, box.min.y, to.z);
+  geometry.computeBoundingBox();
+  geometry.computeBoundingSphere();
+  return geometry;
+}
+
+const TUNING_SLIDERS = [
+  { key: "g", label: "g", min: 2, max: 25, step: 0.05 },
+  { key: "maxTurn", label: "maxTurn, °", min: 0, max: 90, step: 1, scale: 180 / Math.PI },
+  { key: "upMin", label: "up от", min: 1, max: 14, step: 0.1 },
+  { key: "upMax", label: "up до", min: 1, max: 14, step: 0.1 },
+  { key: "horizMin", label: "horiz от", min: 0, max: 30, step: 0.1 },
+  { key: "horizMax", label: "horiz до", min: 0, max: 30, step: 0.1 },
+  { key: "kLong", label: "kLong", min: 0, max: 10, step: 0.05 },
+  { key: "kLatDrift", label: "kLat в дрифте", min: 0, max: 15, step: 0.05 },
+  { key: "kLatGrip", label: "kLat сцепление", min: 0, max: 15, step: 0.05 },
+  { key: "airDrag", label: "airDrag", min: 0, max: 2, step: 0.01 },
+  { key: "groundDrag", label: "groundDrag", min: 0, max: 2, step: 0.01 },
+];
+
+const PARAM_RANGES = [
+  ["upMin", "upMax"],
+  ["horizMin", "horizMax"],
+];
+
+const overlayStyle = {
+  position: "absolute",
+  top: 12,
+  left: 12,
+  maxWidth: 320,
+  color: "#d8ecdd",
+  font: "12px system-ui, -apple-system, Segoe UI, Roboto, Arial",
+  userSelect: "none",
+};
+
+const panelStyle = {
+  marginTop: 6,
+  padding: "6px 8px",
+  background: "rgba(8, 24, 14, 0.72)",
+  border: "1px solid rgba(97, 255, 120, 0.18)",
+  borderRadius: 6,
+  fontVariantNumeric: "tabular-nums",
+};
+
+const buttonStyle = {
+  background: "rgba(8, 24, 14, 0.82)",
+  color: "#d8ecdd",
+  border: "1px solid rgba(97, 255, 120, 0.35)",
+  borderRadius: 6,
+  padding: "5px 10px",
+  font: "inherit",
+  cursor: "pointer",
+};
+
 function App() {
   const mountRef = useRef(null);
   const rafRef = useRef(0);
+  const apiRef = useRef(null);
+  const [pilotOn, setPilotOn] = useState(false);
+  const [seed] = useState(readSeedFromUrl);
+  const [replayState, setReplayState] = useState(null);
+  const [score, setScore] = useState(() => ({ points: 0, runes: RUNE_COLORS.map(() => 0), artifacts: 0, cans: 0 }));
+  const [traceMsg, setTraceMsg] = useState("");
+  const [telemetry, setTelemetry] = useState(null);
+  const [params, setParams] = useState(() => ({ ...DEFAULT_SIM_PARAMS }));
+  const [tuningOpen, setTuningOpen] = useState(false);
+  const [cameraMode, setCameraModeState] = useState("chase");
+  const [soundOn, setSoundOn] = useState(false);
+  const [musicOn, setMusicOn] = useState(true);
+  const [viewRange, setViewRange] = useState({ radius: VIEW_RADIUS_DEFAULT, near: VIEW_NEAR_DEFAULT });
+  const [group, setGroup] = useState(() => ({ count: readFrogCountFromUrl(), behaviour: "flock", focus: "leader" }));
+  const [clock, setClock] = useState(() => ({ hours: readTimeFromUrl(), speed: 1, weather: "auto", current: "clear" }));
+  const [quality, setQuality] = useState({ mode: "auto", preset: "medium" });
+  const [postFx, setPostFx] = useState({ enabled: true, dof: false, active: true });
+  const [brain, setBrainState] = useState({ id: "random", drawing: false, points: 0 });
+  const [look, setLook] = useState(readLookFromUrl);
+  const [lookOpen, setLookOpen] = useState(false);
+  const [lookPresets, setLookPresets] = useState(loadLookPresets);
+  const [presetName, setPresetName] = useState("");
+  const [lookMsg, setLookMsg] = useState("");
+  const [mapState, setMapState] = useState({ open: false, waypoint: false, visited: 0 });
+  const [exportMsg, setExportMsg] = useState("");
+  const [models, setModels] = useState([]);
+  const [modelsOpen, setModelsOpen] = useState(false);
+  const [modelTarget, setModelTarget] = useState("frog");
+  const [modelMsg, setModelMsg] = useState("");
+  const fileRef = useRef(null);
+  const modelFileRef = useRef(null);
+  const minimapRef = useRef(null);
+  const worldMapRef = useRef(null);
+
+  const loadTraceFile = (file) => {
+    if (!file) return;
+    file
+      .text()
+      .then((text) => {
+        apiRef.current?.loadTrace(text);
+        setTraceMsg(`Трасса: ${file.name}`);
+      })
+      .catch((e) => setTraceMsg(`Не удалось загрузить трассу: ${e.message}`));
+  };
+
+  // модель встаёт на место выбранной в панели «Модели»
+  const loadModelFile = (file) => {
+    const api = apiRef.current;
+    if (!file || !api) return;
+    const target = MODEL_TARGETS.find((t) => t.id === modelTarget);
+    setModelMsg(`Загружаю ${file.name}…`);
+    file
+      .arrayBuffer()
+      .then((buf) => api.importModel(target.id, new Uint8Array(buf)))
+      .then((triangles) => setModelMsg(`${target.label}: ${file.name}, ${triangles} треуг.`))
+      .catch((e) => setModelMsg(`Не удалось загрузить модель: ${e.message}`));
+  };
+
+  const saveTrace = () => {
+    const api = apiRef.current;
+    if (!api) return;
+    downloadBlob(new Blob([api.exportTrace()], { type: "application/json" }), `jabka-trace-${api.exportSeed()}.json`);
+  };
+
+  const exportModel = (what) => {
+    const api = apiRef.current;
+    if (!api) return;
+    setExportMsg("Собираю glTF…");
+    api
+      .exportGlb(what)
+      .then((bytes) => {
+        downloadBlob(new Blob([bytes], { type: "model/gltf-binary" }), `jabka-${what}-${api.exportSeed()}.glb`);
+        setExportMsg(`Сохранено: ${Math.ceil(bytes.byteLength / 1024)} КБ`);
+      })
+      .catch((e) => setExportMsg(`Не удалось экспортировать: ${e.message}`));
+  };
+
+  const saveLookPreset = () => {
+    const name = presetName.trim();
+    if (!name) return;
+    const list = [...lookPresets.filter((p) => p.name !== name), { name, look }];
+    saveLookPresets(list);
+    setLookPresets(list);
+    setPresetName("");
+    setLookMsg(`Сохранено: ${name}`);
+  };
+
+  const deleteLookPreset = (name) => {
+    const list = lookPresets.filter((p) => p.name !== name);
+    saveLookPresets(list);
+    setLookPresets(list);
+  };
+
+  const shareLook = () => {
+    const params = new URLSearchParams(window.location.search);
+    params.set("look", encodeLook(look));
+    const url = `${window.location.pathname}?${params}${window.location.hash}`;
+    window.history?.replaceState?.(null, "", url);
+    const full = new URL(url, window.location.href).href;
+    if (!navigator.clipboard) {
+      setLookMsg("Ссылка в адресной строке");
+      return;
+    }
+    navigator.clipboard
+      .writeText(full)
+      .then(() => setLookMsg("Ссылка скопирована"))
+      .catch(() => setLookMsg("Ссылка в адресной строке"));
+  };
+
+  const onDrop = (e) => {
+    e.preventDefault();
+    const file = e.dataTransfer?.files?.[0];
+    if (file && /\.glb$/i.test(file.name)) {
+      setModelsOpen(true);
+      loadModelFile(file);
+    } else {
+      loadTraceFile(file);
+    }
+  };
 
   useEffect(() => {
     const container = mountRef.current;
     if (!container) return;
 
-    const renderer = new THREE.WebGLRenderer({ antialias: true, alpha: false, powerPreference: "high-performance" });
-    renderer.setClearColor(0x0b1c12, 1);
-    renderer.setPixelRatio(Math.min(window.devicePixelRatio || 1, 2));
-    renderer.domElement.style.width = "100%";
-    renderer.domElement.style.height = "100%";
-    renderer.domElement.style.display = "block";
-    renderer.domElement.style.pointerEvents = "none";
-    container.appendChild(renderer.domElement);
+    const onPilotChange = setPilotOn;
+    const onReplayChange = setReplayState;
+    const onScoreChange = setScore;
+    const onTelemetry = setTelemetry;
+    const onParamsChange = setParams;
+    const onCameraChange = setCameraModeState;
+    const onSoundChange = setSoundOn;
+    const onMusicChange = setMusicOn;
+    const onGroupChange = setGroup;
+    const onBrainChange = setBrainState;
+    const onMapChange = setMapState;
+    const onViewRadiusChange = setViewRange;
+    const onClockChange = setClock;
+
+    const onQualityChange = setQuality;
+    const onPostFxChange = setPostFx;
+    const onLookChange = setLook;
+    const onModelsChange = setModels;
+
+    // тональная компрессия — часть постобработки: без неё картинка остаётся такой, как была раньше
+    const post = { enabled: true, dof: false, settings: { bloom: 0.9, dof: 0, focus: 10 } };
+    const postFx = createPostFx();
+    const postActive = () => post.enabled && quality.preset.post;
+    const applyToneMapping = (r) => {
+      r.toneMapping = postActive() ? THREE.ACESFilmicToneMapping : THREE.NoToneMapping;
+      r.toneMappingExposure = 1.05;
+    };
+    const reportPostFx = () => onPostFxChange?.({ enabled: post.enabled, dof: post.dof, active: postActive() });
+
+    // сглаживание холста задаётся только при создании контекста; пересоздавать его на ходу — рывок и потеря контекста,
+    // поэтому холст берёт сглаживание пресета, с которого стартовали, а пресеты на ходу меняют только MSAA постобработки
+    const createRenderer = (antialias) => {
+      const r = new THREE.WebGLRenderer({ antialias, alpha: false, powerPreference: "high-performance" });
+      r.setClearColor(0x0b1c12, 1);
+      r.shadowMap.type = THREE.PCFSoftShadowMap;
+      applyToneMapping(r);
+      r.domElement.style.width = "100%";
+      r.domElement.style.height = "100%";
+      r.domElement.style.display = "block";
+      r.domElement.style.pointerEvents = "none";
+      container.appendChild(r.domElement);
+      return r;
+    };
+
+    /**
+     * Качество: mode — "auto" или id пресета. В авто-режиме frame — сглаженная длительность кадра;
+     * ceiling — выше какого пресета авто больше не поднимается, после того как с него уже пришлось уйти;
+     * climbAt — раньше этого момента авто не поднимает качество; antialias — сглаживание холста.
+     */
+    const startMode = loadQualityMode();
+    const startPreset = QUALITY_PRESETS.find((p) => p.id === startMode) || QUALITY_PRESETS[1];
+    const quality = {
+      mode: startMode,
+      preset: startPreset,
+      antialias: startPreset.antialias,
+      frame: 1 / 60,
+      checkAt: performance.now() / 1000 + 3,
+      climbAt: performance.now() / 1000 + QUALITY_CLIMB_COOLDOWN,
+      ceiling: QUALITY_PRESETS.length - 1,
+    };
+    const renderer = createRenderer(quality.antialias);
+    const gpuTimer = createGpuTimer(renderer.getContext?.());
 
     const scene = new THREE.Scene();
     scene.fog = new THREE.Fog(0x0b1c12, 34, 260);
@@ -144,17 +1971,110 @@ function App() {
     const hemi = new THREE.HemisphereLight(0xe7f0ff, 0x213326, 1.05);
     const dir = new THREE.DirectionalLight(0xfff7e3, 1.35);
     dir.position.set(10, 18, 6);
-    scene.add(ambient, hemi, dir);
+    // карта теней снимается в тесной рамке вокруг вожака и едет вместе с ним (см. updateSky)
+    dir.shadow.camera.left = -SHADOW_HALF;
+    dir.shadow.camera.right = SHADOW_HALF;
+    dir.shadow.camera.top = SHADOW_HALF;
+    dir.shadow.camera.bottom = -SHADOW_HALF;
+    dir.shadow.camera.near = 1;
+    dir.shadow.camera.far = 90;
+    dir.shadow.camera.updateProjectionMatrix();
+    dir.shadow.bias = -0.0005;
+    dir.shadow.normalBias = 0.04;
+    scene.add(ambient, hemi, dir, dir.target);
+
+    /**
+     * Время суток и погода. clock.time — игровые часы с запуска (сутки = 24), speed — часов за реальную минуту.
+     * Погода переключается плавно: rain и mist идут к цели за несколько секунд, мокрая земля сохнет дольше.
+     */
+    const clock = { time: readTimeFromUrl(), speed: 1 };
+    const weather = { mode: "auto", current: "clear", rain: 0, mist: 0, wet: 0 };
+    const day = {
+      sky: new THREE.Color(),
+      fog: new THREE.Color(),
+      light: new THREE.Color(),
+      hemiSky: new THREE.Color(),
+      hemiGround: new THREE.Color(),
+      tmp: new THREE.Color(),
+      sun: 0,
+      ambient: 0,
+      hemi: 0,
+      glow: 0,
+    };
+    const fogBase = { near: scene.fog.near, far: scene.fog.far };
+    const sunDir = vec3();
+    const rainTint = new THREE.Color(0x39434a);
+    const mistTint = new THREE.Color(0x9aa4a6);
+    const wetGround = new THREE.Color(0x7d7d7d);
+    const rain = createRain(scene);
+    const fireflies = createFireflies(scene);
+    let clockReported = "";
+
+    const reportClock = () => {
+      onClockChange?.({ hours: clock.time % 24, speed: clock.speed, weather: weather.mode, current: weather.current });
+    };
 
-    const groundSize = 260;
-    const groundGeo = new THREE.PlaneGeometry(groundSize, groundSize);
-    const groundMat = new THREE.MeshStandardMaterial({ color: 0x11301c, roughness: 1, metalness: 0 });
-    const ground = new THREE.Mesh(groundGeo, groundMat);
-    ground.rotation.x = -Math.PI / 2;
-    scene.add(ground);
+    const updateSky = (dt, nowSec, center) => {
+      clock.time += (dt * clock.speed) / 60;
+      const hours = clock.time % 24;
+
+      weather.current = weather.mode === "auto" ? autoWeather(seed, clock.time) : weather.mode;
+      const k = 1 - Math.exp(-dt / 4);
+      weather.rain = lerp(weather.rain, weather.current === "rain" ? 1 : 0, k);
+      weather.mist = lerp(weather.mist, weather.current === "mist" ? 1 : 0, k);
+      weather.wet = clamp(weather.wet + dt * (weather.rain > 0.5 ? 1 / 20 : -1 / 90), 0, 1);
+
+      sampleDayKeys(hours, day);
+      // дождь темнит небо и гасит солнце, туман выбеливает дымку; оба — с поправкой на то, день или ночь
+      const daylight = day.ambient / 0.55;
+      day.sky.lerp(day.tmp.copy(rainTint).multiplyScalar(daylight), 0.6 * weather.rain);
+      day.fog.lerp(day.tmp.copy(rainTint).multiplyScalar(daylight), 0.5 * weather.rain);
+      day.fog.lerp(day.tmp.copy(mistTint).multiplyScalar(daylight), 0.7 * weather.mist);
+      day.sky.lerp(day.fog, 0.6 * weather.mist);
+
+      scene.background.copy(day.sky);
+      renderer.setClearColor(day.sky, 1);
+      scene.fog.color.copy(day.fog);
+      scene.fog.near = fogBase.near * lerp(1, 0.05, weather.mist);
+      scene.fog.far = fogBase.far * lerp(1, 0.3, weather.mist) * lerp(1, 0.75, weather.rain);
+
+      // солнце идёт по дуге от восхода до заката, ночью тот же свет — луна с противоположной стороны
+      const hh = hours < SUNRISE ? hours + 24 : hours;
+      const a = ((hh - SUNRISE) / (SUNSET - SUNRISE)) * Math.PI;
+      sunDir.set(Math.cos(a), Math.sin(a) * 0.9, 0.45);
+      if (sunDir.y < 0) sunDir.set(-sunDir.x, -sunDir.y, sunDir.z);
+      // центр рамки теней прыгает по текселям карты, иначе края теней дрожат при каждом шаге
+      const texel = (2 * SHADOW_HALF) / dir.shadow.mapSize.x;
+      dir.target.position.set(Math.round(center.x / texel) * texel, center.y, Math.round(center.z / texel) * texel);
+      dir.position.copy(sunDir).normalize().multiplyScalar(45).add(dir.target.position);
+      dir.color.copy(day.light);
+      dir.intensity = day.sun * (1 - 0.6 * weather.rain) * (1 - 0.4 * weather.mist);
+      ambient.intensity = day.ambient;
+      hemi.color.copy(day.hemiSky);
+      hemi.groundColor.copy(day.hemiGround);
+      hemi.intensity = day.hemi * (1 - 0.25 * weather.rain);
+
+      groundMat.color.setRGB(1, 1, 1).lerp(wetGround, weather.wet);
+      groundMat.roughness = lerp(1, 0.55, weather.wet);
+
+      rain.update(dt, camera.position, weather.rain, quality.preset.particles);
+      const dusk = smoothstep(18.2, 19.6, hours) * (1 - smoothstep(22.5, 23.8, hours));
+      fireflies.update(nowSec, center, dusk * (1 - weather.rain));
+      audio.setRain(weather.rain);
+
+      const key = `${Math.floor(hours * 4)}:${weather.current}`;
+      if (key !== clockReported) {
+        clockReported = key;
+        reportClock();
+      }
+    };
 
-    const frog = new THREE.Group();
-    scene.add(frog);
+    // рельеф теперь режется по тайлам леса и приходит вместе с ними из генератора; цвет — от биома в вершинах
+    const groundMat = new THREE.MeshStandardMaterial({ color: 0xffffff, roughness: 1, metalness: 0, vertexColors: true });
+    const groundIndex = {
+      near: groundPatchIndex(GROUND_SEGMENTS.near),
+      far: groundPatchIndex(GROUND_SEGMENTS.far),
+    };
 
     const frogMat = new THREE.MeshStandardMaterial({ color: 0x2fb34a, roughness: 0.75, metalness: 0.05 });
     const frogDarkMat = new THREE.MeshStandardMaterial({ color: 0x1e7d33, roughness: 0.8, metalness: 0.03 });
@@ -167,74 +2087,103 @@ function App() {
     const bellyGeo = new THREE.SphereGeometry(0.55, 18, 14);
     const eyeGeo = new THREE.SphereGeometry(0.12, 14, 12);
     const pupilGeo = new THREE.SphereGeometry(0.06, 12, 10);
-    const limbGeo = new THREE.CapsuleGeometry(0.08, 0.35, 6, 12);
+    const lidGeo = new THREE.SphereGeometry(0.132, 14, 8, 0, Math.PI * 2, 0, Math.PI / 2);
+    const thighGeo = new THREE.CapsuleGeometry(0.085, 0.2, 6, 12);
+    const shinGeo = new THREE.CapsuleGeometry(0.065, 0.2, 6, 10);
+    const armGeo = new THREE.CapsuleGeometry(0.06, 0.1, 6, 10);
     const footGeo = new THREE.SphereGeometry(0.11, 12, 10);
 
-    const body = new THREE.Mesh(bodyGeo, frogMat);
-    body.scale.set(1.15, 0.7, 1.35);
-    body.position.set(0, 0.42, 0);
-
-    const head = new THREE.Mesh(headGeo, frogMat);
-    head.scale.set(1.05, 0.75, 1.1);
-    head.position.set(0, 0.53, 0.62);
-
-    const belly = new THREE.Mesh(bellyGeo, frogBellyMat);
-    belly.scale.set(1.08, 0.55, 1.15);
-    belly.position.set(0, 0.28, 0.05);
-    belly.rotation.x = Math.PI / 2;
-
-    const eyeL = new THREE.Mesh(eyeGeo, eyeWhiteMat);
-    const eyeR = new THREE.Mesh(eyeGeo, eyeWhiteMat);
-    eyeL.position.set(-0.28, 0.74, 0.95);
-    eyeR.position.set(0.28, 0.74, 0.95);
-
-    const pupilL = new THREE.Mesh(pupilGeo, eyePupilMat);
-    const pupilR = new THREE.Mesh(pupilGeo, eyePupilMat);
-    pupilL.position.set(-0.28, 0.73, 1.03);
-    pupilR.position.set(0.28, 0.73, 1.03);
-
-    const frontLegL = new THREE.Mesh(limbGeo, frogDarkMat);
-    const frontLegR = new THREE.Mesh(limbGeo, frogDarkMat);
-    const backLegL = new THREE.Mesh(limbGeo, frogDarkMat);
-    const backLegR = new THREE.Mesh(limbGeo, frogDarkMat);
-
-    frontLegL.position.set(-0.42, 0.22, 0.45);
-    frontLegR.position.set(0.42, 0.22, 0.45);
-    backLegL.position.set(-0.48, 0.22, -0.35);
-    backLegR.position.set(0.48, 0.22, -0.35);
-
-    frontLegL.rotation.set(Math.PI / 2, 0, 0);
-    frontLegR.rotation.set(Math.PI / 2, 0, 0);
-    backLegL.rotation.set(Math.PI / 2, 0, 0);
-    backLegR.rotation.set(Math.PI / 2, 0, 0);
-
-    const footFL = new THREE.Mesh(footGeo, frogDarkMat);
-    const footFR = new THREE.Mesh(footGeo, frogDarkMat);
-    const footBL = new THREE.Mesh(footGeo, frogDarkMat);
-    const footBR = new THREE.Mesh(footGeo, frogDarkMat);
-
-    footFL.position.set(-0.5, 0.11, 0.62);
-    footFR.position.set(0.5, 0.11, 0.62);
-    footBL.position.set(-0.58, 0.11, -0.55);
-    footBR.position.set(0.58, 0.11, -0.55);
-
-    frog.add(
-      body,
-      head,
-      belly,
-      eyeL,
-      eyeR,
-      pupilL,
-      pupilR,
-      frontLegL,
-      frontLegR,
-      backLegL,
-      backLegR,
-      footFL,
-      footFR,
-      footBL,
-      footBR
-    );
+    /**
+     * Лапа — цепочка из трёх костей: root (бедро/плечо) → mid (колено/локоть) → end (стопа/кисть).
+     * Каждая кость смотрит вдоль своей −Y, сгиб — поворот по x; root ещё разводится в стороны по z.
+     */
+    const buildLeg = (x, y, z, upperGeo, upperMat, upperLen, lowerGeo, lowerMat, lowerLen, footScale) => {
+      const root = new THREE.Group();
+      root.position.set(x, y, z);
+      root.rotation.order = "ZYX";
+      const upper = new THREE.Mesh(upperGeo, upperMat);
+      upper.position.y = -upperLen / 2;
+      const mid = new THREE.Group();
+      mid.position.y = -upperLen;
+      const lower = new THREE.Mesh(lowerGeo, lowerMat);
+      lower.position.y = -lowerLen / 2;
+      const end = new THREE.Group();
+      end.position.y = -lowerLen;
+      const foot = new THREE.Mesh(footGeo, lowerMat);
+      foot.scale.set(...footScale);
+      foot.position.y = -0.08 * footScale[1];
+      root.add(upper, mid);
+      mid.add(lower, end);
+      end.add(foot);
+      return { root, mid, end, upperLen, lowerLen, side: Math.sign(x) };
+    };
+
+    /**
+     * Риг жабы (все жабы стаи собраны из одних и тех же геометрий; материалы свои только у вожака, см. leaderMats):
+     * frog — корень на земле, torso — таз, который приседает; shape — тело и брюхо, которые сплющиваются
+     * при ударе (лапы и голова висят на torso, чтобы их не перекашивало); neck → голова, горло, веки.
+     * meshes — все примитивы рига (их прячет своя модель жабы), custom — сама своя модель, если есть.
+     */
+    const buildFrog = (mats) => {
+      const frog = new THREE.Group();
+      const torso = new THREE.Group();
+      torso.position.y = FROG_TORSO_Y;
+      const shape = new THREE.Group();
+
+      const body = new THREE.Mesh(bodyGeo, mats.body);
+      body.scale.set(1.15, 0.7, 1.35);
+      body.position.set(0, 0.27, 0);
+
+      const belly = new THREE.Mesh(bellyGeo, mats.belly);
+      belly.scale.set(1.08, 0.55, 1.15);
+      belly.position.set(0, 0.13, 0.05);
+      belly.rotation.x = Math.PI / 2;
+      shape.add(body, belly);
+
+      const neck = new THREE.Group();
+      neck.position.set(0, 0.33, 0.3);
+
+      const head = new THREE.Mesh(headGeo, mats.body);
+      head.scale.set(1.05, 0.75, 1.1);
+      head.position.set(0, 0.05, 0.32);
+
+      const throat = new THREE.Mesh(bellyGeo, mats.belly);
+      throat.scale.set(0.38, 0.26, 0.36);
+      throat.position.set(0, -0.2, 0.55);
+
+      const eyeL = new THREE.Mesh(eyeGeo, eyeWhiteMat);
+      const eyeR = new THREE.Mesh(eyeGeo, eyeWhiteMat);
+      eyeL.position.set(-0.28, 0.26, 0.65);
+      eyeR.position.set(0.28, 0.26, 0.65);
+
+      const pupilL = new THREE.Mesh(pupilGeo, eyePupilMat);
+      const pupilR = new THREE.Mesh(pupilGeo, eyePupilMat);
+      pupilL.position.set(-0.28, 0.25, 0.73);
+      pupilR.position.set(0.28, 0.25, 0.73);
+
+      // верхние веки — полусферы над глазами: открытые запрокинуты назад, закрытые накрывают глаз спереди
+      const lidL = new THREE.Mesh(lidGeo, mats.body);
+      const lidR = new THREE.Mesh(lidGeo, mats.body);
+      lidL.position.copy(eyeL.position);
+      lidR.position.copy(eyeR.position);
+
+      neck.add(head, throat, eyeL, eyeR, pupilL, pupilR, lidL, lidR);
+
+      const backL = buildLeg(-0.4, 0.14, -0.3, thighGeo, mats.body, 0.3, shinGeo, mats.dark, 0.28, [1.1, 1.7, 0.45]);
+      const backR = buildLeg(0.4, 0.14, -0.3, thighGeo, mats.body, 0.3, shinGeo, mats.dark, 0.28, [1.1, 1.7, 0.45]);
+      const frontL = buildLeg(-0.33, 0.17, 0.42, armGeo, mats.dark, 0.17, armGeo, mats.dark, 0.17, [1.1, 1.1, 0.45]);
+      const frontR = buildLeg(0.33, 0.17, 0.42, armGeo, mats.dark, 0.17, armGeo, mats.dark, 0.17, [1.1, 1.1, 0.45]);
+
+      torso.add(shape, neck, backL.root, backR.root, frontL.root, frontR.root);
+      frog.add(torso);
+      const meshes = [];
+      frog.traverse((o) => {
+        o.castShadow = o.isMesh;
+        if (o.isMesh) meshes.push(o);
+      });
+
+      return { frog, torso, shape, neck, throat, lidL, lidR, backL, backR, frontL, frontR, meshes, custom: null };
+    };
 
     const hpShellMat = new THREE.MeshStandardMaterial({ color: 0xb7b9ff, roughness: 0.35, metalness: 0.12 });
     const hpPadMat = new THREE.MeshStandardMaterial({ color: 0x1b1633, roughness: 0.95, metalness: 0.02 });
@@ -255,8 +2204,8 @@ function App() {
       metalness: 0.0,
     });
 
+    // аксессуары носит только вожак: по одному на слот, какие именно — решает applyLook
     const accessories = new THREE.Group();
-    frog.add(accessories);
 
     const bandCurve = new THREE.CatmullRomCurve3(
       [
@@ -297,6 +2246,7 @@ function App() {
       g.add(pad);
 
       const light = new THREE.Mesh(lightGeo, hpLightMat);
+      light.layers.enable(BLOOM_LAYER);
       light.position.set(0.185 * sign, 0, 0.02);
       g.add(light);
 
@@ -365,37 +2315,214 @@ function App() {
 
     glasses.add(makeFrame(-1), makeFrame(1), bridge);
 
-    const skidBudget = 260;
-    const leftArray = new Float32Array(skidBudget * 3);
-    const rightArray = new Float32Array(skidBudget * 3);
-
-    const leftGeom = new THREE.BufferGeometry();
-    const rightGeom = new THREE.BufferGeometry();
+    const capMat = new THREE.MeshStandardMaterial({ color: 0xd8412f, roughness: 0.8, metalness: 0.0 });
+    const capTrimMat = new THREE.MeshStandardMaterial({ color: 0xf4efe6, roughness: 0.85, metalness: 0.0 });
+    const capCrownGeo = new THREE.SphereGeometry(0.5, 24, 10, 0, Math.PI * 2, 0, Math.PI / 2);
+    const capVisorGeo = new THREE.CylinderGeometry(0.4, 0.4, 0.03, 24, 1, false, -Math.PI / 2, Math.PI);
+    const capButtonGeo = new THREE.SphereGeometry(0.05, 10, 8);
+
+    const cap = new THREE.Group();
+    const capCrown = new THREE.Mesh(capCrownGeo, capMat);
+    capCrown.scale.set(1, 0.55, 1.05);
+    capCrown.position.set(0, 0.78, 0.6);
+    const capVisor = new THREE.Mesh(capVisorGeo, capMat);
+    capVisor.scale.set(1, 1, 0.9);
+    capVisor.position.set(0, 0.8, 0.96);
+    capVisor.rotation.x = 0.12;
+    const capButton = new THREE.Mesh(capButtonGeo, capTrimMat);
+    capButton.position.set(0, 1.055, 0.6);
+    cap.add(capCrown, capVisor, capButton);
+    accessories.add(cap);
+
+    // шарф — кольцо в месте, где голова переходит в тело, и свисающий конец
+    const scarfMat = new THREE.MeshStandardMaterial({ color: 0xf2b632, roughness: 0.95, metalness: 0.0 });
+    const scarfRingGeo = new THREE.TorusGeometry(0.42, 0.085, 10, 32);
+    const scarfTailGeo = new THREE.BoxGeometry(0.17, 0.42, 0.06);
+
+    const scarf = new THREE.Group();
+    const scarfRing = new THREE.Mesh(scarfRingGeo, scarfMat);
+    scarfRing.scale.set(1.58, 1.06, 1);
+    scarfRing.position.set(0, 0.46, 0.42);
+    const scarfTail = new THREE.Mesh(scarfTailGeo, scarfMat);
+    scarfTail.position.set(0.34, 0.3, 0.68);
+    scarfTail.rotation.set(0.35, 0, 0.18);
+    scarf.add(scarfRing, scarfTail);
+    accessories.add(scarf);
+
+    // рюкзак лежит на спине, поэтому висит не на шее, а на тазе (см. makeFrogView)
+    const backAccessories = new THREE.Group();
+    const packMat = new THREE.MeshStandardMaterial({ color: 0x3b6ea5, roughness: 0.85, metalness: 0.02 });
+    const strapMat = new THREE.MeshStandardMaterial({ color: 0x1c2430, roughness: 0.9, metalness: 0.02 });
+    const packGeo = new THREE.BoxGeometry(0.56, 0.5, 0.22);
+    const packFlapGeo = new THREE.BoxGeometry(0.6, 0.2, 0.26);
+    const packPocketGeo = new THREE.BoxGeometry(0.34, 0.2, 0.08);
+    const strapGeo = new THREE.TorusGeometry(0.5, 0.025, 6, 24, Math.PI);
+
+    const backpack = new THREE.Group();
+    backpack.position.set(0, 0.86, -0.22);
+    backpack.rotation.x = -1.15;
+    const pack = new THREE.Mesh(packGeo, packMat);
+    const packFlap = new THREE.Mesh(packFlapGeo, packMat);
+    packFlap.position.set(0, 0.2, 0.01);
+    const packPocket = new THREE.Mesh(packPocketGeo, strapMat);
+    packPocket.position.set(0, -0.08, -0.14);
+    backpack.add(pack, packFlap, packPocket);
+    for (const sign of [-1, 1]) {
+      const strap = new THREE.Mesh(strapGeo, strapMat);
+      strap.position.set(0.2 * sign, 0.0, 0.12);
+      strap.rotation.set(0, Math.PI / 2, -Math.PI / 2);
+      strap.scale.set(0.55, 1, 1);
+      backpack.add(strap);
+    }
+    backAccessories.add(backpack);
+
+    const wardrobe = { headphones, glasses, cap, scarf, backpack };
+    for (const [id, g] of Object.entries(wardrobe)) g.name = id;
+    for (const g of [accessories, backAccessories]) {
+      g.traverse((o) => {
+        o.castShadow = o.isMesh && !o.material.transparent;
+      });
+    }
 
-    const leftAttr = new THREE.BufferAttribute(leftArray, 3);
-    const rightAttr = new THREE.BufferAttribute(rightArray, 3);
+    /**
+     * Узор кожи — светлая канва с тёмными пятнами или полосами; она умножается на цвет материала,
+     * поэтому один и тот же узор подходит к любому цвету. Для гладкой кожи карты нет.
+     */
+    const makeSkinTexture = (pattern) => {
+      if (pattern === "plain") return null;
+      const canvas = document.createElement("canvas");
+      canvas.width = 256;
+      canvas.height = 128;
+      const ctx = canvas.getContext("2d");
+      if (!ctx) return null;
+      ctx.fillStyle = "#ffffff";
+      ctx.fillRect(0, 0, canvas.width, canvas.height);
+      ctx.fillStyle = "rgba(40,40,40,0.55)";
+      const rng = makeRng(hashString(`skin:${pattern}`));
+      if (pattern === "spots") {
+        for (let i = 0; i < 26; i++) {
+          const x = rng() * canvas.width;
+          const y = 16 + rng() * (canvas.height - 32);
+          const r = 5 + rng() * 9;
+          ctx.beginPath();
+          ctx.ellipse(x, y, r * 1.3, r, rng() * Math.PI, 0, Math.PI * 2);
+          ctx.fill();
+        }
+      } else {
+        // по развёртке сферы u идёт вокруг тела — вертикальные полосы ложатся поперёк спины
+        for (let i = 0; i < 14; i++) {
+          const x = (i + 0.5) * (canvas.width / 14);
+          ctx.beginPath();
+          ctx.moveTo(x - 4, 0);
+          ctx.bezierCurveTo(x + 8, canvas.height * 0.3, x - 8, canvas.height * 0.6, x + 3, canvas.height);
+          ctx.lineTo(x + 10, canvas.height);
+          ctx.bezierCurveTo(x, canvas.height * 0.6, x + 16, canvas.height * 0.3, x + 4, 0);
+          ctx.closePath();
+          ctx.fill();
+        }
+      }
+      const tex = new THREE.CanvasTexture(canvas);
+      tex.colorSpace = THREE.SRGBColorSpace;
+      return tex;
+    };
 
-    leftAttr.setUsage(THREE.DynamicDrawUsage);
-    rightAttr.setUsage(THREE.DynamicDrawUsage);
+    // вожак носит свой внешний вид, остальные жабы стаи — стандартный
+    const defaultFrogMats = { body: frogMat, dark: frogDarkMat, belly: frogBellyMat };
+    const leaderMats = { body: frogMat.clone(), dark: frogDarkMat.clone(), belly: frogBellyMat.clone() };
+    const look = { ...DEFAULT_LOOK, slots: { ...DEFAULT_LOOK.slots }, skin: null };
+
+    const applyLook = (next) => {
+      const pattern = next.pattern || look.pattern;
+      if (pattern !== look.pattern || (pattern !== "plain" && !look.skin)) {
+        look.skin?.dispose();
+        look.skin = makeSkinTexture(pattern);
+        leaderMats.body.map = look.skin;
+        leaderMats.dark.map = look.skin;
+        leaderMats.body.needsUpdate = true;
+        leaderMats.dark.needsUpdate = true;
+      }
+      look.pattern = pattern;
+      look.body = next.body || look.body;
+      look.belly = next.belly || look.belly;
+      Object.assign(look.slots, next.slots);
+
+      leaderMats.body.color.set(look.body);
+      leaderMats.dark.color.set(look.body).offsetHSL(0, 0, -0.12);
+      leaderMats.belly.color.set(look.belly);
+      const worn = Object.values(look.slots);
+      for (const [id, g] of Object.entries(wardrobe)) g.visible = worn.includes(id);
+      onLookChange?.({ body: look.body, belly: look.belly, pattern: look.pattern, slots: { ...look.slots } });
+    };
 
-    leftGeom.setAttribute("position", leftAttr);
-    rightGeom.setAttribute("position", rightAttr);
+    // пятно-тень под жабой: на низком качестве заменяет карту теней
+    const makeBlobTexture = () => {
+      const canvas = document.createElement("canvas");
+      canvas.width = 64;
+      canvas.height = 64;
+      const ctx = canvas.getContext("2d");
+      if (ctx) {
+        const g = ctx.createRadialGradient(32, 32, 0, 32, 32, 32);
+        g.addColorStop(0, "rgba(0,0,0,0.85)");
+        g.addColorStop(0.55, "rgba(0,0,0,0.45)");
+        g.addColorStop(1, "rgba(0,0,0,0)");
+        ctx.fillStyle = g;
+        ctx.fillRect(0, 0, 64, 64);
+      }
+      return new THREE.CanvasTexture(canvas);
+    };
+    const blobTex = makeBlobTexture();
+    const blobGeo = new THREE.PlaneGeometry(1.6, 1.9).rotateX(-Math.PI / 2);
+
+    /**
+     * Следы дрифта — лента-декаль из createSkidMarks, общая на всю стаю: по четыре вершины на сегмент,
+     * высота каждой берётся с опоры под ней, а альфа вершины гаснет с возрастом конца сегмента.
+     */
+    const SKID_SEGMENTS = 2400;
+    const SKID_ALPHA = 0.6;
+    const skidMarks = createSkidMarks(SKID_SEGMENTS);
+    let skidClock = 0;
+    const skidPositions = new Float32Array(SKID_SEGMENTS * 4 * 3);
+    const skidColors = new Float32Array(SKID_SEGMENTS * 4 * 4);
+    const skidTint = new THREE.Color(0x3a3226);
+    for (let i = 0; i < SKID_SEGMENTS * 4; i++) skidColors.set([skidTint.r, skidTint.g, skidTint.b, 0], i * 4);
+    const skidIndex = [];
+    for (let i = 0; i < SKID_SEGMENTS; i++) {
+      const v = i * 4;
+      skidIndex.push(v, v + 2, v + 1, v + 1, v + 2, v + 3);
+    }
+    const skidGeo = new THREE.BufferGeometry();
+    skidGeo.setAttribute("position", new THREE.BufferAttribute(skidPositions, 3).setUsage(THREE.DynamicDrawUsage));
+    skidGeo.setAttribute("color", new THREE.BufferAttribute(skidColors, 4).setUsage(THREE.DynamicDrawUsage));
+    skidGeo.setIndex(skidIndex);
+    skidGeo.setDrawRange(0, 0);
+    const skidMat = new THREE.MeshBasicMaterial({
+      vertexColors: true,
+      transparent: true,
+      depthWrite: false,
+      polygonOffset: true,
+      polygonOffsetFactor: -2,
+      polygonOffsetUnits: -2,
+      side: THREE.DoubleSide,
+    });
+    const skidMesh = new THREE.Mesh(skidGeo, skidMat);
+    skidMesh.frustumCulled = false;
+    skidMesh.renderOrder = 1;
+    scene.add(skidMesh);
 
-    leftGeom.setDrawRange(0, 0);
-    rightGeom.setDrawRange(0, 0);
+    // частицы: пыль, листья, трава и пузырьки — в мягком пуле, искры рун — в светящемся; бюджет задаёт пресет качества
+    const particles = createParticles(scene, 900);
+    const sparks = createParticles(scene, 360, { size: 0.2, glow: true });
+    const particleColor = new THREE.Color();
+    const bubbleTint = new THREE.Color(0xeafcff);
 
-    const skidMat = new THREE.LineBasicMaterial({ color: 0xbfd0da, transparent: true, opacity: 0.55 });
-    const leftLine = new THREE.Line(leftGeom, skidMat);
-    const rightLine = new THREE.Line(rightGeom, skidMat);
-    leftLine.frustumCulled = false;
-    rightLine.frustumCulled = false;
-    scene.add(leftLine, rightLine);
+    const world = createWorld();
 
     const forestGroup = new THREE.Group();
     scene.add(forestGroup);
 
     const trunkGeo = new THREE.CylinderGeometry(1, 1, 1, 7, 1);
     const crownGeo = new THREE.ConeGeometry(1, 1, 7, 1);
+    const crownRoundGeo = new THREE.IcosahedronGeometry(1, 1);
     const bushGeo = new THREE.IcosahedronGeometry(1, 0);
     const rockGeo = new THREE.DodecahedronGeometry(1, 0);
 
@@ -404,6 +2531,132 @@ function App() {
     const bushMat = new THREE.MeshStandardMaterial({ color: 0x2b7a3d, roughness: 1, metalness: 0, vertexColors: true });
     const rockMat = new THREE.MeshStandardMaterial({ color: 0x44484f, roughness: 1, metalness: 0, vertexColors: true });
 
+    // дальние деревья: две скрещенные плоскости с силуэтом, крону красит цвет инстанса
+    const makeImpostorGeometry = () => {
+      const positions = [];
+      const uvs = [];
+      const index = [];
+      for (const [ax, az] of [
+        [1, 0],
+        [0, 1],
+      ]) {
+        const base = positions.length / 3;
+        for (const [u, v] of [
+          [0, 0],
+          [1, 0],
+          [1, 1],
+          [0, 1],
+        ]) {
+          positions.push((u - 0.5) * ax, v, (u - 0.5) * az);
+          uvs.push(u, v);
+        }
+        index.push(base, base + 1, base + 2, base, base + 2, base + 3);
+      }
+      const geo = new THREE.BufferGeometry();
+      geo.setAttribute("position", new THREE.Float32BufferAttribute(positions, 3));
+      geo.setAttribute("uv", new THREE.Float32BufferAttribute(uvs, 2));
+      // нормали вверх: силуэт освещается как крона, а не как плоская доска
+      geo.setAttribute("normal", new THREE.Float32BufferAttribute(positions.map((_, i) => (i % 3 === 1 ? 1 : 0)), 3));
+      geo.setIndex(index);
+      return geo;
+    };
+
+    const makeImpostorTexture = (round) => {
+      const canvas = document.createElement("canvas");
+      canvas.width = 128;
+      canvas.height = 256;
+      const ctx = canvas.getContext("2d");
+      if (ctx) {
+        ctx.fillStyle = "#7a6656";
+        ctx.fillRect(58, 150, 12, 106);
+        ctx.fillStyle = "#ffffff";
+        ctx.beginPath();
+        if (round) {
+          ctx.ellipse(64, 84, 54, 70, 0, 0, Math.PI * 2);
+        } else {
+          ctx.moveTo(64, 0);
+          ctx.lineTo(118, 168);
+          ctx.lineTo(10, 168);
+          ctx.closePath();
+        }
+        ctx.fill();
+      }
+      const tex = new THREE.CanvasTexture(canvas);
+      if ("colorSpace" in tex) tex.colorSpace = THREE.SRGBColorSpace;
+      return tex;
+    };
+
+    const impostorGeo = makeImpostorGeometry();
+    const impostorTex = makeImpostorTexture(false);
+    const impostorRoundTex = makeImpostorTexture(true);
+    const makeImpostorMat = (map) =>
+      new THREE.MeshStandardMaterial({
+        map,
+        alphaTest: 0.5,
+        side: THREE.DoubleSide,
+        roughness: 1,
+        metalness: 0,
+      });
+    const impostorMat = makeImpostorMat(impostorTex);
+    const impostorRoundMat = makeImpostorMat(impostorRoundTex);
+
+    // рябь воды: карта нормалей из суммы синусов с целыми частотами, поэтому она бесшовно повторяется
+    const makeWaterNormals = () => {
+      const size = 64;
+      const canvas = document.createElement("canvas");
+      canvas.width = size;
+      canvas.height = size;
+      const ctx = canvas.getContext("2d");
+      if (ctx) {
+        const waves = [
+          [3, 1, 0.0],
+          [-2, 4, 1.3],
+          [5, -3, 2.1],
+          [1, 6, 4.0],
+        ];
+        const img = ctx.createImageData(size, size);
+        for (let j = 0; j < size; j++) {
+          for (let i = 0; i < size; i++) {
+            let dx = 0;
+            let dy = 0;
+            for (const [kx, ky, ph] of waves) {
+              const c = Math.cos(((kx * i + ky * j) / size) * Math.PI * 2 + ph) / Math.hypot(kx, ky);
+              dx += kx * c;
+              dy += ky * c;
+            }
+            const inv = 1 / Math.hypot(dx * 0.18, dy * 0.18, 1);
+            const o = (j * size + i) * 4;
+            img.data[o + 0] = Math.round((-dx * 0.18 * inv * 0.5 + 0.5) * 255);
+            img.data[o + 1] = Math.round((-dy * 0.18 * inv * 0.5 + 0.5) * 255);
+            img.data[o + 2] = Math.round((inv * 0.5 + 0.5) * 255);
+            img.data[o + 3] = 255;
+          }
+        }
+        ctx.putImageData(img, 0, 0);
+      }
+      const tex = new THREE.CanvasTexture(canvas);
+      tex.wrapS = THREE.RepeatWrapping;
+      tex.wrapT = THREE.RepeatWrapping;
+      tex.repeat.set(3, 3);
+      return tex;
+    };
+
+    // лужи и пруды: плоский диск на уровне воды, берег рисует сам рельеф; кувшинки — диск с вырезом
+    const puddleGeo = new THREE.CircleGeometry(1, 40).rotateX(-Math.PI / 2);
+    const lilyPadGeo = new THREE.CircleGeometry(1, 14, 0.35, Math.PI * 2 - 0.7).rotateX(-Math.PI / 2);
+    const waterNormals = makeWaterNormals();
+    const waterMat = new THREE.MeshStandardMaterial({
+      color: 0x1d3b46,
+      roughness: 0.08,
+      metalness: 0.3,
+      transparent: true,
+      opacity: 0.85,
+      normalMap: waterNormals,
+      normalScale: new THREE.Vector2(0.35, 0.35),
+      depthWrite: false,
+    });
+    const lilyPadMat = new THREE.MeshStandardMaterial({ color: 0xffffff, roughness: 0.6, metalness: 0, side: THREE.DoubleSide });
+
     const runeBaseGeo = new THREE.CylinderGeometry(0.42, 0.52, 0.34, 14, 1);
     const runeCrystalGeo = new THREE.OctahedronGeometry(0.32, 0);
 
@@ -419,9 +2672,15 @@ function App() {
       emissiveIntensity: 4.6,
       roughness: 0.18,
       metalness: 0.05,
-      vertexColors: true,
     });
     runeGlowMat.toneMapped = false;
+    // свечение окрашено цветом инстанса, иначе все руны в свечении одинаково белые
+    runeGlowMat.onBeforeCompile = (shader) => {
+      shader.fragmentShader = shader.fragmentShader.replace(
+        "#include <emissivemap_fragment>",
+        "#include <emissivemap_fragment>\n\ttotalEmissiveRadiance *= vColor;"
+      );
+    };
 
     const artifactMat = new THREE.MeshStandardMaterial({
       color: 0xd6c27a,
@@ -501,12 +2760,7 @@ function App() {
       return tex;
     };
 
-    const canVariants = [
-      { label: "LEMON", accent: 0xffd24a },
-      { label: "VIOLET", accent: 0xb07cff },
-      { label: "ORANGE", accent: 0xff6b3a },
-      { label: "LIME", accent: 0x61ff78 },
-    ];
+    const canVariants = CAN_VARIANTS;
 
     const canTextures = canVariants.map((v) => makeCanTexture(v.accent, v.label));
     const canMats = canTextures.map(
@@ -520,581 +2774,1889 @@ function App() {
         })
     );
 
-    const Y_AXIS = new THREE.Vector3(0, 1, 0);
-    const tmpMat = new THREE.Matrix4();
-    const tmpPos = new THREE.Vector3();
-    const tmpQuat = new THREE.Quaternion();
-    const tmpScale = new THREE.Vector3();
-    const tmpColor = new THREE.Color();
-    const tmpEuler = new THREE.Euler(0, 0, 0, "YXZ");
+    const tileSize = TILE_SIZE;
+
+    const makeGroundMesh = (segments, index) => {
+      const count = (segments + 1) * (segments + 1) + 4 * segments;
+      const geo = new THREE.BufferGeometry();
+      geo.setAttribute("position", new THREE.BufferAttribute(new Float32Array(count * 3), 3));
+      geo.setAttribute("normal", new THREE.BufferAttribute(new Float32Array(count * 3), 3));
+      geo.setAttribute("color", new THREE.BufferAttribute(new Float32Array(count * 3), 3));
+      geo.setIndex(new THREE.BufferAttribute(index, 1));
+      return new THREE.Mesh(geo, groundMat);
+    };
+
+    // ручьи: сетка того же вида, что у рельефа, нормали вверх и uv по метрам (xz у всех тайлов одинаковые)
+    const makeStreamMesh = (segments, index) => {
+      const count = (segments + 1) * (segments + 1) + 4 * segments;
+      const geo = new THREE.BufferGeometry();
+      const positions = new Float32Array(count * 3);
+      const uvs = new Float32Array(count * 2);
+      const step = tileSize / segments;
+      for (let k = 0; k < (segments + 1) * (segments + 1); k++) {
+        uvs[k * 2 + 0] = ((k % (segments + 1)) * step) / 24;
+        uvs[k * 2 + 1] = (Math.floor(k / (segments + 1)) * step) / 24;
+      }
+      geo.setAttribute("position", new THREE.BufferAttribute(positions, 3));
+      geo.setAttribute("normal", new THREE.BufferAttribute(positions.map((_, i) => (i % 3 === 1 ? 1 : 0)), 3));
+      geo.setAttribute("uv", new THREE.BufferAttribute(uvs, 2));
+      geo.setIndex(new THREE.BufferAttribute(index, 1));
+      const mesh = new THREE.Mesh(geo, waterMat);
+      mesh.visible = false;
+      return mesh;
+    };
+
+    /**
+     * Свои модели из .glb (importModel): id из MODEL_TARGETS → { geometry, materials }, геометрия уже вписана
+     * в габарит заменённой. Реквизит меняет геометрию и материалы у инстанс-мешей всех тайлов (матрицы и оттенок
+     * биома остаются от генератора), жаба и аксессуары прячут свои примитивы и несут модель в том же узле рига —
+     * приседание, сплющивание и крен в дрифте достаются ей без изменений.
+     */
+    const modelOverrides = new Map();
+    const propModels = {
+      trunk: [trunkGeo, trunkMat],
+      crown: [crownGeo, crownMat],
+      crownRound: [crownRoundGeo, crownMat],
+      bush: [bushGeo, bushMat],
+      rock: [rockGeo, rockMat],
+      pad: [lilyPadGeo, lilyPadMat],
+      runeBase: [runeBaseGeo, propStoneMat],
+      runeCrystal: [runeCrystalGeo, runeGlowMat],
+      artifactPedestal: [artifactPedestalGeo, propStoneMat],
+      artifact: [artifactGeo, artifactMat],
+    };
+
+    // габарит примитивов в системе root (в покое), а не мировой: шея и таз к этому моменту могут быть повёрнуты
+    const localBox = (root, objects) => {
+      root.updateWorldMatrix(true, true);
+      const inv = new THREE.Matrix4().copy(root.matrixWorld).invert();
+      const m = new THREE.Matrix4();
+      const b = new THREE.Box3();
+      const box = new THREE.Box3();
+      for (const o of objects) {
+        o.traverse((c) => {
+          if (!c.isMesh) return;
+          if (!c.geometry.boundingBox) c.geometry.computeBoundingBox();
+          box.union(b.copy(c.geometry.boundingBox).applyMatrix4(m.multiplyMatrices(inv, c.matrixWorld)));
+        });
+      }
+      return box;
+    };
+
+    const modelBox = (id) => {
+      const geo = id === "can" ? canGeo : propModels[id]?.[0];
+      if (geo) {
+        if (!geo.boundingBox) geo.computeBoundingBox();
+        return geo.boundingBox.clone();
+      }
+      if (id === "frog") {
+        // лапы свежего рига висят без позы и уходят под землю, а корень жабы стоит на ней
+        const rig = buildFrog(defaultFrogMats);
+        const box = localBox(rig.frog, rig.meshes);
+        box.min.y = Math.max(box.min.y, 0);
+        return box;
+      }
+      const g = wardrobe[id];
+      return localBox(g, g.children.filter((c) => c !== g.userData.custom));
+    };
+
+    const setMeshModel = (mesh, geometry, material) => {
+      mesh.geometry = geometry;
+      mesh.material = material;
+      mesh.boundingSphere = null;
+    };
+
+    const dressTile = (t) => {
+      for (const [id, [geo, mat]] of Object.entries(propModels)) {
+        const custom = modelOverrides.get(id);
+        setMeshModel(t[id], custom ? custom.geometry : geo, custom ? custom.materials : mat);
+      }
+      const can = modelOverrides.get("can");
+      t.cans.forEach((mesh, i) => setMeshModel(mesh, can ? can.geometry : canGeo, can ? can.materials : canMats[i]));
+    };
+
+    // модель жабы висит на shape, чтобы сплющиваться вместе с телом; shape стоит на высоте таза
+    const dressFrog = (rig) => {
+      if (rig.custom) rig.shape.remove(rig.custom);
+      rig.custom = null;
+      const custom = modelOverrides.get("frog");
+      for (const o of rig.meshes) o.visible = !custom;
+      if (!custom) return;
+      rig.custom = new THREE.Mesh(custom.geometry, custom.materials);
+      rig.custom.name = "custom";
+      rig.custom.position.y = -FROG_TORSO_Y;
+      rig.custom.castShadow = true;
+      rig.shape.add(rig.custom);
+    };
 
-    const tileSize = 120;
-    const half = tileSize * 0.5;
+    const dressAccessory = (id) => {
+      const g = wardrobe[id];
+      if (g.userData.custom) g.remove(g.userData.custom);
+      g.userData.custom = null;
+      const custom = modelOverrides.get(id);
+      for (const c of g.children) c.visible = !custom;
+      if (!custom) return;
+      const mesh = new THREE.Mesh(custom.geometry, custom.materials);
+      mesh.name = "custom";
+      mesh.castShadow = true;
+      g.userData.custom = mesh;
+      g.add(mesh);
+    };
 
     const makeTile = () => {
       const group = new THREE.Group();
+      const near = new THREE.Group();
+      const far = new THREE.Group();
+
+      const trunk = new THREE.InstancedMesh(trunkGeo, trunkMat, TILE_CAPACITY.tree);
+      const crown = new THREE.InstancedMesh(crownGeo, crownMat, TILE_CAPACITY.tree);
+      const crownRound = new THREE.InstancedMesh(crownRoundGeo, crownMat, TILE_CAPACITY.tree);
+      const bush = new THREE.InstancedMesh(bushGeo, bushMat, TILE_CAPACITY.bush);
+      const rock = new THREE.InstancedMesh(rockGeo, rockMat, TILE_CAPACITY.rock);
+
+      const runeBase = new THREE.InstancedMesh(runeBaseGeo, propStoneMat, TILE_CAPACITY.rune);
+      const runeCrystal = new THREE.InstancedMesh(runeCrystalGeo, runeGlowMat, TILE_CAPACITY.rune);
+      runeCrystal.layers.enable(BLOOM_LAYER);
+
+      const artifactPedestal = new THREE.InstancedMesh(artifactPedestalGeo, propStoneMat, TILE_CAPACITY.artifact);
+      const artifact = new THREE.InstancedMesh(artifactGeo, artifactMat, TILE_CAPACITY.artifact);
+
+      const cans = canMats.map((m) => new THREE.InstancedMesh(canGeo, m, TILE_CAPACITY.can));
+
+      const impostor = new THREE.InstancedMesh(impostorGeo, impostorMat, TILE_CAPACITY.tree);
+      const impostorRound = new THREE.InstancedMesh(impostorGeo, impostorRoundMat, TILE_CAPACITY.tree);
+      const water = new THREE.InstancedMesh(puddleGeo, waterMat, TILE_CAPACITY.puddle + TILE_CAPACITY.pond);
+      const pad = new THREE.InstancedMesh(lilyPadGeo, lilyPadMat, TILE_CAPACITY.pad);
+      const groundNear = makeGroundMesh(GROUND_SEGMENTS.near, groundIndex.near);
+      const groundFar = makeGroundMesh(GROUND_SEGMENTS.far, groundIndex.far);
+      const streamNear = makeStreamMesh(GROUND_SEGMENTS.near, groundIndex.near);
+      const streamFar = makeStreamMesh(GROUND_SEGMENTS.far, groundIndex.far);
+
+      const instanced = [trunk, crown, crownRound, bush, rock, runeBase, runeCrystal, artifactPedestal, artifact, ...cans];
+      const named = { trunk, crown, crownRound, bush, rock, runeBase, runeCrystal, artifactPedestal, artifact, groundNear, streamNear };
+      for (const [name, m] of Object.entries(named)) m.name = name;
+      cans.forEach((m, i) => (m.name = `can${CAN_VARIANTS[i].label}`));
+      instanced.push(impostor, impostorRound, water, pad);
+      for (const m of instanced) {
+        m.instanceMatrix.setUsage(THREE.DynamicDrawUsage);
+        m.count = 0;
+      }
+      for (const m of [trunk, crown, crownRound, bush, rock, runeCrystal, impostor, impostorRound, pad]) {
+        m.instanceColor = new THREE.InstancedBufferAttribute(new Float32Array(m.instanceMatrix.count * 3), 3);
+      }
+      for (const m of [trunk, crown, crownRound, bush, rock, runeBase, runeCrystal, artifactPedestal, artifact, ...cans]) {
+        m.castShadow = true;
+      }
+      for (const m of [groundNear, rock, pad, runeBase, artifactPedestal]) m.receiveShadow = true;
+      // кусты и дальние импостеры можно проредить на слабом качестве — ни на что, кроме картинки, они не влияют
+      for (const m of [bush, impostor, impostorRound]) m.userData.thin = true;
+
+      // камни, лужи и пруды, руны и артефакты видны на любом расстоянии, остальное зависит от уровня детализации
+      near.add(groundNear, streamNear, trunk, crown, crownRound, bush, pad, ...cans);
+      far.add(groundFar, streamFar, impostor, impostorRound);
+      group.add(near, far, rock, water, runeBase, runeCrystal, artifactPedestal, artifact);
+      group.visible = false;
+
+      return {
+        group,
+        near,
+        far,
+        groundNear,
+        groundFar,
+        streamNear,
+        streamFar,
+        trunk,
+        crown,
+        crownRound,
+        bush,
+        rock,
+        water,
+        pad,
+        runeBase,
+        runeCrystal,
+        artifactPedestal,
+        artifact,
+        cans,
+        impostor,
+        impostorRound,
+        tx: 0,
+        tz: 0,
+        job: 0,
+        ready: false,
+      };
+    };
+
+    const fillInstances = (mesh, batch) => {
+      mesh.instanceMatrix.array.set(batch.matrices);
+      mesh.instanceMatrix.needsUpdate = true;
+      if (batch.colors) {
+        mesh.instanceColor.array.set(batch.colors);
+        mesh.instanceColor.needsUpdate = true;
+      }
+      mesh.userData.full = batch.count;
+      thinInstances(mesh);
+      mesh.boundingSphere = null;
+    };
+
+    const thinInstances = (mesh) => {
+      const full = mesh.userData.full || 0;
+      mesh.count = mesh.userData.thin ? Math.ceil(full * quality.preset.density) : full;
+      mesh.visible = mesh.count > 0;
+    };
 
-      const trunk = new THREE.InstancedMesh(trunkGeo, trunkMat, 120);
-      const crown = new THREE.InstancedMesh(crownGeo, crownMat, 120);
-      const bush = new THREE.InstancedMesh(bushGeo, bushMat, 90);
-      const rock = new THREE.InstancedMesh(rockGeo, rockMat, 60);
+    const instancedKeys = ["trunk", "crown", "crownRound", "bush", "rock", "water", "pad", "runeBase", "runeCrystal"];
+    instancedKeys.push("artifactPedestal", "artifact", "impostor", "impostorRound");
 
-      const runeBase = new THREE.InstancedMesh(runeBaseGeo, propStoneMat, 4);
-      const runeCrystal = new THREE.InstancedMesh(runeCrystalGeo, runeGlowMat, 4);
+    const applyInstances = (tile, inst) => {
+      for (const key of instancedKeys) {
+        fillInstances(tile[key], inst[key]);
+      }
+      tile.cans.forEach((mesh, i) => fillInstances(mesh, inst.cans[i]));
+    };
 
-      const artifactPedestal = new THREE.InstancedMesh(artifactPedestalGeo, propStoneMat, 2);
-      const artifact = new THREE.InstancedMesh(artifactGeo, artifactMat, 2);
+    const fillGround = (mesh, patch) => {
+      const geo = mesh.geometry;
+      geo.getAttribute("position").array.set(patch.positions);
+      geo.getAttribute("normal").array.set(patch.normals);
+      geo.getAttribute("color").array.set(patch.colors);
+      geo.getAttribute("position").needsUpdate = true;
+      geo.getAttribute("normal").needsUpdate = true;
+      geo.getAttribute("color").needsUpdate = true;
+      geo.computeBoundingSphere();
+    };
 
-      const cans = canMats.map((m) => new THREE.InstancedMesh(canGeo, m, 18));
+    const fillStream = (mesh, patch) => {
+      mesh.visible = patch.wet;
+      if (!patch.wet) return;
+      const attr = mesh.geometry.getAttribute("position");
+      attr.array.set(patch.positions);
+      attr.needsUpdate = true;
+      mesh.geometry.computeBoundingSphere();
+    };
 
-      trunk.instanceMatrix.setUsage(THREE.DynamicDrawUsage);
-      crown.instanceMatrix.setUsage(THREE.DynamicDrawUsage);
-      bush.instanceMatrix.setUsage(THREE.DynamicDrawUsage);
-      rock.instanceMatrix.setUsage(THREE.DynamicDrawUsage);
+    /**
+     * Стриминг леса: тайлы в радиусе view.radius от центра, ближний круг view.near (по умолчанию 3×3) — полная детализация,
+     * дальше — импостеры деревьев и грубый рельеф. При смене центра перестраиваются только новые тайлы;
+     * их генерирует воркер (или главный поток по тайлу за кадр, если воркера нет).
+     */
+    const view = { radius: VIEW_RADIUS_DEFAULT, near: VIEW_NEAR_DEFAULT };
+    const tiles = new Map();
+    const freeTiles = [];
+    const tileQueue = [];
+    let tileJob = 0;
+    let tilesInFlight = 0;
+    let tileWorker = null;
+    const tileResults = [];
 
-      runeBase.instanceMatrix.setUsage(THREE.DynamicDrawUsage);
-      runeCrystal.instanceMatrix.setUsage(THREE.DynamicDrawUsage);
+    let centerTX = 0;
+    let centerTZ = 0;
 
-      artifactPedestal.instanceMatrix.setUsage(THREE.DynamicDrawUsage);
-      artifact.instanceMatrix.setUsage(THREE.DynamicDrawUsage);
+    const tileKey = (tx, tz) => `${tx},${tz}`;
 
-      for (const c of cans) c.instanceMatrix.setUsage(THREE.DynamicDrawUsage);
+    const setTileLod = (t) => {
+      const near = Math.max(Math.abs(t.tx - centerTX), Math.abs(t.tz - centerTZ)) <= view.near;
+      t.near.visible = near;
+      t.far.visible = !near;
+    };
 
-      runeBase.frustumCulled = false;
-      runeCrystal.frustumCulled = false;
-      artifactPedestal.frustumCulled = false;
-      artifact.frustumCulled = false;
-      for (const c of cans) c.frustumCulled = false;
+    const requestTile = (t) => {
+      t.job = ++tileJob;
+      const collected = world.collectedIn(t.tx, t.tz);
+      tileQueue.push({ id: t.job, tx: t.tx, tz: t.tz, collected: collected ? [...collected] : [] });
+    };
 
-      group.add(trunk, crown, bush, rock, runeBase, runeCrystal, artifactPedestal, artifact, ...cans);
+    const applyTile = (res) => {
+      const t = tiles.get(tileKey(res.tx, res.tz));
+      if (!t || t.job !== res.id) return;
 
-      return { group, trunk, crown, bush, rock, runeBase, runeCrystal, artifactPedestal, artifact, cans };
+      const collected = world.collectedIn(res.tx, res.tz);
+      if (collected && collected.size !== res.collectedCount) {
+        applyInstances(t, buildTileInstances(world.layout(res.tx, res.tz), collected));
+      } else {
+        applyInstances(t, res.instances);
+      }
+      fillGround(t.groundNear, res.groundNear);
+      fillGround(t.groundFar, res.groundFar);
+      fillStream(t.streamNear, res.waterNear);
+      fillStream(t.streamFar, res.waterFar);
+      t.ready = true;
+      t.group.visible = true;
     };
 
-    const populateTile = (tile, tx, tz) => {
-      const seed = hash2i(tx, tz);
-      const rng = makeRng(seed);
+    const startTileWorker = () => {
+      if (typeof Worker === "undefined") return null;
+      try {
+        const w = new Worker("./tile-worker.js");
+        w.onmessage = (e) => {
+          tilesInFlight--;
+          tileResults.push(e.data);
+        };
+        w.onerror = (e) => {
+          // воркер не поднялся (например, страница открыта без сервера) — генерируем в главном потоке
+          e.preventDefault?.();
+          w.terminate();
+          if (tileWorker === w) tileWorker = null;
+          tilesInFlight = 0;
+          for (const t of tiles.values()) if (!t.ready) requestTile(t);
+        };
+        return w;
+      } catch (e) {
+        return null;
+      }
+    };
+    tileWorker = startTileWorker();
+
+    const pumpTiles = () => {
+      for (let k = 0; k < 2 && tileResults.length; k++) applyTile(tileResults.shift());
+
+      while (tileQueue.length && (tileWorker ? tilesInFlight < 2 : tileResults.length === 0)) {
+        const job = tileQueue.shift();
+        const t = tiles.get(tileKey(job.tx, job.tz));
+        if (!t || t.job !== job.id) continue;
+        if (tileWorker) {
+          tilesInFlight++;
+          tileWorker.postMessage(job);
+        } else {
+          const res = generateTileBuffers(job.tx, job.tz, job.collected.length ? new Set(job.collected) : null);
+          res.id = job.id;
+          res.collectedCount = job.collected.length;
+          tileResults.push(res);
+        }
+      }
+    };
 
-      const density = 0.92;
+    const updateForest = (newTX, newTZ) => {
+      centerTX = newTX;
+      centerTZ = newTZ;
+      const r = view.radius;
+
+      for (const [key, t] of tiles) {
+        if (Math.max(Math.abs(t.tx - centerTX), Math.abs(t.tz - centerTZ)) <= r) continue;
+        tiles.delete(key);
+        t.group.visible = false;
+        t.ready = false;
+        t.job = 0;
+        freeTiles.push(t);
+      }
 
-      const trunkMax = tile.trunk.instanceMatrix.count;
-      const bushMax = tile.bush.instanceMatrix.count;
-      const rockMax = tile.rock.instanceMatrix.count;
+      for (let dz = -r; dz <= r; dz++) {
+        for (let dx = -r; dx <= r; dx++) {
+          const tx = centerTX + dx;
+          const tz = centerTZ + dz;
+          const key = tileKey(tx, tz);
+          let t = tiles.get(key);
+          if (!t) {
+            t = freeTiles.pop();
+            if (!t) {
+              t = makeTile();
+              dressTile(t);
+              forestGroup.add(t.group);
+            }
+            t.tx = tx;
+            t.tz = tz;
+            t.group.position.set(tx * tileSize, 0, tz * tileSize);
+            tiles.set(key, t);
+            requestTile(t);
+          }
+          setTileLod(t);
+        }
+      }
 
-      const treeCount = Math.max(1, Math.floor(trunkMax * density));
-      const bushCount = Math.max(0, Math.floor(bushMax * density));
-      const rockCount = Math.max(0, Math.floor(rockMax * (0.75 + 0.25 * density)));
+      const dist = (job) => Math.max(Math.abs(job.tx - centerTX), Math.abs(job.tz - centerTZ));
+      tileQueue.sort((a, b) => dist(a) - dist(b));
+    };
 
-      let ti = 0;
-      let bi = 0;
-      let ri = 0;
+    const applyViewRadius = () => {
+      const reach = view.radius / VIEW_RADIUS_DEFAULT;
+      fogBase.near = VIEW_FOG_NEAR * reach * quality.preset.fog;
+      fogBase.far = VIEW_FOG_FAR * reach * quality.preset.fog;
+      camera.far = Math.max(view.radius * tileSize, fogBase.far) + tileSize * 2;
+      camera.updateProjectionMatrix();
+      updateForest(centerTX, centerTZ);
+    };
 
-      const sampleXZ = () => ({ x: randRange(rng, -half, half), z: randRange(rng, -half, half) });
+    const params = { ...DEFAULT_SIM_PARAMS };
+    const flock = { behaviour: group.behaviour, focus: group.focus };
+    const sims = createFrogGroup(seed, group.count, params);
+    const sim = sims[0];
+    const simCmds = [null];
+
+    const makeFrogView = (s, mats = defaultFrogMats) => {
+      const rig = buildFrog(mats);
+      dressFrog(rig);
+      const blobMat = new THREE.MeshBasicMaterial({
+        map: blobTex,
+        transparent: true,
+        depthWrite: false,
+        polygonOffset: true,
+        polygonOffsetFactor: -2,
+      });
+      const blob = new THREE.Mesh(blobGeo, blobMat);
+      scene.add(rig.frog, blob);
+      return {
+        rig,
+        anim: createFrogAnim(s.seed),
+        air: 0,
+        blob,
+        skidTracks: [{}, {}],
+        puffAcc: 0,
+        prevPos: { x: s.pos.x, y: s.pos.y, z: s.pos.z },
+        prevYaw: s.yaw,
+        pos: vec3(s.pos.x, s.pos.y, s.pos.z),
+        yaw: s.yaw,
+        speed: 0,
+        skidOn: false,
+        vLong: 0,
+        vLat: 0,
+      };
+    };
 
-      for (let i = 0; i < treeCount; i++) {
-        const { x, z } = sampleXZ();
-        const rot = randRange(rng, -Math.PI, Math.PI);
+    const disposeFrogView = (v) => {
+      scene.remove(v.rig.frog, v.blob);
+      v.blob.material.dispose();
+      for (const track of v.skidTracks) endSkidTrack(skidMarks, track);
+    };
 
-        const h = randRange(rng, 2.0, 5.6);
-        const r = randRange(rng, 0.09, 0.16);
+    const frogViews = sims.map((s, i) => makeFrogView(s, i === 0 ? leaderMats : defaultFrogMats));
+    // аксессуары собраны в системе жабы, а висят на шее (или на тазе — рюкзак), чтобы качаться вместе с ними
+    const leaderRig = frogViews[0].rig;
+    accessories.position.set(0, -FROG_TORSO_Y - leaderRig.neck.position.y, -leaderRig.neck.position.z);
+    leaderRig.neck.add(accessories);
+    backAccessories.position.set(0, -FROG_TORSO_Y, 0);
+    leaderRig.torso.add(backAccessories);
+    applyLook(readLookFromUrl());
 
-        tmpQuat.setFromAxisAngle(Y_AXIS, rot);
+    const fwd = vec3();
+    const right = vec3();
+    const v0 = vec3();
+    const v1 = vec3();
+    const footL = vec3();
+    const footR = vec3();
+    const focusPos = vec3();
+    const frameVel = vec3();
 
-        tmpPos.set(x, h * 0.5, z);
-        tmpScale.set(r, h, r);
-        tmpMat.compose(tmpPos, tmpQuat, tmpScale);
-        tile.trunk.setMatrixAt(ti, tmpMat);
+    const euler = new THREE.Euler(0, 0, 0, "YXZ");
 
-        const bark = clamp(randRange(rng, 0.22, 0.4), 0, 1);
-        tmpColor.setHSL(0.085, 0.42, bark);
-        tile.trunk.setColorAt(ti, tmpColor);
+    applyViewRadius();
+
+    const pilot = {
+      enabled: false,
+      aim: 0,
+      charge: 0,
+      charging: false,
+      drift: false,
+      release: false,
+      keys: new Set(),
+      pointerId: null,
+      pointerX0: 0,
+      aimAtPress: 0,
+      padCharge: false,
+      padToggle: false,
+    };
 
-        const cH = randRange(rng, 1.6, 4.2);
-        const cR = randRange(rng, 0.9, 1.8);
+    const setPilot = (on) => {
+      pilot.enabled = !!on;
+      pilot.charge = 0;
+      pilot.charging = false;
+      pilot.release = false;
+      if (!pilot.enabled && !sim.airborne) sim.groundTimer = Math.min(sim.groundTimer, params.groundTimeMin);
+      onPilotChange?.(pilot.enabled);
+    };
 
-        tmpPos.set(x, h + cH * 0.45, z);
-        tmpScale.set(cR, cH, cR);
-        tmpMat.compose(tmpPos, tmpQuat, tmpScale);
-        tile.crown.setMatrixAt(ti, tmpMat);
+    const pilotKeys = new Set(["Space", "ArrowLeft", "ArrowRight", "KeyA", "KeyD", "ShiftLeft", "ShiftRight"]);
 
-        const hue = randRange(rng, 0.27, 0.36);
-        const sat = randRange(rng, 0.45, 0.75);
-        const lig = randRange(rng, 0.22, 0.32);
-        tmpColor.setHSL(hue, sat, lig);
-        tile.crown.setColorAt(ti, tmpColor);
+    // пока печатают в поле (имя пресета и т.п.), клавиши принадлежат полю, а не игре
+    const typing = (el) => !!el && (el.isContentEditable || ["INPUT", "TEXTAREA", "SELECT"].includes(el.tagName));
 
-        ti++;
+    const onKeyDown = (e) => {
+      if (typing(e.target)) return;
+      if (e.code === "KeyC" && !e.repeat) {
+        const i = CAMERA_MODES.findIndex((m) => m.id === cameraRig.rig.mode);
+        setCameraMode(CAMERA_MODES[(i + 1) % CAMERA_MODES.length].id);
+        return;
       }
+      if (e.code === "KeyP" && !e.repeat) {
+        setPilot(!pilot.enabled);
+        return;
+      }
+      if (e.code === "KeyM" && !e.repeat) {
+        setMapOpen(!mapView.open);
+        return;
+      }
+      if (!pilot.enabled || !pilotKeys.has(e.code)) return;
+      e.preventDefault();
+      pilot.keys.add(e.code);
+      if (e.code === "Space" && !e.repeat) pilot.charging = true;
+    };
 
-      for (let i = 0; i < bushCount; i++) {
-        const { x, z } = sampleXZ();
-        const rot = randRange(rng, -Math.PI, Math.PI);
-        const s = randRange(rng, 0.55, 1.25);
+    const onKeyUp = (e) => {
+      if (typing(e.target) || !pilotKeys.has(e.code)) return;
+      pilot.keys.delete(e.code);
+      if (e.code === "Space" && pilot.charging) {
+        pilot.charging = false;
+        pilot.release = true;
+      }
+    };
 
-        tmpQuat.setFromAxisAngle(Y_AXIS, rot);
-        tmpPos.set(x, s * 0.55, z);
-        tmpScale.set(s * 0.95, s * 0.75, s * 0.95);
-        tmpMat.compose(tmpPos, tmpQuat, tmpScale);
-        tile.bush.setMatrixAt(bi, tmpMat);
+    const onPointerDown = (e) => {
+      if (brain.drawing || !pilot.enabled || e.button !== 0 || pilot.pointerId !== null) return;
+      pilot.pointerId = e.pointerId;
+      pilot.pointerX0 = e.clientX;
+      pilot.aimAtPress = pilot.aim;
+      pilot.charging = true;
+      container.setPointerCapture?.(e.pointerId);
+    };
 
-        tmpColor.setHSL(randRange(rng, 0.27, 0.36), randRange(rng, 0.32, 0.58), randRange(rng, 0.2, 0.28));
-        tile.bush.setColorAt(bi, tmpColor);
+    const onPointerMove = (e) => {
+      if (e.pointerId !== pilot.pointerId) return;
+      const w = container.clientWidth || 1;
+      const maxTurn = params.maxTurn;
+      pilot.aim = clamp(pilot.aimAtPress - ((e.clientX - pilot.pointerX0) / (w * 0.25)) * maxTurn, -maxTurn, maxTurn);
+    };
 
-        bi++;
+    const onPointerUp = (e) => {
+      if (e.pointerId !== pilot.pointerId) return;
+      pilot.pointerId = null;
+      container.releasePointerCapture?.(e.pointerId);
+      if (pilot.charging) {
+        pilot.charging = false;
+        pilot.release = e.type === "pointerup";
       }
+    };
 
-      for (let i = 0; i < rockCount; i++) {
-        const { x, z } = sampleXZ();
-        const rot = randRange(rng, -Math.PI, Math.PI);
-        const s = randRange(rng, 0.25, 0.9);
+    const cameraRig = createCameraRig(camera, world);
+    const orbitPointers = new Map();
 
-        tmpQuat.setFromAxisAngle(Y_AXIS, rot);
-        tmpPos.set(x, s * 0.25, z);
-        tmpScale.set(s, s * randRange(rng, 0.65, 1.05), s);
-        tmpMat.compose(tmpPos, tmpQuat, tmpScale);
-        tile.rock.setMatrixAt(ri, tmpMat);
+    const setCameraMode = (mode) => {
+      cameraRig.setMode(mode);
+      orbitPointers.clear();
+      onCameraChange?.(cameraRig.rig.mode);
+    };
 
-        const l = randRange(rng, 0.22, 0.38);
-        tmpColor.setHSL(0.6, 0.08, l);
-        tile.rock.setColorAt(ri, tmpColor);
+    const onOrbitDown = (e) => {
+      if (cameraRig.rig.mode !== "orbit" || brain.drawing) return;
+      if (!(e.button === 2 || (e.button === 0 && !pilot.enabled))) return;
+      orbitPointers.set(e.pointerId, { x: e.clientX, y: e.clientY });
+      container.setPointerCapture?.(e.pointerId);
+    };
 
-        ri++;
+    const onOrbitMove = (e) => {
+      const p = orbitPointers.get(e.pointerId);
+      if (!p) return;
+      if (orbitPointers.size >= 2) {
+        const [a, b] = [...orbitPointers.values()];
+        const before = Math.hypot(a.x - b.x, a.y - b.y);
+        p.x = e.clientX;
+        p.y = e.clientY;
+        const after = Math.hypot(a.x - b.x, a.y - b.y);
+        if (before > 1 && after > 1) cameraRig.zoomBy(before / after);
+        return;
       }
+      cameraRig.orbitBy(e.clientX - p.x, e.clientY - p.y);
+      p.x = e.clientX;
+      p.y = e.clientY;
+    };
 
-      let runeTarget = 0;
-      if (rng() < 0.82) runeTarget = 1;
-      if (rng() < 0.42) runeTarget += 1;
-      if (rng() < 0.16) runeTarget += 1;
-      runeTarget = Math.min(runeTarget, tile.runeBase.instanceMatrix.count);
+    const onOrbitUp = (e) => {
+      if (orbitPointers.delete(e.pointerId)) container.releasePointerCapture?.(e.pointerId);
+    };
 
-      let artifactTarget = 0;
-      if (rng() < 0.5) artifactTarget = 1;
-      if (rng() < 0.16) artifactTarget += 1;
-      artifactTarget = Math.min(artifactTarget, tile.artifact.instanceMatrix.count);
+    const onWheel = (e) => {
+      if (cameraRig.rig.mode !== "orbit") return;
+      e.preventDefault();
+      cameraRig.zoomBy(Math.exp(clamp(e.deltaY, -200, 200) * 0.0015));
+    };
 
-      const cansTarget = 10 + Math.floor(rng() * 10);
+    const onContextMenu = (e) => {
+      if (cameraRig.rig.mode === "orbit") e.preventDefault();
+    };
 
-      const runeColors = [
-        0xff3b3b,
-        0xb250ff,
-        0x2b7bff,
-        0x35ff7b,
-        0xffd24a,
-        0x43e9ff,
-      ];
+    container.addEventListener("pointerdown", onOrbitDown);
+    container.addEventListener("pointermove", onOrbitMove);
+    container.addEventListener("pointerup", onOrbitUp);
+    container.addEventListener("pointercancel", onOrbitUp);
+    container.addEventListener("wheel", onWheel, { passive: false });
+    container.addEventListener("contextmenu", onContextMenu);
+
+    window.addEventListener("keydown", onKeyDown);
+    window.addEventListener("keyup", onKeyUp);
+    container.addEventListener("pointerdown", onPointerDown);
+    container.addEventListener("pointermove", onPointerMove);
+    container.addEventListener("pointerup", onPointerUp);
+    container.addEventListener("pointercancel", onPointerUp);
+
+    const pollGamepad = () => {
+      const pads = navigator.getGamepads ? navigator.getGamepads() : [];
+      const pad = pads && Array.from(pads).find((p) => p && p.connected);
+      if (!pad) return false;
+
+      const pressed = (i) => !!pad.buttons[i]?.pressed;
+
+      const toggle = pressed(3) || pressed(9);
+      if (toggle && !pilot.padToggle) setPilot(!pilot.enabled);
+      pilot.padToggle = toggle;
+      if (!pilot.enabled) return false;
+
+      const ax = pad.axes[0] ?? 0;
+      if (Math.abs(ax) > 0.15) pilot.aim = clamp(-ax * params.maxTurn, -params.maxTurn, params.maxTurn);
+
+      const charge = pressed(0) || pressed(7);
+      if (charge && !pilot.padCharge) pilot.charging = true;
+      if (!charge && pilot.padCharge && pilot.charging) {
+        pilot.charging = false;
+        pilot.release = true;
+      }
+      pilot.padCharge = charge;
 
-      let runeN = 0;
-      let artN = 0;
-      const canN = new Array(canVariants.length).fill(0);
+      return pressed(1) || pressed(5) || pressed(6);
+    };
 
-      const samplePropXZ = (minR = 10) => {
-        const minR2 = minR * minR;
-        for (let k = 0; k < 42; k++) {
-          const a = randRange(rng, -Math.PI, Math.PI);
-          const rr = (half * 0.62) * Math.sqrt(rng());
-          const x = Math.cos(a) * rr;
-          const z = Math.sin(a) * rr;
-          if (x * x + z * z >= minR2) return { x, z };
-        }
-        return { x: randRange(rng, -half * 0.35, half * 0.35), z: randRange(rng, -half * 0.35, half * 0.35) };
-      };
+    const updatePilot = (dt) => {
+      const padDrift = pollGamepad();
+      if (!pilot.enabled) return;
 
-      for (let r = 0; r < runeTarget; r++) {
-        const { x, z } = samplePropXZ(14);
-        const rot = randRange(rng, -Math.PI, Math.PI);
-        const c = runeColors[Math.floor(rng() * runeColors.length)];
+      const k = pilot.keys;
+      const steer = (k.has("ArrowLeft") || k.has("KeyA") ? 1 : 0) - (k.has("ArrowRight") || k.has("KeyD") ? 1 : 0);
+      if (steer !== 0) pilot.aim = clamp(pilot.aim + steer * 2.4 * dt, -params.maxTurn, params.maxTurn);
 
-        tmpQuat.setFromAxisAngle(Y_AXIS, rot);
+      pilot.drift = padDrift || k.has("ShiftLeft") || k.has("ShiftRight");
 
-        tmpPos.set(x, 0.17, z);
-        tmpScale.set(1.15, 1.1, 1.15);
-        tmpMat.compose(tmpPos, tmpQuat, tmpScale);
-        tile.runeBase.setMatrixAt(runeN, tmpMat);
+      if (pilot.charging) pilot.charge = clamp(pilot.charge + dt / 0.9, 0, 1);
+    };
 
-        tmpEuler.set(randRange(rng, 0, Math.PI), randRange(rng, -Math.PI, Math.PI), randRange(rng, 0, Math.PI));
-        tmpQuat.setFromEuler(tmpEuler);
-        tmpPos.set(x, 0.92, z);
-        tmpScale.set(1.2, 1.45, 1.2);
-        tmpMat.compose(tmpPos, tmpQuat, tmpScale);
-        tile.runeCrystal.setMatrixAt(runeN, tmpMat);
-        tmpColor.setHex(c);
-        tile.runeCrystal.setColorAt(runeN, tmpColor);
+    const aimArrow = new THREE.ArrowHelper(vec3(0, 0, 1), vec3(), 2, 0xffd24a, 0.7, 0.45);
+    aimArrow.visible = false;
+    scene.add(aimArrow);
+
+    /**
+     * Мозг автопилота — общий для всей стаи; пилот вожака его перекрывает. Путь для мозга "path"
+     * рисуется по земле одним росчерком: точки не чаще PATH_SPACING, не больше PATH_MAX_POINTS.
+     */
+    const brain = { id: "random", path: [], drawing: false, pointerId: null };
+    const pathArray = new Float32Array(PATH_MAX_POINTS * 3);
+    const pathGeo = new THREE.BufferGeometry();
+    pathGeo.setAttribute("position", new THREE.BufferAttribute(pathArray, 3).setUsage(THREE.DynamicDrawUsage));
+    pathGeo.setDrawRange(0, 0);
+    const pathMat = new THREE.LineBasicMaterial({ color: 0xffe066, transparent: true, opacity: 0.85, depthTest: false });
+    const pathLine = new THREE.Line(pathGeo, pathMat);
+    pathLine.frustumCulled = false;
+    pathLine.renderOrder = 2;
+    scene.add(pathLine);
+
+    const reportBrain = () => onBrainChange?.({ id: brain.id, drawing: brain.drawing, points: brain.path.length });
+
+    const updatePathLine = () => {
+      brain.path.forEach((p, i) => pathArray.set([p.x, terrainHeight(p.x, p.z) + 0.25, p.z], i * 3));
+      pathGeo.attributes.position.needsUpdate = true;
+      pathGeo.setDrawRange(0, brain.path.length);
+      pathLine.visible = brain.id === "path" || brain.drawing;
+    };
 
-        runeN++;
-      }
+    const applyBrain = (s) => setBrain(s, brain.id, brain.id === "path" ? { path: brain.path } : {});
 
-      for (let a = 0; a < artifactTarget; a++) {
-        const { x, z } = samplePropXZ(16);
-        const rot = randRange(rng, -Math.PI, Math.PI);
+    const setBrainMode = (id) => {
+      if (!BRAINS.some((b) => b.id === id)) return;
+      brain.id = id;
+      for (const s of sims) applyBrain(s);
+      updatePathLine();
+      reportBrain();
+    };
 
-        tmpQuat.setFromAxisAngle(Y_AXIS, rot);
-        tmpPos.set(x, 0.13, z);
-        tmpScale.set(1.25, 1.1, 1.25);
-        tmpMat.compose(tmpPos, tmpQuat, tmpScale);
-        tile.artifactPedestal.setMatrixAt(artN, tmpMat);
+    const raycaster = new THREE.Raycaster();
+    const pointerNdc = new THREE.Vector2();
+
+    // точка на рельефе под курсором: шагаем по лучу до первого ухода под землю и уточняем делением пополам
+    const pickGround = (e) => {
+      const rect = container.getBoundingClientRect();
+      pointerNdc.set(((e.clientX - rect.left) / rect.width) * 2 - 1, -((e.clientY - rect.top) / rect.height) * 2 + 1);
+      raycaster.setFromCamera(pointerNdc, camera);
+      const { origin, direction } = raycaster.ray;
+      const below = (t) => origin.y + direction.y * t < terrainHeight(origin.x + direction.x * t, origin.z + direction.z * t);
+      let lo = 0;
+      for (let hi = 1; hi <= 400; hi += 1) {
+        if (!below(hi)) {
+          lo = hi;
+          continue;
+        }
+        for (let i = 0; i < 12; i++) {
+          const mid = (lo + hi) / 2;
+          if (below(mid)) hi = mid;
+          else lo = mid;
+        }
+        return { x: origin.x + direction.x * hi, z: origin.z + direction.z * hi };
+      }
+      return null;
+    };
 
-        tmpEuler.set(randRange(rng, -0.08, 0.08), rot, randRange(rng, -0.08, 0.08));
-        tmpQuat.setFromEuler(tmpEuler);
-        tmpPos.set(x, 0.72, z);
-        tmpScale.set(1.25, 1.25, 1.25);
-        tmpMat.compose(tmpPos, tmpQuat, tmpScale);
-        tile.artifact.setMatrixAt(artN, tmpMat);
+    const addPathPoint = (e) => {
+      const p = pickGround(e);
+      const last = brain.path[brain.path.length - 1];
+      if (!p || brain.path.length >= PATH_MAX_POINTS) return;
+      if (last && Math.hypot(p.x - last.x, p.z - last.z) < PATH_SPACING) return;
+      brain.path.push(p);
+      updatePathLine();
+    };
 
-        artN++;
-      }
+    const setPathDrawing = (on) => {
+      brain.drawing = !!on;
+      updatePathLine();
+      reportBrain();
+    };
 
-      for (let k = 0; k < cansTarget; k++) {
-        const vIdx = Math.floor(rng() * canVariants.length);
-        const i = canN[vIdx];
-        if (i >= tile.cans[vIdx].instanceMatrix.count) continue;
+    const clearPath = () => {
+      brain.path = [];
+      if (brain.id === "path") setBrainMode("path");
+      else updatePathLine();
+      reportBrain();
+    };
 
-        const { x, z } = samplePropXZ(12);
+    const onPathDown = (e) => {
+      if (!brain.drawing || e.button !== 0 || brain.pointerId !== null) return;
+      brain.pointerId = e.pointerId;
+      brain.path = [];
+      addPathPoint(e);
+      container.setPointerCapture?.(e.pointerId);
+    };
 
-        const lying = rng() < 0.32;
-        const rotY = randRange(rng, -Math.PI, Math.PI);
+    const onPathMove = (e) => {
+      if (e.pointerId === brain.pointerId) addPathPoint(e);
+    };
 
-        const rx = lying ? Math.PI / 2 + randRange(rng, -0.28, 0.28) : randRange(rng, -0.08, 0.08);
-        const rz = lying ? randRange(rng, -0.28, 0.28) : randRange(rng, -0.06, 0.06);
+    const onPathUp = (e) => {
+      if (e.pointerId !== brain.pointerId) return;
+      brain.pointerId = null;
+      container.releasePointerCapture?.(e.pointerId);
+      brain.drawing = false;
+      setBrainMode("path");
+    };
 
-        tmpEuler.set(rx, rotY, rz);
-        tmpQuat.setFromEuler(tmpEuler);
-        tmpPos.set(x, lying ? 0.34 : 0.52, z);
-        tmpScale.set(2.85, 2.85, 2.85);
-        tmpMat.compose(tmpPos, tmpQuat, tmpScale);
-        tile.cans[vIdx].setMatrixAt(i, tmpMat);
+    container.addEventListener("pointerdown", onPathDown);
+    container.addEventListener("pointermove", onPathMove);
+    container.addEventListener("pointerup", onPathUp);
+    container.addEventListener("pointercancel", onPathUp);
+
+    // вода: кольца ряби и брызги. Пулы фиксированного размера, новые всплески занимают самые старые слоты
+    const rippleGeo = new THREE.RingGeometry(0.8, 1, 40).rotateX(-Math.PI / 2);
+    const ripples = Array.from({ length: 24 }, () => {
+      const mat = new THREE.MeshBasicMaterial({ color: 0xd8eef5, transparent: true, opacity: 0, depthWrite: false });
+      const mesh = new THREE.Mesh(rippleGeo, mat);
+      mesh.visible = false;
+      scene.add(mesh);
+      return { mesh, mat, age: 0, life: 0, size: 1, delay: 0 };
+    });
+    let rippleNext = 0;
+
+    const DROPS = 128;
+    const dropPos = new Float32Array(DROPS * 3).fill(-1e4);
+    const dropVel = new Float32Array(DROPS * 3);
+    const dropLife = new Float32Array(DROPS);
+    const dropGeo = new THREE.BufferGeometry();
+    const dropAttr = new THREE.BufferAttribute(dropPos, 3);
+    dropGeo.setAttribute("position", dropAttr);
+    const dropMat = new THREE.PointsMaterial({ color: 0xd4ecf5, size: 0.16, transparent: true, opacity: 0.85, depthWrite: false });
+    const drops = new THREE.Points(dropGeo, dropMat);
+    drops.frustumCulled = false;
+    scene.add(drops);
+    let dropNext = 0;
+
+    const spawnRipple = (x, y, z, size, life, delay) => {
+      const r = ripples[rippleNext];
+      rippleNext = (rippleNext + 1) % ripples.length;
+      r.mesh.position.set(x, y, z);
+      r.age = 0;
+      r.life = life;
+      r.size = size;
+      r.delay = delay;
+    };
 
-        canN[vIdx] = i + 1;
+    const splashAt = (x, z, impact) => {
+      const y = waterLevel(x, z) + 0.03;
+      if (!Number.isFinite(y)) return;
+      const k = clamp(impact / 8, 0.15, 1);
+      for (let i = 0; i < 3; i++) spawnRipple(x, y, z, lerp(1.6, 3.6, k) * (1 + 0.6 * i), 1.3 + 0.35 * i, 0.16 * i);
+
+      const n = Math.round(lerp(8, 28, k));
+      for (let i = 0; i < n; i++) {
+        const d = dropNext;
+        dropNext = (dropNext + 1) % DROPS;
+        const a = Math.random() * Math.PI * 2;
+        const out = lerp(0.8, 2.6, Math.random()) * (0.5 + k);
+        dropPos.set([x + Math.cos(a) * 0.3, y, z + Math.sin(a) * 0.3], d * 3);
+        dropVel.set([Math.cos(a) * out, lerp(2.2, 4.8, Math.random()) * (0.4 + k), Math.sin(a) * out], d * 3);
+        dropLife[d] = 1;
       }
+    };
 
-      tile.trunk.count = ti;
-      tile.crown.count = ti;
-      tile.bush.count = bi;
-      tile.rock.count = ri;
+    const waterFx = (e) => {
+      if (e.type === "splash") splashAt(e.x, e.z, -e.vy);
+      else if (e.type === "stroke") spawnRipple(e.x, waterLevel(e.x, e.z) + 0.03, e.z, 1.2, 1.1, 0);
+    };
 
-      tile.runeBase.count = runeN;
-      tile.runeCrystal.count = runeN;
-      tile.artifactPedestal.count = artN;
-      tile.artifact.count = artN;
+    const updateWaterFx = (dt) => {
+      for (const r of ripples) {
+        if (r.life <= 0) continue;
+        r.age += dt;
+        const t = (r.age - r.delay) / r.life;
+        r.mesh.visible = t >= 0 && t < 1;
+        if (t >= 1) r.life = 0;
+        if (!r.mesh.visible) continue;
+        r.mesh.scale.setScalar(r.size * (0.2 + 0.8 * Math.sqrt(t)));
+        r.mat.opacity = 0.55 * (1 - t);
+      }
 
-      for (let i = 0; i < tile.cans.length; i++) tile.cans[i].count = canN[i];
+      let live = false;
+      for (let i = 0; i < DROPS; i++) {
+        if (dropLife[i] <= 0) continue;
+        live = true;
+        const o = i * 3;
+        dropVel[o + 1] -= 9.81 * dt;
+        dropPos[o + 0] += dropVel[o + 0] * dt;
+        dropPos[o + 1] += dropVel[o + 1] * dt;
+        dropPos[o + 2] += dropVel[o + 2] * dt;
+        dropLife[i] -= dt * 0.9;
+        if (dropVel[o + 1] < 0 && dropPos[o + 1] < waterLevel(dropPos[o], dropPos[o + 2])) dropLife[i] = 0;
+        if (dropLife[i] <= 0) dropPos[o + 1] = -1e4;
+      }
+      if (live) dropAttr.needsUpdate = true;
+    };
 
-      tile.trunk.instanceMatrix.needsUpdate = true;
-      tile.crown.instanceMatrix.needsUpdate = true;
-      tile.bush.instanceMatrix.needsUpdate = true;
-      tile.rock.instanceMatrix.needsUpdate = true;
+    // новый сегмент ленты: углы проецируются на опору под ними (рельеф, камень, кувшинку)
+    const writeSkidSegment = (i, y) => {
+      const d = i * SKID_FIELDS;
+      const o = i * 12;
+      for (let k = 0; k < 4; k++) {
+        const x = skidMarks.data[d + k * 2];
+        const z = skidMarks.data[d + k * 2 + 1];
+        skidPositions.set([x, supportHeight(world, x, z, y + 0.3, 0) + 0.03, z], o + k * 3);
+      }
+      skidGeo.getAttribute("position").needsUpdate = true;
+    };
 
-      tile.runeBase.instanceMatrix.needsUpdate = true;
-      tile.runeCrystal.instanceMatrix.needsUpdate = true;
-      tile.artifactPedestal.instanceMatrix.needsUpdate = true;
-      tile.artifact.instanceMatrix.needsUpdate = true;
-      for (const c of tile.cans) c.instanceMatrix.needsUpdate = true;
+    const updateSkidMarks = (dt) => {
+      skidClock += dt;
+      const { data, count } = skidMarks;
+      for (let i = 0; i < count; i++) {
+        const d = i * SKID_FIELDS;
+        const a0 = SKID_ALPHA * data[d + 10] * skidFade(skidClock - data[d + 8]);
+        const a1 = SKID_ALPHA * data[d + 11] * skidFade(skidClock - data[d + 9]);
+        const o = i * 16;
+        skidColors[o + 3] = a0;
+        skidColors[o + 7] = a0;
+        skidColors[o + 11] = a1;
+        skidColors[o + 15] = a1;
+      }
+      skidGeo.getAttribute("color").needsUpdate = count > 0;
+      skidGeo.setDrawRange(0, count * 6);
+    };
 
-      if (tile.trunk.instanceColor) tile.trunk.instanceColor.needsUpdate = true;
-      if (tile.crown.instanceColor) tile.crown.instanceColor.needsUpdate = true;
-      if (tile.bush.instanceColor) tile.bush.instanceColor.needsUpdate = true;
-      if (tile.rock.instanceColor) tile.rock.instanceColor.needsUpdate = true;
+    // цвет пыли, травинки или листа — по биому под лапой: чем кустистее лес, тем чаще листья
+    const debrisColor = (biome, kind) => {
+      if (kind === "dust") return particleColor.setHex(biome.ground).offsetHSL(0, -0.15, 0.2 + 0.1 * Math.random());
+      const { h, s, l } = biome.bush;
+      particleColor.setHSL(lerp(h[0], h[1], Math.random()), lerp(s[0], s[1], Math.random()), lerp(l[0], l[1], Math.random()));
+      return kind === "grass" ? particleColor.offsetHSL(0.03, 0.1, 0.12) : particleColor.offsetHSL(0, 0, 0.08);
+    };
 
-      if (tile.runeCrystal.instanceColor) tile.runeCrystal.instanceColor.needsUpdate = true;
+    const kickPuff = (foot, vel, strength) => {
+      const biome = BIOMES[biomeAt(foot.x, foot.z)];
+      const kind = Math.random() < biome.bushes * 0.45 ? "leaf" : "dust";
+      const a = Math.random() * Math.PI * 2;
+      const out = lerp(0.4, 1.4, Math.random()) * strength;
+      particles.spawn(
+        kind,
+        foot.x,
+        terrainHeight(foot.x, foot.z) + 0.08,
+        foot.z,
+        -vel.x * 0.12 + Math.cos(a) * out,
+        lerp(0.8, 2.2, Math.random()) * (kind === "leaf" ? 1.3 : 0.7),
+        -vel.z * 0.12 + Math.sin(a) * out,
+        debrisColor(biome, kind),
+        kind === "leaf" ? lerp(1.2, 1.9, Math.random()) : lerp(0.7, 1.1, Math.random())
+      );
     };
 
-    const tileSlots = [];
-    for (let dz = -1; dz <= 1; dz++) {
-      for (let dx = -1; dx <= 1; dx++) {
-        const t = makeTile();
-        t.dx = dx;
-        t.dz = dz;
-        forestGroup.add(t.group);
-        tileSlots.push(t);
+    // приземление по опоре: на земле кольцо пыли (крупнее от удара), на кувшинке круги по воде, на камне крошка,
+    // на банках и пьедесталах ничего; трава и листья из-под лап на толчке, искры от подобранной руны
+    const particleFx = (e, frog) => {
+      const { pos } = frog;
+      if (e.type === "land") {
+        const k = clamp(-e.vy / 14, 0.1, 1);
+        const prop = supportProp(world, pos.x, pos.z, pos.y + 0.05, 0);
+        if (prop?.kind === "pad") {
+          const y = waterLevel(prop.x, prop.z) + 0.03;
+          if (Number.isFinite(y)) for (let i = 0; i < 2; i++) spawnRipple(prop.x, y, prop.z, prop.r * lerp(1.6, 2.6, k) * (1 + 0.5 * i), 1.2 + 0.3 * i, 0.14 * i);
+          return;
+        }
+        if (prop && prop.kind !== "rock") return;
+        const biome = BIOMES[biomeAt(pos.x, pos.z)];
+        const n = Math.round(prop ? lerp(3, 10, k) : lerp(8, 28, k));
+        for (let i = 0; i < n; i++) {
+          const a = ((i + Math.random() * 0.5) / n) * Math.PI * 2;
+          const out = lerp(1.5, 4.5, k) * lerp(0.8, 1.2, Math.random()) * (prop ? 0.5 : 1);
+          particles.spawn(
+            "dust",
+            pos.x + Math.cos(a) * 0.35,
+            pos.y + 0.08,
+            pos.z + Math.sin(a) * 0.35,
+            Math.cos(a) * out,
+            lerp(0.2, 0.8, Math.random()),
+            Math.sin(a) * out,
+            prop ? particleColor.setHex(0x8a8d92).offsetHSL(0, 0, 0.1 * Math.random()) : debrisColor(biome, "dust"),
+            lerp(0.8, 1.4, Math.random())
+          );
+        }
+      } else if (e.type === "jump") {
+        const biome = BIOMES[biomeAt(pos.x, pos.z)];
+        const k = e.horiz === undefined ? 0.6 : clamp(e.horiz / params.horizMax, 0, 1);
+        const n = Math.round(lerp(4, 14, k));
+        const bx = -Math.sin(frog.yaw);
+        const bz = -Math.cos(frog.yaw);
+        for (let i = 0; i < n; i++) {
+          const kind = Math.random() < biome.bushes * 0.5 ? "leaf" : "grass";
+          const side = lerp(-1, 1, Math.random());
+          const back = lerp(1, 3, Math.random()) * (0.5 + k);
+          particles.spawn(
+            kind,
+            pos.x + bx * 0.3,
+            pos.y + 0.1,
+            pos.z + bz * 0.3,
+            bx * back - bz * side,
+            lerp(1.5, 3.5, Math.random()) * (0.6 + 0.4 * k),
+            bz * back + bx * side,
+            debrisColor(biome, kind),
+            lerp(0.9, 1.6, Math.random())
+          );
+        }
+      } else if (e.type === "pickup" && e.kind === "rune") {
+        const layout = world.layout(e.tx, e.tz);
+        const r = layout.runes[+e.id.split(":")[1]];
+        particleColor.setHex(RUNE_COLORS[e.colorIndex]);
+        for (let i = 0; i < 24; i++) {
+          const a = Math.random() * Math.PI * 2;
+          const out = lerp(1.5, 4, Math.random());
+          sparks.spawn(
+            "glint",
+            layout.ox + r.x,
+            r.y0 + 0.92,
+            layout.oz + r.z,
+            Math.cos(a) * out,
+            lerp(1, 4, Math.random()),
+            Math.sin(a) * out,
+            particleColor,
+            lerp(0.6, 1.1, Math.random())
+          );
+        }
       }
-    }
-
-    let centerTX = 0;
-    let centerTZ = 0;
+    };
 
-    const updateForest = (newTX, newTZ) => {
-      centerTX = newTX;
-      centerTZ = newTZ;
-      for (const t of tileSlots) {
-        const tx2 = centerTX + t.dx;
-        const tz2 = centerTZ + t.dz;
-        t.group.position.set(tx2 * tileSize, 0, tz2 * tileSize);
-        populateTile(t, tx2, tz2);
+    // искры вокруг кристаллов рун и пузырьки из лежачих банок в ближних тайлах
+    const AMBIENT_RADIUS = 35;
+    const emitAmbient = (dt, center) => {
+      for (let tz = centerTZ - 1; tz <= centerTZ + 1; tz++) {
+        for (let tx = centerTX - 1; tx <= centerTX + 1; tx++) {
+          const t = tiles.get(tileKey(tx, tz));
+          if (!t || !t.ready) continue;
+          const layout = world.layout(tx, tz);
+          const collected = world.collectedIn(tx, tz);
+          const near = (x, z) => Math.hypot(x - center.x, z - center.z) < AMBIENT_RADIUS;
+
+          layout.runes.forEach((r, idx) => {
+            const x = layout.ox + r.x;
+            const z = layout.oz + r.z;
+            if (collected?.has(`rune:${idx}`) || !near(x, z) || Math.random() > dt * 6) return;
+            particleColor.setHex(RUNE_COLORS[r.colorIndex]);
+            const spin = lerp(1.5, 3, Math.random()) * (Math.random() < 0.5 ? -1 : 1);
+            sparks.spawn("spark", x, r.y0 + lerp(0.4, 1.1, Math.random()), z, spin, lerp(0.15, 0.4, Math.random()), lerp(0.45, 0.8, Math.random()), particleColor, lerp(1.2, 2.2, Math.random()));
+          });
+
+          layout.cans.forEach((c, idx) => {
+            if (!c.lying || collected?.has(`can:${idx}`) || Math.random() > dt * 4) return;
+            const x = layout.ox + c.x + Math.sin(c.rotY) * 1.45;
+            const z = layout.oz + c.z + Math.cos(c.rotY) * 1.45;
+            if (!near(x, z)) return;
+            particleColor.setHex(CAN_VARIANTS[c.variant].accent).lerp(bubbleTint, 0.6);
+            particles.spawn(
+              "bubble",
+              x + lerp(-0.2, 0.2, Math.random()),
+              c.y + lerp(0.1, 0.5, Math.random()),
+              z + lerp(-0.2, 0.2, Math.random()),
+              lerp(-0.2, 0.2, Math.random()),
+              lerp(0.3, 0.8, Math.random()),
+              lerp(-0.2, 0.2, Math.random()),
+              particleColor,
+              lerp(0.8, 1.5, Math.random())
+            );
+          });
+        }
       }
     };
 
-    const pos = vec3(0, 0, 0);
-    const vel = vec3(0, 0, 0);
+    const groundPose = [0, 0, 0];
+    const airPose = [0, 0, 0];
 
-    let yaw = 0;
-    let targetYaw = 0;
-    let turnDelta = 0;
+    const mixPose = (out, a, b, t) => {
+      for (let i = 0; i < 3; i++) out[i] = lerp(a[i], b[i], t);
+      return out;
+    };
 
-    let airborne = false;
-    let vy = 0;
-    let groundTimer = 0;
-    let airborneTime = 0;
+    /**
+     * Двухзвенная IK в плоскости тела: ставит конец голени (запястье) в точку (ty, tz) системы torso.
+     * bend −1 выносит колено вперёд (задние лапы), +1 — локоть назад (передние). Пишет абсолютные углы в out.
+     */
+    const solveLeg = (leg, ty, tz, bend, footAbs, splay, out) => {
+      const dy = (ty - leg.root.position.y) / Math.cos(splay);
+      const dz = tz - leg.root.position.z;
+      const l1 = leg.upperLen;
+      const l2 = leg.lowerLen;
+      const d = clamp(Math.hypot(dy, dz), Math.abs(l1 - l2) + 1e-3, l1 + l2 - 1e-3);
+      const a1 = Math.atan2(-dz, -dy) + bend * Math.acos(clamp((l1 * l1 + d * d - l2 * l2) / (2 * l1 * d), -1, 1));
+      out[0] = a1;
+      out[1] = Math.atan2(-(dz + Math.sin(a1) * l1), -(dy + Math.cos(a1) * l1));
+      out[2] = footAbs;
+      return out;
+    };
 
-    const maxTurn = Math.PI / 2;
-    const g = 9.81;
+    const setLeg = (leg, pose, splay) => {
+      leg.root.rotation.x = pose[0];
+      leg.mid.rotation.x = wrapPi(pose[1] - pose[0]);
+      leg.end.rotation.x = wrapPi(pose[2] - pose[1]);
+      leg.root.rotation.z = leg.side * splay;
+    };
 
-    const leftCount = { current: 0 };
-    const rightCount = { current: 0 };
+    // точка опоры лапы (в системе жабы) переводится в систему наклонённого и присевшего таза
+    const torsoPoint = (torso, y, z, out) => {
+      const c = Math.cos(torso.rotation.x);
+      const s = Math.sin(torso.rotation.x);
+      const ly = y - torso.position.y;
+      const lz = z - torso.position.z;
+      out.y = ly * c + lz * s;
+      out.z = -ly * s + lz * c;
+      return out;
+    };
+    const legTarget = { y: 0, z: 0 };
+
+    const poseLeg = (v, leg, front, air, splay) => {
+      const { rig, anim } = v;
+      const z = front ? 0.56 + 0.06 * anim.crouch : -0.3 + 0.05 * anim.crouch - 0.1 * anim.splay;
+      torsoPoint(rig.torso, front ? 0.01 : 0.05, z, legTarget);
+      solveLeg(leg, legTarget.y, legTarget.z, front ? 1 : -1, front ? -1.3 : -Math.PI / 2, splay, groundPose);
+      setLeg(leg, mixPose(groundPose, groundPose, air, v.air), splay);
+    };
 
-    const fwd = vec3();
-    const right = vec3();
-    const camPos = vec3();
-    const camLook = vec3();
-    const v0 = vec3();
-    const v1 = vec3();
-    const footL = vec3();
-    const footR = vec3();
+    const poseFrog = (v, state, dt, charge = null) => {
+      const { rig, pos, yaw, skidTracks } = v;
+      const { airborne, drift, vy, swimming } = state;
+      const vel = frameVel.set(state.vel.x, 0, state.vel.z);
+      const anim = updateFrogAnim(v.anim, state, dt, charge);
 
-    const euler = new THREE.Euler(0, 0, 0, "YXZ");
+      fwd.set(Math.sin(yaw), 0, Math.cos(yaw));
+      right.set(fwd.z, 0, -fwd.x);
 
-    const planNextJump = () => {
-      const d = (Math.random() * 2 - 1) * maxTurn;
-      turnDelta = clamp(d, -maxTurn, maxTurn);
-      targetYaw = wrapPi(yaw + turnDelta);
+      // гребок: задние лапы резко выпрямляются назад и медленно подтягиваются к следующему
+      const phase = swimming ? 1 - clamp(state.strokeTimer / SWIM_STROKE, 0, 1) : 0;
+      const kick = smoothstep(0, 0.1, phase) * (1 - smoothstep(0.2, 0.85, phase));
+
+      // таз приседает перед прыжком и от удара, на толчке задирается; тело сплющивается и дышит
+      const squash = anim.squash;
+      rig.torso.position.y = FROG_TORSO_Y - 0.12 * anim.crouch - 0.09 * Math.max(0, squash) + 0.05 * anim.extend;
+      rig.torso.rotation.x = -0.14 * anim.crouch - 0.22 * anim.extend + 0.2 * anim.reach + 0.1 * squash;
+      rig.shape.scale.set(
+        1 + 0.16 * squash + 0.015 * anim.breathe,
+        1 - 0.28 * squash - 0.06 * anim.extend + 0.02 * anim.breathe,
+        1 + 0.1 * squash + 0.12 * anim.extend
+      );
+      rig.neck.rotation.x = 0.22 * squash - 0.15 * anim.extend + 0.1 * anim.reach + 0.03 * anim.breathe;
+      rig.throat.scale.y = 0.26 * (1 + 0.4 * Math.max(0, anim.breathe));
+      rig.lidL.rotation.x = lerp(-1.25, 1.5, anim.blink);
+      rig.lidR.rotation.x = rig.lidL.rotation.x;
+
+      // в полёте и в воде лапы в позах, на земле — стоят на опоре; переход сглажен v.air
+      v.air = lerp(v.air, airborne || swimming ? 1 : 0, 1 - Math.exp(-(airborne ? 30 : 14) * dt));
+      if (swimming) {
+        mixPose(airPose, LEG_POSES.backRecover, LEG_POSES.backTrail, kick);
+      } else {
+        mixPose(airPose, LEG_POSES.backPush, LEG_POSES.backTrail, anim.trail);
+        mixPose(airPose, airPose, LEG_POSES.backTuck, anim.reach);
+      }
+      const backSplay = swimming ? 0.15 + 0.6 * (1 - kick) : 0.22 + 0.55 * anim.splay;
+      poseLeg(v, rig.backL, false, airPose, backSplay);
+      poseLeg(v, rig.backR, false, airPose, backSplay);
 
-      const up = lerp(5.0, 7.4, Math.random());
-      const horiz = lerp(8.5, 15.5, Math.random());
+      if (swimming) {
+        mixPose(airPose, LEG_POSES.frontPaddle, LEG_POSES.frontTrail, kick * 0.5);
+      } else {
+        mixPose(airPose, LEG_POSES.frontPush, LEG_POSES.frontTrail, anim.trail);
+        mixPose(airPose, airPose, LEG_POSES.frontReach, anim.reach);
+      }
+      const frontSplay = swimming ? 0.35 : 0.12 + 0.45 * anim.splay;
+      poseLeg(v, rig.frontL, true, airPose, frontSplay);
+      poseLeg(v, rig.frontR, true, airPose, frontSplay);
 
-      fwd.set(Math.sin(yaw), 0, Math.cos(yaw));
+      const speed = Math.sqrt(vel.x * vel.x + vel.z * vel.z);
 
-      vel.x = fwd.x * horiz;
-      vel.z = fwd.z * horiz;
+      const skidOn = !airborne && !swimming && drift > 0.38 && speed > 4.0;
+      if (skidOn) {
+        const footBack = -0.18;
+        const halfSpan = 0.38;
+        const strength = clamp(drift, 0, 1) * smoothstep(4, 10, speed);
 
-      vy = up;
-      airborne = true;
-      airborneTime = 0;
-    };
+        footL.copy(pos).addScaledVector(fwd, footBack).addScaledVector(right, -halfSpan);
+        footR.copy(pos).addScaledVector(fwd, footBack).addScaledVector(right, halfSpan);
 
-    planNextJump();
-    updateForest(0, 0);
+        [footL, footR].forEach((foot, k) => {
+          const i = addSkidPoint(skidMarks, skidTracks[k], foot.x, foot.z, 0.16 + 0.1 * strength, 0.35 + 0.65 * strength, skidClock);
+          if (i >= 0) writeSkidSegment(i, pos.y);
+        });
 
-    const pushPoint = (arr, countObj, x, y, z) => {
-      const n = countObj.current;
-      if (n < skidBudget) {
-        const i = n * 3;
-        arr[i + 0] = x;
-        arr[i + 1] = y;
-        arr[i + 2] = z;
-        countObj.current = n + 1;
-        return;
+        v.puffAcc += dt * 36 * strength;
+        for (; v.puffAcc >= 1; v.puffAcc--) kickPuff(Math.random() < 0.5 ? footL : footR, vel, strength);
+      } else {
+        for (const track of skidTracks) endSkidTrack(skidMarks, track);
+        v.puffAcc = 0;
       }
-      arr.copyWithin(0, 3);
-      const j = (skidBudget - 1) * 3;
-      arr[j + 0] = x;
-      arr[j + 1] = y;
-      arr[j + 2] = z;
-    };
 
-    const popFront = (arr, countObj) => {
-      const n = countObj.current;
-      if (n <= 0) return;
-      if (n === 1) {
-        countObj.current = 0;
-        return;
+      rig.frog.position.set(pos.x, pos.y, pos.z);
+
+      const vLong2 = vel.dot(fwd);
+      const vLat2 = vel.dot(right);
+
+      const roll = clamp((-vLat2 / 10) * lerp(0.6, 1.1, drift), -0.35, 0.35);
+      let pitch = airborne ? clamp(vy / 10, -0.25, 0.25) : clamp((-vLong2 / 18) * 0.18, -0.18, 0.18);
+      if (swimming) pitch = -0.08 + 0.05 * kick;
+
+      const hover = pos.y - terrainHeight(pos.x, pos.z);
+      const stick = swimming ? 0 : 1 - smoothstep(0, 1.5, hover);
+      const slopePitch = -Math.atan(terrainSlope(pos.x, pos.z, fwd.x, fwd.z)) * stick;
+      const slopeRoll = Math.atan(terrainSlope(pos.x, pos.z, right.x, right.z)) * stick;
+
+      euler.set(pitch + slopePitch, yaw, roll + slopeRoll);
+      rig.frog.rotation.copy(euler);
+
+      // пятно лежит на опоре под жабой: чем выше прыжок, тем оно шире и бледнее; в воде его не видно
+      if (v.blob.visible) {
+        const ground = supportHeight(world, pos.x, pos.z, pos.y + 0.05, 0);
+        const onTerrain = ground === terrainHeight(pos.x, pos.z);
+        const height = Math.max(0, pos.y - ground);
+        v.blob.visible = !swimming && waterLevel(pos.x, pos.z) < ground;
+        v.blob.position.set(pos.x, ground + 0.04, pos.z);
+        v.blob.scale.setScalar(1 + 0.12 * height);
+        v.blob.material.opacity = lerp(1, 0.25, smoothstep(0, 5, height));
+        euler.set(
+          onTerrain ? -Math.atan(terrainSlope(pos.x, pos.z, fwd.x, fwd.z)) : 0,
+          yaw,
+          onTerrain ? Math.atan(terrainSlope(pos.x, pos.z, right.x, right.z)) : 0
+        );
+        v.blob.rotation.copy(euler);
       }
-      arr.copyWithin(0, 3, n * 3);
-      countObj.current = n - 1;
-    };
 
-    const syncSkids = () => {
-      const lc = leftCount.current;
-      const rc = rightCount.current;
-      leftAttr.needsUpdate = true;
-      rightAttr.needsUpdate = true;
-      leftGeom.setDrawRange(0, lc >= 2 ? lc : 0);
-      rightGeom.setDrawRange(0, rc >= 2 ? rc : 0);
+      v.speed = speed;
+      v.skidOn = skidOn;
+      v.vLong = vLong2;
+      v.vLat = vLat2;
     };
 
+    const bufferSize = new THREE.Vector2();
     const resize = () => {
       const w = container.clientWidth || 1;
       const h = container.clientHeight || 1;
       renderer.setSize(w, h, false);
+      renderer.getDrawingBufferSize(bufferSize);
+      postFx.setSize(bufferSize.x, bufferSize.y, quality.preset.antialias && renderer.capabilities.isWebGL2 ? 4 : 0);
       camera.aspect = w / h;
       camera.updateProjectionMatrix();
     };
 
-    resize();
-    window.addEventListener("resize", resize);
-
-    let prev = performance.now();
-    const tick = (now) => {
-      rafRef.current = requestAnimationFrame(tick);
+    const reportQuality = () =>
+      onQualityChange?.({ mode: quality.mode, preset: quality.preset.id, reload: quality.preset.antialias !== quality.antialias });
+
+    const applyQuality = (preset) => {
+      quality.preset = preset;
+      applyToneMapping(renderer);
+      reportPostFx();
+      renderer.setPixelRatio(Math.min(window.devicePixelRatio || 1, preset.pixelRatio));
+
+      const shadows = preset.shadowSize > 0;
+      dir.castShadow = shadows;
+      if (shadows && dir.shadow.mapSize.x !== preset.shadowSize) {
+        dir.shadow.mapSize.set(preset.shadowSize, preset.shadowSize);
+        dir.shadow.map?.dispose();
+        dir.shadow.map = null;
+      }
+      if (renderer.shadowMap.enabled !== shadows) {
+        renderer.shadowMap.enabled = shadows;
+        // шейдеры с тенями и без — разные программы, материалы надо перекомпилировать
+        scene.traverse((o) => {
+          if (!o.material) return;
+          for (const m of Array.isArray(o.material) ? o.material : [o.material]) m.needsUpdate = true;
+        });
+      }
 
-      const delta = (now - prev) / 1000;
-      prev = now;
-      const dt = clamp(delta, 0.001, 0.03);
+      for (const t of [...tiles.values(), ...freeTiles]) {
+        thinInstances(t.bush);
+        thinInstances(t.impostor);
+        thinInstances(t.impostorRound);
+      }
+      particles.setBudget(preset.particles);
+      sparks.setBudget(preset.particles);
+      applyViewRadius();
+      resize();
+      reportQuality();
+    };
 
-      fwd.set(Math.sin(yaw), 0, Math.cos(yaw));
-      right.set(fwd.z, 0, -fwd.x);
+    // первые секунды после смены пресета не в счёт: там перекомпиляция шейдеров и догрузка тайлов
+    const measureQuality = (delta, nowSec) => {
+      if (delta > 0.25) return;
+      quality.frame = lerp(quality.frame, delta, 0.03);
+      gpuTimer.poll();
+      if (quality.mode !== "auto" || nowSec < quality.checkAt) return;
+      const i = QUALITY_PRESETS.indexOf(quality.preset);
+      const headroom = gpuTimer.seconds === null || gpuTimer.seconds < QUALITY_GPU_HEADROOM;
+      if (quality.frame > QUALITY_SLOW && i > 0) {
+        quality.ceiling = i - 1;
+        applyQuality(QUALITY_PRESETS[i - 1]);
+      } else if (quality.frame < QUALITY_FAST && headroom && nowSec >= quality.climbAt && i < quality.ceiling) {
+        applyQuality(QUALITY_PRESETS[i + 1]);
+      } else {
+        return;
+      }
+      quality.frame = 1 / 50;
+      quality.checkAt = nowSec + 4;
+      quality.climbAt = nowSec + QUALITY_CLIMB_COOLDOWN;
+      gpuTimer.seconds = null;
+    };
 
-      let drift = 0;
+    applyQuality(quality.preset);
+    window.addEventListener("resize", resize);
 
-      if (airborne) {
-        airborneTime += dt;
+    const score = { points: 0, runes: RUNE_COLORS.map(() => 0), artifacts: 0, cans: 0 };
 
-        yaw = lerpAngle(yaw, targetYaw, 1 - Math.exp(-4.8 * dt));
+    const applyPickup = (e) => {
+      score.points += e.points;
+      if (e.kind === "rune") score.runes[e.colorIndex]++;
+      else if (e.kind === "artifact") score.artifacts++;
+      else score.cans++;
+      onScoreChange?.({ ...score, runes: [...score.runes] });
 
-        vy -= g * dt;
-        pos.y += vy * dt;
-        pos.x += vel.x * dt;
-        pos.z += vel.z * dt;
+      const t = tiles.get(tileKey(e.tx, e.tz));
+      if (t && t.ready) applyInstances(t, buildTileInstances(world.layout(e.tx, e.tz), world.collectedIn(e.tx, e.tz)));
+    };
 
-        const airDrag = Math.exp(-0.22 * dt);
-        vel.x *= airDrag;
-        vel.z *= airDrag;
+    // карта: посещённые вожаком тайлы, его след и метка-цель (в мире над ней стоит столб света)
+    const mapPainter = createMapPainter(world);
+    const mapView = { open: false, visited: new Map(), trail: [], frog: { x: 0, z: 0, yaw: 0 }, waypoint: null, drawAt: 0, fit: null };
+    const beaconGeo = new THREE.CylinderGeometry(0.3, 0.3, 40, 12, 1, true);
+    const beaconMat = new THREE.MeshBasicMaterial({
+      color: 0xff5a4a,
+      transparent: true,
+      opacity: 0.4,
+      depthWrite: false,
+      blending: THREE.AdditiveBlending,
+      side: THREE.DoubleSide,
+    });
+    beaconMat.toneMapped = false;
+    const beacon = new THREE.Mesh(beaconGeo, beaconMat);
+    beacon.layers.enable(BLOOM_LAYER);
+    beacon.visible = false;
+    scene.add(beacon);
+
+    const reportMap = () => onMapChange?.({ open: mapView.open, waypoint: !!mapView.waypoint, visited: mapView.visited.size });
+
+    const setWaypointAt = (x, z) => {
+      mapView.waypoint = { x, z };
+      beacon.position.set(x, terrainHeight(x, z) + 20, z);
+      beacon.visible = true;
+      mapView.drawAt = 0;
+      reportMap();
+    };
 
-        if (pos.y <= 0 && vy <= 0) {
-          pos.y = 0;
-          vy = 0;
-          airborne = false;
+    const clearWaypoint = () => {
+      mapView.waypoint = null;
+      beacon.visible = false;
+      mapView.drawAt = 0;
+      reportMap();
+    };
 
-          yaw = targetYaw;
+    const setMapOpen = (open) => {
+      mapView.open = !!open;
+      mapView.drawAt = 0;
+      reportMap();
+    };
 
-          vel.x *= 0.92;
-          vel.z *= 0.92;
+    // клик по большой карте: пиксели холста → мир по тому же кадрированию, с которым карта нарисована
+    const pickMapPoint = (u, v) => {
+      const { fit } = mapView;
+      if (fit) setWaypointAt(fit.cx + (u - fit.w * 0.5) / fit.scale, fit.cz + (v - fit.h * 0.5) / fit.scale);
+    };
 
-          groundTimer = lerp(0.35, 1.1, Math.random());
+    // live — кадр живой симуляции: только он отмечает посещённые тайлы, тянет след и снимает достигнутую цель,
+    // при просмотре трассы на карте лишь двигается жаба
+    const updateMap = (nowMs, p, yaw, live) => {
+      const { trail, frog, visited } = mapView;
+      frog.x = p.x;
+      frog.z = p.z;
+      frog.yaw = yaw;
+      if (live) {
+        const tx = Math.floor((p.x + tileSize * 0.5) / tileSize);
+        const tz = Math.floor((p.z + tileSize * 0.5) / tileSize);
+        const key = tileKey(tx, tz);
+        if (!visited.has(key)) {
+          visited.set(key, [tx, tz]);
+          reportMap();
+        }
+        const last = trail[trail.length - 1];
+        if (!last || Math.hypot(p.x - last.x, p.z - last.z) >= TRAIL_STEP) {
+          trail.push({ x: p.x, z: p.z });
+          if (trail.length > TRAIL_MAX) trail.shift();
         }
+        const wp = mapView.waypoint;
+        if (wp && Math.hypot(p.x - wp.x, p.z - wp.z) < WAYPOINT_REACH) clearWaypoint();
+      }
 
-        const tuck = smoothstep(0, 0.25, airborneTime) * (1 - smoothstep(0.55, 0.9, airborneTime));
-        const t = clamp(tuck, 0, 1);
+      if (nowMs < mapView.drawAt) return;
+      mapView.drawAt = nowMs + 100;
+      const shared = { tx: centerTX, tz: centerTZ, near: view.near, trail, frog, waypoint: mapView.waypoint };
 
-        frontLegL.rotation.x = Math.PI / 2 - 0.9 * t;
-        frontLegR.rotation.x = Math.PI / 2 - 0.9 * t;
-        backLegL.rotation.x = Math.PI / 2 - 0.6 * t;
-        backLegR.rotation.x = Math.PI / 2 - 0.6 * t;
+      const mini = minimapRef.current;
+      if (mini) {
+        const loaded = [];
+        for (const t of tiles.values()) if (t.ready) loaded.push([t.tx, t.tz]);
+        const goal = mapView.waypoint ? ` · до цели ${Math.round(Math.hypot(p.x - mapView.waypoint.x, p.z - mapView.waypoint.z))} м` : "";
+        mapPainter.draw(mini, { ...shared, cx: p.x, cz: p.z, scale: mini.width / MINIMAP_SPAN, tiles: loaded, label: `${centerTX}, ${centerTZ}${goal}` });
+      }
 
-        footFL.position.y = 0.11 + 0.12 * t;
-        footFR.position.y = 0.11 + 0.12 * t;
-        footBL.position.y = 0.11 + 0.18 * t;
-        footBR.position.y = 0.11 + 0.18 * t;
-      } else {
-        groundTimer -= dt;
+      const big = worldMapRef.current;
+      if (!mapView.open || !big) return;
+      let x0 = Infinity;
+      let x1 = -Infinity;
+      let z0 = Infinity;
+      let z1 = -Infinity;
+      for (const [vx, vz] of visited.values()) {
+        x0 = Math.min(x0, vx);
+        x1 = Math.max(x1, vx);
+        z0 = Math.min(z0, vz);
+        z1 = Math.max(z1, vz);
+      }
+      const spanX = (x1 - x0 + 1.5) * tileSize;
+      const spanZ = (z1 - z0 + 1.5) * tileSize;
+      mapView.fit = {
+        cx: ((x0 + x1) * 0.5) * tileSize,
+        cz: ((z0 + z1) * 0.5) * tileSize,
+        scale: Math.min(big.width / spanX, big.height / spanZ),
+        w: big.width,
+        h: big.height,
+      };
+      mapPainter.draw(big, { ...shared, ...mapView.fit, tiles: visited.values(), label: `посещено тайлов: ${visited.size}` });
+    };
+
+    let trace = createTrace(sim, params);
+    let replay = null;
+    const replayFrame = { pos: { x: 0, y: 0, z: 0 }, vel: { x: 0, z: 0 }, vy: 0, yaw: 0, drift: 0, airborne: false, airborneTime: 0, groundTimer: Infinity };
+    let replayReportAt = 0;
+    let telemetryAt = 0;
+    let wasAirborne = true;
+    const frameEvents = [];
+    const audio = createAudio();
+
+    const reportReplay = () => {
+      onReplayChange?.(
+        replay ? { t: replay.t, duration: replay.duration, playing: replay.playing, speed: replay.speed } : null
+      );
+    };
 
-        const vLong = vel.dot(fwd);
-        const vLat = vel.dot(right);
-        const speed = Math.sqrt(vel.x * vel.x + vel.z * vel.z);
+    const clearSkids = () => {
+      clearSkidMarks(skidMarks);
+      skidGeo.setDrawRange(0, 0);
+      particles.clear();
+      sparks.clear();
+    };
+
+    const startReplay = (tr) => {
+      replay = { trace: tr, t: 0, duration: traceDuration(tr), playing: true, speed: 1 };
+      clearSkids();
+      reportReplay();
+    };
 
-        const beta = Math.atan2(vLat, Math.abs(vLong) + 0.6);
-        const betaAbs = Math.abs(beta);
+    const replayApi = {
+      exportTrace: () => JSON.stringify(trace),
+      exportSeed: () => trace.seed,
+      loadTrace: (text) => startReplay(parseTrace(text)),
+      replayLive: () => startReplay(JSON.parse(JSON.stringify(trace))),
+      togglePlay: () => {
+        if (!replay) return;
+        if (!replay.playing && replay.t >= replay.duration) replay.t = 0;
+        replay.playing = !replay.playing;
+        reportReplay();
+      },
+      seek: (t) => {
+        if (!replay) return;
+        replay.t = clamp(t, 0, replay.duration);
+        clearSkids();
+        reportReplay();
+      },
+      setSpeed: (speed) => {
+        if (!replay) return;
+        replay.speed = clamp(speed, 0.05, 8);
+        reportReplay();
+      },
+      exitReplay: () => {
+        replay = null;
+        clearSkids();
+        acc = 0;
+        reportReplay();
+      },
+    };
 
-        drift = clamp(smoothstep(0.18, 0.58, betaAbs) * smoothstep(3.0, 10.0, speed), 0, 1);
+    // экспорт в .glb: жаба вожака (в том, что на ней надето), она же с анимацией записанного пути или загруженные 3×3 тайла
+    const exportGlb = (what) => {
+      const frogPart = { object: frogViews[0].rig.frog, name: "frog", skip: (o) => !o.visible };
+      if (what === "frog") return exportGltf([frogPart]);
+      if (what === "path") {
+        const tr = replay ? replay.trace : trace;
+        if (!(traceDuration(tr) > 0)) return Promise.reject(new Error("трасса пуста"));
+        return exportGltf([frogPart], pathAnimation(tr));
+      }
+      const parts = [];
+      for (let dz = -1; dz <= 1; dz++) {
+        for (let dx = -1; dx <= 1; dx++) {
+          const t = tiles.get(tileKey(centerTX + dx, centerTZ + dz));
+          if (!t || !t.ready) continue;
+          parts.push({
+            object: t.group,
+            name: `tile ${t.tx},${t.tz}`,
+            offset: [dx * tileSize, 0, dz * tileSize],
+            skip: (o) => o === t.far || (!o.visible && o !== t.near),
+          });
+        }
+      }
+      if (!parts.length) return Promise.reject(new Error("тайлы ещё не загружены"));
+      return exportGltf(parts);
+    };
 
-        const kLong = 2.3;
-        const kLat = lerp(1.15, 7.0, 1 - drift);
+    const dressModel = (id) => {
+      if (id === "frog") {
+        for (const v of frogViews) dressFrog(v.rig);
+      } else if (wardrobe[id]) {
+        dressAccessory(id);
+      } else {
+        for (const t of [...tiles.values(), ...freeTiles]) dressTile(t);
+      }
+    };
 
-        const dLong = Math.exp(-kLong * dt);
-        const dLat = Math.exp(-kLat * dt);
+    const disposeModel = (model) => {
+      model.geometry.dispose();
+      for (const m of model.materials) {
+        m.map?.image?.close?.();
+        m.map?.dispose();
+        m.dispose();
+      }
+    };
 
-        const nLong = vLong * dLong;
-        const nLat = vLat * dLat;
+    const reportModels = () => onModelsChange?.([...modelOverrides.keys()]);
+
+    // прежняя модель освобождается только после того, как её сняли со всех мешей
+    const importModel = (id, bytes) => {
+      if (!MODEL_TARGETS.some((t) => t.id === id)) return Promise.reject(new Error(`нечего заменять: ${id}`));
+      return loadGltfModel(bytes).then((model) => {
+        fitGeometry(model.geometry, modelBox(id));
+        const old = modelOverrides.get(id);
+        modelOverrides.set(id, model);
+        dressModel(id);
+        if (old) disposeModel(old);
+        reportModels();
+        return model.geometry.index.count / 3;
+      });
+    };
 
-        vel.x = fwd.x * nLong + right.x * nLat;
-        vel.z = fwd.z * nLong + right.z * nLat;
+    const resetModel = (id) => {
+      const old = modelOverrides.get(id);
+      if (!old) return;
+      modelOverrides.delete(id);
+      dressModel(id);
+      disposeModel(old);
+      reportModels();
+    };
 
-        const overall = Math.exp(-0.22 * dt);
-        vel.x *= overall;
-        vel.z *= overall;
+    const cmd = { jump: null, drift: false };
+    let acc = 0;
 
-        pos.x += vel.x * dt;
-        pos.z += vel.z * dt;
+    let prev = performance.now();
+    const tick = (now) => {
+      rafRef.current = requestAnimationFrame(tick);
 
-        if (groundTimer <= 0) {
-          const speed2 = Math.sqrt(vel.x * vel.x + vel.z * vel.z);
-          if (speed2 < 1.35) planNextJump();
+      const delta = (now - prev) / 1000;
+      prev = now;
+      const dt = clamp(delta, 0.001, 0.1);
+      measureQuality(delta, now / 1000);
+
+      updatePilot(dt);
+
+      cmd.drift = pilot.enabled && pilot.drift;
+      if (pilot.enabled && pilot.release) cmd.jump = { turn: pilot.aim, power: pilot.charge };
+
+      const leader = frogViews[0];
+      const pos = leader.pos;
+      let view = sim;
+      frameEvents.length = 0;
+
+      if (replay) {
+        if (replay.playing) {
+          replay.t = Math.min(replay.t + dt * replay.speed, replay.duration);
+          if (replay.t >= replay.duration) {
+            replay.playing = false;
+            reportReplay();
+          }
+        }
+        if (replay.playing && now - replayReportAt > 100) {
+          replayReportAt = now;
+          reportReplay();
         }
 
-        const extend = 1 - smoothstep(0, 0.4, drift);
-        const e = clamp(extend, 0, 1);
+        const wasUp = replayFrame.airborne;
+        const lastVy = replayFrame.vy;
+        view = sampleTrace(replay.trace, replay.t, replayFrame);
+        pos.set(view.pos.x, view.pos.y, view.pos.z);
+        leader.yaw = view.yaw;
 
-        frontLegL.rotation.x = Math.PI / 2 - 0.25 * e;
-        frontLegR.rotation.x = Math.PI / 2 - 0.25 * e;
-        backLegL.rotation.x = Math.PI / 2 - 0.35 * e;
-        backLegR.rotation.x = Math.PI / 2 - 0.35 * e;
+        if (replay.playing && !wasUp && view.airborne) frameEvents.push({ type: "jump" });
+        if (replay.playing && wasUp && !view.airborne) {
+          frameEvents.push({ type: view.swimming ? "splash" : "land", vy: lastVy, x: pos.x, z: pos.z });
+        }
+        for (const e of frameEvents) {
+          waterFx(e);
+          particleFx(e, view);
+        }
+      } else {
+        acc += dt;
+        while (acc >= SIM_DT) {
+          for (let i = 0; i < sims.length; i++) {
+            const s = sims[i];
+            const v = frogViews[i];
+            v.prevPos.x = s.pos.x;
+            v.prevPos.y = s.pos.y;
+            v.prevPos.z = s.pos.z;
+            v.prevYaw = s.yaw;
+            s.events.length = 0;
+          }
+
+          simCmds[0] = pilot.enabled ? cmd : null;
+          stepFrogGroup(sims, params, SIM_DT, simCmds, world, flock.behaviour);
+          recordTraceStep(trace, sim);
+          for (const s of sims) {
+            for (const e of s.events) {
+              if (e.type === "pickup") applyPickup(e);
+              waterFx(e);
+              particleFx(e, s);
+              if (s === sim) frameEvents.push(e);
+            }
+          }
+          cmd.jump = null;
+          acc -= SIM_DT;
+        }
 
-        footFL.position.y = 0.11;
-        footFR.position.y = 0.11;
-        footBL.position.y = 0.11;
-        footBR.position.y = 0.11;
+        const alpha = acc / SIM_DT;
+        for (let i = 0; i < sims.length; i++) {
+          const s = sims[i];
+          const v = frogViews[i];
+          v.pos.set(
+            lerp(v.prevPos.x, s.pos.x, alpha),
+            lerp(v.prevPos.y, s.pos.y, alpha),
+            lerp(v.prevPos.z, s.pos.z, alpha)
+          );
+          v.yaw = lerpAngle(v.prevYaw, s.yaw, alpha);
+        }
       }
 
-      const speed = Math.sqrt(vel.x * vel.x + vel.z * vel.z);
+      // в повторе есть только трасса вожака, остальных прячем
+      for (let i = 0; i < frogViews.length; i++) {
+        const v = frogViews[i];
+        const shown = i === 0 || !replay;
+        v.rig.frog.visible = shown;
+        v.blob.visible = shown && !renderer.shadowMap.enabled;
+        if (shown) poseFrog(v, i === 0 ? view : sims[i], dt, i === 0 && pilot.enabled && !replay ? pilot.charge : null);
+      }
 
-      const snap = 10;
-      const gx = Math.round(pos.x / snap) * snap;
-      const gz = Math.round(pos.z / snap) * snap;
-      ground.position.set(gx, 0, gz);
+      const yaw = leader.yaw;
+      const { airborne, airborneTime, drift } = view;
+      const { speed, skidOn } = leader;
 
-      const newTX = Math.floor((pos.x + tileSize * 0.5) / tileSize);
-      const newTZ = Math.floor((pos.z + tileSize * 0.5) / tileSize);
+      focusPos.copy(pos);
+      if (flock.focus === "centroid" && !replay) {
+        focusPos.set(0, 0, 0);
+        for (const v of frogViews) focusPos.add(v.pos);
+        focusPos.multiplyScalar(1 / frogViews.length);
+      }
+
+      const newTX = Math.floor((focusPos.x + tileSize * 0.5) / tileSize);
+      const newTZ = Math.floor((focusPos.z + tileSize * 0.5) / tileSize);
       if (newTX !== centerTX || newTZ !== centerTZ) updateForest(newTX, newTZ);
+      pumpTiles();
 
-      const skidOn = !airborne && drift > 0.38 && speed > 4.0;
-      if (skidOn) {
-        const footBack = -0.18;
-        const halfSpan = 0.38;
+      if (pilot.release) {
+        pilot.release = false;
+        pilot.charge = 0;
+      }
 
-        footL.copy(pos).addScaledVector(fwd, footBack).addScaledVector(right, -halfSpan);
-        footR.copy(pos).addScaledVector(fwd, footBack).addScaledVector(right, halfSpan);
+      aimArrow.visible = pilot.enabled && !replay && !airborne;
+      if (aimArrow.visible) {
+        const aimYaw = yaw + pilot.aim;
+        aimArrow.position.set(pos.x, pos.y + 0.08, pos.z);
+        aimArrow.setDirection(v0.set(Math.sin(aimYaw), 0, Math.cos(aimYaw)));
+        aimArrow.setLength(1.8 + 4.2 * pilot.charge, 0.7, 0.45);
+        aimArrow.setColor(pilot.drift ? 0xff6b3a : 0xffd24a);
+      }
+
+      cameraRig.update(dt, pos, yaw, wasAirborne && !airborne);
+      wasAirborne = airborne;
+
+      if (now - telemetryAt > 100) {
+        telemetryAt = now;
+        onTelemetry?.({
+          speed,
+          drift,
+          beta: Math.atan2(leader.vLat, Math.abs(leader.vLong) + 0.6),
+          airborneTime: airborne ? airborneTime : 0,
+          yaw,
+          tx: centerTX,
+          tz: centerTZ,
+          biome: BIOMES[biomeAt(pos.x, pos.z)].label,
+        });
+      }
 
-        pushPoint(leftArray, leftCount, footL.x, 0.01, footL.z);
-        pushPoint(rightArray, rightCount, footR.x, 0.01, footR.z);
+      for (const e of frameEvents) {
+        if (e.type === "jump") audio.croak();
+        else if (e.type === "land") audio.thump(-e.vy);
+        else if (e.type === "bump") audio.thump(e.speed * 0.6);
+        else if (e.type === "splash") audio.splash(-e.vy);
+        else if (e.type === "stroke") audio.paddle();
+      }
+      updateWaterFx(dt);
+      updateSkidMarks(dt);
+      updateMap(now, pos, leader.yaw, !replay);
+      emitAmbient(dt, pos);
+      particles.update(dt, now / 1000);
+      sparks.update(dt, now / 1000);
+      waterNormals.offset.set((now / 1000) * 0.021, (now / 1000) * 0.013);
+      audio.setScrape(skidOn ? drift * clamp(speed / 12, 0, 1) : 0);
+      audio.update();
+
+      updateSky(dt, now / 1000, pos);
+
+      // ночью руны и огоньки наушников светят заметно ярче
+      const pulse = audio.beatPulse(now / 1000);
+      runeGlowMat.emissiveIntensity = (3.8 + 2.0 * pulse) * lerp(0.7, 1.5, day.glow);
+      hpLightMat.emissiveIntensity = (1.1 + 2.6 * pulse) * lerp(0.6, 1.8, day.glow);
+
+      gpuTimer.begin();
+      if (postActive()) {
+        // резкость наводится на вожака: расстояние до него вдоль взгляда камеры
+        post.settings.dof = post.dof ? 1 : 0;
+        post.settings.focus = Math.max(1, -v0.copy(pos).applyMatrix4(camera.matrixWorldInverse).z);
+        postFx.render(renderer, scene, camera, post.settings);
       } else {
-        if (leftCount.current > 0) popFront(leftArray, leftCount);
-        if (rightCount.current > 0) popFront(rightArray, rightCount);
+        renderer.render(scene, camera);
       }
-      syncSkids();
+      gpuTimer.end();
+    };
 
-      frog.position.set(pos.x, pos.y, pos.z);
+    rafRef.current = requestAnimationFrame(tick);
 
-      const vLong2 = vel.dot(fwd);
-      const vLat2 = vel.dot(right);
+    const setParam = (key, value) => {
+      if (!(key in DEFAULT_SIM_PARAMS) || !Number.isFinite(value)) return;
+      const changes = [[key, value]];
+      for (const [lo, hi] of PARAM_RANGES) {
+        if (key === lo && params[hi] < value) changes.push([hi, value]);
+        if (key === hi && params[lo] > value) changes.push([lo, value]);
+      }
+      for (const [k, v] of changes) {
+        params[k] = v;
+        trace.tuning.push({ t: roundTo(sim.time, 1e5), key: k, value: v });
+      }
+      onParamsChange?.({ ...params });
+    };
 
-      const roll = clamp((-vLat2 / 10) * lerp(0.6, 1.1, drift), -0.35, 0.35);
-      const pitch = airborne ? clamp(vy / 10, -0.25, 0.25) : clamp((-vLong2 / 18) * 0.18, -0.18, 0.18);
+    const resetParams = () => {
+      for (const key of Object.keys(DEFAULT_SIM_PARAMS)) {
+        if (params[key] !== DEFAULT_SIM_PARAMS[key]) setParam(key, DEFAULT_SIM_PARAMS[key]);
+      }
+    };
 
-      euler.set(pitch, yaw, roll);
-      frog.rotation.copy(euler);
+    const reportGroup = () => onGroupChange?.({ count: sims.length, behaviour: flock.behaviour, focus: flock.focus });
+
+    const setFrogCount = (n) => {
+      const count = clamp(Math.round(n), 1, MAX_FROGS);
+      while (sims.length < count) {
+        const s = spawnFrog(seed, sims.length, params, sim);
+        s.time = sim.time;
+        applyBrain(s);
+        sims.push(s);
+        frogViews.push(makeFrogView(s));
+      }
+      while (sims.length > count) {
+        sims.pop();
+        disposeFrogView(frogViews.pop());
+      }
+      reportGroup();
+    };
 
-      const camSide = 13.2;
-      const camUp = 10.6;
-      const camFront = 13.2;
+    const setBehaviour = (behaviour) => {
+      if (!GROUP_BEHAVIOURS.includes(behaviour)) return;
+      flock.behaviour = behaviour;
+      reportGroup();
+    };
 
-      camPos.copy(pos).add(v0.set(camSide, camUp, camFront));
-      camLook.copy(pos).add(v1.set(0, 0.85, 0));
+    const setFocus = (focus) => {
+      if (!FOREST_FOCUS.some((f) => f.id === focus)) return;
+      flock.focus = focus;
+      reportGroup();
+    };
 
-      camera.position.lerp(camPos, 1 - Math.exp(-3.2 * dt));
-      camera.lookAt(camLook);
+    const setViewRadius = (r) => {
+      view.radius = clamp(Math.round(r), 1, VIEW_RADIUS_MAX);
+      view.near = Math.min(view.near, view.radius);
+      applyViewRadius();
+      onViewRadiusChange?.({ ...view });
+    };
 
-      const pulse = 0.65 + 0.35 * Math.sin(now * 0.003);
-      runeGlowMat.emissiveIntensity = 3.8 + 2.0 * pulse;
+    const setNearRadius = (r) => {
+      view.near = clamp(Math.round(r), 0, view.radius);
+      for (const t of tiles.values()) setTileLod(t);
+      onViewRadiusChange?.({ ...view });
+    };
 
-      renderer.render(scene, camera);
+    const setTime = (hours) => {
+      if (!Number.isFinite(hours)) return;
+      clock.time = Math.floor(clock.time / 24) * 24 + (((hours % 24) + 24) % 24);
+      reportClock();
     };
 
-    rafRef.current = requestAnimationFrame(tick);
+    const setDaySpeed = (speed) => {
+      if (!DAY_SPEEDS.some((d) => d.id === speed)) return;
+      clock.speed = speed;
+      reportClock();
+    };
+
+    const setWeather = (mode) => {
+      if (!WEATHER_MODES.some((w) => w.id === mode)) return;
+      weather.mode = mode;
+      weather.current = mode === "auto" ? autoWeather(seed, clock.time) : mode;
+      reportClock();
+    };
+
+    const setQualityMode = (mode) => {
+      if (!QUALITY_MODES.some((q) => q.id === mode)) return;
+      quality.mode = mode;
+      quality.ceiling = QUALITY_PRESETS.length - 1;
+      quality.checkAt = performance.now() / 1000 + 3;
+      saveQualityMode(mode);
+      if (mode === "auto") reportQuality();
+      else applyQuality(QUALITY_PRESETS.find((p) => p.id === mode));
+    };
+
+    const setPostEnabled = (on) => {
+      post.enabled = !!on;
+      applyToneMapping(renderer);
+      reportPostFx();
+    };
+
+    const setDof = (on) => {
+      post.dof = !!on;
+      reportPostFx();
+    };
+
+    const setSound = (on) => onSoundChange?.(audio.setEnabled(on));
+    const setMusic = (on) => {
+      audio.setMusic(on);
+      onMusicChange?.(!!on);
+    };
+
+    apiRef.current = {
+      setPilot,
+      setParam,
+      resetParams,
+      setCameraMode,
+      setSound,
+      setMusic,
+      setFrogCount,
+      setBehaviour,
+      setFocus,
+      setBrain: setBrainMode,
+      setPathDrawing,
+      clearPath,
+      setMapOpen,
+      pickMapPoint,
+      clearWaypoint,
+      setViewRadius,
+      setNearRadius,
+      setTime,
+      setDaySpeed,
+      setWeather,
+      setQuality: setQualityMode,
+      setPostFx: setPostEnabled,
+      setDof,
+      setLook: applyLook,
+      ...replayApi,
+      exportGlb,
+      importModel,
+      resetModel,
+    };
 
     return () => {
       cancelAnimationFrame(rafRef.current);
+      audio.dispose();
+      rain.dispose();
+      fireflies.dispose();
+      postFx.dispose();
       window.removeEventListener("resize", resize);
-
-      scene.remove(leftLine, rightLine, frog, forestGroup, ground, ambient, hemi, dir);
-
-      leftGeom.dispose();
-      rightGeom.dispose();
+      window.removeEventListener("keydown", onKeyDown);
+      window.removeEventListener("keyup", onKeyUp);
+      container.removeEventListener("pointerdown", onPointerDown);
+      container.removeEventListener("pointermove", onPointerMove);
+      container.removeEventListener("pointerup", onPointerUp);
+      container.removeEventListener("pointercancel", onPointerUp);
+      container.removeEventListener("pointerdown", onPathDown);
+      container.removeEventListener("pointermove", onPathMove);
+      container.removeEventListener("pointerup", onPathUp);
+      container.removeEventListener("pointercancel", onPathUp);
+      container.removeEventListener("pointerdown", onOrbitDown);
+      container.removeEventListener("pointermove", onOrbitMove);
+      container.removeEventListener("pointerup", onOrbitUp);
+      container.removeEventListener("pointercancel", onOrbitUp);
+      container.removeEventListener("wheel", onWheel);
+      container.removeEventListener("contextmenu", onContextMenu);
+      apiRef.current = null;
+
+      for (const v of frogViews) disposeFrogView(v);
+      tileWorker?.terminate();
+      scene.remove(forestGroup, ambient, hemi, dir, dir.target, aimArrow, pathLine, beacon);
+      pathGeo.dispose();
+      pathMat.dispose();
+      beaconGeo.dispose();
+      beaconMat.dispose();
+      dir.shadow.map?.dispose();
+      aimArrow.dispose?.();
+
+      scene.remove(skidMesh);
+      skidGeo.dispose();
       skidMat.dispose();
+      particles.dispose();
+      sparks.dispose();
+      rippleGeo.dispose();
+      for (const r of ripples) r.mat.dispose();
+      dropGeo.dispose();
+      dropMat.dispose();
 
       bodyGeo.dispose();
       headGeo.dispose();
       bellyGeo.dispose();
       eyeGeo.dispose();
       pupilGeo.dispose();
-      limbGeo.dispose();
+      lidGeo.dispose();
+      thighGeo.dispose();
+      shinGeo.dispose();
+      armGeo.dispose();
       footGeo.dispose();
+      blobGeo.dispose();
+      blobTex.dispose();
 
       disposeMaterial(frogMat);
       disposeMaterial(frogDarkMat);
@@ -1116,12 +4678,41 @@ function App() {
       lensGeo.dispose();
       bridgeGeo.dispose();
       templeGeo.dispose();
-
-      groundGeo.dispose();
+      capCrownGeo.dispose();
+      capVisorGeo.dispose();
+      capButtonGeo.dispose();
+      scarfRingGeo.dispose();
+      scarfTailGeo.dispose();
+      packGeo.dispose();
+      packFlapGeo.dispose();
+      packPocketGeo.dispose();
+      strapGeo.dispose();
+      for (const m of [capMat, capTrimMat, scarfMat, packMat, strapMat]) disposeMaterial(m);
+      for (const m of Object.values(leaderMats)) disposeMaterial(m);
+      look.skin?.dispose();
+      for (const model of modelOverrides.values()) disposeModel(model);
+
+      for (const t of [...tiles.values(), ...freeTiles]) {
+        t.groundNear.geometry.dispose();
+        t.groundFar.geometry.dispose();
+        t.streamNear.geometry.dispose();
+        t.streamFar.geometry.dispose();
+      }
       disposeMaterial(groundMat);
+      impostorGeo.dispose();
+      impostorTex.dispose();
+      impostorRoundTex.dispose();
+      disposeMaterial(impostorMat);
+      disposeMaterial(impostorRoundMat);
+      puddleGeo.dispose();
+      waterNormals.dispose();
+      lilyPadGeo.dispose();
+      disposeMaterial(waterMat);
+      disposeMaterial(lilyPadMat);
 
       trunkGeo.dispose();
       crownGeo.dispose();
+      crownRoundGeo.dispose();
       bushGeo.dispose();
       rockGeo.dispose();
 
@@ -1143,6 +4734,7 @@ function App() {
       for (const t of canTextures) t.dispose?.();
       for (const m of canMats) m.dispose?.();
 
+      gpuTimer.dispose();
       renderer.dispose();
       renderer.forceContextLoss?.();
 
@@ -1153,8 +4745,493 @@ function App() {
   }, []);
 
   return (
-    <div style={{ width: "100%", height: "100vh", background: "#07110b", position: "relative" }}>
-      <div ref={mountRef} style={{ width: "100%", height: "100%" }} />
+    <div
+      style={{ width: "100%", height: "100vh", background: "#07110b", position: "relative" }}
+      onDragOver={(e) => e.preventDefault()}
+      onDrop={onDrop}
+    >
+      <div ref={mountRef} style={{ width: "100%", height: "100%", touchAction: "none" }} />
+      <div style={overlayStyle}>
+        <button type="button" style={buttonStyle} onClick={() => apiRef.current?.setPilot(!pilotOn)}>
+          {pilotOn ? "Пилот: вкл" : "Пилот: выкл"}
+        </button>
+        {pilotOn && (
+          <div style={{ marginTop: 6, opacity: 0.8 }}>
+            ←/→ или A/D — поворот, пробел — прыжок (держать — сильнее), Shift — дрифт, P — автопилот
+          </div>
+        )}
+        <div style={{ display: "flex", flexWrap: "wrap", gap: 4, marginTop: 6 }}>
+          {CAMERA_MODES.map((m) => (
+            <button
+              key={m.id}
+              type="button"
+              style={{ ...buttonStyle, opacity: cameraMode === m.id ? 1 : 0.6 }}
+              onClick={() => apiRef.current?.setCameraMode(m.id)}
+            >
+              {m.label}
+            </button>
+          ))}
+        </div>
+        <div style={{ display: "flex", gap: 4, marginTop: 6 }}>
+          <button type="button" style={buttonStyle} onClick={() => apiRef.current?.setSound(!soundOn)}>
+            {soundOn ? "Звук: вкл" : "Звук: выкл"}
+          </button>
+          {soundOn && (
+            <button type="button" style={buttonStyle} onClick={() => apiRef.current?.setMusic(!musicOn)}>
+              {musicOn ? "Музыка: вкл" : "Музыка: выкл"}
+            </button>
+          )}
+        </div>
+        <div style={{ display: "flex", flexWrap: "wrap", alignItems: "center", gap: 4, marginTop: 6 }}>
+          <button
+            type="button"
+            style={buttonStyle}
+            onClick={() => apiRef.current?.setFrogCount(group.count - 1)}
+            disabled={group.count <= 1}
+          >
+            −
+          </button>
+          <span style={{ minWidth: 52, textAlign: "center" }}>жаб: {group.count}</span>
+          <button
+            type="button"
+            style={buttonStyle}
+            onClick={() => apiRef.current?.setFrogCount(group.count + 1)}
+            disabled={group.count >= MAX_FROGS}
+          >
+            +
+          </button>
+        </div>
+        {group.count > 1 && (
+          <div style={{ display: "flex", flexWrap: "wrap", gap: 4, marginTop: 6 }}>
+            {GROUP_MODES.map((m) => (
+              <button
+                key={m.id}
+                type="button"
+                style={{ ...buttonStyle, opacity: group.behaviour === m.id ? 1 : 0.6 }}
+                onClick={() => apiRef.current?.setBehaviour(m.id)}
+              >
+                {m.label}
+              </button>
+            ))}
+            {FOREST_FOCUS.map((f) => (
+              <button
+                key={f.id}
+                type="button"
+                style={{ ...buttonStyle, opacity: group.focus === f.id ? 1 : 0.6 }}
+                onClick={() => apiRef.current?.setFocus(f.id)}
+              >
+                {f.label}
+              </button>
+            ))}
+          </div>
+        )}
+        <div style={{ display: "flex", flexWrap: "wrap", gap: 4, marginTop: 6 }}>
+          {BRAINS.map((b) => (
+            <button
+              key={b.id}
+              type="button"
+              style={{ ...buttonStyle, opacity: brain.id === b.id ? 1 : 0.6 }}
+              onClick={() => apiRef.current?.setBrain(b.id)}
+            >
+              {b.label}
+            </button>
+          ))}
+        </div>
+        {brain.id === "path" && (
+          <div style={{ display: "flex", alignItems: "center", gap: 4, marginTop: 6 }}>
+            <button type="button" style={buttonStyle} onClick={() => apiRef.current?.setPathDrawing(!brain.drawing)}>
+              {brain.drawing ? "Ведите по земле…" : "Нарисовать путь"}
+            </button>
+            <button type="button" style={buttonStyle} onClick={() => apiRef.current?.clearPath()} disabled={!brain.points}>
+              Стереть
+            </button>
+            <span style={{ opacity: 0.8 }}>{brain.points ? `точек: ${brain.points}` : "пути нет"}</span>
+          </div>
+        )}
+        <div style={{ display: "flex", alignItems: "center", gap: 4, marginTop: 6 }}>
+          <button
+            type="button"
+            style={buttonStyle}
+            onClick={() => apiRef.current?.setViewRadius(viewRange.radius - 1)}
+            disabled={viewRange.radius <= 1}
+          >
+            −
+          </button>
+          <span style={{ minWidth: 96, textAlign: "center" }}>дальность: {viewRange.radius}</span>
+          <button
+            type="button"
+            style={buttonStyle}
+            onClick={() => apiRef.current?.setViewRadius(viewRange.radius + 1)}
+            disabled={viewRange.radius >= VIEW_RADIUS_MAX}
+          >
+            +
+          </button>
+          <button
+            type="button"
+            style={buttonStyle}
+            onClick={() => apiRef.current?.setNearRadius(viewRange.near - 1)}
+            disabled={viewRange.near <= 0}
+          >
+            −
+          </button>
+          <span style={{ minWidth: 96, textAlign: "center" }}>детали: {viewRange.near}</span>
+          <button
+            type="button"
+            style={buttonStyle}
+            onClick={() => apiRef.current?.setNearRadius(viewRange.near + 1)}
+            disabled={viewRange.near >= viewRange.radius}
+          >
+            +
+          </button>
+        </div>
+        <div style={{ display: "flex", alignItems: "center", gap: 4, marginTop: 6 }}>
+          <span style={{ minWidth: 44 }}>{formatClock(clock.hours)}</span>
+          <input
+            type="range"
+            min={0}
+            max={24}
+            step={0.25}
+            value={clock.hours}
+            onChange={(e) => apiRef.current?.setTime(Number(e.target.value))}
+          />
+          <button
+            type="button"
+            style={buttonStyle}
+            onClick={() => {
+              const i = DAY_SPEEDS.findIndex((d) => d.id === clock.speed);
+              apiRef.current?.setDaySpeed(DAY_SPEEDS[(i + 1) % DAY_SPEEDS.length].id);
+            }}
+          >
+            {DAY_SPEEDS.find((d) => d.id === clock.speed)?.label}
+          </button>
+        </div>
+        <div style={{ display: "flex", flexWrap: "wrap", gap: 4, marginTop: 6 }}>
+          {WEATHER_MODES.map((w) => (
+            <button
+              key={w.id}
+              type="button"
+              style={{ ...buttonStyle, opacity: clock.weather === w.id ? 1 : 0.6 }}
+              onClick={() => apiRef.current?.setWeather(w.id)}
+            >
+              {w.id === "auto" && clock.weather === "auto"
+                ? `${w.label}: ${WEATHER_MODES.find((m) => m.id === clock.current).label.toLowerCase()}`
+                : w.label}
+            </button>
+          ))}
+        </div>
+        <div style={{ display: "flex", flexWrap: "wrap", gap: 4, marginTop: 6 }}>
+          {QUALITY_MODES.map((q) => (
+            <button
+              key={q.id}
+              type="button"
+              style={{ ...buttonStyle, opacity: quality.mode === q.id ? 1 : 0.6 }}
+              onClick={() => apiRef.current?.setQuality(q.id)}
+            >
+              {q.id === "auto" && quality.mode === "auto"
+                ? `${q.label}: ${QUALITY_PRESETS.find((p) => p.id === quality.preset).label.toLowerCase()}`
+                : q.label}
+            </button>
+          ))}
+        </div>
+        {quality.reload && quality.mode !== "auto" && !postFx.active && (
+          <div style={{ marginTop: 4, opacity: 0.8 }}>Сглаживание сменится после перезагрузки</div>
+        )}
+        <div style={{ display: "flex", gap: 4, marginTop: 6 }}>
+          <button type="button" style={buttonStyle} onClick={() => apiRef.current?.setPostFx(!postFx.enabled)}>
+            {postFx.enabled ? (postFx.active ? "Свечение: вкл" : "Свечение: нет на низком") : "Свечение: выкл"}
+          </button>
+          {postFx.active && (
+            <button type="button" style={buttonStyle} onClick={() => apiRef.current?.setDof(!postFx.dof)}>
+              {postFx.dof ? "Глубина резкости: вкл" : "Глубина резкости: выкл"}
+            </button>
+          )}
+        </div>
+        <div style={{ marginTop: 6, opacity: 0.55 }}>seed {seed} · C — смена камеры · M — карта</div>
+        {telemetry && (
+          <div style={panelStyle}>
+            <div>скорость {telemetry.speed.toFixed(2)}</div>
+            <div>дрифт {telemetry.drift.toFixed(2)}</div>
+            <div>β {((telemetry.beta * 180) / Math.PI).toFixed(1)}°</div>
+            <div>в воздухе {telemetry.airborneTime.toFixed(2)} с</div>
+            <div>yaw {((telemetry.yaw * 180) / Math.PI).toFixed(1)}°</div>
+            <div>
+              тайл {telemetry.tx}, {telemetry.tz}
+            </div>
+            <div>{telemetry.biome}</div>
+          </div>
+        )}
+        <button type="button" style={{ ...buttonStyle, marginTop: 6 }} onClick={() => setTuningOpen(!tuningOpen)}>
+          {tuningOpen ? "Скрыть тюнинг" : "Тюнинг"}
+        </button>
+        {tuningOpen && (
+          <div style={panelStyle}>
+            {TUNING_SLIDERS.map(({ key, label, min, max, step, scale = 1 }) => (
+              <label key={key} style={{ display: "grid", gridTemplateColumns: "96px 1fr 44px", alignItems: "center", gap: 6 }}>
+                <span>{label}</span>
+                <input
+                  type="range"
+                  min={min}
+                  max={max}
+                  step={step}
+                  value={params[key] * scale}
+                  onChange={(e) => apiRef.current?.setParam(key, Number(e.target.value) / scale)}
+                />
+                <span style={{ textAlign: "right" }}>{(params[key] * scale).toFixed(2)}</span>
+              </label>
+            ))}
+            <button type="button" style={{ ...buttonStyle, marginTop: 6 }} onClick={() => apiRef.current?.resetParams()}>
+              Сбросить
+            </button>
+          </div>
+        )}
+        <button type="button" style={{ ...buttonStyle, marginTop: 6 }} onClick={() => setLookOpen(!lookOpen)}>
+          {lookOpen ? "Скрыть внешний вид" : "Внешний вид"}
+        </button>
+        {lookOpen && (
+          <div style={panelStyle}>
+            <div style={{ display: "flex", gap: 8, alignItems: "center" }}>
+              <label>
+                Кожа{" "}
+                <input type="color" value={look.body} onChange={(e) => apiRef.current?.setLook({ body: e.target.value })} />
+              </label>
+              <label>
+                Брюшко{" "}
+                <input type="color" value={look.belly} onChange={(e) => apiRef.current?.setLook({ belly: e.target.value })} />
+              </label>
+            </div>
+            <div style={{ display: "flex", gap: 4, marginTop: 6 }}>
+              {SKIN_PATTERNS.map((p) => (
+                <button
+                  key={p.id}
+                  type="button"
+                  style={{ ...buttonStyle, opacity: look.pattern === p.id ? 1 : 0.6 }}
+                  onClick={() => apiRef.current?.setLook({ pattern: p.id })}
+                >
+                  {p.label}
+                </button>
+              ))}
+            </div>
+            {ACCESSORY_SLOTS.map((slot) => (
+              <div key={slot.id} style={{ display: "flex", gap: 4, alignItems: "center", marginTop: 6 }}>
+                <span style={{ width: 56 }}>{slot.label}</span>
+                <button
+                  type="button"
+                  style={{ ...buttonStyle, opacity: look.slots[slot.id] ? 0.6 : 1 }}
+                  onClick={() => apiRef.current?.setLook({ slots: { [slot.id]: null } })}
+                >
+                  —
+                </button>
+                {slot.items.map((it) => (
+                  <button
+                    key={it.id}
+                    type="button"
+                    style={{ ...buttonStyle, opacity: look.slots[slot.id] === it.id ? 1 : 0.6 }}
+                    onClick={() => apiRef.current?.setLook({ slots: { [slot.id]: it.id } })}
+                  >
+                    {it.label}
+                  </button>
+                ))}
+              </div>
+            ))}
+            <div style={{ display: "flex", gap: 4, marginTop: 8 }}>
+              <input
+                value={presetName}
+                placeholder="Имя пресета"
+                maxLength={24}
+                onChange={(e) => setPresetName(e.target.value)}
+                style={{ flex: 1, minWidth: 0 }}
+              />
+              <button type="button" style={buttonStyle} onClick={saveLookPreset}>
+                Сохранить
+              </button>
+              <button type="button" style={buttonStyle} onClick={shareLook}>
+                Ссылка
+              </button>
+            </div>
+            {lookPresets.map((p) => (
+              <div key={p.name} style={{ display: "flex", gap: 4, marginTop: 4 }}>
+                <button type="button" style={{ ...buttonStyle, flex: 1, textAlign: "left" }} onClick={() => apiRef.current?.setLook(p.look)}>
+                  {p.name}
+                </button>
+                <button type="button" style={buttonStyle} title="Удалить" onClick={() => deleteLookPreset(p.name)}>
+                  ×
+                </button>
+              </div>
+            ))}
+            {lookMsg && <div style={{ marginTop: 4, opacity: 0.8 }}>{lookMsg}</div>}
+          </div>
+        )}
+        <button type="button" style={{ ...buttonStyle, marginTop: 6 }} onClick={() => setModelsOpen(!modelsOpen)}>
+          {modelsOpen ? "Скрыть модели" : "Модели"}
+        </button>
+        {modelsOpen && (
+          <div style={panelStyle}>
+            <div style={{ display: "flex", gap: 4, alignItems: "center" }}>
+              <select value={modelTarget} onChange={(e) => setModelTarget(e.target.value)} style={{ ...buttonStyle, flex: 1, minWidth: 0 }}>
+                {MODEL_TARGETS.map((t) => (
+                  <option key={t.id} value={t.id}>
+                    {models.includes(t.id) ? `${t.label} — своя` : t.label}
+                  </option>
+                ))}
+              </select>
+              <button type="button" style={buttonStyle} onClick={() => modelFileRef.current?.click()}>
+                Открыть .glb
+              </button>
+              <button
+                type="button"
+                style={{ ...buttonStyle, opacity: models.includes(modelTarget) ? 1 : 0.6 }}
+                onClick={() => {
+                  apiRef.current?.resetModel(modelTarget);
+                  setModelMsg("");
+                }}
+              >
+                Сбросить
+              </button>
+            </div>
+            <div style={{ marginTop: 4, opacity: 0.6 }}>Файл .glb можно просто перетащить на окно</div>
+            {modelMsg && <div style={{ marginTop: 4, opacity: 0.8 }}>{modelMsg}</div>}
+            <input
+              ref={modelFileRef}
+              type="file"
+              accept=".glb,model/gltf-binary"
+              style={{ display: "none" }}
+              onChange={(e) => {
+                loadModelFile(e.target.files?.[0]);
+                e.target.value = "";
+              }}
+            />
+          </div>
+        )}
+      </div>
+      <div style={{ ...overlayStyle, left: "auto", right: 12, textAlign: "right" }}>
+        <div style={{ fontSize: 22, fontWeight: 800 }}>{score.points}</div>
+        <div style={{ display: "flex", gap: 8, justifyContent: "flex-end", marginTop: 4 }}>
+          {RUNE_COLORS.map((c, i) => (
+            <span key={c} title="Руны" style={{ opacity: score.runes[i] ? 1 : 0.4 }}>
+              <span style={{ color: `#${c.toString(16).padStart(6, "0")}` }}>◆</span> {score.runes[i]}
+            </span>
+          ))}
+        </div>
+        <div style={{ marginTop: 4, opacity: 0.8 }}>
+          артефакты {score.artifacts} · банки {score.cans}
+        </div>
+      </div>
+      <div style={{ ...overlayStyle, top: "auto", bottom: 12, maxWidth: 520 }}>
+        {replayState ? (
+          <div style={{ display: "flex", alignItems: "center", gap: 8 }}>
+            <button type="button" style={buttonStyle} onClick={() => apiRef.current?.togglePlay()}>
+              {replayState.playing ? "Пауза" : "Играть"}
+            </button>
+            <input
+              type="range"
+              min={0}
+              max={replayState.duration}
+              step={SIM_DT}
+              value={replayState.t}
+              onChange={(e) => apiRef.current?.seek(Number(e.target.value))}
+              style={{ flex: 1 }}
+            />
+            <span style={{ minWidth: 88, textAlign: "right" }}>
+              {replayState.t.toFixed(1)} / {replayState.duration.toFixed(1)} с
+            </span>
+            <select
+              value={replayState.speed}
+              onChange={(e) => apiRef.current?.setSpeed(Number(e.target.value))}
+              style={buttonStyle}
+            >
+              {[0.25, 0.5, 1, 2, 4].map((v) => (
+                <option key={v} value={v}>
+                  ×{v}
+                </option>
+              ))}
+            </select>
+            <button type="button" style={buttonStyle} onClick={() => apiRef.current?.exitReplay()}>
+              Выйти
+            </button>
+          </div>
+        ) : (
+          <div style={{ display: "flex", gap: 8 }}>
+            <button type="button" style={buttonStyle} onClick={saveTrace}>
+              Сохранить трассу
+            </button>
+            <button type="button" style={buttonStyle} onClick={() => fileRef.current?.click()}>
+              Открыть трассу
+            </button>
+            <button type="button" style={buttonStyle} onClick={() => apiRef.current?.replayLive()}>
+              Повтор
+            </button>
+          </div>
+        )}
+        {traceMsg && <div style={{ marginTop: 6, opacity: 0.8 }}>{traceMsg}</div>}
+        <div style={{ display: "flex", alignItems: "center", gap: 8, marginTop: 6 }}>
+          <span style={{ opacity: 0.8 }}>glTF:</span>
+          <button type="button" style={buttonStyle} onClick={() => exportModel("frog")}>
+            Жаба
+          </button>
+          <button type="button" style={buttonStyle} onClick={() => exportModel("path")}>
+            Жаба с прыжками
+          </button>
+          <button type="button" style={buttonStyle} onClick={() => exportModel("forest")}>
+            Лес 3×3
+          </button>
+        </div>
+        {exportMsg && <div style={{ marginTop: 6, opacity: 0.8 }}>{exportMsg}</div>}
+        <input
+          ref={fileRef}
+          type="file"
+          accept=".json,application/json"
+          style={{ display: "none" }}
+          onChange={(e) => {
+            loadTraceFile(e.target.files?.[0]);
+            e.target.value = "";
+          }}
+        />
+      </div>
+      <div style={{ ...overlayStyle, top: "auto", left: "auto", right: 12, bottom: 12 }}>
+        <canvas
+          ref={minimapRef}
+          width={180}
+          height={180}
+          title="Карта (M)"
+          style={{ display: "block", borderRadius: 6, border: "1px solid rgba(97, 255, 120, 0.35)", cursor: "pointer" }}
+          onClick={() => apiRef.current?.setMapOpen(true)}
+        />
+      </div>
+      {mapState.open && (
+        <div
+          style={{
+            position: "absolute",
+            inset: 0,
+            display: "flex",
+            alignItems: "center",
+            justifyContent: "center",
+            background: "rgba(7, 17, 11, 0.6)",
+          }}
+        >
+          <div style={{ ...panelStyle, color: overlayStyle.color, font: overlayStyle.font, userSelect: "none" }}>
+            <canvas
+              ref={worldMapRef}
+              width={640}
+              height={640}
+              style={{ display: "block", width: "min(80vw, 76vh)", height: "min(80vw, 76vh)", cursor: "crosshair" }}
+              onClick={(e) => {
+                const c = e.currentTarget;
+                const r = c.getBoundingClientRect();
+                apiRef.current?.pickMapPoint(((e.clientX - r.left) * c.width) / r.width, ((e.clientY - r.top) * c.height) / r.height);
+              }}
+            />
+            <div style={{ display: "flex", alignItems: "center", gap: 4, marginTop: 6 }}>
+              <span style={{ flex: 1, opacity: 0.8 }}>Клик по карте — поставить цель</span>
+              <button type="button" style={buttonStyle} onClick={() => apiRef.current?.clearWaypoint()} disabled={!mapState.waypoint}>
+                Снять цель
+              </button>
+              <button type="button" style={buttonStyle} onClick={() => apiRef.current?.setMapOpen(false)}>
+                Закрыть
+              </button>
+            </div>
+          </div>
+        </div>
+      )}
     </div>
   );
 }
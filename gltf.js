@@ -0,0 +1,520 @@
+/**
+ * glTF 2.0 в бинарном контейнере GLB без three.js: запись документа из простых типизированных массивов
+ * и чтение сцены обратно в плоские массивы, поэтому модуль одинаково работает в браузере и в Node (тесты).
+ * В браузере доступно как глобальный JabkaGltf, в Node — через require.
+ */
+(function (root, factory) {
+  if (typeof module === "object" && module.exports) module.exports = factory();
+  else root.JabkaGltf = factory();
+})(typeof self !== "undefined" ? self : this, function () {
+  "use strict";
+
+  const GLB_MAGIC = 0x46546c67; // "glTF"
+  const GLB_VERSION = 2;
+  const CHUNK_JSON = 0x4e4f534a; // "JSON"
+  const CHUNK_BIN = 0x004e4942; // "BIN\0"
+
+  const ARRAY_BUFFER = 34962;
+  const ELEMENT_ARRAY_BUFFER = 34963;
+
+  const FLOAT = 5126;
+  const UNSIGNED_INT = 5125;
+  const UNSIGNED_SHORT = 5123;
+  const UNSIGNED_BYTE = 5121;
+
+  const TYPE_SIZE = { SCALAR: 1, VEC2: 2, VEC3: 3, VEC4: 4, MAT4: 16 };
+
+  const REPEAT = 10497;
+  const CLAMP_TO_EDGE = 33071;
+  const LINEAR = 9729;
+  const LINEAR_MIPMAP_LINEAR = 9987;
+
+  function componentTypeOf(array) {
+    if (array instanceof Float32Array) return FLOAT;
+    if (array instanceof Uint32Array) return UNSIGNED_INT;
+    if (array instanceof Uint16Array) return UNSIGNED_SHORT;
+    if (array instanceof Uint8Array) return UNSIGNED_BYTE;
+    throw new Error("glTF: неподдерживаемый тип массива");
+  }
+
+  /**
+   * Пустой документ. В него добавляют текстуры, материалы, меши, узлы и анимации,
+   * writeGlb собирает из него файл. Бинарные данные копятся кусками и склеиваются один раз.
+   */
+  function createGltfDoc(generator = "Jumping Jabka") {
+    return {
+      json: {
+        asset: { version: "2.0", generator },
+        scene: 0,
+        scenes: [{ nodes: [] }],
+        nodes: [],
+        meshes: [],
+        materials: [],
+        textures: [],
+        images: [],
+        samplers: [],
+        accessors: [],
+        bufferViews: [],
+        animations: [],
+      },
+      chunks: [],
+      byteLength: 0,
+      extensions: new Set(),
+    };
+  }
+
+  // каждый кусок бинарного буфера выровнен на 4 байта, как требует спецификация
+  function addBufferView(doc, bytes, target) {
+    const pad = (4 - (doc.byteLength % 4)) % 4;
+    if (pad) {
+      doc.chunks.push(new Uint8Array(pad));
+      doc.byteLength += pad;
+    }
+    const view = { buffer: 0, byteOffset: doc.byteLength, byteLength: bytes.byteLength };
+    if (target) view.target = target;
+    doc.chunks.push(new Uint8Array(bytes.buffer, bytes.byteOffset, bytes.byteLength));
+    doc.byteLength += bytes.byteLength;
+    doc.json.bufferViews.push(view);
+    return doc.json.bufferViews.length - 1;
+  }
+
+  /** Аксессор над новым куском буфера. min/max обязательны для POSITION и для времён анимации. */
+  function addAccessor(doc, array, type, { target = 0, bounds = false, normalized = false } = {}) {
+    const size = TYPE_SIZE[type];
+    const accessor = {
+      bufferView: addBufferView(doc, array, target),
+      componentType: componentTypeOf(array),
+      count: array.length / size,
+      type,
+    };
+    if (normalized) accessor.normalized = true;
+    if (bounds) {
+      const min = new Array(size).fill(Infinity);
+      const max = new Array(size).fill(-Infinity);
+      for (let i = 0; i < array.length; i++) {
+        const k = i % size;
+        if (array[i] < min[k]) min[k] = array[i];
+        if (array[i] > max[k]) max[k] = array[i];
+      }
+      accessor.min = min;
+      accessor.max = max;
+    }
+    doc.json.accessors.push(accessor);
+    return doc.json.accessors.length - 1;
+  }
+
+  /** Картинка (PNG или JPEG) внутри GLB и текстура над ней. repeat — повтор вместо обрезки по краям. */
+  function addTexture(doc, { bytes, mimeType = "image/png", repeat = false }) {
+    const { json } = doc;
+    json.images.push({ bufferView: addBufferView(doc, bytes), mimeType });
+    const wrap = repeat ? REPEAT : CLAMP_TO_EDGE;
+    json.samplers.push({ magFilter: LINEAR, minFilter: LINEAR_MIPMAP_LINEAR, wrapS: wrap, wrapT: wrap });
+    json.textures.push({ sampler: json.samplers.length - 1, source: json.images.length - 1 });
+    return json.textures.length - 1;
+  }
+
+  /**
+   * PBR-материал. color — линейный RGBA, texture — индекс из addTexture.
+   * Свечение ярче 1 пишется через KHR_materials_emissive_strength, unlit — через KHR_materials_unlit.
+   */
+  function addMaterial(doc, m) {
+    const color = m.color || [1, 1, 1, 1];
+    const material = {
+      name: m.name || `material${doc.json.materials.length}`,
+      pbrMetallicRoughness: {
+        baseColorFactor: color.length === 4 ? [...color] : [...color, 1],
+        metallicFactor: m.metallic ?? 0,
+        roughnessFactor: m.roughness ?? 1,
+      },
+    };
+    if (m.texture !== undefined && m.texture >= 0) material.pbrMetallicRoughness.baseColorTexture = { index: m.texture };
+    const strength = m.emissiveStrength ?? 1;
+    if (m.emissive && strength > 0 && m.emissive.some((c) => c > 0)) {
+      material.emissiveFactor = m.emissive.map((c) => c * Math.min(strength, 1));
+      if (strength > 1) {
+        material.extensions = { KHR_materials_emissive_strength: { emissiveStrength: strength } };
+        doc.extensions.add("KHR_materials_emissive_strength");
+      }
+    }
+    if (m.unlit) {
+      material.extensions = { ...material.extensions, KHR_materials_unlit: {} };
+      doc.extensions.add("KHR_materials_unlit");
+    }
+    if (m.blend) material.alphaMode = "BLEND";
+    if (m.doubleSided) material.doubleSided = true;
+    doc.json.materials.push(material);
+    return doc.json.materials.length - 1;
+  }
+
+  /**
+   * Меш из примитивов { positions, normals?, uvs?, colors?, indices?, material? }.
+   * colors — RGB или RGBA по числу компонентов на вершину; индексы Uint16 или Uint32.
+   */
+  function addMesh(doc, { name, primitives }) {
+    const mesh = { name, primitives: [] };
+    for (const p of primitives) {
+      const count = p.positions.length / 3;
+      const attributes = { POSITION: addAccessor(doc, p.positions, "VEC3", { target: ARRAY_BUFFER, bounds: true }) };
+      if (p.normals) attributes.NORMAL = addAccessor(doc, p.normals, "VEC3", { target: ARRAY_BUFFER });
+      if (p.uvs) attributes.TEXCOORD_0 = addAccessor(doc, p.uvs, "VEC2", { target: ARRAY_BUFFER });
+      if (p.colors) attributes.COLOR_0 = addAccessor(doc, p.colors, p.colors.length === count * 4 ? "VEC4" : "VEC3", { target: ARRAY_BUFFER });
+      const primitive = { attributes };
+      if (p.indices) primitive.indices = addAccessor(doc, p.indices, "SCALAR", { target: ELEMENT_ARRAY_BUFFER });
+      if (p.material !== undefined && p.material >= 0) primitive.material = p.material;
+      mesh.primitives.push(primitive);
+    }
+    doc.json.meshes.push(mesh);
+    return doc.json.meshes.length - 1;
+  }
+
+  /**
+   * Узел с TRS (translation, rotation — кватернион xyzw, scale) и, если есть, мешем.
+   * Без parent узел становится корнем сцены.
+   */
+  function addNode(doc, { name, mesh, translation, rotation, scale }, parent) {
+    const node = {};
+    if (name) node.name = name;
+    if (mesh !== undefined && mesh >= 0) node.mesh = mesh;
+    if (translation && translation.some((v) => v !== 0)) node.translation = [...translation];
+    if (rotation && (rotation[0] || rotation[1] || rotation[2] || rotation[3] !== 1)) node.rotation = [...rotation];
+    if (scale && scale.some((v) => v !== 1)) node.scale = [...scale];
+    const { json } = doc;
+    json.nodes.push(node);
+    const index = json.nodes.length - 1;
+    if (parent === undefined) json.scenes[0].nodes.push(index);
+    else (json.nodes[parent].children ||= []).push(index);
+    return index;
+  }
+
+  /**
+   * Анимация: каналы { node, path: translation | rotation | scale, times, values }, интерполяция линейная.
+   * times — секунды по возрастанию, values — по 3 (или 4 для rotation) числа на ключ.
+   */
+  function addAnimation(doc, { name, channels }) {
+    const animation = { name, samplers: [], channels: [] };
+    for (const c of channels) {
+      const width = c.path === "rotation" ? 4 : 3;
+      if (c.values.length !== c.times.length * width) throw new Error(`glTF: ключей ${c.path} не столько, сколько времён`);
+      animation.samplers.push({
+        input: addAccessor(doc, c.times, "SCALAR", { bounds: true }),
+        output: addAccessor(doc, c.values, width === 4 ? "VEC4" : "VEC3"),
+        interpolation: "LINEAR",
+      });
+      animation.channels.push({ sampler: animation.samplers.length - 1, target: { node: c.node, path: c.path } });
+    }
+    doc.json.animations.push(animation);
+    return doc.json.animations.length - 1;
+  }
+
+  /** Собирает GLB: заголовок, JSON-чанк (добит пробелами до 4 байт) и BIN-чанк (добит нулями). */
+  function writeGlb(doc) {
+    const json = { ...doc.json };
+    for (const key of Object.keys(json)) if (Array.isArray(json[key]) && !json[key].length && key !== "scenes") delete json[key];
+    if (doc.extensions.size) json.extensionsUsed = [...doc.extensions];
+    const binLength = Math.ceil(doc.byteLength / 4) * 4;
+    if (binLength) json.buffers = [{ byteLength: binLength }];
+
+    const text = new TextEncoder().encode(JSON.stringify(json));
+    const jsonLength = Math.ceil(text.length / 4) * 4;
+    const total = 12 + 8 + jsonLength + (binLength ? 8 + binLength : 0);
+    const out = new Uint8Array(total);
+    const view = new DataView(out.buffer);
+    view.setUint32(0, GLB_MAGIC, true);
+    view.setUint32(4, GLB_VERSION, true);
+    view.setUint32(8, total, true);
+    view.setUint32(12, jsonLength, true);
+    view.setUint32(16, CHUNK_JSON, true);
+    out.set(text, 20);
+    out.fill(0x20, 20 + text.length, 20 + jsonLength);
+
+    if (binLength) {
+      let offset = 20 + jsonLength;
+      view.setUint32(offset, binLength, true);
+      view.setUint32(offset + 4, CHUNK_BIN, true);
+      offset += 8;
+      for (const chunk of doc.chunks) {
+        out.set(chunk, offset);
+        offset += chunk.byteLength;
+      }
+    }
+    return out;
+  }
+
+  const COMPONENT_SIZE = { 5120: 1, 5121: 1, 5122: 2, 5123: 2, 5125: 4, 5126: 4 };
+  const NORMALIZE = { 5120: 127, 5121: 255, 5122: 32767, 5123: 65535 };
+  const TRIANGLES = 4;
+
+  // расширения, без которых файл можно показать; сжатие геометрии (Draco, meshopt) не читаем
+  const SUPPORTED_EXTENSIONS = ["KHR_materials_unlit", "KHR_materials_emissive_strength", "KHR_texture_transform"];
+
+  /** Разбор контейнера GLB на JSON и BIN-чанк. Сообщения ошибок показываются пользователю как есть. */
+  function readGlb(bytes) {
+    if (bytes.byteLength < 20) throw new Error("Файл слишком короткий для GLB");
+    const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+    if (view.getUint32(0, true) !== GLB_MAGIC) throw new Error("Это не GLB-файл");
+    const version = view.getUint32(4, true);
+    if (version !== GLB_VERSION) throw new Error(`Неподдерживаемая версия GLB: ${version}`);
+    const length = Math.min(view.getUint32(8, true), bytes.byteLength);
+
+    let json = null;
+    let bin = null;
+    for (let offset = 12; offset + 8 <= length; ) {
+      const size = view.getUint32(offset, true);
+      const type = view.getUint32(offset + 4, true);
+      const body = bytes.subarray(offset + 8, offset + 8 + size);
+      if (type === CHUNK_JSON && !json) json = JSON.parse(new TextDecoder().decode(body));
+      else if (type === CHUNK_BIN && !bin) bin = body;
+      offset += 8 + size;
+    }
+    if (!json) throw new Error("В GLB нет JSON-чанка");
+    const missing = (json.extensionsRequired || []).filter((e) => !SUPPORTED_EXTENSIONS.includes(e));
+    if (missing.length) throw new Error(`Нужны неподдерживаемые расширения: ${missing.join(", ")}`);
+    return { json, bin };
+  }
+
+  function bufferViewBytes({ json, bin }, index) {
+    const v = json.bufferViews[index];
+    if (v.buffer !== 0 || !bin || json.buffers?.[0]?.uri) throw new Error("Внешние буферы не поддерживаются — нужен самодостаточный .glb");
+    return bin.subarray(v.byteOffset || 0, (v.byteOffset || 0) + v.byteLength);
+  }
+
+  /**
+   * Аксессор в плоский массив: byteStride, нормализованные целые и пустые (без bufferView) аксессоры учтены.
+   * Out — Float32Array для атрибутов, Uint32Array для индексов.
+   */
+  function readAccessor(glb, index, Out = Float32Array) {
+    const a = glb.json.accessors[index];
+    if (a.sparse) throw new Error("Разреженные аксессоры не поддерживаются");
+    const width = TYPE_SIZE[a.type];
+    const out = new Out(a.count * width);
+    if (a.bufferView === undefined) return out;
+
+    const bytes = bufferViewBytes(glb, a.bufferView);
+    const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+    const size = COMPONENT_SIZE[a.componentType];
+    const stride = glb.json.bufferViews[a.bufferView].byteStride || width * size;
+    const get = {
+      5120: (o) => view.getInt8(o),
+      5121: (o) => view.getUint8(o),
+      5122: (o) => view.getInt16(o, true),
+      5123: (o) => view.getUint16(o, true),
+      5125: (o) => view.getUint32(o, true),
+      5126: (o) => view.getFloat32(o, true),
+    }[a.componentType];
+    const norm = a.normalized ? NORMALIZE[a.componentType] : 0;
+    for (let i = 0; i < a.count; i++) {
+      const base = (a.byteOffset || 0) + i * stride;
+      for (let k = 0; k < width; k++) {
+        const value = get(base + k * size);
+        out[i * width + k] = norm ? Math.max(value / norm, -1) : value;
+      }
+    }
+    return out;
+  }
+
+  // матрицы 4×4 по столбцам, как в glTF
+  function composeMatrix(t = [0, 0, 0], r = [0, 0, 0, 1], s = [1, 1, 1]) {
+    const [x, y, z, w] = r;
+    return [
+      (1 - 2 * (y * y + z * z)) * s[0],
+      2 * (x * y + z * w) * s[0],
+      2 * (x * z - y * w) * s[0],
+      0,
+      2 * (x * y - z * w) * s[1],
+      (1 - 2 * (x * x + z * z)) * s[1],
+      2 * (y * z + x * w) * s[1],
+      0,
+      2 * (x * z + y * w) * s[2],
+      2 * (y * z - x * w) * s[2],
+      (1 - 2 * (x * x + y * y)) * s[2],
+      0,
+      t[0],
+      t[1],
+      t[2],
+      1,
+    ];
+  }
+
+  function multiplyMatrices(a, b) {
+    const out = new Array(16);
+    for (let c = 0; c < 4; c++) {
+      for (let r = 0; r < 4; r++) {
+        out[c * 4 + r] = a[r] * b[c * 4] + a[4 + r] * b[c * 4 + 1] + a[8 + r] * b[c * 4 + 2] + a[12 + r] * b[c * 4 + 3];
+      }
+    }
+    return out;
+  }
+
+  // нормали преобразуются обратной транспонированной 3×3; для поворота с масштабом хватает кофакторов
+  function normalMatrix(m) {
+    return [
+      m[5] * m[10] - m[6] * m[9],
+      m[6] * m[8] - m[4] * m[10],
+      m[4] * m[9] - m[5] * m[8],
+      m[2] * m[9] - m[1] * m[10],
+      m[0] * m[10] - m[2] * m[8],
+      m[1] * m[8] - m[0] * m[9],
+      m[1] * m[6] - m[2] * m[5],
+      m[2] * m[4] - m[0] * m[6],
+      m[0] * m[5] - m[1] * m[4],
+    ];
+  }
+
+  function decodeDataUri(uri) {
+    const match = /^data:([^;,]+)?(;base64)?,(.*)$/.exec(uri);
+    if (!match || !match[2]) return null;
+    const raw = atob(match[3]);
+    const bytes = new Uint8Array(raw.length);
+    for (let i = 0; i < raw.length; i++) bytes[i] = raw.charCodeAt(i);
+    return { bytes, mimeType: match[1] || "image/png" };
+  }
+
+  function readMaterial(glb, index) {
+    if (index === undefined) return { name: "default", color: [1, 1, 1, 1], metallic: 0, roughness: 1, emissive: null, emissiveStrength: 1, image: null, uvTransform: null };
+    const { json } = glb;
+    const m = json.materials[index];
+    const pbr = m.pbrMetallicRoughness || {};
+    let image = null;
+    const texture = pbr.baseColorTexture && json.textures?.[pbr.baseColorTexture.index];
+    // KHR_texture_transform: сдвиг, масштаб и поворот UV карты цвета (вокруг начала координат, как в three.js)
+    const transform = pbr.baseColorTexture?.extensions?.KHR_texture_transform;
+    const source = texture && json.images?.[texture.source];
+    if (source && source.bufferView !== undefined) {
+      image = { bytes: bufferViewBytes(glb, source.bufferView).slice(), mimeType: source.mimeType || "image/png" };
+    } else if (source && source.uri) {
+      image = decodeDataUri(source.uri);
+    }
+    return {
+      name: m.name || `material${index}`,
+      color: pbr.baseColorFactor || [1, 1, 1, 1],
+      metallic: pbr.metallicFactor ?? 1,
+      roughness: pbr.roughnessFactor ?? 1,
+      emissive: m.emissiveFactor || null,
+      emissiveStrength: m.extensions?.KHR_materials_emissive_strength?.emissiveStrength ?? 1,
+      image,
+      uvTransform: transform ? { offset: transform.offset || [0, 0], scale: transform.scale || [1, 1], rotation: transform.rotation || 0 } : null,
+      blend: m.alphaMode === "BLEND",
+      alphaTest: m.alphaMode === "MASK" ? m.alphaCutoff ?? 0.5 : 0,
+      doubleSided: !!m.doubleSided,
+      unlit: !!m.extensions?.KHR_materials_unlit,
+    };
+  }
+
+  /**
+   * Вся сцена .glb одной геометрией: трансформации узлов запечены в вершины, примитивы склеены,
+   * groups — диапазоны индексов по материалам. Берутся только треугольники; атрибута, которого нет
+   * хоть у одного примитива, нет и в результате (кроме цветов — там недостающее белое).
+   */
+  function readGltfModel(bytes) {
+    const glb = readGlb(bytes);
+    const { json } = glb;
+    const nodes = json.nodes || [];
+    const scene = json.scenes?.[json.scene ?? 0];
+    const children = new Set(nodes.flatMap((n) => n.children || []));
+    const roots = scene ? scene.nodes : nodes.map((_, i) => i).filter((i) => !children.has(i));
+
+    const parts = [];
+    const visit = (index, parent) => {
+      const node = nodes[index];
+      const local = node.matrix ? [...node.matrix] : composeMatrix(node.translation, node.rotation, node.scale);
+      const world = multiplyMatrices(parent, local);
+      if (node.mesh !== undefined) {
+        for (const prim of json.meshes[node.mesh].primitives) if ((prim.mode ?? TRIANGLES) === TRIANGLES) parts.push({ prim, world });
+      }
+      for (const c of node.children || []) visit(c, world);
+    };
+    for (const r of roots) visit(r, composeMatrix());
+    if (!parts.length) throw new Error("В файле нет треугольных мешей");
+
+    let vertexCount = 0;
+    let indexCount = 0;
+    for (const p of parts) {
+      p.count = json.accessors[p.prim.attributes.POSITION].count;
+      p.indices = p.prim.indices !== undefined ? readAccessor(glb, p.prim.indices, Uint32Array) : Uint32Array.from({ length: p.count }, (_, i) => i);
+      vertexCount += p.count;
+      indexCount += p.indices.length;
+    }
+    const has = (name) => parts.every((p) => p.prim.attributes[name] !== undefined);
+    const positions = new Float32Array(vertexCount * 3);
+    const normals = has("NORMAL") ? new Float32Array(vertexCount * 3) : null;
+    const uvs = has("TEXCOORD_0") ? new Float32Array(vertexCount * 2) : null;
+    const colors = parts.some((p) => p.prim.attributes.COLOR_0 !== undefined) ? new Float32Array(vertexCount * 3).fill(1) : null;
+    const indices = new Uint32Array(indexCount);
+    const materials = [];
+    const materialIndex = new Map();
+    const groups = [];
+
+    let v0 = 0;
+    let i0 = 0;
+    for (const { prim, world: m, count, indices: src } of parts) {
+      const pos = readAccessor(glb, prim.attributes.POSITION);
+      for (let i = 0; i < count; i++) {
+        const x = pos[i * 3];
+        const y = pos[i * 3 + 1];
+        const z = pos[i * 3 + 2];
+        positions[(v0 + i) * 3 + 0] = m[0] * x + m[4] * y + m[8] * z + m[12];
+        positions[(v0 + i) * 3 + 1] = m[1] * x + m[5] * y + m[9] * z + m[13];
+        positions[(v0 + i) * 3 + 2] = m[2] * x + m[6] * y + m[10] * z + m[14];
+      }
+      if (normals) {
+        const n = normalMatrix(m);
+        const nor = readAccessor(glb, prim.attributes.NORMAL);
+        for (let i = 0; i < count; i++) {
+          const x = nor[i * 3];
+          const y = nor[i * 3 + 1];
+          const z = nor[i * 3 + 2];
+          const nx = n[0] * x + n[3] * y + n[6] * z;
+          const ny = n[1] * x + n[4] * y + n[7] * z;
+          const nz = n[2] * x + n[5] * y + n[8] * z;
+          const len = Math.hypot(nx, ny, nz) || 1;
+          normals.set([nx / len, ny / len, nz / len], (v0 + i) * 3);
+        }
+      }
+      if (uvs) uvs.set(readAccessor(glb, prim.attributes.TEXCOORD_0), v0 * 2);
+      if (colors && prim.attributes.COLOR_0 !== undefined) {
+        const col = readAccessor(glb, prim.attributes.COLOR_0);
+        const width = col.length / count;
+        for (let i = 0; i < count; i++) for (let k = 0; k < 3; k++) colors[(v0 + i) * 3 + k] = col[i * width + k];
+      }
+
+      // зеркальная трансформация выворачивает треугольники — меняем обход обратно
+      const det = m[0] * (m[5] * m[10] - m[6] * m[9]) - m[4] * (m[1] * m[10] - m[2] * m[9]) + m[8] * (m[1] * m[6] - m[2] * m[5]);
+      for (let k = 0; k < src.length; k += 3) {
+        indices[i0 + k] = src[k] + v0;
+        indices[i0 + k + 1] = src[det < 0 ? k + 2 : k + 1] + v0;
+        indices[i0 + k + 2] = src[det < 0 ? k + 1 : k + 2] + v0;
+      }
+
+      const key = prim.material ?? -1;
+      if (!materialIndex.has(key)) {
+        materialIndex.set(key, materials.length);
+        materials.push(readMaterial(glb, prim.material));
+      }
+      const material = materialIndex.get(key);
+      const last = groups[groups.length - 1];
+      if (last && last.material === material && last.start + last.count === i0) last.count += src.length;
+      else groups.push({ start: i0, count: src.length, material });
+      v0 += count;
+      i0 += src.length;
+    }
+
+    return { positions, normals, uvs, colors, indices, groups, materials };
+  }
+
+  return {
+    GLB_MAGIC,
+    CHUNK_JSON,
+    CHUNK_BIN,
+    createGltfDoc,
+    addAccessor,
+    addTexture,
+    addMaterial,
+    addMesh,
+    addNode,
+    addAnimation,
+    writeGlb,
+    readGlb,
+    readAccessor,
+    readGltfModel,
+  };
+});
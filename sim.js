@@ -0,0 +1,2480 @@
+/**
+ * Ядро симуляции жабы без WebGL и DOM: математика, рельеф, шаг физики, раскладка тайлов,
+ * коллайдеры, подбор предметов, трассы и буферы следов.
+ * В браузере (и в воркере) доступно как глобальный JabkaSim, в Node — через require.
+ */
+(function (root, factory) {
+  if (typeof module === "object" && module.exports) module.exports = factory();
+  else root.JabkaSim = factory();
+})(typeof self !== "undefined" ? self : this, function () {
+  "use strict";
+
+  function clamp(x, a, b) {
+    return Math.max(a, Math.min(b, x));
+  }
+
+  function lerp(a, b, t) {
+    const tt = Number.isFinite(t) ? clamp(t, 0, 1) : 0;
+    return a + (b - a) * tt;
+  }
+
+  function smoothstep(edge0, edge1, x) {
+    if (edge0 === edge1) return x < edge0 ? 0 : 1;
+    const t = clamp((x - edge0) / (edge1 - edge0), 0, 1);
+    return t * t * (3 - 2 * t);
+  }
+
+  function wrapPi(a) {
+    if (!Number.isFinite(a)) return 0;
+    return Math.atan2(Math.sin(a), Math.cos(a));
+  }
+
+  function lerpAngle(a, b, t) {
+    const tt = Number.isFinite(t) ? clamp(t, 0, 1) : 0;
+    const d = wrapPi(b - a);
+    return a + d * tt;
+  }
+
+  function hash2i(x, z) {
+    let h = (x | 0) ^ 0x9e3779b9;
+    h = Math.imul(h, 0x85ebca6b);
+    h ^= (z | 0) + 0x7f4a7c15;
+    h = Math.imul(h, 0xc2b2ae35);
+    h ^= h >>> 16;
+    return h >>> 0;
+  }
+
+  function makeRng(seed) {
+    let s = seed >>> 0;
+    return () => {
+      s ^= s << 13;
+      s ^= s >>> 17;
+      s ^= s << 5;
+      return (s >>> 0) / 4294967296;
+    };
+  }
+
+  function randRange(rng, a, b) {
+    return a + (b - a) * rng();
+  }
+
+  function valueNoise2(x, z, salt) {
+    const x0 = Math.floor(x);
+    const z0 = Math.floor(z);
+    const fx = x - x0;
+    const fz = z - z0;
+    const ux = fx * fx * fx * (fx * (fx * 6 - 15) + 10);
+    const uz = fz * fz * fz * (fz * (fz * 6 - 15) + 10);
+
+    const h = (i, j) => hash2i(i ^ salt, j + salt) / 4294967296;
+    const a = h(x0, z0);
+    const b = h(x0 + 1, z0);
+    const c = h(x0, z0 + 1);
+    const d = h(x0 + 1, z0 + 1);
+
+    return a + (b - a) * ux + (c - a) * uz + (a - b - c + d) * ux * uz - 0.5;
+  }
+
+  /** Рельеф до того, как в нём прорезаны пруды и ручьи. */
+  function terrainBase(x, z) {
+    return (
+      5.2 * valueNoise2(x / 46, z / 46, 0x1f3d) +
+      1.8 * valueNoise2(x / 17, z / 17, 0x2c71) +
+      0.45 * valueNoise2(x / 6.5, z / 6.5, 0x5a0b)
+    );
+  }
+
+  /**
+   * Высота рельефа в мировых координатах. Шум непрерывен по всей плоскости,
+   * поэтому соседние тайлы леса стыкуются без швов. Русла ручьёв и чаши прудов
+   * вырезаны прямо здесь (carveWater), так что дно видят и рендер, и симуляция.
+   */
+  function terrainHeight(x, z) {
+    return carveWater(x, z, terrainBase(x, z));
+  }
+
+  function terrainSlope(x, z, fx, fz) {
+    const e = 0.35;
+    return (terrainHeight(x + fx * e, z + fz * e) - terrainHeight(x - fx * e, z - fz * e)) / (2 * e);
+  }
+
+  function hashString(str) {
+    let h = 0x811c9dc5;
+    for (let i = 0; i < str.length; i++) {
+      h ^= str.charCodeAt(i);
+      h = Math.imul(h, 0x01000193);
+    }
+    return h >>> 0;
+  }
+
+  /**
+   * Симуляция жабы отделена от рендера: фиксированный шаг SIM_DT, весь случайный выбор — из state.rng.
+   * Одинаковые seed, параметры и команды пилота дают одинаковую траекторию.
+   */
+  const SIM_DT = 1 / 120;
+
+  const DEFAULT_SIM_PARAMS = {
+    g: 9.81,
+    maxTurn: Math.PI / 2,
+    turnRate: 4.8,
+    upMin: 5.0,
+    upMax: 7.4,
+    horizMin: 8.5,
+    horizMax: 15.5,
+    airDrag: 0.22,
+    groundDrag: 0.22,
+    kLong: 2.3,
+    kLatDrift: 1.15,
+    kLatGrip: 7.0,
+    landingDamping: 0.92,
+    groundTimeMin: 0.35,
+    groundTimeMax: 1.1,
+    jumpSpeed: 1.35,
+    driftKick: 0.6,
+    bounce: 0.45,
+    slideBounce: 0.12,
+    stepUp: 0.3,
+    avoidObstacles: true,
+  };
+
+  /** start — необязательная точка появления { x, z, yaw }; по умолчанию жаба стартует в начале координат. */
+  function createFrogState(seed, params, start = null) {
+    const x = start ? start.x : 0;
+    const z = start ? start.z : 0;
+    const yaw = start ? start.yaw : 0;
+    const state = {
+      seed: seed >>> 0,
+      rng: makeRng(hash2i(seed, 0x5eed) || 1),
+      time: 0,
+      pos: { x, y: terrainHeight(x, z), z },
+      vel: { x: 0, z: 0 },
+      vy: 0,
+      yaw,
+      targetYaw: yaw,
+      turnDelta: 0,
+      airborne: false,
+      airborneTime: 0,
+      groundTimer: 0,
+      drift: 0,
+      beta: 0,
+      steer: null,
+      urge: 0,
+      swimming: false,
+      swimTime: 0,
+      strokeTimer: 0,
+      exit: null,
+      brain: "random",
+      mind: {},
+      plan: null,
+      events: [],
+    };
+    planJump(state, params, null);
+    return state;
+  }
+
+  function chooseClearTurn(world, x, z, yaw, turn, maxTurn) {
+    const look = 7;
+    if (pathClear(world, x, z, yaw + turn, look)) return turn;
+    for (let k = 1; k <= 8; k++) {
+      for (const sign of [1, -1]) {
+        const t = turn + sign * k * 0.2;
+        if (Math.abs(t) > maxTurn) continue;
+        if (pathClear(world, x, z, yaw + t, look)) return t;
+      }
+    }
+    return turn;
+  }
+
+  /**
+   * jump — { turn, power } от пилота или null: тогда прыжок берётся из state.plan, который мозг
+   * составил при приземлении (а если приземления не было — мозг спрашивается прямо сейчас).
+   */
+  function planJump(state, params, jump, world = null) {
+    const maxTurn = params.maxTurn;
+
+    const urge = jump ? 0 : state.urge;
+    const plan = jump || state.plan || think(state, params, world);
+    state.plan = null;
+    let d = plan.turn;
+    const up = lerp(params.upMin, params.upMax, lerp(plan.height === undefined ? plan.power : plan.height, 1, urge));
+    const horiz = lerp(params.horizMin, params.horizMax, lerp(plan.power, 1, urge));
+
+    if (!jump && state.steer !== null) d = lerp(d, state.steer, lerp(GROUP_STEER_WEIGHT, 1, urge));
+
+    if (!jump && world && params.avoidObstacles) {
+      const reach = horiz * ((2 * up) / params.g) * 0.9;
+      const lx = state.pos.x + Math.sin(state.yaw) * reach;
+      const lz = state.pos.z + Math.cos(state.yaw) * reach;
+      d = chooseClearTurn(world, lx, lz, state.yaw, clamp(d, -maxTurn, maxTurn), maxTurn);
+    }
+
+    state.turnDelta = clamp(d, -maxTurn, maxTurn);
+    state.targetYaw = wrapPi(state.yaw + state.turnDelta);
+
+    state.vel.x = Math.sin(state.yaw) * horiz;
+    state.vel.z = Math.cos(state.yaw) * horiz;
+
+    state.vy = up;
+    state.airborne = true;
+    state.swimming = false;
+    state.exit = null;
+    state.airborneTime = 0;
+    state.drift = 0;
+    state.beta = 0;
+
+    state.events.push({ type: "jump", t: state.time, turnDelta: state.turnDelta, up, horiz });
+  }
+
+  /**
+   * Мозги жабы. plan(view, mind, rng, params) вызывается на каждом приземлении без пилота и
+   * возвращает следующий прыжок { turn, power } — как команда пилота; необязательный height (0..1)
+   * задаёт высоту отдельно от дальности. view — снимок восприятия
+   * (perceive), mind — память этой жабы между прыжками, весь случайный выбор — из rng жабы.
+   * Прыжок уходит по текущему yaw, а turn разворачивает жабу в полёте к следующему прыжку,
+   * поэтому целятся мозги от точки приземления. Поведение стаи (steer, urge) и обход
+   * препятствий подмешиваются уже поверх ответа мозга; в воде жаба плывёт сама.
+   */
+  const PERCEPTION_RADIUS = 30;
+  const PATH_REACH = 4;
+  const AVOID_LOOK = 12;
+
+  /** Дальность полёта с силой power (0..1), с сопротивлением воздуха; rise — насколько место посадки выше места толчка. */
+  function jumpReach(params, power, rise = 0) {
+    const horiz = lerp(params.horizMin, params.horizMax, power);
+    const up = lerp(params.upMin, params.upMax, power);
+    const t = (up + Math.sqrt(Math.max(0, up * up - 2 * params.g * rise))) / params.g;
+    if (params.airDrag < 1e-6) return horiz * t;
+    return (horiz * (1 - Math.exp(-params.airDrag * t))) / params.airDrag;
+  }
+
+  /**
+   * Куда доскользит жаба на земле из (x, z) с курсом yaw и скоростью (vx, vz), прежде чем сможет
+   * прыгнуть снова: продольная скорость гаснет по kLong, боковая — по kLatGrip (заносом пренебрегаем).
+   */
+  function slideTo(params, x, z, yaw, vx, vz) {
+    const fx = Math.sin(yaw);
+    const fz = Math.cos(yaw);
+    const speed = Math.sqrt(vx * vx + vz * vz);
+    const k = speed > params.jumpSpeed ? 1 - params.jumpSpeed / speed : 0;
+    const long = ((vx * fx + vz * fz) * k) / (params.kLong + params.groundDrag);
+    const lat = ((vx * fz - vz * fx) * k) / (params.kLatGrip + params.groundDrag);
+    return { x: x + fx * long + fz * lat, z: z + fz * long - fx * lat };
+  }
+
+  /** Точка следующего толчка после прыжка из (x, z) по yaw с силой power и поворотом turn в полёте. */
+  function hopTo(params, x, z, yaw, power, turn) {
+    const fx = Math.sin(yaw);
+    const fz = Math.cos(yaw);
+    const reach = jumpReach(params, power);
+    const t = (2 * lerp(params.upMin, params.upMax, power)) / params.g;
+    const v = lerp(params.horizMin, params.horizMax, power) * Math.exp(-params.airDrag * t) * params.landingDamping;
+    return slideTo(params, x + fx * reach, z + fz * reach, yaw + turn, fx * v, fz * v);
+  }
+
+  /**
+   * Снимок восприятия: положение, курс, скорость и пропы в радиусе radius с текущих тайлов,
+   * от ближних к дальним. У пропа: kind (tree, rock, rune, artifact, can), x, z, r, dist и
+   * bearing — угол от курса жабы. Уже собранные предметы жаба не видит.
+   * Пропы собираются при первом чтении props: мозгам, которые на них не смотрят, обход тайлов не нужен.
+   */
+  function perceive(state, world, radius = PERCEPTION_RADIUS) {
+    const pos = { x: state.pos.x, y: state.pos.y, z: state.pos.z };
+    const { yaw } = state;
+    let props = null;
+    return {
+      time: state.time,
+      pos,
+      yaw,
+      vel: { x: state.vel.x, z: state.vel.z },
+      get props() {
+        if (!props) props = seeProps(world, pos, yaw, radius);
+        return props;
+      },
+    };
+  }
+
+  function seeProps(world, pos, yaw, radius) {
+    const props = [];
+    if (!world) return props;
+    const tx0 = Math.floor((pos.x - radius + TILE_SIZE * 0.5) / TILE_SIZE);
+    const tx1 = Math.floor((pos.x + radius + TILE_SIZE * 0.5) / TILE_SIZE);
+    const tz0 = Math.floor((pos.z - radius + TILE_SIZE * 0.5) / TILE_SIZE);
+    const tz1 = Math.floor((pos.z + radius + TILE_SIZE * 0.5) / TILE_SIZE);
+    for (let tz = tz0; tz <= tz1; tz++) {
+      for (let tx = tx0; tx <= tx1; tx++) {
+        const layout = world.layout(tx, tz);
+        const taken = world.collectedIn(tx, tz);
+        const see = (kind, list, size) => {
+          list.forEach((it, idx) => {
+            if (taken && taken.has(`${kind}:${idx}`)) return;
+            const x = layout.ox + it.x;
+            const z = layout.oz + it.z;
+            const dx = x - pos.x;
+            const dz = z - pos.z;
+            const dist = Math.sqrt(dx * dx + dz * dz);
+            if (dist > radius) return;
+            props.push({ kind, x, z, r: size(it), dist, bearing: wrapPi(Math.atan2(dx, dz) - yaw) });
+          });
+        };
+        see("tree", layout.trees, (t) => t.r);
+        see("rock", layout.rocks, (r) => r.s * 0.85);
+        see("rune", layout.runes, () => 0.6);
+        see("artifact", layout.artifacts, () => 0.58);
+        see("can", layout.cans, () => 0.91);
+      }
+    }
+    return props.sort((a, b) => a.dist - b.dist);
+  }
+
+  /** Насколько точно прыжок из (px, pz) по yaw ложится на (x, z): 0 — цель на линии прыжка и в досягаемости. */
+  function approachError(params, px, pz, yaw, x, z) {
+    const fx = Math.sin(yaw);
+    const fz = Math.cos(yaw);
+    const ahead = (x - px) * fx + (z - pz) * fz;
+    const side = (x - px) * fz - (z - pz) * fx;
+    return Math.abs(side) + Math.max(0, jumpReach(params, 0) - ahead) + Math.max(0, ahead - jumpReach(params, 1));
+  }
+
+  /**
+   * Прыжок к точке (x, z). Если она уже на линии прыжка — сила, чтобы сесть прямо на неё.
+   * Иначе перебираются сила и поворот этого прыжка (и сила следующего), чтобы через
+   * один-два толчка цель оказалась прямо по курсу: близкую цель так обходят петлёй, а не кружат вокруг.
+   * Отсчёт — от точки, где жаба перестанет скользить и оттолкнётся; stop — за сколько до цели садиться
+   * (чтобы не врезаться в твёрдый предмет, а подобрать его с приземления).
+   */
+  function aimAt(view, params, x, z, stop = 0) {
+    const { yaw } = view;
+    const from = slideTo(params, view.pos.x, view.pos.z, yaw, view.vel.x, view.vel.z);
+    if (approachError(params, from.x, from.z, yaw, x, z) < PICKUP_RADIUS * 0.7) {
+      const ahead = (x - from.x) * Math.sin(yaw) + (z - from.z) * Math.cos(yaw) - stop;
+      const rise = terrainHeight(x, z) - terrainHeight(from.x, from.z);
+      let lo = 0;
+      let hi = 1;
+      for (let i = 0; i < 10; i++) {
+        const mid = (lo + hi) / 2;
+        if (jumpReach(params, mid, rise) < ahead) lo = mid;
+        else hi = mid;
+      }
+      return { turn: 0, power: (lo + hi) / 2 };
+    }
+
+    const bearing = (p, heading) => clamp(wrapPi(Math.atan2(x - p.x, z - p.z) - heading), -params.maxTurn, params.maxTurn);
+    let best = null;
+    let bestCost = Infinity;
+    for (let i = 0; i <= 8; i++) {
+      const power = i / 8;
+      // к сетке поворотов добавляется точный поворот на цель из точки приземления
+      const reach = jumpReach(params, power);
+      const turns = [bearing({ x: from.x + Math.sin(yaw) * reach, z: from.z + Math.cos(yaw) * reach }, yaw)];
+      for (let k = -4; k <= 4; k++) turns.push((k / 4) * params.maxTurn);
+      for (const turn of turns) {
+        const yaw1 = yaw + turn;
+        const p1 = hopTo(params, from.x, from.z, yaw, power, turn);
+        let cost = approachError(params, p1.x, p1.z, yaw1, x, z);
+        for (let j = 0; j <= 4; j++) {
+          const r2 = jumpReach(params, j / 4);
+          const t2 = bearing({ x: p1.x + Math.sin(yaw1) * r2, z: p1.z + Math.cos(yaw1) * r2 }, yaw1);
+          const p2 = hopTo(params, p1.x, p1.z, yaw1, j / 4, t2);
+          cost = Math.min(cost, 1 + approachError(params, p2.x, p2.z, yaw1 + t2, x, z));
+        }
+        if (cost < bestCost) {
+          bestCost = cost;
+          best = { turn, power };
+        }
+      }
+    }
+    return best;
+  }
+
+  /** Насколько свободен от деревьев отрезок длиной len из (x, z) по yaw: зазор до ближайшего ствола, не больше len. */
+  function treeClearance(trees, x, z, yaw, len) {
+    const fx = Math.sin(yaw);
+    const fz = Math.cos(yaw);
+    let clear = len;
+    for (const t of trees) {
+      const t0 = clamp((t.x - x) * fx + (t.z - z) * fz, 0, len);
+      const dx = t.x - (x + fx * t0);
+      const dz = t.z - (z + fz * t0);
+      clear = Math.min(clear, Math.sqrt(dx * dx + dz * dz) - t.r - FROG_RADIUS);
+    }
+    return clear;
+  }
+
+  // прежний планировщик: поворот, высота и дальность — три независимых броска в этом порядке
+  const randomBrain = (view, mind, rng, params) => {
+    const turn = (rng() * 2 - 1) * params.maxTurn;
+    const height = rng();
+    return { turn, height, power: rng() };
+  };
+
+  // поворот наследует часть прошлого — жаба идёт плавными дугами, а не мечется
+  const wanderBrain = (view, mind, rng, params) => {
+    const turn = clamp((mind.turn || 0) * 0.7 + (rng() * 2 - 1) * 0.35 * params.maxTurn, -params.maxTurn, params.maxTurn);
+    mind.turn = turn;
+    return { turn, power: 0.35 + 0.4 * rng() };
+  };
+
+  const BRAINS = [
+    { id: "random", label: "Случайно", plan: randomBrain },
+    { id: "wander", label: "Прогулка", plan: wanderBrain },
+    {
+      id: "seek",
+      label: "За добычей",
+      plan: (view, mind, rng, params) => {
+        const target = view.props.find((p) => p.kind === "rune" || p.kind === "can");
+        if (!target) return wanderBrain(view, mind, rng, params);
+        return aimAt(view, params, target.x, target.z, Math.min(target.r + FROG_RADIUS + 0.1, PICKUP_RADIUS - 0.2));
+      },
+    },
+    {
+      id: "avoid",
+      label: "Мимо деревьев",
+      plan: (view, mind, rng, params) => {
+        const trees = view.props.filter((p) => p.kind === "tree");
+        const from = slideTo(params, view.pos.x, view.pos.z, view.yaw, view.vel.x, view.vel.z);
+        // сила — из нескольких случайных та, при которой полёт и скольжение дальше всего от стволов;
+        // поворот — в самый свободный коридор из следующей точки толчка
+        let power = 0;
+        let corridor = -Infinity;
+        for (let k = 0; k < 4; k++) {
+          const p = 0.15 + 0.7 * rng();
+          const to = hopTo(params, from.x, from.z, view.yaw, p, 0);
+          const c = Math.min(treeClearance(trees, from.x, from.z, view.yaw, Math.hypot(to.x - from.x, to.z - from.z)), 2);
+          if (c > corridor) {
+            corridor = c;
+            power = p;
+          }
+        }
+        let turn = 0;
+        let best = -Infinity;
+        for (let k = -4; k <= 4; k++) {
+          const t = (k / 4) * params.maxTurn;
+          const next = hopTo(params, from.x, from.z, view.yaw, power, t);
+          const score = Math.min(treeClearance(trees, next.x, next.z, view.yaw + t, AVOID_LOOK), 3) - 0.4 * Math.abs(t) + rng() * 0.5;
+          if (score > best) {
+            best = score;
+            turn = t;
+          }
+        }
+        return { turn, power };
+      },
+    },
+    {
+      id: "path",
+      label: "По пути",
+      plan: (view, mind, rng, params) => {
+        const path = mind.path || [];
+        mind.index = mind.index || 0;
+        while (mind.index < path.length) {
+          const p = path[mind.index];
+          if (Math.hypot(p.x - view.pos.x, p.z - view.pos.z) > PATH_REACH) break;
+          mind.index++;
+        }
+        if (mind.index >= path.length) return randomBrain(view, mind, rng, params);
+        const p = path[mind.index];
+        return aimAt(view, params, p.x, p.z);
+      },
+    },
+  ];
+
+  /** Сменить мозг жабы. options попадают в её память: для "path" это { path: [{ x, z }, ...] }. */
+  function setBrain(state, id, options = {}) {
+    if (!BRAINS.some((b) => b.id === id)) return false;
+    state.brain = id;
+    state.mind = { ...options };
+    state.plan = null;
+    return true;
+  }
+
+  /** Спросить мозг жабы о следующем прыжке; ответ обрезается по maxTurn, power и height — по 0..1. */
+  function think(state, params, world) {
+    const brain = BRAINS.find((b) => b.id === state.brain) || BRAINS[0];
+    const jump = brain.plan(perceive(state, world), state.mind, state.rng, params);
+    const plan = { turn: clamp(jump.turn, -params.maxTurn, params.maxTurn), power: clamp(jump.power, 0, 1) };
+    if (jump.height !== undefined) plan.height = clamp(jump.height, 0, 1);
+    return plan;
+  }
+
+  /**
+   * Плавание. Жаба сидит в воде на SWIM_SINK ниже поверхности, вода быстро гасит скорость,
+   * вперёд толкают гребки задних лап раз в SWIM_STROKE секунд. На каждом гребке ищется,
+   * куда выпрыгнуть (берег или кувшинка в досягаемости прыжка); развернувшись туда, жаба прыгает.
+   * Пилот плывёт так же, но выпрыгивает только по своей команде.
+   */
+  const SWIM_DEPTH = 0.45;
+  const SWIM_SINK = 0.3;
+  const SWIM_DRAG = 1.8;
+  const SWIM_KICK = 2.4;
+  const SWIM_STROKE = 0.85;
+  const SWIM_TURN_RATE = 2.2;
+  const SWIM_ENTRY_DAMPING = 0.3;
+  const SWIM_EXIT_DELAY = 1.2;
+
+  function startSwim(state, level, impact) {
+    const { pos, vel } = state;
+    state.swimming = true;
+    state.airborne = false;
+    state.vy = 0;
+    state.drift = 0;
+    state.beta = 0;
+    state.swimTime = 0;
+    state.strokeTimer = SWIM_STROKE * 0.6;
+    state.exit = null;
+    state.targetYaw = state.yaw;
+    pos.y = level - SWIM_SINK;
+    vel.x *= SWIM_ENTRY_DAMPING;
+    vel.z *= SWIM_ENTRY_DAMPING;
+    state.events.push({ type: "splash", t: state.time, vy: impact, x: pos.x, z: pos.z });
+  }
+
+  /** Ближайший прыжок из воды на сушу или кувшинку: { yaw, power } или null. */
+  function findSwimExit(state, params, world) {
+    const { pos } = state;
+    let best = null;
+    let bestScore = Infinity;
+    for (let k = 0; k < 16; k++) {
+      const a = wrapPi((k / 16) * Math.PI * 2);
+      const yaw = state.yaw + a;
+      for (const power of [0, 0.5, 1]) {
+        const up = lerp(params.upMin, params.upMax, power);
+        const horiz = lerp(params.horizMin, params.horizMax, power);
+        const reach = horiz * ((2 * up) / params.g) * 0.85;
+        const x = pos.x + Math.sin(yaw) * reach;
+        const z = pos.z + Math.cos(yaw) * reach;
+        const ground = supportHeight(world, x, z, pos.y + up, 0);
+        if (waterLevel(x, z) - ground > SWIM_DEPTH * 0.5) continue;
+        const score = Math.abs(a) + power * 0.8;
+        if (score < bestScore) {
+          bestScore = score;
+          best = { yaw, power };
+        }
+        break;
+      }
+    }
+    return best;
+  }
+
+  function stepSwim(state, params, dt, cmd, world) {
+    const { pos, vel, rng } = state;
+    state.swimTime += dt;
+    state.yaw = lerpAngle(state.yaw, state.targetYaw, 1 - Math.exp(-SWIM_TURN_RATE * dt));
+
+    const drag = Math.exp(-SWIM_DRAG * dt);
+    vel.x *= drag;
+    vel.z *= drag;
+
+    state.strokeTimer -= dt;
+    if (state.strokeTimer <= 0) {
+      state.strokeTimer += SWIM_STROKE;
+      vel.x += Math.sin(state.yaw) * SWIM_KICK;
+      vel.z += Math.cos(state.yaw) * SWIM_KICK;
+      state.events.push({ type: "stroke", t: state.time, x: pos.x, z: pos.z });
+
+      state.exit = state.swimTime >= SWIM_EXIT_DELAY ? findSwimExit(state, params, world) : null;
+      if (state.exit) state.targetYaw = wrapPi(state.exit.yaw);
+      else if (state.steer !== null) state.targetYaw = wrapPi(state.yaw + clamp(state.steer, -1, 1));
+      else state.targetYaw = wrapPi(state.yaw + (rng() * 2 - 1) * 0.6);
+    }
+
+    pos.x += vel.x * dt;
+    pos.z += vel.z * dt;
+    resolvePropCollisions(state, world, params.slideBounce, SWIM_SINK + 0.1);
+
+    // доплыли до мели — дальше обычная жаба на земле
+    const level = waterLevel(pos.x, pos.z);
+    const ground = supportHeight(world, pos.x, pos.z, level, 0.05);
+    if (level - ground < SWIM_DEPTH) {
+      state.swimming = false;
+      state.exit = null;
+      pos.y = ground;
+      state.groundTimer = params.groundTimeMin;
+      return state;
+    }
+    pos.y = level - SWIM_SINK;
+
+    if (cmd) {
+      if (cmd.jump) planJump(state, params, cmd.jump, world);
+    } else if (state.exit && Math.abs(wrapPi(state.targetYaw - state.yaw)) < 0.12) {
+      planJump(state, params, { turn: (rng() * 2 - 1) * 0.4 * params.maxTurn, power: state.exit.power }, world);
+    }
+    return state;
+  }
+
+  /**
+   * Один шаг симуляции. cmd — команда пилота ({ jump, drift }) или null: тогда прыгает мозг жабы (state.brain).
+   * world — источник коллайдеров (createWorld); без него жаба прыгает сквозь пропы.
+   */
+  function stepFrog(state, params, dt, cmd, world = null) {
+    const { pos, vel, rng } = state;
+    state.time += dt;
+
+    const fx = Math.sin(state.yaw);
+    const fz = Math.cos(state.yaw);
+    const rx = fz;
+    const rz = -fx;
+
+    if (state.swimming) return stepSwim(state, params, dt, cmd, world);
+
+    if (state.airborne) {
+      state.airborneTime += dt;
+
+      state.yaw = lerpAngle(state.yaw, state.targetYaw, 1 - Math.exp(-params.turnRate * dt));
+
+      const prevY = pos.y;
+      state.vy -= params.g * dt;
+      pos.y += state.vy * dt;
+      pos.x += vel.x * dt;
+      pos.z += vel.z * dt;
+
+      const airDrag = Math.exp(-params.airDrag * dt);
+      vel.x *= airDrag;
+      vel.z *= airDrag;
+
+      const hit = resolvePropCollisions(state, world, params.bounce, 0.05);
+      if (hit > 0.5) state.events.push({ type: "bump", t: state.time, speed: hit, x: pos.x, z: pos.z });
+
+      const groundY = supportHeight(world, pos.x, pos.z, prevY, 0.05);
+      const level = waterLevel(pos.x, pos.z);
+      if (pos.y <= level && state.vy <= 0 && level - groundY > SWIM_DEPTH) {
+        startSwim(state, level, state.vy);
+        if (world) collectPickups(state, world);
+        return state;
+      }
+      if (pos.y <= groundY && state.vy <= 0) {
+        const impact = state.vy;
+        pos.y = groundY;
+        state.vy = 0;
+        state.airborne = false;
+
+        state.yaw = state.targetYaw;
+
+        if (cmd && cmd.drift) {
+          const side = Math.sign(state.turnDelta) || 1;
+          state.yaw = wrapPi(state.targetYaw + params.driftKick * side);
+          state.targetYaw = state.yaw;
+        } else {
+          vel.x *= params.landingDamping;
+          vel.z *= params.landingDamping;
+        }
+
+        state.groundTimer = lerp(params.groundTimeMin, params.groundTimeMax, rng()) * (1 - 0.8 * state.urge);
+        state.events.push({ type: "land", t: state.time, vy: impact, x: pos.x, z: pos.z });
+        if (world) collectPickups(state, world);
+        state.plan = cmd ? null : think(state, params, world);
+      }
+      return state;
+    }
+
+    state.groundTimer -= dt;
+
+    const vLong = vel.x * fx + vel.z * fz;
+    const vLat = vel.x * rx + vel.z * rz;
+    const speed = Math.sqrt(vel.x * vel.x + vel.z * vel.z);
+
+    state.beta = Math.atan2(vLat, Math.abs(vLong) + 0.6);
+    state.drift = clamp(smoothstep(0.18, 0.58, Math.abs(state.beta)) * smoothstep(3.0, 10.0, speed), 0, 1);
+
+    const kLat = lerp(params.kLatDrift, params.kLatGrip, 1 - state.drift);
+
+    const nLong = vLong * Math.exp(-params.kLong * dt);
+    const nLat = vLat * Math.exp(-kLat * dt);
+
+    vel.x = fx * nLong + rx * nLat;
+    vel.z = fz * nLong + rz * nLat;
+
+    const overall = Math.exp(-params.groundDrag * dt);
+    vel.x *= overall;
+    vel.z *= overall;
+
+    pos.x += vel.x * dt;
+    pos.z += vel.z * dt;
+
+    const hit = resolvePropCollisions(state, world, params.slideBounce, params.stepUp);
+    if (hit > 2) state.events.push({ type: "bump", t: state.time, speed: hit, x: pos.x, z: pos.z });
+
+    const support = supportHeight(world, pos.x, pos.z, pos.y, params.stepUp);
+    if (support < pos.y - params.stepUp) {
+      state.airborne = true;
+      state.airborneTime = 0;
+      state.vy = 0;
+      state.drift = 0;
+      return state;
+    }
+    pos.y = support;
+
+    // съехали с берега или кувшинки в воду
+    const level = waterLevel(pos.x, pos.z);
+    if (level - support > SWIM_DEPTH) {
+      startSwim(state, level, 0);
+      return state;
+    }
+
+    if (world && state.drift > 0.2) collectPickups(state, world);
+
+    if (cmd) {
+      if (cmd.jump) planJump(state, params, cmd.jump, world);
+    } else if (state.groundTimer <= 0) {
+      const speed2 = Math.sqrt(vel.x * vel.x + vel.z * vel.z);
+      if (speed2 < params.jumpSpeed * (1 + 3 * state.urge)) planJump(state, params, null, world);
+    }
+
+    return state;
+  }
+
+  const TILE_SIZE = 120;
+
+  const TILE_CAPACITY = { tree: 120, bush: 90, rock: 60, rune: 4, artifact: 2, can: 18, puddle: 8, pond: 4, pad: 64 };
+
+  const RUNE_COLORS = [0xff3b3b, 0xb250ff, 0x2b7bff, 0x35ff7b, 0xffd24a, 0x43e9ff];
+
+  const CAN_VARIANTS = [
+    { label: "LEMON", accent: 0xffd24a },
+    { label: "VIOLET", accent: 0xb07cff },
+    { label: "ORANGE", accent: 0xff6b3a },
+    { label: "LIME", accent: 0x61ff78 },
+  ];
+
+  /**
+   * Биомы леса. Плотности — доля кандидатов из TILE_CAPACITY, которые остаются на тайле;
+   * ponds — шанс пруда в клетке POND_CELL, lilies — сколько на нём кувшинок; round — доля
+   * лиственных деревьев (круглая крона вместо конуса); odds умножают шансы рун, артефактов
+   * и банок; палитры — диапазоны HSL; ground — цвет земли (sRGB).
+   */
+  const BIOMES = [
+    {
+      id: "pine",
+      label: "Ельник",
+      ground: 0x11301c,
+      trees: 0.95,
+      round: 0.04,
+      bushes: 0.6,
+      rocks: 0.7,
+      puddles: 0,
+      ponds: 0.15,
+      lilies: 2,
+      odds: { rune: 1, artifact: 1, can: 1 },
+      height: [2.4, 6.0],
+      trunkR: [0.09, 0.16],
+      crownH: [1.8, 4.4],
+      crownR: [0.9, 1.7],
+      rockS: [0.25, 0.9],
+      crown: { h: [0.3, 0.38], s: [0.45, 0.7], l: [0.16, 0.26] },
+      bark: { h: 0.085, s: 0.42, l: [0.22, 0.36] },
+      bush: { h: [0.28, 0.36], s: [0.3, 0.55], l: [0.17, 0.25] },
+    },
+    {
+      id: "birch",
+      label: "Березняк",
+      ground: 0x2c4a22,
+      trees: 0.6,
+      round: 0.92,
+      bushes: 0.9,
+      rocks: 0.3,
+      puddles: 0,
+      ponds: 0.2,
+      lilies: 3,
+      odds: { rune: 1, artifact: 0.8, can: 1.2 },
+      height: [3.0, 6.4],
+      trunkR: [0.07, 0.12],
+      crownH: [1.8, 3.2],
+      crownR: [1.0, 1.7],
+      rockS: [0.25, 0.8],
+      crown: { h: [0.2, 0.27], s: [0.45, 0.65], l: [0.32, 0.42] },
+      bark: { h: 0.12, s: 0.06, l: [0.72, 0.86] },
+      bush: { h: [0.22, 0.3], s: [0.4, 0.6], l: [0.25, 0.34] },
+    },
+    {
+      id: "swamp",
+      label: "Болото",
+      ground: 0x23301a,
+      trees: 0.25,
+      round: 0.5,
+      bushes: 0.8,
+      rocks: 0.15,
+      puddles: 1,
+      ponds: 0.8,
+      lilies: 9,
+      odds: { rune: 0.8, artifact: 0.6, can: 0.5 },
+      height: [1.6, 3.8],
+      trunkR: [0.08, 0.14],
+      crownH: [1.2, 2.6],
+      crownR: [0.8, 1.4],
+      rockS: [0.25, 0.6],
+      crown: { h: [0.18, 0.26], s: [0.25, 0.4], l: [0.16, 0.24] },
+      bark: { h: 0.08, s: 0.2, l: [0.16, 0.26] },
+      bush: { h: [0.17, 0.25], s: [0.3, 0.5], l: [0.16, 0.24] },
+    },
+    {
+      id: "rocky",
+      label: "Каменистая поляна",
+      ground: 0x3a4230,
+      trees: 0.12,
+      round: 0.3,
+      bushes: 0.35,
+      rocks: 1,
+      puddles: 0,
+      ponds: 0.05,
+      lilies: 1,
+      odds: { rune: 1.6, artifact: 1.5, can: 0.8 },
+      height: [2.0, 4.4],
+      trunkR: [0.09, 0.15],
+      crownH: [1.6, 3.4],
+      crownR: [0.9, 1.5],
+      rockS: [0.4, 1.6],
+      crown: { h: [0.28, 0.36], s: [0.35, 0.6], l: [0.18, 0.28] },
+      bark: { h: 0.085, s: 0.35, l: [0.22, 0.34] },
+      bush: { h: [0.2, 0.3], s: [0.25, 0.45], l: [0.2, 0.3] },
+    },
+    {
+      id: "autumn",
+      label: "Осенний лес",
+      ground: 0x4a3a1c,
+      trees: 0.8,
+      round: 0.85,
+      bushes: 0.8,
+      rocks: 0.5,
+      puddles: 0,
+      ponds: 0.2,
+      lilies: 3,
+      odds: { rune: 1, artifact: 1, can: 1 },
+      height: [2.6, 5.6],
+      trunkR: [0.09, 0.16],
+      crownH: [2.0, 3.6],
+      crownR: [1.2, 2.0],
+      rockS: [0.25, 0.9],
+      crown: { h: [0.02, 0.13], s: [0.65, 0.9], l: [0.3, 0.45] },
+      bark: { h: 0.07, s: 0.3, l: [0.2, 0.3] },
+      bush: { h: [0.03, 0.12], s: [0.5, 0.8], l: [0.25, 0.38] },
+    },
+  ];
+
+  /** Размер «пятна» биома: одна низкочастотная карта шума на каждый биом, побеждает наибольшая. */
+  const BIOME_SCALE = 260;
+  const BIOME_SHARPNESS = 24;
+  const BIOME_JITTER = 12;
+
+  /** Веса биомов в точке (сумма 1). Плавные, поэтому цвет земли смешивается без ступенек. */
+  function biomeWeights(x, z, out = new Array(BIOMES.length)) {
+    let max = -Infinity;
+    for (let b = 0; b < BIOMES.length; b++) {
+      out[b] = valueNoise2(x / BIOME_SCALE, z / BIOME_SCALE, 0x61b0 + b * 0x3d1);
+      max = Math.max(max, out[b]);
+    }
+    let sum = 0;
+    for (let b = 0; b < BIOMES.length; b++) {
+      out[b] = Math.exp(BIOME_SHARPNESS * (out[b] - max));
+      sum += out[b];
+    }
+    for (let b = 0; b < BIOMES.length; b++) out[b] /= sum;
+    return out;
+  }
+
+  const biomeTmp = new Array(BIOMES.length);
+
+  /** Индекс преобладающего биома в точке. */
+  function biomeAt(x, z) {
+    const w = biomeWeights(x, z, biomeTmp);
+    let best = 0;
+    for (let b = 1; b < w.length; b++) if (w[b] > w[best]) best = b;
+    return best;
+  }
+
+  /**
+   * Водоёмы. Пруды — по одному (или ни одного) на клетку POND_CELL, клетки вложены в тайлы,
+   * поэтому пруд целиком лежит в своём тайле. Уровень воды чуть ниже самой низкой точки берега.
+   * Ручьи — узкая полоса вдоль нулевой линии искривлённого шума; вода в них идёт вдоль рельефа.
+   */
+  const POND_CELL = TILE_SIZE / 2;
+  const POND_DEPTH = 1.6;
+  const POND_SHORE = 1.2;
+  const STREAM_SCALE = 210;
+  const STREAM_HALF_WIDTH = 0.012;
+  const STREAM_DEPTH = 1.2;
+  const STREAM_SURFACE = 0.3;
+
+  const pondCache = new Map();
+
+  /** Доля ширины русла в точке (0 — вне ручья, 1 — середина). */
+  function streamChannel(x, z) {
+    const mask = smoothstep(-0.04, 0.06, valueNoise2(x / 420, z / 420, 0x7c05));
+    if (mask <= 0) return 0;
+    const wx = x + 36 * valueNoise2(x / 140, z / 140, 0x3a17);
+    const wz = z + 36 * valueNoise2(x / 140, z / 140, 0x4b29);
+    const n = valueNoise2(wx / STREAM_SCALE, wz / STREAM_SCALE, 0x6e31);
+    return mask * clamp(1 - Math.abs(n) / STREAM_HALF_WIDTH, 0, 1);
+  }
+
+  function streamCarved(x, z, base) {
+    const t = streamChannel(x, z);
+    return t > 0 ? base - STREAM_DEPTH * smoothstep(0, 0.7, t) : base;
+  }
+
+  /** Пруд клетки (cx, cz) в мировых координатах или null. */
+  function pondInCell(cx, cz) {
+    const key = `${cx},${cz}`;
+    if (pondCache.has(key)) return pondCache.get(key);
+    if (pondCache.size > 4096) pondCache.clear();
+
+    const rng = makeRng(hash2i(cx ^ 0x90d, cz + 0x90d) || 1);
+    const w = biomeWeights((cx + 0.5) * POND_CELL, (cz + 0.5) * POND_CELL);
+    const chance = BIOMES.reduce((acc, b, i) => acc + b.ponds * w[i], 0);
+
+    const roll = rng();
+    const r = randRange(rng, 5, 12);
+    const margin = r * POND_SHORE + 1.5;
+    const x = cx * POND_CELL + randRange(rng, margin, POND_CELL - margin);
+    const z = cz * POND_CELL + randRange(rng, margin, POND_CELL - margin);
+
+    let pond = null;
+    if (roll < chance) {
+      let low = Infinity;
+      for (let k = 0; k < 12; k++) {
+        const a = (k / 12) * Math.PI * 2;
+        const px = x + Math.cos(a) * r * POND_SHORE;
+        const pz = z + Math.sin(a) * r * POND_SHORE;
+        low = Math.min(low, streamCarved(px, pz, terrainBase(px, pz)));
+      }
+      pond = { x, z, r, level: low - 0.15 };
+    }
+    pondCache.set(key, pond);
+    return pond;
+  }
+
+  function pondAt(x, z) {
+    return pondInCell(Math.floor(x / POND_CELL), Math.floor(z / POND_CELL));
+  }
+
+  function carveWater(x, z, base) {
+    let h = streamCarved(x, z, base);
+    const p = pondAt(x, z);
+    if (!p) return h;
+    const d = Math.hypot(x - p.x, z - p.z);
+    if (d >= p.r * POND_SHORE) return h;
+    const k = d / p.r;
+    const bed = p.level - POND_DEPTH * Math.max(0, 1 - k * k);
+    return Math.min(h, lerp(base, bed, smoothstep(p.r * POND_SHORE, p.r * 0.7, d)));
+  }
+
+  /**
+   * Высота поверхности воды в точке или -Infinity, если воды тут нет.
+   * Вода есть только там, где она выше рельефа: waterLevel(x, z) > terrainHeight(x, z).
+   */
+  function waterLevel(x, z) {
+    const p = pondAt(x, z);
+    if (p && Math.hypot(x - p.x, z - p.z) < p.r * POND_SHORE) return p.level;
+    if (streamChannel(x, z) > 0) return terrainBase(x, z) - STREAM_SURFACE;
+    return -Infinity;
+  }
+
+  /** Глубина воды (отрицательная — суша). */
+  function waterDepth(x, z) {
+    return waterLevel(x, z) - terrainHeight(x, z);
+  }
+
+  /**
+   * Раскладка тайла леса как чистые данные (координаты локальные для тайла, y — мировые).
+   * Из неё строятся и инстансы, и коллайдеры, поэтому порядок вызовов rng менять нельзя.
+   * Биом выбирается для каждого предмета по его точке со случайным сдвигом до BIOME_JITTER —
+   * так границы биомов не совпадают с границами тайлов и размываются.
+   * Пропы в воду не ставятся; пруды приходят из pondInCell, на них растут кувшинки.
+   */
+  function generateTileLayout(tx, tz) {
+    const rng = makeRng(hash2i(tx, tz));
+    const half = TILE_SIZE * 0.5;
+    const ox = tx * TILE_SIZE;
+    const oz = tz * TILE_SIZE;
+    const groundAt = (x, z) => terrainHeight(ox + x, oz + z);
+    const pick = (range) => randRange(rng, range[0], range[1]);
+
+    const center = biomeWeights(ox, oz);
+    const blend = (get) => BIOMES.reduce((acc, b, i) => acc + get(b) * center[i], 0);
+    const mix = (key) => blend((b) => b.odds[key]);
+    const main = center.indexOf(Math.max(...center));
+
+    const layout = {
+      tx,
+      tz,
+      ox,
+      oz,
+      biome: BIOMES[main].id,
+      trees: [],
+      bushes: [],
+      rocks: [],
+      runes: [],
+      artifacts: [],
+      cans: [],
+      puddles: [],
+      ponds: [],
+      pads: [],
+    };
+
+    const wet = (x, z) => waterLevel(ox + x, oz + z) > groundAt(x, z) - 0.3;
+
+    const sampleXZ = () => ({ x: randRange(rng, -half, half), z: randRange(rng, -half, half) });
+    const localBiome = (x, z) => {
+      const jx = randRange(rng, -BIOME_JITTER, BIOME_JITTER);
+      const jz = randRange(rng, -BIOME_JITTER, BIOME_JITTER);
+      return BIOMES[biomeAt(ox + x + jx, oz + z + jz)];
+    };
+
+    for (let i = 0; i < TILE_CAPACITY.tree; i++) {
+      const { x, z } = sampleXZ();
+      const b = localBiome(x, z);
+      if (rng() >= b.trees || wet(x, z)) continue;
+      const kind = rng() < b.round ? "round" : "cone";
+      const rot = randRange(rng, -Math.PI, Math.PI);
+      const h = pick(b.height);
+      const r = pick(b.trunkR);
+      const bark = clamp(pick(b.bark.l), 0, 1);
+      const cH = pick(b.crownH);
+      const cR = pick(b.crownR);
+      const hue = pick(b.crown.h);
+      const sat = pick(b.crown.s);
+      const lig = pick(b.crown.l);
+      layout.trees.push({
+        x,
+        z,
+        y0: groundAt(x, z) - 0.12,
+        kind,
+        rot,
+        h,
+        r,
+        bark,
+        barkHue: b.bark.h,
+        barkSat: b.bark.s,
+        cH,
+        cR,
+        hue,
+        sat,
+        lig,
+      });
+    }
+
+    for (let i = 0; i < TILE_CAPACITY.bush; i++) {
+      const { x, z } = sampleXZ();
+      const b = localBiome(x, z);
+      if (rng() >= b.bushes || wet(x, z)) continue;
+      const rot = randRange(rng, -Math.PI, Math.PI);
+      const s = randRange(rng, 0.55, 1.25);
+      const hue = pick(b.bush.h);
+      const sat = pick(b.bush.s);
+      const lig = pick(b.bush.l);
+      layout.bushes.push({ x, z, y: groundAt(x, z) + s * 0.5, rot, s, hue, sat, lig });
+    }
+
+    for (let i = 0; i < TILE_CAPACITY.rock; i++) {
+      const { x, z } = sampleXZ();
+      const b = localBiome(x, z);
+      if (rng() >= b.rocks || wet(x, z)) continue;
+      const rot = randRange(rng, -Math.PI, Math.PI);
+      const s = pick(b.rockS);
+      const sy = randRange(rng, 0.65, 1.05);
+      const l = randRange(rng, 0.22, 0.38);
+      layout.rocks.push({ x, z, y: groundAt(x, z) + s * 0.2, rot, s, sy, l });
+    }
+
+    // лужи ищут ровное место; уровень воды — чуть выше самой низкой точки берега,
+    // выше него рельеф сам закрывает воду и рисует береговую линию
+    for (let i = 0; i < TILE_CAPACITY.puddle; i++) {
+      const { x, z } = sampleXZ();
+      const b = localBiome(x, z);
+      if (rng() >= b.puddles) continue;
+      const r = randRange(rng, 2.2, 4.8);
+      const rot = randRange(rng, -Math.PI, Math.PI);
+      const padCount = Math.floor(randRange(rng, 2, 6));
+      if (Math.abs(x) > half - r || Math.abs(z) > half - r || wet(x, z)) continue;
+
+      let low = groundAt(x, z);
+      for (let k = 0; k < 8; k++) {
+        const a = (k / 8) * Math.PI * 2;
+        low = Math.min(low, groundAt(x + Math.cos(a) * r, z + Math.sin(a) * r));
+      }
+      if (groundAt(x, z) - low > 0.8) continue;
+      const y = low + 0.1;
+      layout.puddles.push({ x, z, y, r, rot });
+
+      for (let k = 0; k < padCount && layout.pads.length < TILE_CAPACITY.pad; k++) {
+        const a = randRange(rng, -Math.PI, Math.PI);
+        const d = r * 0.7 * Math.sqrt(rng());
+        const px = x + Math.cos(a) * d;
+        const pz = z + Math.sin(a) * d;
+        const pr = randRange(rng, 0.35, 0.7);
+        const prot = randRange(rng, -Math.PI, Math.PI);
+        const hue = randRange(rng, 0.24, 0.32);
+        if (groundAt(px, pz) > y) continue;
+        layout.pads.push({ x: px, z: pz, y: y + 0.02, r: pr, rot: prot, hue });
+      }
+    }
+
+    for (let cz = 2 * tz - 1; cz <= 2 * tz; cz++) {
+      for (let cx = 2 * tx - 1; cx <= 2 * tx; cx++) {
+        const p = pondInCell(cx, cz);
+        if (!p) continue;
+        const pond = { x: p.x - ox, z: p.z - oz, r: p.r * POND_SHORE, level: p.level };
+        layout.ponds.push(pond);
+
+        const padCount = Math.floor(blend((b) => b.lilies) + rng() * 3);
+        for (let k = 0; k < padCount && layout.pads.length < TILE_CAPACITY.pad; k++) {
+          const a = randRange(rng, -Math.PI, Math.PI);
+          const d = p.r * 0.85 * Math.sqrt(rng());
+          const px = pond.x + Math.cos(a) * d;
+          const pz = pond.z + Math.sin(a) * d;
+          const pr = randRange(rng, 0.6, 1.1);
+          const prot = randRange(rng, -Math.PI, Math.PI);
+          const hue = randRange(rng, 0.24, 0.32);
+          if (groundAt(px, pz) > p.level - 0.3) continue;
+          layout.pads.push({ x: px, z: pz, y: p.level + 0.02, r: pr, rot: prot, hue });
+        }
+      }
+    }
+
+    const oddsRune = mix("rune");
+    const oddsArtifact = mix("artifact");
+
+    let runeTarget = 0;
+    if (rng() < Math.min(0.98, 0.82 * oddsRune)) runeTarget = 1;
+    if (rng() < 0.42 * oddsRune) runeTarget += 1;
+    if (rng() < 0.16 * oddsRune) runeTarget += 1;
+    runeTarget = Math.min(runeTarget, TILE_CAPACITY.rune);
+
+    let artifactTarget = 0;
+    if (rng() < 0.5 * oddsArtifact) artifactTarget = 1;
+    if (rng() < 0.16 * oddsArtifact) artifactTarget += 1;
+    artifactTarget = Math.min(artifactTarget, TILE_CAPACITY.artifact);
+
+    const cansTarget = Math.round((10 + Math.floor(rng() * 10)) * mix("can"));
+
+    const samplePropXZ = (minR = 10) => {
+      const minR2 = minR * minR;
+      for (let k = 0; k < 42; k++) {
+        const a = randRange(rng, -Math.PI, Math.PI);
+        const rr = (half * 0.62) * Math.sqrt(rng());
+        const x = Math.cos(a) * rr;
+        const z = Math.sin(a) * rr;
+        if (x * x + z * z >= minR2 && !wet(x, z)) return { x, z };
+      }
+      return { x: randRange(rng, -half * 0.35, half * 0.35), z: randRange(rng, -half * 0.35, half * 0.35) };
+    };
+
+    for (let r = 0; r < runeTarget; r++) {
+      const { x, z } = samplePropXZ(14);
+      const rot = randRange(rng, -Math.PI, Math.PI);
+      const colorIndex = Math.floor(rng() * RUNE_COLORS.length);
+      const ex = randRange(rng, 0, Math.PI);
+      const ey = randRange(rng, -Math.PI, Math.PI);
+      const ez = randRange(rng, 0, Math.PI);
+      layout.runes.push({ x, z, y0: groundAt(x, z) - 0.06, rot, colorIndex, color: RUNE_COLORS[colorIndex], ex, ey, ez });
+    }
+
+    for (let a = 0; a < artifactTarget; a++) {
+      const { x, z } = samplePropXZ(16);
+      const rot = randRange(rng, -Math.PI, Math.PI);
+      const tiltX = randRange(rng, -0.08, 0.08);
+      const tiltZ = randRange(rng, -0.08, 0.08);
+      layout.artifacts.push({ x, z, y0: groundAt(x, z) - 0.06, rot, tiltX, tiltZ });
+    }
+
+    const canN = new Array(CAN_VARIANTS.length).fill(0);
+    for (let k = 0; k < cansTarget; k++) {
+      const variant = Math.floor(rng() * CAN_VARIANTS.length);
+      if (canN[variant] >= TILE_CAPACITY.can) continue;
+
+      const { x, z } = samplePropXZ(12);
+
+      const lying = rng() < 0.32;
+      const rotY = randRange(rng, -Math.PI, Math.PI);
+
+      const rx = lying ? Math.PI / 2 + randRange(rng, -0.28, 0.28) : randRange(rng, -0.08, 0.08);
+      const rz = lying ? randRange(rng, -0.28, 0.28) : randRange(rng, -0.06, 0.06);
+
+      layout.cans.push({ variant, x, z, y: groundAt(x, z) + (lying ? 0.3 : 0.5), lying, rx, rotY, rz });
+      canN[variant]++;
+    }
+
+    return layout;
+  }
+
+  function srgbToLinear(c) {
+    return c < 0.04045 ? c * 0.0773993808 : Math.pow(c * 0.9478672986 + 0.0521327014, 2.4);
+  }
+
+  function hueToRgb(p, q, t) {
+    if (t < 0) t += 1;
+    if (t > 1) t -= 1;
+    if (t < 1 / 6) return p + (q - p) * 6 * t;
+    if (t < 1 / 2) return q;
+    if (t < 2 / 3) return p + (q - p) * 6 * (2 / 3 - t);
+    return p;
+  }
+
+  /** Цвет как его кладёт THREE.Color.setHSL: HSL считается уже в рабочем (линейном) пространстве. */
+  function writeHsl(out, i, h, s, l) {
+    h = h - Math.floor(h);
+    s = clamp(s, 0, 1);
+    l = clamp(l, 0, 1);
+    let r = l;
+    let g = l;
+    let b = l;
+    if (s > 0) {
+      const p = l <= 0.5 ? l * (1 + s) : l + s - l * s;
+      const q = 2 * l - p;
+      r = hueToRgb(q, p, h + 1 / 3);
+      g = hueToRgb(q, p, h);
+      b = hueToRgb(q, p, h - 1 / 3);
+    }
+    out[i * 3 + 0] = r;
+    out[i * 3 + 1] = g;
+    out[i * 3 + 2] = b;
+  }
+
+  /** А setHex переводит из sRGB в линейное. */
+  function writeHex(out, i, hex) {
+    out[i * 3 + 0] = srgbToLinear(((hex >> 16) & 255) / 255);
+    out[i * 3 + 1] = srgbToLinear(((hex >> 8) & 255) / 255);
+    out[i * 3 + 2] = srgbToLinear((hex & 255) / 255);
+  }
+
+  const instQuat = { x: 0, y: 0, z: 0, w: 1 };
+
+  function quatFromYaw(a) {
+    instQuat.x = 0;
+    instQuat.y = Math.sin(a / 2);
+    instQuat.z = 0;
+    instQuat.w = Math.cos(a / 2);
+    return instQuat;
+  }
+
+  /** Кватернион из углов Эйлера в порядке YXZ (как THREE.Euler(x, y, z, "YXZ")). */
+  function quatFromEulerYXZ(x, y, z) {
+    const c1 = Math.cos(x / 2);
+    const c2 = Math.cos(y / 2);
+    const c3 = Math.cos(z / 2);
+    const s1 = Math.sin(x / 2);
+    const s2 = Math.sin(y / 2);
+    const s3 = Math.sin(z / 2);
+    instQuat.x = s1 * c2 * c3 + c1 * s2 * s3;
+    instQuat.y = c1 * s2 * c3 - s1 * c2 * s3;
+    instQuat.z = c1 * c2 * s3 - s1 * s2 * c3;
+    instQuat.w = c1 * c2 * c3 + s1 * s2 * s3;
+    return instQuat;
+  }
+
+  /** Матрица 4×4 по столбцам, как THREE.Matrix4.compose, записанная в out начиная с i * 16. */
+  function writeMatrix(out, i, px, py, pz, q, sx, sy, sz) {
+    const { x, y, z, w } = q;
+    const x2 = x + x;
+    const y2 = y + y;
+    const z2 = z + z;
+    const xx = x * x2;
+    const xy = x * y2;
+    const xz = x * z2;
+    const yy = y * y2;
+    const yz = y * z2;
+    const zz = z * z2;
+    const wx = w * x2;
+    const wy = w * y2;
+    const wz = w * z2;
+    const o = i * 16;
+
+    out[o + 0] = (1 - (yy + zz)) * sx;
+    out[o + 1] = (xy + wz) * sx;
+    out[o + 2] = (xz - wy) * sx;
+    out[o + 3] = 0;
+    out[o + 4] = (xy - wz) * sy;
+    out[o + 5] = (1 - (xx + zz)) * sy;
+    out[o + 6] = (yz + wx) * sy;
+    out[o + 7] = 0;
+    out[o + 8] = (xz + wy) * sz;
+    out[o + 9] = (yz - wx) * sz;
+    out[o + 10] = (1 - (xx + yy)) * sz;
+    out[o + 11] = 0;
+    out[o + 12] = px;
+    out[o + 13] = py;
+    out[o + 14] = pz;
+    out[o + 15] = 1;
+  }
+
+  function instanceBatch(capacity, colored) {
+    return { count: 0, matrices: new Float32Array(capacity * 16), colors: colored ? new Float32Array(capacity * 3) : null };
+  }
+
+  /**
+   * Буферы инстансов тайла без THREE: матрицы и линейные цвета для каждого InstancedMesh.
+   * impostor — те же деревья для дальних тайлов, одна пара скрещенных плоскостей на дерево.
+   * Хвойные и лиственные кроны (и их импостеры) идут в разные пачки: конус и шар.
+   * water — диски луж и прудов; ручьи рисует отдельная сетка (buildWaterPatch).
+   * Собранное (collected) не попадает в буферы, постаменты рун и артефактов остаются.
+   */
+  function buildTileInstances(layout, collected = null) {
+    const taken = (id) => !!collected && collected.has(id);
+    const out = {
+      trunk: instanceBatch(layout.trees.length, true),
+      crown: instanceBatch(layout.trees.length, true),
+      crownRound: instanceBatch(layout.trees.length, true),
+      impostor: instanceBatch(layout.trees.length, true),
+      impostorRound: instanceBatch(layout.trees.length, true),
+      bush: instanceBatch(layout.bushes.length, true),
+      rock: instanceBatch(layout.rocks.length, true),
+      runeBase: instanceBatch(layout.runes.length, false),
+      runeCrystal: instanceBatch(layout.runes.length, true),
+      artifactPedestal: instanceBatch(layout.artifacts.length, false),
+      artifact: instanceBatch(layout.artifacts.length, false),
+      cans: CAN_VARIANTS.map(() => instanceBatch(TILE_CAPACITY.can, false)),
+      water: instanceBatch(layout.puddles.length + layout.ponds.length, false),
+      pad: instanceBatch(layout.pads.length, true),
+    };
+
+    for (const t of layout.trees) {
+      const i = out.trunk.count++;
+      const q = quatFromYaw(t.rot);
+      writeMatrix(out.trunk.matrices, i, t.x, t.y0 + t.h * 0.5, t.z, q, t.r, t.h, t.r);
+      writeHsl(out.trunk.colors, i, t.barkHue, t.barkSat, t.bark);
+
+      const round = t.kind === "round";
+      const crown = round ? out.crownRound : out.crown;
+      const impostor = round ? out.impostorRound : out.impostor;
+      const c = crown.count++;
+      const cy = t.y0 + t.h + t.cH * 0.45;
+      if (round) writeMatrix(crown.matrices, c, t.x, cy, t.z, q, t.cR, t.cH * 0.55, t.cR);
+      else writeMatrix(crown.matrices, c, t.x, cy, t.z, q, t.cR, t.cH, t.cR);
+      writeHsl(crown.colors, c, t.hue, t.sat, t.lig);
+
+      const m = impostor.count++;
+      writeMatrix(impostor.matrices, m, t.x, t.y0, t.z, q, t.cR * 2.1, t.h + t.cH * 0.95, t.cR * 2.1);
+      writeHsl(impostor.colors, m, t.hue, t.sat, t.lig);
+    }
+
+    for (const w of layout.puddles) {
+      writeMatrix(out.water.matrices, out.water.count++, w.x, w.y, w.z, quatFromYaw(w.rot), w.r, 1, w.r);
+    }
+    for (const w of layout.ponds) {
+      writeMatrix(out.water.matrices, out.water.count++, w.x, w.level, w.z, quatFromYaw(0), w.r, 1, w.r);
+    }
+
+    for (const pad of layout.pads) {
+      const i = out.pad.count++;
+      writeMatrix(out.pad.matrices, i, pad.x, pad.y, pad.z, quatFromYaw(pad.rot), pad.r, 1, pad.r);
+      writeHsl(out.pad.colors, i, pad.hue, 0.55, 0.28);
+    }
+
+    for (const b of layout.bushes) {
+      const i = out.bush.count++;
+      writeMatrix(out.bush.matrices, i, b.x, b.y, b.z, quatFromYaw(b.rot), b.s * 0.95, b.s * 0.75, b.s * 0.95);
+      writeHsl(out.bush.colors, i, b.hue, b.sat, b.lig);
+    }
+
+    for (const r of layout.rocks) {
+      const i = out.rock.count++;
+      writeMatrix(out.rock.matrices, i, r.x, r.y, r.z, quatFromYaw(r.rot), r.s, r.s * r.sy, r.s);
+      writeHsl(out.rock.colors, i, 0.6, 0.08, r.l);
+    }
+
+    layout.runes.forEach((r, idx) => {
+      writeMatrix(out.runeBase.matrices, out.runeBase.count++, r.x, r.y0 + 0.17, r.z, quatFromYaw(r.rot), 1.15, 1.1, 1.15);
+      if (taken(`rune:${idx}`)) return;
+
+      const i = out.runeCrystal.count++;
+      writeMatrix(out.runeCrystal.matrices, i, r.x, r.y0 + 0.92, r.z, quatFromEulerYXZ(r.ex, r.ey, r.ez), 1.2, 1.45, 1.2);
+      writeHex(out.runeCrystal.colors, i, r.color);
+    });
+
+    layout.artifacts.forEach((a, idx) => {
+      const pedestal = out.artifactPedestal;
+      writeMatrix(pedestal.matrices, pedestal.count++, a.x, a.y0 + 0.13, a.z, quatFromYaw(a.rot), 1.25, 1.1, 1.25);
+      if (taken(`artifact:${idx}`)) return;
+
+      const q = quatFromEulerYXZ(a.tiltX, a.rot, a.tiltZ);
+      writeMatrix(out.artifact.matrices, out.artifact.count++, a.x, a.y0 + 0.72, a.z, q, 1.25, 1.25, 1.25);
+    });
+
+    layout.cans.forEach((c, idx) => {
+      if (taken(`can:${idx}`)) return;
+      const batch = out.cans[c.variant];
+      writeMatrix(batch.matrices, batch.count++, c.x, c.y, c.z, quatFromEulerYXZ(c.rx, c.rotY, c.rz), 2.85, 2.85, 2.85);
+    });
+
+    return out;
+  }
+
+  /** Линейные цвета земли биомов — для раскраски вершин рельефа. */
+  const BIOME_GROUND = BIOMES.map((b) => {
+    const c = new Float32Array(3);
+    writeHex(c, 0, b.ground);
+    return c;
+  });
+
+  /** Сетка рельефа на тайл: ближним тайлам подробная, дальним — грубая. */
+  const GROUND_SEGMENTS = { near: 48, far: 12 };
+  const GROUND_SKIRT = 3;
+
+  /**
+   * Вершины и нормали участка рельефа тайла в его локальных координатах. Нормали берутся
+   * из самого шума, поэтому на стыке соседних тайлов освещение не рвётся. По периметру
+   * идёт «юбка» вниз на GROUND_SKIRT — она закрывает щели между сетками разной подробности.
+   * Цвет вершин (линейный) смешан из цветов земли биомов по их весам.
+   */
+  function buildGroundPatch(tx, tz, segments) {
+    const n = segments + 1;
+    const step = TILE_SIZE / segments;
+    const half = TILE_SIZE * 0.5;
+    const ox = tx * TILE_SIZE;
+    const oz = tz * TILE_SIZE;
+    const count = n * n + 4 * segments;
+    const positions = new Float32Array(count * 3);
+    const normals = new Float32Array(count * 3);
+    const colors = new Float32Array(count * 3);
+    const weights = new Array(BIOMES.length);
+
+    const paint = (v, x, z) => {
+      biomeWeights(ox + x, oz + z, weights);
+      let r = 0;
+      let g = 0;
+      let b = 0;
+      for (let k = 0; k < BIOMES.length; k++) {
+        const c = BIOME_GROUND[k];
+        r += c[0] * weights[k];
+        g += c[1] * weights[k];
+        b += c[2] * weights[k];
+      }
+      colors[v * 3 + 0] = r;
+      colors[v * 3 + 1] = g;
+      colors[v * 3 + 2] = b;
+    };
+
+    const put = (v, x, y, z, nx, ny, nz) => {
+      positions[v * 3 + 0] = x;
+      positions[v * 3 + 1] = y;
+      positions[v * 3 + 2] = z;
+      normals[v * 3 + 0] = nx;
+      normals[v * 3 + 1] = ny;
+      normals[v * 3 + 2] = nz;
+    };
+
+    for (let j = 0; j < n; j++) {
+      for (let i = 0; i < n; i++) {
+        const x = -half + i * step;
+        const z = -half + j * step;
+        const sx = terrainSlope(ox + x, oz + z, 1, 0);
+        const sz = terrainSlope(ox + x, oz + z, 0, 1);
+        const inv = 1 / Math.sqrt(sx * sx + 1 + sz * sz);
+        put(j * n + i, x, terrainHeight(ox + x, oz + z), z, -sx * inv, inv, -sz * inv);
+        paint(j * n + i, x, z);
+      }
+    }
+
+    groundPerimeter(segments).forEach((v, k) => {
+      const p = v * 3;
+      put(n * n + k, positions[p], positions[p + 1] - GROUND_SKIRT, positions[p + 2], normals[p], normals[p + 1], normals[p + 2]);
+      colors.copyWithin((n * n + k) * 3, p, p + 3);
+    });
+
+    return { segments, positions, normals, colors };
+  }
+
+  /**
+   * Поверхность ручьёв на тайле: та же сетка, что у buildGroundPatch (и тот же индекс).
+   * Сухие вершины уходят под землю, так что линию берега рисует пересечение с рельефом.
+   * wet — есть ли на тайле ручей вообще; если нет, сетку можно не показывать.
+   */
+  function buildWaterPatch(tx, tz, segments) {
+    const n = segments + 1;
+    const step = TILE_SIZE / segments;
+    const half = TILE_SIZE * 0.5;
+    const ox = tx * TILE_SIZE;
+    const oz = tz * TILE_SIZE;
+    const positions = new Float32Array((n * n + 4 * segments) * 3);
+    let wet = false;
+
+    for (let j = 0; j < n; j++) {
+      for (let i = 0; i < n; i++) {
+        const x = -half + i * step;
+        const z = -half + j * step;
+        const ground = terrainHeight(ox + x, oz + z);
+        // пруды рисуются дисками, здесь только ручьи
+        const p = pondAt(ox + x, oz + z);
+        const inPond = p && Math.hypot(ox + x - p.x, oz + z - p.z) < p.r * POND_SHORE;
+        const level = !inPond && streamChannel(ox + x, oz + z) > 0 ? terrainBase(ox + x, oz + z) - STREAM_SURFACE : -Infinity;
+        const v = (j * n + i) * 3;
+        positions[v + 0] = x;
+        positions[v + 1] = level > ground ? level : ground - 0.6;
+        positions[v + 2] = z;
+        if (level > ground) wet = true;
+      }
+    }
+
+    groundPerimeter(segments).forEach((v, k) => {
+      positions.copyWithin((n * n + k) * 3, v * 3, v * 3 + 3);
+      positions[(n * n + k) * 3 + 1] -= GROUND_SKIRT;
+    });
+
+    return { segments, positions, wet };
+  }
+
+  /** Индексы вершин по периметру сетки, по кругу. */
+  function groundPerimeter(segments) {
+    const n = segments + 1;
+    const out = [];
+    for (let i = 0; i < segments; i++) out.push(i);
+    for (let j = 0; j < segments; j++) out.push(j * n + segments);
+    for (let i = segments; i > 0; i--) out.push(segments * n + i);
+    for (let j = segments; j > 0; j--) out.push(j * n);
+    return out;
+  }
+
+  /** Индексный буфер для buildGroundPatch (одинаковый для всех тайлов одной подробности). */
+  function groundPatchIndex(segments) {
+    const n = segments + 1;
+    const index = new Uint16Array(segments * segments * 6 + 4 * segments * 6);
+    let k = 0;
+    for (let j = 0; j < segments; j++) {
+      for (let i = 0; i < segments; i++) {
+        const a = j * n + i;
+        const b = a + n;
+        index[k++] = a;
+        index[k++] = b;
+        index[k++] = a + 1;
+        index[k++] = b;
+        index[k++] = b + 1;
+        index[k++] = a + 1;
+      }
+    }
+    const ring = groundPerimeter(segments);
+    const base = n * n;
+    for (let e = 0; e < ring.length; e++) {
+      const f = (e + 1) % ring.length;
+      index[k++] = ring[e];
+      index[k++] = ring[f];
+      index[k++] = base + e;
+      index[k++] = ring[f];
+      index[k++] = base + f;
+      index[k++] = base + e;
+    }
+    return index;
+  }
+
+  /**
+   * Всё, что нужно отрисовать тайл: инстансы, оба уровня рельефа и воды ручьёв. Тяжёлая часть стриминга —
+   * её зовёт воркер (tile-worker.js), а без воркера — главный поток по тайлу за кадр.
+   */
+  function generateTileBuffers(tx, tz, collected = null) {
+    return {
+      tx,
+      tz,
+      instances: buildTileInstances(generateTileLayout(tx, tz), collected),
+      groundNear: buildGroundPatch(tx, tz, GROUND_SEGMENTS.near),
+      groundFar: buildGroundPatch(tx, tz, GROUND_SEGMENTS.far),
+      waterNear: buildWaterPatch(tx, tz, GROUND_SEGMENTS.near),
+      waterFar: buildWaterPatch(tx, tz, GROUND_SEGMENTS.far),
+    };
+  }
+
+  /** ArrayBuffer'ы результата generateTileBuffers — для передачи из воркера без копирования. */
+  function tileBufferTransfers(res) {
+    const list = [];
+    for (const patch of [res.groundNear, res.groundFar]) list.push(patch.positions.buffer, patch.normals.buffer, patch.colors.buffer);
+    list.push(res.waterNear.positions.buffer, res.waterFar.positions.buffer);
+    for (const batch of Object.values(res.instances).flat()) {
+      list.push(batch.matrices.buffer);
+      if (batch.colors) list.push(batch.colors.buffer);
+    }
+    return list;
+  }
+
+  const FROG_RADIUS = 0.55;
+  const COLLIDER_CELL = 8;
+
+  /**
+   * Коллайдеры тайла в мировых координатах и сетка-индекс по ним.
+   * Круг (ax = az = 0) или капсула с полуосью (ax, az); top — высота верхней грани.
+   * Кроны деревьев лежат в отдельном слое: жабу они не останавливают, с ними сверяется только камера.
+   */
+  function buildTileColliders(layout, collected) {
+    const { ox, oz } = layout;
+    const list = [];
+
+    for (const t of layout.trees) {
+      list.push({ kind: "trunk", x: ox + t.x, z: oz + t.z, ax: 0, az: 0, r: t.r, top: t.y0 + t.h, landable: false });
+    }
+    for (const r of layout.rocks) {
+      list.push({ kind: "rock", x: ox + r.x, z: oz + r.z, ax: 0, az: 0, r: r.s * 0.85, top: r.y + r.s * r.sy * 0.8, landable: true });
+    }
+    for (const r of layout.runes) {
+      list.push({ kind: "rune", x: ox + r.x, z: oz + r.z, ax: 0, az: 0, r: 0.6, top: r.y0 + 0.36, landable: true });
+    }
+    for (const a of layout.artifacts) {
+      list.push({ kind: "pedestal", x: ox + a.x, z: oz + a.z, ax: 0, az: 0, r: 0.58, top: a.y0 + 0.28, landable: true });
+    }
+    for (const p of layout.pads) {
+      list.push({ kind: "pad", x: ox + p.x, z: oz + p.z, ax: 0, az: 0, r: p.r + 0.15, top: p.y + 0.02, landable: true });
+    }
+    layout.cans.forEach((c, idx) => {
+      if (collected && collected.has(`can:${idx}`)) return;
+      if (c.lying) {
+        const halfLen = 1.02 * 2.85 * 0.5 - 0.91;
+        const ax = Math.sin(c.rotY) * halfLen;
+        const az = Math.cos(c.rotY) * halfLen;
+        list.push({ kind: "can", x: ox + c.x, z: oz + c.z, ax, az, r: 0.91, top: c.y + 0.88, landable: true });
+      } else {
+        list.push({ kind: "can", x: ox + c.x, z: oz + c.z, ax: 0, az: 0, r: 0.91, top: c.y + 1.45, landable: true });
+      }
+    });
+
+    const crowns = layout.trees.map((t) => ({
+      kind: "crown",
+      x: ox + t.x,
+      z: oz + t.z,
+      ax: 0,
+      az: 0,
+      r: t.cR,
+      bottom: t.y0 + t.h - 0.05 * t.cH,
+      top: t.y0 + t.h + 0.95 * t.cH,
+      landable: false,
+    }));
+
+    return { solids: buildGridIndex(list, ox, oz), crowns: buildGridIndex(crowns, ox, oz) };
+  }
+
+  function buildGridIndex(list, ox, oz) {
+    const n = Math.ceil(TILE_SIZE / COLLIDER_CELL);
+    const cells = Array.from({ length: n * n }, () => []);
+    const minX = ox - TILE_SIZE * 0.5;
+    const minZ = oz - TILE_SIZE * 0.5;
+
+    list.forEach((c, idx) => {
+      const ext = c.r + Math.max(Math.abs(c.ax), Math.abs(c.az));
+      const i0 = clamp(Math.floor((c.x - ext - minX) / COLLIDER_CELL), 0, n - 1);
+      const i1 = clamp(Math.floor((c.x + ext - minX) / COLLIDER_CELL), 0, n - 1);
+      const j0 = clamp(Math.floor((c.z - ext - minZ) / COLLIDER_CELL), 0, n - 1);
+      const j1 = clamp(Math.floor((c.z + ext - minZ) / COLLIDER_CELL), 0, n - 1);
+      for (let j = j0; j <= j1; j++) {
+        for (let i = i0; i <= i1; i++) cells[j * n + i].push(idx);
+      }
+    });
+
+    return { list, cells, n, minX, minZ };
+  }
+
+  /**
+   * Мир для симуляции: раскладки и коллайдеры тайлов по запросу, с небольшим кешем.
+   * Не зависит от того, какие тайлы сейчас отрисованы.
+   */
+  function createWorld(cacheSize = 25) {
+    const layouts = new Map();
+    const colliders = new Map();
+    const collected = new Map();
+    let stamp = 0;
+
+    const remember = (map, key, value) => {
+      map.set(key, value);
+      if (map.size > cacheSize) map.delete(map.keys().next().value);
+      return value;
+    };
+
+    const layout = (tx, tz) => {
+      const key = `${tx},${tz}`;
+      return layouts.get(key) || remember(layouts, key, generateTileLayout(tx, tz));
+    };
+
+    const tileColliders = (tx, tz) => {
+      const key = `${tx},${tz}`;
+      return colliders.get(key) || remember(colliders, key, buildTileColliders(layout(tx, tz), collected.get(key)));
+    };
+
+    const collectedIn = (tx, tz) => collected.get(`${tx},${tz}`);
+
+    const collect = (tx, tz, id) => {
+      const key = `${tx},${tz}`;
+      let set = collected.get(key);
+      if (!set) collected.set(key, (set = new Set()));
+      if (set.has(id)) return false;
+      set.add(id);
+      colliders.delete(key);
+      return true;
+    };
+
+    const query = (x, z, radius, out, layer = "solids") => {
+      out.length = 0;
+      stamp++;
+      const tx0 = Math.floor((x - radius + TILE_SIZE * 0.5) / TILE_SIZE);
+      const tx1 = Math.floor((x + radius + TILE_SIZE * 0.5) / TILE_SIZE);
+      const tz0 = Math.floor((z - radius + TILE_SIZE * 0.5) / TILE_SIZE);
+      const tz1 = Math.floor((z + radius + TILE_SIZE * 0.5) / TILE_SIZE);
+
+      for (let tz = tz0; tz <= tz1; tz++) {
+        for (let tx = tx0; tx <= tx1; tx++) {
+          const idx = tileColliders(tx, tz)[layer];
+          const i0 = clamp(Math.floor((x - radius - idx.minX) / COLLIDER_CELL), 0, idx.n - 1);
+          const i1 = clamp(Math.floor((x + radius - idx.minX) / COLLIDER_CELL), 0, idx.n - 1);
+          const j0 = clamp(Math.floor((z - radius - idx.minZ) / COLLIDER_CELL), 0, idx.n - 1);
+          const j1 = clamp(Math.floor((z + radius - idx.minZ) / COLLIDER_CELL), 0, idx.n - 1);
+          for (let j = j0; j <= j1; j++) {
+            for (let i = i0; i <= i1; i++) {
+              for (const k of idx.cells[j * idx.n + i]) {
+                const c = idx.list[k];
+                if (c.stamp === stamp) continue;
+                c.stamp = stamp;
+                out.push(c);
+              }
+            }
+          }
+        }
+      }
+      return out;
+    };
+
+    return { layout, tileColliders, query, collect, collectedIn };
+  }
+
+  /**
+   * Карта тайла по его сиду: size×size пикселей RGBA, строки идут по z, столбцы по x.
+   * Земля — цвет биома, высветленный для карты и с отмывкой склонов, вода — синим.
+   * Карту любого тайла можно пересчитать заново, поэтому для посещённых хранить её не нужно.
+   */
+  const MAP_WATER = [52, 110, 150];
+
+  function rasterizeMapTile(tx, tz, size) {
+    const out = new Uint8ClampedArray(size * size * 4);
+    const step = TILE_SIZE / size;
+    const x0 = tx * TILE_SIZE - TILE_SIZE * 0.5 + step * 0.5;
+    const z0 = tz * TILE_SIZE - TILE_SIZE * 0.5 + step * 0.5;
+    for (let j = 0; j < size; j++) {
+      for (let i = 0; i < size; i++) {
+        const x = x0 + i * step;
+        const z = z0 + j * step;
+        const o = (j * size + i) * 4;
+        const h = terrainHeight(x, z);
+        if (waterLevel(x, z) > h) {
+          out.set(MAP_WATER, o);
+        } else {
+          const hex = BIOMES[biomeAt(x, z)].ground;
+          // свет с северо-запада: обращённые к нему склоны светлее
+          const shade = clamp(2 + (h - terrainHeight(x + step, z + step)) * 0.4, 1.2, 3);
+          out[o + 0] = ((hex >> 16) & 255) * shade;
+          out[o + 1] = ((hex >> 8) & 255) * shade;
+          out[o + 2] = (hex & 255) * shade;
+        }
+        out[o + 3] = 255;
+      }
+    }
+    return out;
+  }
+
+  /** Несобранные руны, артефакты и банки тайла в мировых координатах — метки для карты. */
+  function mapMarkers(world, tx, tz) {
+    const layout = world.layout(tx, tz);
+    const taken = world.collectedIn(tx, tz);
+    const out = [];
+    const add = (kind, list, color) => {
+      list.forEach((it, idx) => {
+        if (taken && taken.has(`${kind}:${idx}`)) return;
+        out.push({ kind, x: layout.ox + it.x, z: layout.oz + it.z, color: color(it) });
+      });
+    };
+    add("rune", layout.runes, (r) => RUNE_COLORS[r.colorIndex]);
+    add("artifact", layout.artifacts, () => 0xd6c27a);
+    add("can", layout.cans, (c) => CAN_VARIANTS[c.variant].accent);
+    return out;
+  }
+
+  /** Ближайшая точка оси коллайдера к (x, z): возвращает расстояние и нормаль наружу в out. */
+  function colliderContact(c, x, z, out) {
+    let cx = c.x;
+    let cz = c.z;
+    const len2 = c.ax * c.ax + c.az * c.az;
+    if (len2 > 0) {
+      const t = clamp(((x - c.x) * c.ax + (z - c.z) * c.az) / len2, -1, 1);
+      cx += c.ax * t;
+      cz += c.az * t;
+    }
+    const dx = x - cx;
+    const dz = z - cz;
+    const d = Math.sqrt(dx * dx + dz * dz);
+    out.dist = d;
+    out.nx = d > 1e-6 ? dx / d : 1;
+    out.nz = d > 1e-6 ? dz / d : 0;
+    return out;
+  }
+
+  const contactTmp = { dist: 0, nx: 0, nz: 0 };
+  const nearbyTmp = [];
+
+  /** Высота опоры под жабой: рельеф или верх пропа, на который можно встать. */
+  function supportHeight(world, x, z, y, stepUp) {
+    let h = terrainHeight(x, z);
+    if (!world) return h;
+    for (const c of world.query(x, z, 2.5, nearbyTmp)) {
+      if (!c.landable || c.top <= h || c.top > y + stepUp) continue;
+      if (colliderContact(c, x, z, contactTmp).dist <= c.r) h = c.top;
+    }
+    return h;
+  }
+
+  /** Проп, верх которого служит опорой в supportHeight, или null, если жаба стоит на рельефе. */
+  function supportProp(world, x, z, y, stepUp) {
+    if (!world) return null;
+    let h = terrainHeight(x, z);
+    let prop = null;
+    for (const c of world.query(x, z, 2.5, nearbyTmp)) {
+      if (!c.landable || c.top <= h || c.top > y + stepUp) continue;
+      if (colliderContact(c, x, z, contactTmp).dist > c.r) continue;
+      h = c.top;
+      prop = c;
+    }
+    return prop;
+  }
+
+  /**
+   * Выталкивает жабу из твёрдых пропов выше её ступни и гасит скорость в сторону препятствия.
+   * Возвращает самый сильный удар (скорость по нормали) или 0.
+   */
+  function resolvePropCollisions(state, world, restitution, stepUp) {
+    if (!world) return 0;
+    const { pos, vel } = state;
+    let hit = 0;
+    for (const c of world.query(pos.x, pos.z, FROG_RADIUS + 2.5, nearbyTmp)) {
+      if (c.top <= pos.y + (c.landable ? stepUp : 0.05)) continue;
+      const ct = colliderContact(c, pos.x, pos.z, contactTmp);
+      const minD = c.r + FROG_RADIUS;
+      if (ct.dist >= minD) continue;
+
+      pos.x += ct.nx * (minD - ct.dist);
+      pos.z += ct.nz * (minD - ct.dist);
+
+      const vn = vel.x * ct.nx + vel.z * ct.nz;
+      if (vn < 0) {
+        vel.x -= (1 + restitution) * vn * ct.nx;
+        vel.z -= (1 + restitution) * vn * ct.nz;
+        hit = Math.max(hit, -vn);
+      }
+    }
+    return hit;
+  }
+
+  /** Свободен ли путь длиной len от (x, z) по направлению yaw от твёрдых пропов. */
+  function pathClear(world, x, z, yaw, len) {
+    const fx = Math.sin(yaw);
+    const fz = Math.cos(yaw);
+    const step = 1.5;
+    for (let d = step; d <= len; d += step) {
+      const px = x + fx * d;
+      const pz = z + fz * d;
+      const ground = terrainHeight(px, pz);
+      for (const c of world.query(px, pz, FROG_RADIUS + 2.5, nearbyTmp)) {
+        if (c.top <= ground + 0.3) continue;
+        if (colliderContact(c, px, pz, contactTmp).dist < c.r + FROG_RADIUS) return false;
+      }
+    }
+    return true;
+  }
+
+  const PICKUP_POINTS = { rune: 25, artifact: 100, can: 10 };
+  const PICKUP_RADIUS = 1.8;
+
+  /**
+   * Подбор предметов рядом с жабой. Собранное запоминается в world по ключу тайла,
+   * поэтому при перестройке тайла предмет не появляется снова.
+   */
+  function collectPickups(state, world) {
+    const { pos } = state;
+    const r2 = PICKUP_RADIUS * PICKUP_RADIUS;
+    const tx0 = Math.floor((pos.x - PICKUP_RADIUS + TILE_SIZE * 0.5) / TILE_SIZE);
+    const tx1 = Math.floor((pos.x + PICKUP_RADIUS + TILE_SIZE * 0.5) / TILE_SIZE);
+    const tz0 = Math.floor((pos.z - PICKUP_RADIUS + TILE_SIZE * 0.5) / TILE_SIZE);
+    const tz1 = Math.floor((pos.z + PICKUP_RADIUS + TILE_SIZE * 0.5) / TILE_SIZE);
+
+    for (let tz = tz0; tz <= tz1; tz++) {
+      for (let tx = tx0; tx <= tx1; tx++) {
+        const layout = world.layout(tx, tz);
+
+        const check = (kind, list, itemY, extra) => {
+          list.forEach((it, idx) => {
+            const dx = layout.ox + it.x - pos.x;
+            const dz = layout.oz + it.z - pos.z;
+            if (dx * dx + dz * dz > r2 || Math.abs(itemY(it) - pos.y) > 2.2) return;
+            const id = `${kind}:${idx}`;
+            if (!world.collect(tx, tz, id)) return;
+            state.events.push({ type: "pickup", t: state.time, kind, tx, tz, id, points: PICKUP_POINTS[kind], ...extra(it) });
+          });
+        };
+
+        check("rune", layout.runes, (r) => r.y0 + 0.92, (r) => ({ colorIndex: r.colorIndex }));
+        check("artifact", layout.artifacts, (a) => a.y0 + 0.72, () => ({}));
+        check("can", layout.cans, (c) => c.y, (c) => ({ variant: c.variant }));
+      }
+    }
+  }
+
+  /**
+   * Стая: жаба 0 — вожак (её ведёт пилот и пишет трасса), остальные прыгают сами,
+   * но случайный поворот подмешивается к state.steer — желаемому повороту от поведения группы.
+   * state.urge (0..1) растёт с отставанием от вожака: прыжки сильнее и точнее в его сторону.
+   */
+  const GROUP_BEHAVIOURS = ["free", "leader", "flock"];
+  const GROUP_STEER_WEIGHT = 0.7;
+  const GROUP_LEASH = 45;
+  const GROUP_REACH = 14;
+  const FOLLOW_GAP = 6;
+  const FLOCK_RADIUS = 24;
+  const FLOCK_SEPARATION = 5;
+  const MAX_FROGS = 12;
+
+  /** Жаба номер index (> 0) со своим seed, появляется на спирали вокруг вожака. */
+  function spawnFrog(seed, index, params, leader) {
+    const a = index * 2.39996;
+    const r = 2.5 + 1.6 * Math.sqrt(index);
+    const start = { x: leader.pos.x + Math.sin(a) * r, z: leader.pos.z + Math.cos(a) * r, yaw: leader.yaw };
+    return createFrogState(hash2i(seed, 0xf20 + index), params, start);
+  }
+
+  function createFrogGroup(seed, count, params) {
+    const frogs = [createFrogState(seed, params)];
+    for (let i = 1; i < count; i++) frogs.push(spawnFrog(seed, i, params, frogs[0]));
+    return frogs;
+  }
+
+  function steerGroup(frogs, behaviour) {
+    const leader = frogs[0];
+    // вожака стая не рулит: его прыжки — пилот, мозг или запись, остальные подстраиваются под него
+    if (!leader.airborne) {
+      leader.steer = null;
+      leader.urge = 0;
+    }
+    for (let i = 1; i < frogs.length; i++) {
+      const f = frogs[i];
+      if (f.airborne) continue;
+      f.steer = null;
+      f.urge = 0;
+
+      // прыжок уходит по текущему yaw, а поворот достаётся уже следующему прыжку —
+      // поэтому направление считаем от примерной точки приземления
+      const px = f.pos.x + Math.sin(f.yaw) * GROUP_REACH;
+      const pz = f.pos.z + Math.cos(f.yaw) * GROUP_REACH;
+      let dx = 0;
+      let dz = 0;
+      const lx = leader.pos.x - px;
+      const lz = leader.pos.z - pz;
+      const ld = Math.sqrt(lx * lx + lz * lz);
+
+      if (behaviour === "leader" && ld > FOLLOW_GAP) {
+        dx = lx - Math.sin(leader.yaw) * FOLLOW_GAP;
+        dz = lz - Math.cos(leader.yaw) * FOLLOW_GAP;
+      } else if (behaviour === "flock") {
+        let n = 0;
+        let cx = 0;
+        let cz = 0;
+        let hx = 0;
+        let hz = 0;
+        let sx = 0;
+        let sz = 0;
+        for (const o of frogs) {
+          if (o === f) continue;
+          const ox = o.pos.x - px;
+          const oz = o.pos.z - pz;
+          const d = Math.sqrt(ox * ox + oz * oz);
+          if (d > FLOCK_RADIUS) continue;
+          n++;
+          cx += ox;
+          cz += oz;
+          hx += Math.sin(o.yaw);
+          hz += Math.cos(o.yaw);
+          if (d < FLOCK_SEPARATION && d > 1e-6) {
+            const k = (1 - d / FLOCK_SEPARATION) / d;
+            sx -= ox * k;
+            sz -= oz * k;
+          }
+        }
+        if (n > 0) {
+          const cl = Math.sqrt(cx * cx + cz * cz) || 1;
+          const hl = Math.sqrt(hx * hx + hz * hz) || 1;
+          dx = cx / cl + (0.8 * hx) / hl + 2 * sx;
+          dz = cz / cl + (0.8 * hz) / hl + 2 * sz;
+        }
+      }
+
+      if (behaviour !== "free") f.urge = smoothstep(FOLLOW_GAP * 2, GROUP_LEASH, ld);
+      if (ld > GROUP_LEASH) {
+        const k = (ld - GROUP_LEASH) / 10;
+        dx += (lx / ld) * k;
+        dz += (lz / ld) * k;
+        f.urge = Math.max(f.urge, smoothstep(GROUP_LEASH, GROUP_LEASH * 1.5, ld));
+      }
+
+      if (dx !== 0 || dz !== 0) f.steer = wrapPi(Math.atan2(dx, dz) - f.yaw);
+    }
+  }
+
+  /**
+   * Жабы не проходят друг сквозь друга; если хоть одна в воздухе, они отскакивают
+   * с упругостью params.bounce и обе получают событие bump.
+   */
+  function resolveFrogContacts(frogs, params) {
+    const minD = FROG_RADIUS * 2;
+    for (let i = 0; i < frogs.length; i++) {
+      for (let j = i + 1; j < frogs.length; j++) {
+        const a = frogs[i];
+        const b = frogs[j];
+        if (Math.abs(a.pos.y - b.pos.y) > 0.9) continue;
+        const dx = a.pos.x - b.pos.x;
+        const dz = a.pos.z - b.pos.z;
+        const d2 = dx * dx + dz * dz;
+        if (d2 >= minD * minD) continue;
+
+        const d = Math.sqrt(d2);
+        const nx = d > 1e-6 ? dx / d : 1;
+        const nz = d > 1e-6 ? dz / d : 0;
+        const push = (minD - d) * 0.5;
+        a.pos.x += nx * push;
+        a.pos.z += nz * push;
+        b.pos.x -= nx * push;
+        b.pos.z -= nz * push;
+
+        if (!a.airborne && !b.airborne) continue;
+        const rel = (a.vel.x - b.vel.x) * nx + (a.vel.z - b.vel.z) * nz;
+        if (rel >= 0) continue;
+        const k = (-(1 + params.bounce) * rel) / 2;
+        a.vel.x += nx * k;
+        a.vel.z += nz * k;
+        b.vel.x -= nx * k;
+        b.vel.z -= nz * k;
+        if (-rel > 0.5) {
+          a.events.push({ type: "bump", t: a.time, speed: -rel, x: a.pos.x, z: a.pos.z, frog: true });
+          b.events.push({ type: "bump", t: b.time, speed: -rel, x: b.pos.x, z: b.pos.z, frog: true });
+        }
+      }
+    }
+  }
+
+  /** Шаг всей стаи. cmds[i] — команда пилота для жабы i (обычно есть только у вожака). */
+  function stepFrogGroup(frogs, params, dt, cmds, world = null, behaviour = "free") {
+    steerGroup(frogs, behaviour);
+    for (let i = 0; i < frogs.length; i++) stepFrog(frogs[i], params, dt, (cmds && cmds[i]) || null, world);
+    resolveFrogContacts(frogs, params);
+    return frogs;
+  }
+
+  const TRACE_FORMAT = "jumping-jabka-trace";
+  const TRACE_FIELDS = ["x", "y", "z", "vx", "vy", "vz", "yaw", "drift"];
+  const TRACE_MAX_SAMPLES = 120 * 60 * 10;
+  const TRACE_DROP_SAMPLES = 120 * 60;
+
+  const roundTo = (v, k) => Math.round(v * k) / k;
+
+  function createTrace(state, params) {
+    const trace = {
+      format: TRACE_FORMAT,
+      version: 1,
+      seed: state.seed,
+      dt: SIM_DT,
+      params: { ...params },
+      t0: state.time,
+      truncated: false,
+      startAirborne: state.airborne,
+      tuning: [],
+      jumps: [],
+      landings: [],
+      samples: { fields: TRACE_FIELDS, data: [] },
+    };
+    recordTraceStep(trace, state);
+    return trace;
+  }
+
+  /**
+   * Трасса пишет последние TRACE_MAX_SAMPLES шагов: переполнившись, она отбрасывает самую старую минуту целиком
+   * (по сэмплу за шаг сдвигать массив слишком дорого), сдвигает t0, а правки тюнинга из выпавшего куска
+   * вписывает в params — это параметры на новое начало записи. truncated — начало сессии уже выпало.
+   * startAirborne — в воздухе ли жаба на t0: по последнему выпавшему прыжку или приземлению.
+   */
+  function dropTraceHead(trace, samples) {
+    trace.samples.data.splice(0, samples * TRACE_FIELDS.length);
+    trace.t0 += samples * trace.dt;
+    const kept = (e) => e.t >= trace.t0;
+    let jumpT = -Infinity;
+    let landT = -Infinity;
+    for (const e of trace.jumps) if (!kept(e)) jumpT = e.t;
+    for (const e of trace.landings) if (!kept(e)) landT = e.t;
+    if (jumpT > -Infinity || landT > -Infinity) trace.startAirborne = jumpT > landT;
+    for (const e of trace.tuning) if (!kept(e)) trace.params[e.key] = e.value;
+    trace.tuning = trace.tuning.filter(kept);
+    trace.jumps = trace.jumps.filter(kept);
+    trace.landings = trace.landings.filter(kept);
+    trace.truncated = true;
+  }
+
+  function recordTraceStep(trace, state) {
+    const data = trace.samples.data;
+    if (data.length >= TRACE_MAX_SAMPLES * TRACE_FIELDS.length) dropTraceHead(trace, TRACE_DROP_SAMPLES);
+
+    for (const e of state.events) {
+      if (e.type === "jump") {
+        trace.jumps.push({
+          t: roundTo(e.t, 1e5),
+          turnDelta: roundTo(e.turnDelta, 1e5),
+          up: roundTo(e.up, 1e4),
+          horiz: roundTo(e.horiz, 1e4),
+        });
+      } else if (e.type === "land" || e.type === "splash") {
+        trace.landings.push({ t: roundTo(e.t, 1e5), vy: roundTo(e.vy, 1e4) });
+      }
+    }
+
+    const { pos, vel } = state;
+    data.push(
+      roundTo(pos.x, 1e3),
+      roundTo(pos.y, 1e3),
+      roundTo(pos.z, 1e3),
+      roundTo(vel.x, 1e3),
+      roundTo(state.vy, 1e3),
+      roundTo(vel.z, 1e3),
+      roundTo(state.yaw, 1e4),
+      roundTo(state.drift, 1e3)
+    );
+  }
+
+  function traceDuration(trace) {
+    const n = trace.samples.data.length / TRACE_FIELDS.length;
+    return Math.max(0, n - 1) * trace.dt;
+  }
+
+  function parseTrace(text) {
+    let obj;
+    try {
+      obj = JSON.parse(text);
+    } catch (e) {
+      throw new Error("Файл не является JSON");
+    }
+    if (!obj || obj.format !== TRACE_FORMAT) throw new Error("Это не трасса прыжков");
+    if (obj.version !== 1) throw new Error(`Неподдерживаемая версия трассы: ${obj.version}`);
+
+    const fields = obj.samples?.fields;
+    const data = obj.samples?.data;
+    if (!Array.isArray(fields) || fields.join() !== TRACE_FIELDS.join()) throw new Error("Неизвестный набор полей в трассе");
+    if (!Array.isArray(data) || data.length < TRACE_FIELDS.length || data.length % TRACE_FIELDS.length !== 0) {
+      throw new Error("Повреждённые сэмплы трассы");
+    }
+    if (!data.every(Number.isFinite)) throw new Error("В сэмплах трассы есть нечисловые значения");
+    if (!(obj.dt > 0) || !Number.isFinite(obj.t0)) throw new Error("Некорректный шаг времени в трассе");
+    if (!Array.isArray(obj.jumps) || !Array.isArray(obj.landings)) throw new Error("В трассе нет прыжков и приземлений");
+    if (![...obj.jumps, ...obj.landings].every((e) => Number.isFinite(e?.t))) throw new Error("Повреждённые прыжки трассы");
+
+    return obj;
+  }
+
+  function lastIndexAtOrBefore(list, t) {
+    let lo = 0;
+    let hi = list.length - 1;
+    let found = -1;
+    while (lo <= hi) {
+      const mid = (lo + hi) >> 1;
+      if (list[mid].t <= t) {
+        found = mid;
+        lo = mid + 1;
+      } else {
+        hi = mid - 1;
+      }
+    }
+    return found;
+  }
+
+  /**
+   * Состояние кадра по трассе в момент t (от начала записи): интерполяция соседних сэмплов.
+   * До первого прыжка или приземления жаба в воздухе, если так записано в startAirborne.
+   */
+  function sampleTrace(trace, t, out) {
+    const S = TRACE_FIELDS.length;
+    const d = trace.samples.data;
+    const n = d.length / S;
+
+    const f = clamp(t / trace.dt, 0, n - 1);
+    const i = Math.floor(f);
+    const j = Math.min(i + 1, n - 1);
+    const a = f - i;
+    const at = (k) => lerp(d[i * S + k], d[j * S + k], a);
+
+    out.pos.x = at(0);
+    out.pos.y = at(1);
+    out.pos.z = at(2);
+    out.vel.x = at(3);
+    out.vy = at(4);
+    out.vel.z = at(5);
+    out.yaw = lerpAngle(d[i * S + 6], d[j * S + 6], a);
+    out.drift = at(7);
+
+    const abs = trace.t0 + f * trace.dt;
+    const ji = lastIndexAtOrBefore(trace.jumps, abs);
+    const li = lastIndexAtOrBefore(trace.landings, abs);
+    const jumpT = ji >= 0 ? trace.jumps[ji].t : -Infinity;
+    const landT = li >= 0 ? trace.landings[li].t : -Infinity;
+    out.airborne = ji < 0 && li < 0 ? !!trace.startAirborne : jumpT > landT;
+    out.airborneTime = out.airborne && ji >= 0 ? abs - jumpT : 0;
+    // плавание в трассу не пишется: его видно по тому, что жаба сидит ниже поверхности воды
+    out.swimming = !out.airborne && out.pos.y < waterLevel(out.pos.x, out.pos.z) - SWIM_SINK * 0.5;
+    out.strokeTimer = out.swimming && li >= 0 ? SWIM_STROKE - ((abs - landT) % SWIM_STROKE) : 0;
+    // до следующего прыжка по трассе — чтобы в повторе жаба так же приседала перед ним
+    out.groundTimer = !out.airborne && ji + 1 < trace.jumps.length ? trace.jumps[ji + 1].t - abs : Infinity;
+    return out;
+  }
+
+  /**
+   * Следы дрифта: кольцевой буфер на capacity сегментов ленты. Сегмент — четырёхугольник между двумя
+   * соседними отпечатками одной лапы (track — любой ключ): углы a/b по краям ленты у начала и конца,
+   * время и сила следа на каждом конце. Лента рвётся, когда лапа перестаёт скользить (endSkidTrack)
+   * или отпечатки разошлись дальше SKID_MAX_GAP, поэтому за один дрифт остаётся много отдельных кусков.
+   * Когда буфер полон, новый сегмент занимает место самого старого.
+   */
+  const SKID_FIELDS = 12;
+  const SKID_STEP = 0.3;
+  const SKID_MAX_GAP = 1.5;
+  const SKID_LIFE = 24;
+
+  function createSkidMarks(capacity) {
+    return { capacity, next: 0, count: 0, data: new Float32Array(capacity * SKID_FIELDS), tracks: new Map() };
+  }
+
+  /**
+   * Отпечаток лапы track в (x, z): ширина ленты width, сила 0..1, time — часы следов.
+   * Возвращает номер записанного сегмента или -1, если сегмент не появился (первый отпечаток, разрыв, слишком близко).
+   */
+  function addSkidPoint(marks, track, x, z, width, strength, time) {
+    const last = marks.tracks.get(track);
+    const dx = last ? x - last.x : 0;
+    const dz = last ? z - last.z : 0;
+    const d = Math.sqrt(dx * dx + dz * dz);
+    if (!last || d > SKID_MAX_GAP) {
+      marks.tracks.set(track, { x, z, ax: x, az: z, bx: x, bz: z, t: time, s: strength, open: true });
+      return -1;
+    }
+    if (d < SKID_STEP) return -1;
+
+    const nx = (-dz / d) * width * 0.5;
+    const nz = (dx / d) * width * 0.5;
+    // у первого сегмента ленты начало разворачиваем по его же направлению, дальше — стык с предыдущим
+    if (last.open) {
+      last.ax = last.x + nx;
+      last.az = last.z + nz;
+      last.bx = last.x - nx;
+      last.bz = last.z - nz;
+    }
+    const i = marks.next;
+    marks.data.set([last.ax, last.az, last.bx, last.bz, x + nx, z + nz, x - nx, z - nz, last.t, time, last.s, strength], i * SKID_FIELDS);
+    marks.next = (i + 1) % marks.capacity;
+    marks.count = Math.min(marks.count + 1, marks.capacity);
+
+    last.x = x;
+    last.z = z;
+    last.ax = x + nx;
+    last.az = z + nz;
+    last.bx = x - nx;
+    last.bz = z - nz;
+    last.t = time;
+    last.s = strength;
+    last.open = false;
+    return i;
+  }
+
+  /** Лапа перестала скользить: следующий отпечаток начнёт новую ленту. */
+  function endSkidTrack(marks, track) {
+    marks.tracks.delete(track);
+  }
+
+  function clearSkidMarks(marks) {
+    marks.next = 0;
+    marks.count = 0;
+    marks.tracks.clear();
+  }
+
+  /** Непрозрачность следа возраста age: первые 40% жизни полная, к SKID_LIFE плавно уходит в ноль. */
+  function skidFade(age) {
+    return 1 - smoothstep(SKID_LIFE * 0.4, SKID_LIFE, age);
+  }
+
+  /**
+   * Процедурная анимация: веса фаз, которые риг жабы смешивает между собой. Всё в 0..1, кроме squash и breathe:
+   * crouch — присед перед прыжком, extend — лапы выпрямлены на толчке, trail — тянутся за телом в полёте,
+   * reach — передние лапы вытянуты к земле перед приземлением, squash — сплющивание от удара (затухающие колебания,
+   * минус — вытягивание), splay — лапы врастопырку на дрифте, idle — насколько жаба сидит спокойно,
+   * breathe — дыхание горлом (−1..1), blink — веки (1 — закрыты).
+   */
+  const CROUCH_LEAD = 0.24;
+  const TAKEOFF_TIME = 0.14;
+  const BLINK_TIME = 0.14;
+
+  function createFrogAnim(seed) {
+    const rng = makeRng(hash2i(seed, 0xb1e7) || 1);
+    return {
+      rng,
+      time: rng() * 10,
+      crouch: 0,
+      extend: 0,
+      trail: 0,
+      reach: 0,
+      squash: 0,
+      splay: 0,
+      idle: 0,
+      breathe: 0,
+      blink: 0,
+      airborne: false,
+      vy: 0,
+      impact: 0,
+      landAge: Infinity,
+      blinkIn: lerp(1, 4, rng()),
+      blinkAge: Infinity,
+    };
+  }
+
+  /** charge — заряд прыжка у пилотируемой жабы (тогда присед от него, а не от groundTimer), null — автопилот. */
+  function updateFrogAnim(anim, state, dt, charge = null) {
+    const { airborne, swimming } = state;
+    const k = (rate) => 1 - Math.exp(-rate * dt);
+    anim.time += dt;
+
+    if (anim.airborne && !airborne) {
+      anim.landAge = 0;
+      anim.impact = swimming ? 0 : clamp(-anim.vy / 12, 0.2, 1);
+    }
+    if (airborne) anim.vy = state.vy;
+    anim.airborne = airborne;
+    anim.landAge += dt;
+
+    const grounded = !airborne && !swimming;
+    const lead = charge === null ? 1 - smoothstep(0, CROUCH_LEAD, state.groundTimer) : charge;
+    anim.crouch = lerp(anim.crouch, grounded ? lead : 0, k(grounded && lead > anim.crouch ? 16 : 10));
+
+    const t = airborne ? state.airborneTime : 0;
+    anim.extend = airborne ? 1 - smoothstep(TAKEOFF_TIME, TAKEOFF_TIME + 0.18, t) : 0;
+    anim.trail = airborne ? smoothstep(0.06, 0.3, t) : 0;
+    anim.reach = airborne && state.vy < 0 ? smoothstep(1, 6, -state.vy) : 0;
+
+    // удар приземления — затухающая пружина: сплющило, чуть вытянуло обратно, успокоилось
+    const age = Math.min(anim.landAge, 2);
+    anim.squash = anim.impact * Math.exp(-age * 7) * Math.cos(age * 19);
+
+    anim.splay = lerp(anim.splay, grounded ? smoothstep(0.15, 0.55, state.drift) : 0, k(8));
+    const speed = Math.sqrt(state.vel.x * state.vel.x + state.vel.z * state.vel.z);
+    anim.idle = lerp(anim.idle, grounded && speed < 1.5 ? 1 : 0, k(3));
+    anim.breathe = Math.sin(anim.time * Math.PI * 2 * 0.85) * anim.idle;
+
+    anim.blinkIn -= dt;
+    if (anim.blinkIn <= 0) {
+      anim.blinkAge = 0;
+      anim.blinkIn = lerp(1.8, 5.5, anim.rng());
+    }
+    anim.blinkAge += dt;
+    const lid = 1 - Math.abs(anim.blinkAge / BLINK_TIME - 0.5) * 2;
+    // на жёстком приземлении жаба жмурится
+    anim.blink = Math.max(clamp(lid, 0, 1), smoothstep(0.4, 0.8, anim.squash));
+    return anim;
+  }
+
+  /**
+   * Прогон симуляции без рендера: seconds секунд с фиксированным шагом.
+   * onStep(state) вызывается после каждого шага, пока в state.events лежат события этого шага.
+   */
+  function simulate({ seed = 1, seconds = 60, params = DEFAULT_SIM_PARAMS, world = createWorld(), cmd = null, brain = null, onStep = null } = {}) {
+    const state = createFrogState(seed, params);
+    if (brain) setBrain(state, brain.id, brain.options);
+    const steps = Math.round(seconds / SIM_DT);
+    for (let i = 0; i < steps; i++) {
+      state.events.length = 0;
+      stepFrog(state, params, SIM_DT, typeof cmd === "function" ? cmd(state) : cmd, world);
+      if (onStep) onStep(state);
+    }
+    return state;
+  }
+
+  return {
+    clamp,
+    lerp,
+    smoothstep,
+    wrapPi,
+    lerpAngle,
+    hash2i,
+    makeRng,
+    randRange,
+    valueNoise2,
+    terrainHeight,
+    terrainSlope,
+    waterLevel,
+    waterDepth,
+    hashString,
+    SIM_DT,
+    DEFAULT_SIM_PARAMS,
+    createFrogState,
+    chooseClearTurn,
+    planJump,
+    PERCEPTION_RADIUS,
+    PATH_REACH,
+    jumpReach,
+    slideTo,
+    hopTo,
+    perceive,
+    aimAt,
+    BRAINS,
+    setBrain,
+    think,
+    SWIM_DEPTH,
+    SWIM_SINK,
+    SWIM_STROKE,
+    findSwimExit,
+    stepFrog,
+    TILE_SIZE,
+    TILE_CAPACITY,
+    BIOMES,
+    biomeWeights,
+    biomeAt,
+    RUNE_COLORS,
+    CAN_VARIANTS,
+    generateTileLayout,
+    buildTileInstances,
+    GROUND_SEGMENTS,
+    buildGroundPatch,
+    buildWaterPatch,
+    groundPatchIndex,
+    generateTileBuffers,
+    tileBufferTransfers,
+    FROG_RADIUS,
+    buildTileColliders,
+    buildGridIndex,
+    createWorld,
+    MAP_WATER,
+    rasterizeMapTile,
+    mapMarkers,
+    colliderContact,
+    supportHeight,
+    supportProp,
+    resolvePropCollisions,
+    pathClear,
+    PICKUP_POINTS,
+    PICKUP_RADIUS,
+    collectPickups,
+    GROUP_BEHAVIOURS,
+    MAX_FROGS,
+    spawnFrog,
+    createFrogGroup,
+    steerGroup,
+    resolveFrogContacts,
+    stepFrogGroup,
+    TRACE_FORMAT,
+    TRACE_FIELDS,
+    TRACE_MAX_SAMPLES,
+    TRACE_DROP_SAMPLES,
+    roundTo,
+    createTrace,
+    recordTraceStep,
+    traceDuration,
+    parseTrace,
+    sampleTrace,
+    SKID_FIELDS,
+    SKID_STEP,
+    SKID_MAX_GAP,
+    SKID_LIFE,
+    createSkidMarks,
+    addSkidPoint,
+    endSkidTrack,
+    clearSkidMarks,
+    skidFade,
+    CROUCH_LEAD,
+    createFrogAnim,
+    updateFrogAnim,
+    simulate,
+  };
+});
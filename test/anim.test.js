@@ -0,0 +1,101 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+const {
+  DEFAULT_SIM_PARAMS,
+  SIM_DT,
+  createFrogAnim,
+  createTrace,
+  recordTraceStep,
+  sampleTrace,
+  simulate,
+  updateFrogAnim,
+} = require("../sim.js");
+
+function run(seed, seconds, onStep) {
+  const anim = createFrogAnim(seed);
+  simulate({
+    seed,
+    seconds,
+    world: null,
+    onStep: (state) => {
+      updateFrogAnim(anim, state, SIM_DT);
+      onStep(anim, state);
+    },
+  });
+  return anim;
+}
+
+test("the frog crouches before a jump and extends its legs on takeoff", () => {
+  let prevCrouch = 0;
+  const crouchAtJump = [];
+  const extendAfter = [];
+  let lastAirborne = false;
+  run(3, 12, (anim, state) => {
+    if (state.events.some((e) => e.type === "jump")) crouchAtJump.push(prevCrouch);
+    if (state.airborne && !lastAirborne) extendAfter.push(anim.extend);
+    lastAirborne = state.airborne;
+    prevCrouch = anim.crouch;
+  });
+  assert.ok(crouchAtJump.length >= 3);
+  for (const c of crouchAtJump) assert.ok(c > 0.6, `crouch ${c}`);
+  for (const e of extendAfter) assert.equal(e, 1);
+});
+
+test("a landing squashes the body and the spring settles", () => {
+  let landed = -1;
+  let peak = 0;
+  let settled = Infinity;
+  run(5, 8, (anim, state) => {
+    if (landed < 0 && state.events.some((e) => e.type === "land")) landed = state.time;
+    if (landed < 0) return;
+    const age = state.time - landed;
+    if (age < 0.1) peak = Math.max(peak, anim.squash);
+    if (age > 0.6 && age < 0.7) settled = Math.min(settled, Math.abs(anim.squash));
+  });
+  assert.ok(landed > 0);
+  assert.ok(peak > 0.15);
+  assert.ok(settled < 0.05);
+});
+
+test("a resting frog breathes and blinks now and then", () => {
+  const anim = createFrogAnim(9);
+  const state = { airborne: false, swimming: false, airborneTime: 0, groundTimer: 100, vy: 0, drift: 0, vel: { x: 0, z: 0 } };
+  let blinks = 0;
+  let closed = 0;
+  let wasClosed = false;
+  let breathe = 0;
+  const steps = Math.round(12 / SIM_DT);
+  for (let i = 0; i < steps; i++) {
+    updateFrogAnim(anim, state, SIM_DT);
+    const isClosed = anim.blink > 0.9;
+    if (isClosed && !wasClosed) blinks++;
+    if (anim.blink > 0.05) closed++;
+    wasClosed = isClosed;
+    breathe = Math.max(breathe, anim.breathe);
+  }
+  assert.ok(blinks >= 2 && blinks <= 8, `blinks ${blinks}`);
+  assert.ok(closed / steps < 0.1);
+  assert.ok(breathe > 0.9);
+  assert.equal(anim.crouch < 0.01, true);
+});
+
+test("replays know how long until the next jump", () => {
+  const params = DEFAULT_SIM_PARAMS;
+  let trace = null;
+  let jumpAt = -1;
+  simulate({
+    seed: 4,
+    seconds: 6,
+    world: null,
+    onStep: (state) => {
+      if (!trace) trace = createTrace(state, params);
+      recordTraceStep(trace, state);
+      if (jumpAt < 0 && trace.landings.length && state.events.some((e) => e.type === "jump")) jumpAt = state.time;
+    },
+  });
+  assert.ok(jumpAt > 0);
+  const frame = sampleTrace(trace, jumpAt - trace.t0 - 0.1, { pos: {}, vel: {} });
+  assert.equal(frame.airborne, false);
+  assert.ok(Math.abs(frame.groundTimer - 0.1) < 0.02);
+});
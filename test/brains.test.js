@@ -0,0 +1,180 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+const {
+  BRAINS,
+  DEFAULT_SIM_PARAMS,
+  colliderContact,
+  createFrogState,
+  createWorld,
+  makeRng,
+  perceive,
+  setBrain,
+  simulate,
+  think,
+} = require("../sim.js");
+
+const SEEDS = [1, 2, 3, 4, 5, 6];
+
+function run(id, seed, seconds, onEvent, { params = DEFAULT_SIM_PARAMS, options = {}, world = createWorld() } = {}) {
+  return simulate({
+    seed,
+    seconds,
+    params,
+    world,
+    brain: { id, options },
+    onStep: (s) => {
+      for (const e of s.events) onEvent(e, s);
+    },
+  });
+}
+
+test("every brain answers within maxTurn and with power in 0..1", () => {
+  const params = { ...DEFAULT_SIM_PARAMS, maxTurn: 0.6 };
+  const path = [
+    { x: 0, z: 30 },
+    { x: -30, z: 30 },
+  ];
+  for (const brain of BRAINS) {
+    const world = createWorld();
+    const rng = makeRng(7);
+    let asked = 0;
+    run(
+      brain.id,
+      3,
+      20,
+      (e, s) => {
+        if (e.type === "jump") assert.ok(Math.abs(e.turnDelta) <= params.maxTurn + 1e-9);
+        if (e.type !== "land") return;
+        const jump = brain.plan(perceive(s, world), { ...s.mind }, rng, params);
+        assert.ok(Math.abs(jump.turn) <= params.maxTurn + 1e-9, `${brain.id}: turn ${jump.turn}`);
+        assert.ok(jump.power >= 0 && jump.power <= 1, `${brain.id}: power ${jump.power}`);
+        asked++;
+      },
+      { params, options: { path }, world },
+    );
+    assert.ok(asked > 5, brain.id);
+  }
+});
+
+test("perception lists nearby props and forgets collected ones", () => {
+  const world = createWorld();
+  const state = createFrogState(1, DEFAULT_SIM_PARAMS);
+  const view = perceive(state, world);
+  assert.ok(view.props.length > 0);
+  for (let i = 1; i < view.props.length; i++) assert.ok(view.props[i].dist >= view.props[i - 1].dist);
+  for (const p of view.props) assert.ok(p.dist <= 30 && Math.abs(p.bearing) <= Math.PI);
+  assert.deepEqual(perceive(state, null).props, []);
+
+  const runs = [];
+  run("seek", 1, 60, (e) => e.type === "pickup" && runs.push(e), { world });
+  assert.ok(runs.length > 0);
+  const { tx, tz, kind } = runs[0];
+  assert.ok(world.collectedIn(tx, tz).has(runs[0].id));
+  const layout = world.layout(tx, tz);
+  const item = layout[`${kind}s`][Number(runs[0].id.split(":")[1])];
+  const near = createFrogState(1, DEFAULT_SIM_PARAMS, { x: layout.ox + item.x + 3, z: layout.oz + item.z, yaw: 0 });
+  assert.ok(!perceive(near, world).props.some((p) => p.kind === kind && Math.hypot(p.x - layout.ox - item.x, p.z - layout.oz - item.z) < 1e-6));
+});
+
+test("only brains that look at props make perception scan the tiles", () => {
+  const world = createWorld();
+  let scans = 0;
+  const counting = { ...world, layout: (tx, tz) => (scans++, world.layout(tx, tz)) };
+  const state = createFrogState(1, DEFAULT_SIM_PARAMS);
+  for (const id of ["random", "wander", "path"]) {
+    setBrain(state, id, { path: [{ x: 10, z: 10 }] });
+    think(state, DEFAULT_SIM_PARAMS, counting);
+    assert.equal(scans, 0, id);
+  }
+  setBrain(state, "seek");
+  think(state, DEFAULT_SIM_PARAMS, counting);
+  assert.ok(scans > 0);
+
+  // снимок остаётся снимком: пропы считаются от места, где жаба была при perceive
+  const view = perceive(state, world);
+  const { x, z } = state.pos;
+  state.pos.x += 100;
+  assert.ok(view.props.every((p) => Math.abs(Math.hypot(p.x - x, p.z - z) - p.dist) < 1e-9));
+});
+
+test("the seeking brain collects far more than random jumping", () => {
+  const count = (id) => {
+    let picks = 0;
+    for (const seed of SEEDS) run(id, seed, 40, (e) => e.type === "pickup" && picks++);
+    return picks;
+  };
+  const random = count("random");
+  const seek = count("seek");
+  assert.ok(seek >= 5 && seek > random * 3, `seek ${seek}, random ${random}`);
+});
+
+test("the tree-avoiding brain bumps into trunks less often", () => {
+  const trunkBumps = (id) => {
+    let n = 0;
+    for (const seed of SEEDS) {
+      const world = createWorld();
+      run(
+        id,
+        seed,
+        40,
+        (e) => {
+          if (e.type !== "bump") return;
+          const trunk = world
+            .query(e.x, e.z, 3, [])
+            .some((c) => c.kind === "trunk" && colliderContact(c, e.x, e.z, {}).dist < c.r + 0.8);
+          if (trunk) n++;
+        },
+        { world },
+      );
+    }
+    return n;
+  };
+  const random = trunkBumps("random");
+  const avoid = trunkBumps("avoid");
+  assert.ok(avoid * 2 < random, `avoid ${avoid}, random ${random}`);
+});
+
+test("wandering turns smoothly, random jumping does not", () => {
+  const swing = (id) => {
+    const turns = [];
+    run(id, 5, 40, (e) => e.type === "jump" && turns.push(e.turnDelta), { world: null });
+    let sum = 0;
+    for (let i = 1; i < turns.length; i++) sum += Math.abs(turns[i] - turns[i - 1]);
+    return sum / (turns.length - 1);
+  };
+  assert.ok(swing("wander") < swing("random") * 0.5);
+});
+
+test("the path brain walks the drawn waypoints in order", () => {
+  const path = [
+    { x: 5, z: 25 },
+    { x: 30, z: 45 },
+    { x: 55, z: 30 },
+  ];
+  for (const seed of [1, 2]) {
+    const reached = [];
+    const state = run(
+      "path",
+      seed,
+      60,
+      (e, s) => {
+        const i = reached.length;
+        if (i < path.length && Math.hypot(s.pos.x - path[i].x, s.pos.z - path[i].z) < 5) reached.push(s.time);
+      },
+      { options: { path } },
+    );
+    assert.equal(reached.length, path.length, `seed ${seed}`);
+    assert.equal(state.mind.index, path.length);
+  }
+});
+
+test("setBrain rejects unknown brains and resets the memory", () => {
+  const state = createFrogState(1, DEFAULT_SIM_PARAMS);
+  assert.equal(setBrain(state, "telepathy"), false);
+  assert.equal(state.brain, "random");
+  assert.equal(setBrain(state, "path", { path: [{ x: 1, z: 2 }] }), true);
+  assert.equal(state.brain, "path");
+  assert.deepEqual(state.mind, { path: [{ x: 1, z: 2 }] });
+  assert.equal(state.plan, null);
+});
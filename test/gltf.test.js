@@ -0,0 +1,208 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+const {
+  CHUNK_BIN,
+  CHUNK_JSON,
+  GLB_MAGIC,
+  addAccessor,
+  addAnimation,
+  addMaterial,
+  addMesh,
+  addNode,
+  addTexture,
+  createGltfDoc,
+  readGlb,
+  readGltfModel,
+  writeGlb,
+} = require("../gltf.js");
+
+function parse(bytes) {
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+  assert.equal(view.getUint32(0, true), GLB_MAGIC);
+  assert.equal(view.getUint32(4, true), 2);
+  assert.equal(view.getUint32(8, true), bytes.byteLength);
+  const jsonLength = view.getUint32(12, true);
+  assert.equal(view.getUint32(16, true), CHUNK_JSON);
+  assert.equal(jsonLength % 4, 0);
+  const json = JSON.parse(new TextDecoder().decode(bytes.subarray(20, 20 + jsonLength)));
+  let bin = null;
+  if (20 + jsonLength < bytes.byteLength) {
+    const o = 20 + jsonLength;
+    assert.equal(view.getUint32(o + 4, true), CHUNK_BIN);
+    bin = bytes.subarray(o + 8, o + 8 + view.getUint32(o, true));
+  }
+  return { json, bin };
+}
+
+function accessorData(json, bin, index) {
+  const a = json.accessors[index];
+  const v = json.bufferViews[a.bufferView];
+  const Type = { 5126: Float32Array, 5125: Uint32Array, 5123: Uint16Array, 5121: Uint8Array }[a.componentType];
+  const width = { SCALAR: 1, VEC2: 2, VEC3: 3, VEC4: 4 }[a.type];
+  return new Type(bin.slice(v.byteOffset, v.byteOffset + v.byteLength).buffer, 0, a.count * width);
+}
+
+function triangleDoc() {
+  const doc = createGltfDoc();
+  const texture = addTexture(doc, { bytes: new Uint8Array([0x89, 0x50, 0x4e, 0x47, 1]) });
+  const material = addMaterial(doc, { name: "can", color: [1, 0.5, 0.25, 1], texture, emissive: [0, 0.6, 1], emissiveStrength: 2.2 });
+  const mesh = addMesh(doc, {
+    name: "tri",
+    primitives: [
+      {
+        positions: new Float32Array([0, 0, 0, 1, 0, 0, 0, 2, -1]),
+        normals: new Float32Array([0, 0, 1, 0, 0, 1, 0, 0, 1]),
+        uvs: new Float32Array([0, 0, 1, 0, 0, 1]),
+        colors: new Float32Array([1, 0, 0, 0, 1, 0, 0, 0, 1]),
+        indices: new Uint16Array([0, 1, 2]),
+        material,
+      },
+    ],
+  });
+  return { doc, mesh, material };
+}
+
+test("a GLB has a valid header, padded chunks and aligned buffer views", () => {
+  const { doc, mesh } = triangleDoc();
+  const root = addNode(doc, { name: "root" });
+  addNode(doc, { name: "a", mesh, translation: [1, 2, 3] }, root);
+  addNode(doc, { name: "b", mesh, rotation: [0, 0, 0, 1], scale: [1, 1, 1] }, root);
+  const { json, bin } = parse(writeGlb(doc));
+
+  assert.equal(json.asset.version, "2.0");
+  assert.equal(json.buffers[0].byteLength, bin.byteLength);
+  assert.equal(bin.byteLength % 4, 0);
+  for (const v of json.bufferViews) {
+    assert.equal(v.byteOffset % 4, 0);
+    assert.ok(v.byteOffset + v.byteLength <= bin.byteLength);
+  }
+  assert.deepEqual(json.scenes[0].nodes, [0]);
+  assert.deepEqual(json.nodes[0].children, [1, 2]);
+  assert.equal(json.nodes[1].mesh, json.nodes[2].mesh);
+  assert.deepEqual(json.nodes[1].translation, [1, 2, 3]);
+  assert.equal(json.nodes[2].rotation, undefined);
+  assert.equal(json.nodes[2].scale, undefined);
+  assert.equal(json.animations, undefined);
+});
+
+test("mesh attributes round-trip with position bounds", () => {
+  const { doc } = triangleDoc();
+  const { json, bin } = parse(writeGlb(doc));
+  const prim = json.meshes[0].primitives[0];
+  const pos = json.accessors[prim.attributes.POSITION];
+  assert.deepEqual(pos.min, [0, 0, -1]);
+  assert.deepEqual(pos.max, [1, 2, 0]);
+  assert.deepEqual([...accessorData(json, bin, prim.attributes.POSITION)], [0, 0, 0, 1, 0, 0, 0, 2, -1]);
+  assert.deepEqual([...accessorData(json, bin, prim.indices)], [0, 1, 2]);
+  assert.equal(json.accessors[prim.attributes.COLOR_0].type, "VEC3");
+  assert.equal(json.accessors[prim.attributes.TEXCOORD_0].type, "VEC2");
+});
+
+test("materials keep textures and strong emission", () => {
+  const { doc } = triangleDoc();
+  const { json, bin } = parse(writeGlb(doc));
+  const m = json.materials[0];
+  assert.deepEqual(m.pbrMetallicRoughness.baseColorFactor, [1, 0.5, 0.25, 1]);
+  assert.equal(m.pbrMetallicRoughness.baseColorTexture.index, 0);
+  assert.deepEqual(m.emissiveFactor, [0, 0.6, 1]);
+  assert.equal(m.extensions.KHR_materials_emissive_strength.emissiveStrength, 2.2);
+  assert.deepEqual(json.extensionsUsed, ["KHR_materials_emissive_strength"]);
+
+  const image = json.images[json.textures[0].source];
+  assert.equal(image.mimeType, "image/png");
+  const v = json.bufferViews[image.bufferView];
+  assert.deepEqual([...bin.subarray(v.byteOffset, v.byteOffset + v.byteLength)], [0x89, 0x50, 0x4e, 0x47, 1]);
+});
+
+test("animation channels point at nodes with linear samplers", () => {
+  const doc = createGltfDoc();
+  const node = addNode(doc, { name: "frog" });
+  addAnimation(doc, {
+    name: "path",
+    channels: [
+      { node, path: "translation", times: new Float32Array([0, 0.5, 1]), values: new Float32Array(9) },
+      { node, path: "rotation", times: new Float32Array([0, 1]), values: new Float32Array([0, 0, 0, 1, 0, 1, 0, 0]) },
+    ],
+  });
+  const { json } = parse(writeGlb(doc));
+  const anim = json.animations[0];
+  assert.equal(anim.channels.length, 2);
+  assert.deepEqual(anim.channels[1].target, { node, path: "rotation" });
+  const input = json.accessors[anim.samplers[0].input];
+  assert.deepEqual([input.min[0], input.max[0]], [0, 1]);
+  assert.equal(json.accessors[anim.samplers[1].output].type, "VEC4");
+  assert.equal(anim.samplers[0].interpolation, "LINEAR");
+
+  assert.throws(() =>
+    addAnimation(doc, { name: "bad", channels: [{ node, path: "rotation", times: new Float32Array([0, 1]), values: new Float32Array(6) }] })
+  );
+});
+
+test("reading bakes node transforms and keeps material groups", () => {
+  const { doc, mesh } = triangleDoc();
+  const plain = addMaterial(doc, { name: "plain", color: [0.2, 0.3, 0.4, 1] });
+  const quad = addMesh(doc, {
+    name: "quad",
+    primitives: [{ positions: new Float32Array([0, 0, 0, 1, 0, 0, 1, 0, 1]), normals: new Float32Array([0, 1, 0, 0, 1, 0, 0, 1, 0]), uvs: new Float32Array(6), material: plain }],
+  });
+  const root = addNode(doc, { name: "root", translation: [10, 0, 0] });
+  addNode(doc, { mesh, rotation: [0, Math.SQRT1_2, 0, Math.SQRT1_2], scale: [2, 2, 2] }, root);
+  addNode(doc, { mesh: quad, translation: [0, 5, 0] });
+  const model = readGltfModel(writeGlb(doc));
+
+  assert.equal(model.positions.length, 6 * 3);
+  assert.deepEqual([...model.indices], [0, 1, 2, 3, 4, 5]);
+  // поворот на 90° вокруг Y: x → -z
+  const at = (i) => [...model.positions.subarray(i * 3, i * 3 + 3)].map((v) => Math.round(v * 1e5) / 1e5 + 0);
+  assert.deepEqual(at(1), [10, 0, -2]);
+  assert.deepEqual(at(2), [8, 4, 0]);
+  assert.deepEqual(at(4), [1, 5, 0]);
+  assert.ok(Math.abs(model.normals[0] - 1) < 1e-6);
+  // у квадрата нет цветов — белый, у треугольника свои
+  assert.deepEqual([...model.colors.subarray(0, 3)], [1, 0, 0]);
+  assert.deepEqual([...model.colors.subarray(9, 12)], [1, 1, 1]);
+
+  assert.deepEqual(model.groups, [
+    { start: 0, count: 3, material: 0 },
+    { start: 3, count: 3, material: 1 },
+  ]);
+  assert.equal(model.materials[0].name, "can");
+  assert.deepEqual([...model.materials[0].image.bytes], [0x89, 0x50, 0x4e, 0x47, 1]);
+  assert.equal(model.materials[0].emissiveStrength, 2.2);
+  assert.deepEqual(model.materials[1].color, [0.2, 0.3, 0.4, 1]);
+});
+
+test("mirrored nodes flip the winding back and normalized accessors are scaled", () => {
+  const doc = createGltfDoc();
+  const positions = addAccessor(doc, new Float32Array([0, 0, 0, 1, 0, 0, 0, 1, 0]), "VEC3", { bounds: true });
+  const colors = addAccessor(doc, new Uint8Array([255, 0, 0, 255, 0, 255, 0, 255, 0, 0, 255, 255]), "VEC4", { normalized: true });
+  doc.json.meshes.push({ primitives: [{ attributes: { POSITION: positions, COLOR_0: colors } }] });
+  addNode(doc, { mesh: 0, scale: [-1, 1, 1] });
+  const model = readGltfModel(writeGlb(doc));
+  assert.deepEqual([...model.indices], [0, 2, 1]);
+  assert.deepEqual([...model.colors], [1, 0, 0, 0, 1, 0, 0, 0, 1]);
+  assert.equal(model.normals, null);
+  assert.equal(model.uvs, null);
+  assert.equal(model.materials[0].name, "default");
+});
+
+test("texture transforms reach the material and are allowed as required", () => {
+  const { doc, mesh } = triangleDoc();
+  addNode(doc, { mesh });
+  doc.json.materials[0].pbrMetallicRoughness.baseColorTexture.extensions = { KHR_texture_transform: { offset: [0.5, 0], scale: [2, 2] } };
+  doc.json.extensionsRequired = ["KHR_texture_transform"];
+  const model = readGltfModel(writeGlb(doc));
+  assert.deepEqual(model.materials[0].uvTransform, { offset: [0.5, 0], scale: [2, 2], rotation: 0 });
+
+  delete doc.json.materials[0].pbrMetallicRoughness.baseColorTexture.extensions;
+  assert.equal(readGltfModel(writeGlb(doc)).materials[0].uvTransform, null);
+});
+
+test("unreadable files fail with a clear message", () => {
+  assert.throws(() => readGltfModel(new Uint8Array(64)), /не GLB/);
+  const doc = createGltfDoc();
+  doc.json.extensionsRequired = ["KHR_draco_mesh_compression"];
+  assert.throws(() => readGlb(writeGlb(doc)), /KHR_draco_mesh_compression/);
+  assert.throws(() => readGltfModel(writeGlb(createGltfDoc())), /нет треугольных/);
+});
@@ -0,0 +1,130 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+const {
+  DEFAULT_SIM_PARAMS,
+  SIM_DT,
+  FROG_RADIUS,
+  GROUP_BEHAVIOURS,
+  createWorld,
+  createFrogState,
+  stepFrog,
+  createFrogGroup,
+  stepFrogGroup,
+  resolveFrogContacts,
+  steerGroup,
+} = require("../sim.js");
+
+const run = (frogs, seconds, behaviour, world, onStep) => {
+  for (let i = 0; i < Math.round(seconds / SIM_DT); i++) {
+    for (const f of frogs) f.events.length = 0;
+    stepFrogGroup(frogs, DEFAULT_SIM_PARAMS, SIM_DT, null, world, behaviour);
+    if (onStep) onStep(frogs);
+  }
+};
+
+test("a group of one frog moves exactly like a lone frog", () => {
+  const world = createWorld();
+  const lone = createFrogState(21, DEFAULT_SIM_PARAMS);
+  const [leader] = createFrogGroup(21, 1, DEFAULT_SIM_PARAMS);
+  for (const behaviour of GROUP_BEHAVIOURS) {
+    for (let i = 0; i < 120 * 20; i++) {
+      lone.events.length = 0;
+      stepFrog(lone, DEFAULT_SIM_PARAMS, SIM_DT, null, world);
+      leader.events.length = 0;
+      stepFrogGroup([leader], DEFAULT_SIM_PARAMS, SIM_DT, null, world, behaviour);
+    }
+    assert.deepEqual(leader.pos, lone.pos);
+    assert.equal(leader.yaw, lone.yaw);
+  }
+});
+
+test("group runs are deterministic and keep turns within maxTurn", () => {
+  for (const behaviour of GROUP_BEHAVIOURS) {
+    const paths = [];
+    for (let k = 0; k < 2; k++) {
+      const frogs = createFrogGroup(8, 6, DEFAULT_SIM_PARAMS);
+      const path = [];
+      run(frogs, 30, behaviour, createWorld(), (fs) => {
+        for (const f of fs) {
+          for (const e of f.events) {
+            if (e.type === "jump") assert.ok(Math.abs(e.turnDelta) <= DEFAULT_SIM_PARAMS.maxTurn + 1e-12);
+          }
+        }
+        path.push(fs[5].pos.x, fs[5].pos.z);
+      });
+      paths.push(path);
+    }
+    assert.deepEqual(paths[0], paths[1]);
+  }
+});
+
+test("frogs at the same height never overlap after a step", () => {
+  const frogs = createFrogGroup(4, 8, DEFAULT_SIM_PARAMS);
+  run(frogs, 40, "flock", createWorld(), (fs) => {
+    for (let i = 0; i < fs.length; i++) {
+      for (let j = i + 1; j < fs.length; j++) {
+        if (Math.abs(fs[i].pos.y - fs[j].pos.y) > 0.9) continue;
+        const d = Math.hypot(fs[i].pos.x - fs[j].pos.x, fs[i].pos.z - fs[j].pos.z);
+        assert.ok(d >= 2 * FROG_RADIUS - 0.35, `frogs ${i} and ${j} overlap: ${d}`);
+      }
+    }
+  });
+});
+
+test("frogs bounce off each other mid-air", () => {
+  const [a, b] = createFrogGroup(2, 2, DEFAULT_SIM_PARAMS);
+  for (const f of [a, b]) {
+    f.pos.y = 3;
+    f.airborne = true;
+    f.events.length = 0;
+  }
+  a.pos.x = 0;
+  a.pos.z = 0;
+  b.pos.x = 0.8;
+  b.pos.z = 0;
+  a.vel.x = 5;
+  a.vel.z = 0;
+  b.vel.x = -5;
+  b.vel.z = 0;
+
+  resolveFrogContacts([a, b], DEFAULT_SIM_PARAMS);
+
+  assert.ok(a.vel.x < 0 && b.vel.x > 0);
+  assert.ok(Math.abs(a.vel.x + b.vel.x) < 1e-9);
+  assert.ok(b.pos.x - a.pos.x >= 2 * FROG_RADIUS - 1e-9);
+  assert.equal(a.events[0].type, "bump");
+  assert.equal(b.events[0].type, "bump");
+});
+
+test("following and flocking keep the group closer than the leash alone", () => {
+  const spread = (behaviour) => {
+    const frogs = createFrogGroup(3, 6, DEFAULT_SIM_PARAMS);
+    let sum = 0;
+    let n = 0;
+    let step = 0;
+    run(frogs, 120, behaviour, createWorld(), (fs) => {
+      if (step++ % 120) return;
+      for (const f of fs.slice(1)) {
+        sum += Math.hypot(f.pos.x - fs[0].pos.x, f.pos.z - fs[0].pos.z);
+        n++;
+      }
+    });
+    return sum / n;
+  };
+  const free = spread("free");
+  assert.ok(spread("leader") < free);
+  assert.ok(spread("flock") < free);
+});
+
+test("the group steers the followers but never the leader", () => {
+  for (const behaviour of GROUP_BEHAVIOURS) {
+    const frogs = createFrogGroup(5, 4, DEFAULT_SIM_PARAMS);
+    for (const f of frogs) f.airborne = false;
+    frogs[1].pos.x += 60;
+    steerGroup(frogs, behaviour);
+    assert.equal(frogs[0].steer, null, behaviour);
+    assert.equal(frogs[0].urge, 0, behaviour);
+    assert.notEqual(frogs[1].steer, null, behaviour);
+  }
+});
@@ -0,0 +1,49 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+const { MAP_WATER, TILE_SIZE, createWorld, generateTileLayout, mapMarkers, rasterizeMapTile } = require("../sim.js");
+
+function findPondTile() {
+  for (let tx = 0; tx < 20; tx++) {
+    const l = generateTileLayout(tx, 0);
+    if (l.ponds.length) return l;
+  }
+  throw new Error("no pond found");
+}
+
+test("a tile map is rebuilt from the seed pixel for pixel", () => {
+  const a = rasterizeMapTile(3, -2, 24);
+  const b = rasterizeMapTile(3, -2, 24);
+  assert.equal(a.length, 24 * 24 * 4);
+  assert.deepEqual(a, b);
+  for (let o = 3; o < a.length; o += 4) assert.equal(a[o], 255);
+  assert.notDeepEqual(rasterizeMapTile(4, -2, 24), a);
+});
+
+test("ponds show up as water on the map", () => {
+  const l = findPondTile();
+  const pond = l.ponds[0];
+  const size = 40;
+  const px = rasterizeMapTile(l.tx, l.tz, size);
+  const i = Math.floor(((pond.x + TILE_SIZE * 0.5) / TILE_SIZE) * size);
+  const j = Math.floor(((pond.z + TILE_SIZE * 0.5) / TILE_SIZE) * size);
+  const o = (j * size + i) * 4;
+  assert.deepEqual([...px.slice(o, o + 3)], MAP_WATER);
+});
+
+test("map markers are in world space and skip collected items", () => {
+  const world = createWorld();
+  const layout = world.layout(2, -1);
+  const all = mapMarkers(world, 2, -1);
+  const cans = all.filter((m) => m.kind === "can");
+  assert.equal(cans.length, layout.cans.length);
+  assert.equal(all.filter((m) => m.kind === "rune").length, layout.runes.length);
+  assert.equal(cans[0].x, layout.ox + layout.cans[0].x);
+  assert.equal(cans[0].z, layout.oz + layout.cans[0].z);
+  for (const m of all) assert.ok(Number.isInteger(m.color));
+
+  world.collect(2, -1, "can:0");
+  const left = mapMarkers(world, 2, -1).filter((m) => m.kind === "can");
+  assert.equal(left.length, cans.length - 1);
+  assert.ok(!left.some((m) => m.x === cans[0].x && m.z === cans[0].z));
+});
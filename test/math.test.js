@@ -0,0 +1,64 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+const { clamp, lerp, smoothstep, wrapPi, lerpAngle, hash2i, makeRng, terrainHeight, TILE_SIZE } = require("../sim.js");
+
+const near = (a, b, eps = 1e-9) => assert.ok(Math.abs(a - b) <= eps, `${a} != ${b}`);
+
+test("clamp", () => {
+  near(clamp(2, 0, 1), 1);
+  near(clamp(-1, 0, 1), 0);
+  near(clamp(0.5, 0, 1), 0.5);
+});
+
+test("lerp clamps t and tolerates bad input", () => {
+  near(lerp(0, 10, 0.5), 5);
+  near(lerp(10, 0, 0.25), 7.5);
+  near(lerp(3, 3, 0.9), 3);
+  near(lerp(0, 10, 2), 10);
+  near(lerp(0, 10, -1), 0);
+  near(lerp(0, 10, undefined), 0);
+  near(lerp(0, 10, NaN), 0);
+});
+
+test("smoothstep", () => {
+  near(smoothstep(0, 1, -1), 0);
+  near(smoothstep(0, 1, 2), 1);
+  near(smoothstep(0, 1, 0.5), 0.5);
+  near(smoothstep(1, 1, 0.5), 0);
+});
+
+test("wrapPi and lerpAngle", () => {
+  near(wrapPi(Math.PI * 3), Math.PI);
+  near(wrapPi(-Math.PI * 3), -Math.PI);
+  near(wrapPi(NaN), 0);
+  near(wrapPi(0), 0);
+  near(wrapPi(lerpAngle(0, Math.PI * 1.5, 1)), -Math.PI / 2);
+});
+
+test("hash2i is a stable non-negative 32-bit integer", () => {
+  const h = hash2i(12, -7);
+  assert.ok(Number.isInteger(h) && h >= 0 && h < 2 ** 32);
+  assert.equal(hash2i(12, -7), h);
+  assert.notEqual(hash2i(-7, 12), h);
+});
+
+test("makeRng is deterministic and stays in [0, 1)", () => {
+  const a = makeRng(123);
+  const b = makeRng(123);
+  for (let i = 0; i < 1000; i++) {
+    const r = a();
+    assert.equal(r, b());
+    assert.ok(r >= 0 && r < 1);
+  }
+});
+
+test("terrain is continuous across tile borders", () => {
+  for (let k = -3; k <= 3; k++) {
+    const edge = (k + 0.5) * TILE_SIZE;
+    for (const z of [-71.3, 0, 18.25, 203.9]) {
+      near(terrainHeight(edge - 1e-4, z), terrainHeight(edge + 1e-4, z), 1e-2);
+      near(terrainHeight(z, edge - 1e-4), terrainHeight(z, edge + 1e-4), 1e-2);
+    }
+  }
+});
@@ -0,0 +1,90 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+const { DEFAULT_SIM_PARAMS, SIM_DT, simulate, createWorld, terrainHeight } = require("../sim.js");
+
+const SEEDS = [1, 2, 7, 42, 1337, 0xdeadbeef];
+
+const collect = (opts) => {
+  const events = [];
+  const samples = [];
+  const state = simulate({
+    ...opts,
+    onStep: (s) => {
+      for (const e of s.events) events.push(e);
+      samples.push(s.pos.x, s.pos.y, s.pos.z, s.yaw);
+    },
+  });
+  return { state, events, samples };
+};
+
+test("same seed gives the same jump path", () => {
+  const a = collect({ seed: 42, seconds: 40 });
+  const b = collect({ seed: 42, seconds: 40 });
+  assert.deepEqual(a.samples, b.samples);
+  assert.deepEqual(a.events, b.events);
+
+  const c = collect({ seed: 43, seconds: 40 });
+  assert.notDeepEqual(a.samples, c.samples);
+});
+
+test("planned turns never exceed maxTurn", () => {
+  for (const seed of SEEDS) {
+    const { events } = collect({ seed, seconds: 60 });
+    const jumps = events.filter((e) => e.type === "jump");
+    assert.ok(jumps.length > 10);
+    for (const j of jumps) assert.ok(Math.abs(j.turnDelta) <= DEFAULT_SIM_PARAMS.maxTurn + 1e-12);
+  }
+
+  const params = { ...DEFAULT_SIM_PARAMS, maxTurn: 0.3 };
+  const { events } = collect({ seed: 5, seconds: 60, params });
+  for (const e of events) if (e.type === "jump") assert.ok(Math.abs(e.turnDelta) <= 0.3 + 1e-12);
+});
+
+test("pilot commands are clamped to maxTurn", () => {
+  let flip = 1;
+  const cmd = (state) => {
+    if (state.airborne) return { jump: null, drift: true };
+    flip = -flip;
+    return { jump: { turn: 10 * flip, power: 1 }, drift: true };
+  };
+  const { events } = collect({ seed: 3, seconds: 30, cmd });
+  const jumps = events.filter((e) => e.type === "jump");
+  assert.ok(jumps.length > 5);
+  for (const j of jumps) assert.ok(Math.abs(j.turnDelta) <= DEFAULT_SIM_PARAMS.maxTurn + 1e-12);
+});
+
+test("the frog always lands and never sinks into the ground", () => {
+  const maxFlight = (2 * DEFAULT_SIM_PARAMS.upMax) / DEFAULT_SIM_PARAMS.g + 1;
+  for (const seed of SEEDS) {
+    const world = createWorld();
+    let jumpAt = null;
+    let longest = 0;
+    let lands = 0;
+    simulate({
+      seed,
+      seconds: 90,
+      world,
+      onStep: (s) => {
+        for (const e of s.events) {
+          if (e.type === "jump") jumpAt = e.t;
+          if (e.type === "land") {
+            lands++;
+            if (jumpAt !== null) longest = Math.max(longest, e.t - jumpAt);
+            jumpAt = null;
+          }
+        }
+        if (jumpAt !== null) assert.ok(s.time - jumpAt <= maxFlight, `seed ${seed}: still airborne at ${s.time}`);
+        assert.ok(Number.isFinite(s.pos.x) && Number.isFinite(s.pos.y) && Number.isFinite(s.pos.z));
+        assert.ok(s.pos.y >= terrainHeight(s.pos.x, s.pos.z) - 1e-9, `seed ${seed}: below ground at ${s.time}`);
+      },
+    });
+    assert.ok(lands > 10);
+    assert.ok(longest > 0 && longest <= maxFlight);
+  }
+});
+
+test("fixed step keeps the simulation time exact", () => {
+  const state = simulate({ seed: 9, seconds: 10 });
+  assert.ok(Math.abs(state.time - 1200 * SIM_DT) < 1e-9);
+});
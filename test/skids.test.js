@@ -0,0 +1,110 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+const {
+  SKID_FIELDS,
+  SKID_LIFE,
+  SKID_MAX_GAP,
+  SKID_STEP,
+  addSkidPoint,
+  clearSkidMarks,
+  createSkidMarks,
+  endSkidTrack,
+  simulate,
+  skidFade,
+} = require("../sim.js");
+
+test("skid ring buffer overwrites the oldest segments and never overflows", () => {
+  const marks = createSkidMarks(16);
+  let written = 0;
+  for (let i = 0; i < 100; i++) {
+    if (addSkidPoint(marks, "L", i * 0.5, 0, 0.2, 1, i) >= 0) written++;
+    assert.ok(marks.count <= marks.capacity);
+  }
+  assert.equal(written, 99);
+  assert.equal(marks.count, 16);
+  assert.equal(marks.data.length, 16 * SKID_FIELDS);
+
+  // самый новый сегмент стоит прямо перед next и кончается в последнем отпечатке
+  const newest = ((marks.next + marks.capacity - 1) % marks.capacity) * SKID_FIELDS;
+  assert.equal(marks.data[newest + 9], 99);
+  assert.ok(Math.abs(marks.data[newest + 4] - 49.5) < 1e-6);
+  const oldest = marks.next * SKID_FIELDS;
+  assert.equal(marks.data[oldest + 8], 99 - 16);
+});
+
+test("a ribbon has real width and its segments share edges", () => {
+  const marks = createSkidMarks(8);
+  addSkidPoint(marks, "L", 0, 0, 0.4, 1, 0);
+  addSkidPoint(marks, "L", 0, 1, 0.4, 1, 0.1);
+  addSkidPoint(marks, "L", 0.5, 2, 0.4, 1, 0.2);
+  const d = marks.data;
+  assert.ok(Math.abs(Math.hypot(d[0] - d[2], d[1] - d[3]) - 0.4) < 1e-6);
+  assert.ok(Math.abs(Math.hypot(d[4] - d[6], d[5] - d[7]) - 0.4) < 1e-6);
+  const next = SKID_FIELDS;
+  for (let k = 0; k < 4; k++) assert.equal(d[next + k], d[4 + k]);
+});
+
+test("stopping, gaps and short steps break or skip segments", () => {
+  const marks = createSkidMarks(32);
+  assert.equal(addSkidPoint(marks, "L", 0, 0, 0.2, 1, 0), -1);
+  assert.equal(addSkidPoint(marks, "L", 0, SKID_STEP * 0.5, 0.2, 1, 0), -1);
+  assert.ok(addSkidPoint(marks, "L", 0, 1, 0.2, 1, 0) >= 0);
+
+  endSkidTrack(marks, "L");
+  assert.equal(addSkidPoint(marks, "L", 0, 2, 0.2, 1, 1), -1);
+  assert.ok(addSkidPoint(marks, "L", 0, 3, 0.2, 1, 1) >= 0);
+  assert.equal(addSkidPoint(marks, "L", 0, 3 + SKID_MAX_GAP * 2, 0.2, 1, 1), -1);
+
+  // лапы — разные ленты
+  assert.equal(addSkidPoint(marks, "R", 1, 0, 0.2, 1, 0), -1);
+  assert.equal(marks.count, 2);
+
+  clearSkidMarks(marks);
+  assert.equal(marks.count, 0);
+  assert.equal(addSkidPoint(marks, "L", 0, 4, 0.2, 1, 2), -1);
+});
+
+test("skid marks stay for a while, then fade out by age", () => {
+  assert.equal(skidFade(0), 1);
+  assert.equal(skidFade(SKID_LIFE * 0.3), 1);
+  assert.ok(skidFade(SKID_LIFE * 0.7) > 0 && skidFade(SKID_LIFE * 0.7) < 1);
+  assert.equal(skidFade(SKID_LIFE), 0);
+  assert.ok(SKID_LIFE >= 10);
+});
+
+test("a long drifting run leaves many separate skid segments within the budget", () => {
+  const marks = createSkidMarks(600);
+  let grounded = 0;
+
+  simulate({
+    seed: 11,
+    seconds: 120,
+    cmd: (s) => {
+      grounded = s.airborne ? 0 : grounded + 1;
+      return { jump: grounded > 60 ? { turn: 1.2, power: 1 } : null, drift: true };
+    },
+    onStep: (s) => {
+      const speed = Math.hypot(s.vel.x, s.vel.z);
+      if (!s.airborne && s.drift > 0.38 && speed > 4.0) addSkidPoint(marks, "L", s.pos.x, s.pos.z, 0.22, s.drift, s.time);
+      else endSkidTrack(marks, "L");
+      assert.ok(marks.count >= 0 && marks.count <= marks.capacity);
+    },
+  });
+  assert.ok(marks.count > 50);
+
+  // лента рвётся там, где начало сегмента не совпадает с концом предыдущего (от старых к новым)
+  const d = marks.data;
+  const first = marks.count < marks.capacity ? 0 : marks.next;
+  let ribbons = 0;
+  let prev = -1;
+  for (let k = 0; k < marks.count; k++) {
+    const o = ((first + k) % marks.capacity) * SKID_FIELDS;
+    let joined = prev >= 0;
+    for (let c = 0; c < 4 && joined; c++) joined = d[o + c] === d[prev + 4 + c];
+    if (!joined) ribbons++;
+    prev = o;
+  }
+  assert.ok(ribbons > 5);
+  assert.ok(ribbons < marks.count / 2);
+});
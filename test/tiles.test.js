@@ -0,0 +1,178 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+const {
+  generateTileLayout,
+  buildTileColliders,
+  buildTileInstances,
+  buildGroundPatch,
+  groundPatchIndex,
+  generateTileBuffers,
+  tileBufferTransfers,
+  createWorld,
+  supportHeight,
+  supportProp,
+  terrainHeight,
+  GROUND_SEGMENTS,
+  TILE_CAPACITY,
+  TILE_SIZE,
+  BIOMES,
+  biomeWeights,
+  biomeAt,
+  CAN_VARIANTS,
+} = require("../sim.js");
+
+test("tile layout is deterministic per (tx, tz)", () => {
+  for (const [tx, tz] of [[0, 0], [3, -2], [-17, 41]]) {
+    assert.deepEqual(generateTileLayout(tx, tz), generateTileLayout(tx, tz));
+  }
+  assert.notDeepEqual(generateTileLayout(0, 0).trees, generateTileLayout(1, 0).trees);
+});
+
+test("tile layout never exceeds the instanced mesh capacities", () => {
+  for (let tz = -8; tz <= 8; tz++) {
+    for (let tx = -8; tx <= 8; tx++) {
+      const l = generateTileLayout(tx, tz);
+      assert.ok(l.trees.length >= 1 && l.trees.length <= TILE_CAPACITY.tree);
+      assert.ok(l.bushes.length <= TILE_CAPACITY.bush);
+      assert.ok(l.rocks.length <= TILE_CAPACITY.rock);
+      assert.ok(l.runes.length <= TILE_CAPACITY.rune);
+      assert.ok(l.artifacts.length <= TILE_CAPACITY.artifact);
+      assert.ok(l.puddles.length <= TILE_CAPACITY.puddle);
+      assert.ok(l.pads.length <= TILE_CAPACITY.pad);
+
+      const perVariant = new Array(CAN_VARIANTS.length).fill(0);
+      for (const c of l.cans) perVariant[c.variant]++;
+      for (const n of perVariant) assert.ok(n <= TILE_CAPACITY.can);
+
+      for (const list of [l.trees, l.bushes, l.rocks, l.runes, l.artifacts, l.cans]) {
+        for (const it of list) {
+          assert.ok(Math.abs(it.x) <= TILE_SIZE / 2 && Math.abs(it.z) <= TILE_SIZE / 2);
+        }
+      }
+    }
+  }
+});
+
+test("biomes are seeded, blend smoothly and all show up", () => {
+  const seen = new Set();
+  for (let tz = -12; tz <= 12; tz++) {
+    for (let tx = -12; tx <= 12; tx++) {
+      const x = tx * TILE_SIZE;
+      const z = tz * TILE_SIZE;
+      const w = biomeWeights(x, z);
+      assert.ok(Math.abs(w.reduce((a, b) => a + b, 0) - 1) < 1e-9);
+      assert.equal(biomeAt(x, z), biomeAt(x, z));
+      seen.add(generateTileLayout(tx, tz).biome);
+
+      const near = biomeWeights(x + 0.5, z);
+      for (let b = 0; b < BIOMES.length; b++) assert.ok(Math.abs(near[b] - w[b]) < 0.1);
+    }
+  }
+  assert.equal(seen.size, BIOMES.length);
+});
+
+test("lily pads float on puddles and ponds", () => {
+  let puddles = 0;
+  for (let tz = -10; tz <= 10; tz++) {
+    for (let tx = -10; tx <= 10; tx++) {
+      const l = generateTileLayout(tx, tz);
+      puddles += l.puddles.length;
+      for (const p of l.pads) {
+        const onPuddle = l.puddles.some((w) => Math.abs(p.y - w.y - 0.02) < 1e-9);
+        const onPond = l.ponds.some((w) => Math.abs(p.y - w.level - 0.02) < 1e-9);
+        assert.ok(onPuddle || onPond);
+      }
+    }
+  }
+  assert.ok(puddles > 0);
+});
+
+test("colliders are built from the layout and collected cans drop out", () => {
+  const world = createWorld();
+  const layout = world.layout(2, -1);
+  const { solids } = buildTileColliders(layout);
+  const props = layout.trees.length + layout.rocks.length + layout.runes.length + layout.artifacts.length + layout.pads.length;
+  assert.equal(solids.list.length, props + layout.cans.length);
+
+  assert.ok(layout.cans.length > 0);
+  const before = world.tileColliders(2, -1).solids.list.length;
+  assert.equal(world.collect(2, -1, "can:0"), true);
+  assert.equal(world.collect(2, -1, "can:0"), false);
+  assert.equal(world.tileColliders(2, -1).solids.list.length, before - 1);
+});
+
+test("spatial query finds colliders across tile borders", () => {
+  const world = createWorld();
+  const edge = TILE_SIZE / 2;
+  const found = world.query(edge, 0, TILE_SIZE, []);
+  const tiles = new Set(found.map((c) => Math.floor((c.x + edge) / TILE_SIZE)));
+  assert.ok(tiles.has(0) && tiles.has(1));
+});
+
+test("the support prop is the one whose top supportHeight stands on", () => {
+  const world = createWorld();
+  const layout = world.layout(2, -1);
+  let onRock = 0;
+  for (const r of layout.rocks) {
+    const x = layout.ox + r.x;
+    const z = layout.oz + r.z;
+    const y = supportHeight(world, x, z, 100, 0);
+    const prop = supportProp(world, x, z, 100, 0);
+    assert.equal(prop ? prop.top : terrainHeight(x, z), y);
+    if (prop?.kind === "rock") onRock++;
+    // ниже верха пропа опорой остаётся рельеф
+    const low = terrainHeight(x, z) + 1e-3;
+    assert.equal(supportProp(world, x, z, low, 0), null);
+  }
+  assert.ok(onRock > 0);
+  assert.equal(supportProp(null, 0, 0, 100, 0), null);
+});
+
+test("instance buffers follow the layout and skip collected pickups", () => {
+  const layout = generateTileLayout(5, 7);
+  const full = buildTileInstances(layout);
+  assert.equal(full.trunk.count, layout.trees.length);
+  assert.equal(full.impostor.count + full.impostorRound.count, layout.trees.length);
+  assert.equal(full.crown.count + full.crownRound.count, layout.trees.length);
+  assert.equal(full.water.count, layout.puddles.length + layout.ponds.length);
+  assert.equal(full.bush.count, layout.bushes.length);
+  assert.equal(full.runeCrystal.count, layout.runes.length);
+  assert.equal(full.cans.reduce((n, b) => n + b.count, 0), layout.cans.length);
+  for (const b of [full.trunk, full.crown, full.rock, ...full.cans]) {
+    assert.ok(b.matrices.every(Number.isFinite));
+    assert.ok(b.count <= b.matrices.length / 16);
+  }
+
+  const taken = new Set(["can:0", ...layout.runes.map((_, i) => `rune:${i}`)]);
+  const some = buildTileInstances(layout, taken);
+  assert.equal(some.runeCrystal.count, 0);
+  assert.equal(some.runeBase.count, layout.runes.length);
+  assert.equal(some.cans.reduce((n, b) => n + b.count, 0), layout.cans.length - 1);
+});
+
+test("neighbouring ground patches share their border heights", () => {
+  for (const seg of [GROUND_SEGMENTS.near, GROUND_SEGMENTS.far]) {
+    const n = seg + 1;
+    const a = buildGroundPatch(0, 0, seg);
+    const b = buildGroundPatch(1, 0, seg);
+    for (let j = 0; j < n; j++) {
+      const right = (j * n + seg) * 3;
+      const left = j * n * 3;
+      assert.ok(Math.abs(a.positions[right + 1] - b.positions[left + 1]) < 1e-4);
+      assert.ok(Math.abs(a.positions[right + 2] - b.positions[left + 2]) < 1e-9);
+    }
+
+    const index = groundPatchIndex(seg);
+    const vertices = a.positions.length / 3;
+    assert.equal(index.length % 3, 0);
+    assert.ok(index.every((v) => v < vertices));
+  }
+});
+
+test("tile buffers can be transferred without shared ArrayBuffers", () => {
+  const res = generateTileBuffers(-2, 3);
+  const list = tileBufferTransfers(res);
+  assert.equal(new Set(list).size, list.length);
+  assert.ok(list.every((b) => b instanceof ArrayBuffer));
+});
@@ -0,0 +1,90 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+const {
+  DEFAULT_SIM_PARAMS,
+  SIM_DT,
+  TRACE_DROP_SAMPLES,
+  TRACE_FIELDS,
+  TRACE_MAX_SAMPLES,
+  createFrogState,
+  createTrace,
+  parseTrace,
+  recordTraceStep,
+  sampleTrace,
+  traceDuration,
+} = require("../sim.js");
+
+test("a long session keeps its last minutes instead of the first ones", () => {
+  const state = createFrogState(3, DEFAULT_SIM_PARAMS);
+  const trace = createTrace(state, DEFAULT_SIM_PARAMS);
+  trace.tuning.push({ t: state.time + 1, key: "g", value: 12 });
+  const steps = TRACE_MAX_SAMPLES + TRACE_DROP_SAMPLES / 2;
+  for (let i = 1; i <= steps; i++) {
+    state.time += SIM_DT;
+    state.pos.x = i * 0.01;
+    state.events.length = 0;
+    if (i % 600 === 0) state.events.push({ type: "jump", t: state.time, turnDelta: 0, up: 5, horiz: 3 });
+    recordTraceStep(trace, state);
+  }
+
+  assert.equal(trace.truncated, true);
+  const n = trace.samples.data.length / TRACE_FIELDS.length;
+  assert.ok(n <= TRACE_MAX_SAMPLES);
+  // последний сэмпл — последний шаг, первый — шаг, на котором теперь начинается запись
+  const frame = sampleTrace(trace, traceDuration(trace), { pos: {}, vel: {} });
+  assert.ok(Math.abs(frame.pos.x - steps * 0.01) < 1e-6);
+  const first = (steps + 1 - n) * 0.01;
+  assert.ok(Math.abs(trace.samples.data[0] - first) < 1e-6);
+  assert.ok(Math.abs(trace.t0 - (state.time - (n - 1) * SIM_DT)) < 1e-6);
+  assert.ok(trace.jumps.length > 0 && trace.jumps.every((j) => j.t >= trace.t0));
+  assert.equal(trace.tuning.length, 0);
+  assert.equal(trace.params.g, 12);
+});
+
+test("traces with non-finite samples are rejected", () => {
+  const state = createFrogState(3, DEFAULT_SIM_PARAMS);
+  const trace = createTrace(state, DEFAULT_SIM_PARAMS);
+  recordTraceStep(trace, state);
+  assert.doesNotThrow(() => parseTrace(JSON.stringify(trace)));
+
+  const broken = JSON.parse(JSON.stringify(trace));
+  broken.samples.data[1] = "NaN";
+  assert.throws(() => parseTrace(JSON.stringify(broken)), /нечисловые/);
+  // JSON.parse превращает 1e999 в Infinity
+  broken.samples.data[1] = "HUGE";
+  assert.throws(() => parseTrace(JSON.stringify(broken).replace('"HUGE"', "1e999")), /нечисловые/);
+  broken.samples.data[1] = 0;
+  broken.jumps = [{ t: null }];
+  assert.throws(() => parseTrace(JSON.stringify(broken)), /прыжки/);
+});
+
+test("a truncated trace knows whether its window starts in the air", () => {
+  // y нарочно противоречит старой догадке по высоте: рельеф не плоский
+  const record = (eventAt, y) => {
+    const state = createFrogState(3, DEFAULT_SIM_PARAMS);
+    const trace = createTrace(state, DEFAULT_SIM_PARAMS);
+    for (let i = 1; i <= TRACE_MAX_SAMPLES; i++) {
+      state.time += SIM_DT;
+      state.pos.y = y;
+      state.events.length = 0;
+      const e = eventAt(i, state.time);
+      if (e) state.events.push(e);
+      recordTraceStep(trace, state);
+    }
+    assert.equal(trace.truncated, true);
+    return trace;
+  };
+  const cut = TRACE_DROP_SAMPLES;
+  const frame = { pos: {}, vel: {} };
+
+  const flying = record((i, t) => (i === cut - 10 ? { type: "jump", t, turnDelta: 0, up: 5, horiz: 3 } : i === cut + 60 ? { type: "land", t, vy: -4 } : null), -10);
+  assert.equal(flying.startAirborne, true);
+  assert.equal(sampleTrace(flying, 0, frame).airborne, true);
+  assert.equal(sampleTrace(flying, 100 * SIM_DT, frame).airborne, false);
+
+  const sitting = record((i, t) => (i === cut - 10 ? { type: "land", t, vy: -4 } : i === cut + 60 ? { type: "jump", t, turnDelta: 0, up: 5, horiz: 3 } : null), 5);
+  assert.equal(sitting.startAirborne, false);
+  assert.equal(sampleTrace(sitting, 0, frame).airborne, false);
+  assert.equal(sampleTrace(sitting, 100 * SIM_DT, frame).airborne, true);
+});
@@ -0,0 +1,132 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+const {
+  DEFAULT_SIM_PARAMS,
+  SIM_DT,
+  SWIM_DEPTH,
+  SWIM_SINK,
+  TILE_SIZE,
+  createFrogState,
+  createTrace,
+  createWorld,
+  generateTileLayout,
+  recordTraceStep,
+  sampleTrace,
+  stepFrog,
+  terrainHeight,
+  waterDepth,
+  waterLevel,
+} = require("../sim.js");
+
+const params = DEFAULT_SIM_PARAMS;
+
+function findPond() {
+  for (let tx = 0; tx < 20; tx++) {
+    const l = generateTileLayout(tx, 0);
+    if (l.ponds.length) return { ...l.ponds[0], x: l.ox + l.ponds[0].x, z: l.oz + l.ponds[0].z };
+  }
+  throw new Error("no pond found");
+}
+
+function dropInto(pond, seed) {
+  const state = createFrogState(seed, params, { x: pond.x, z: pond.z, yaw: 0 });
+  state.pos.y = pond.level + 1;
+  state.vy = -2;
+  state.vel.x = 0;
+  state.vel.z = 0;
+  return state;
+}
+
+test("ponds are carved below their water level and props stay dry", () => {
+  const pond = findPond();
+  assert.ok(waterDepth(pond.x, pond.z) > SWIM_DEPTH);
+  assert.equal(waterLevel(pond.x, pond.z), pond.level);
+  // за берегом пруда воды нет: уровня нет вовсе или он не выше земли
+  for (let k = 0; k < 8; k++) {
+    const a = (k / 8) * Math.PI * 2;
+    const x = pond.x + Math.cos(a) * (pond.r * 1.5 + 2);
+    const z = pond.z + Math.sin(a) * (pond.r * 1.5 + 2);
+    assert.ok(waterLevel(x, z) === -Infinity || waterLevel(x, z) <= terrainHeight(x, z));
+  }
+
+  for (let tz = -4; tz <= 4; tz++) {
+    for (let tx = -4; tx <= 4; tx++) {
+      const l = generateTileLayout(tx, tz);
+      for (const it of [...l.trees, ...l.rocks, ...l.runes, ...l.cans]) {
+        assert.ok(waterDepth(l.ox + it.x, l.oz + it.z) < 0);
+      }
+      for (const p of l.ponds) {
+        assert.ok(Math.abs(p.x) + p.r <= TILE_SIZE / 2 && Math.abs(p.z) + p.r <= TILE_SIZE / 2);
+      }
+    }
+  }
+});
+
+test("a landing in deep water splashes and switches to swimming", () => {
+  const pond = findPond();
+  const world = createWorld();
+  const state = dropInto(pond, 3);
+  const events = [];
+  for (let i = 0; i < 240 && !state.swimming; i++) {
+    state.events.length = 0;
+    stepFrog(state, params, SIM_DT, null, world);
+    events.push(...state.events);
+  }
+  assert.equal(state.swimming, true);
+  assert.equal(state.airborne, false);
+  assert.ok(events.some((e) => e.type === "splash" && e.vy < 0));
+  assert.ok(!events.some((e) => e.type === "land"));
+  assert.ok(Math.abs(state.pos.y - (waterLevel(state.pos.x, state.pos.z) - SWIM_SINK)) < 1e-9);
+});
+
+test("a swimming frog strokes and jumps out onto dry land", () => {
+  const pond = findPond();
+  const world = createWorld();
+  const state = dropInto(pond, 11);
+  let strokes = 0;
+  let swam = false;
+  let landed = null;
+  for (let i = 0; i < 120 * 20 && !landed; i++) {
+    state.events.length = 0;
+    stepFrog(state, params, SIM_DT, null, world);
+    swam = swam || state.swimming;
+    for (const e of state.events) {
+      if (e.type === "stroke") strokes++;
+      if (e.type === "land" && swam) landed = e;
+    }
+  }
+  assert.ok(strokes >= 2);
+  assert.ok(landed);
+  assert.ok(waterDepth(landed.x, landed.z) < SWIM_DEPTH);
+});
+
+test("a piloted frog keeps swimming until it is told to jump", () => {
+  const pond = findPond();
+  const world = createWorld();
+  const state = dropInto(pond, 5);
+  const idle = { jump: null, drift: false };
+  for (let i = 0; i < 120 * 4; i++) stepFrog(state, params, SIM_DT, idle, world);
+  assert.equal(state.swimming, true);
+
+  stepFrog(state, params, SIM_DT, { jump: { turn: 0, power: 1 }, drift: false }, world);
+  assert.equal(state.swimming, false);
+  assert.equal(state.airborne, true);
+});
+
+test("replays see a splash as a landing and recover the swimming state", () => {
+  const pond = findPond();
+  const state = dropInto(pond, 3);
+  const trace = createTrace(state, params);
+  for (let i = 0; i < 240; i++) {
+    state.events.length = 0;
+    stepFrog(state, params, SIM_DT, { jump: null, drift: false }, null);
+    recordTraceStep(trace, state);
+  }
+  assert.ok(state.swimming);
+  assert.equal(trace.landings.length, 1);
+
+  const frame = sampleTrace(trace, 2, { pos: {}, vel: {} });
+  assert.equal(frame.airborne, false);
+  assert.equal(frame.swimming, true);
+});
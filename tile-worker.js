@@ -0,0 +1,15 @@
+/**
+ * Воркер стриминга леса: раскладка тайла, буферы инстансов и рельеф считаются здесь,
+ * а в главный поток уходят готовые typed array'и (передаются, а не копируются).
+ */
+importScripts("./sim.js");
+
+const { generateTileBuffers, tileBufferTransfers } = self.JabkaSim;
+
+self.onmessage = (e) => {
+  const { id, tx, tz, collected } = e.data;
+  const res = generateTileBuffers(tx, tz, collected && collected.length ? new Set(collected) : null);
+  res.id = id;
+  res.collectedCount = collected ? collected.length : 0;
+  self.postMessage(res, tileBufferTransfers(res));
+};